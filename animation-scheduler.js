@@ -0,0 +1,162 @@
+/**
+ * Frame-Driven Animation Scheduler
+ * Owns every facial tween, per-frame task and delayed call so they all run
+ * inside the main animate() loop from the same clock delta.
+ *
+ * Time only advances through update(delta), which makes the scheduler
+ * deterministic: tests can step it with a fake clock, e.g. update(1 / 60).
+ */
+
+class AnimationScheduler {
+    constructor() {
+        // Scheduler time in seconds (advanced only by update)
+        this.time = 0;
+        this.isPaused = false;
+
+        // Active entries: tweens, tasks and delayed calls
+        this.entries = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Advance time and run everything due this frame
+     */
+    update(delta) {
+        if (this.isPaused || delta <= 0) return;
+
+        this.time += delta;
+
+        // Entries added while updating start on the next frame
+        const entries = this.entries.slice();
+        entries.forEach(entry => {
+            if (entry.cancelled) return;
+
+            let done = false;
+            if (entry.type === 'tween') {
+                done = this.stepTween(entry);
+            } else if (entry.type === 'task') {
+                done = entry.callback(delta, this.time) === false;
+            } else if (entry.type === 'delay' && this.time >= entry.dueTime) {
+                entry.callback();
+                done = true;
+            }
+
+            if (done) {
+                entry.cancelled = true;
+            }
+        });
+
+        this.entries = this.entries.filter(entry => !entry.cancelled);
+    }
+
+    /**
+     * Advance one tween; returns true once it has finished
+     */
+    stepTween(entry) {
+        const progress = entry.duration > 0 ? Math.min(1, (this.time - entry.startTime) / entry.duration) : 1;
+        entry.onUpdate(entry.easing(progress), progress);
+
+        if (progress >= 1) {
+            if (entry.onComplete) {
+                entry.onComplete();
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Tween from 0 to 1 over duration seconds
+     * A tween with a key replaces any running tween with the same key
+     */
+    tween({ duration, onUpdate, onComplete = null, easing = (t) => t, key = null }) {
+        if (key) {
+            this.cancel(key);
+        }
+
+        return this.add({ type: 'tween', key, duration, onUpdate, onComplete, easing, startTime: this.time });
+    }
+
+    /**
+     * Run a callback every frame with (delta, time) until it returns false
+     */
+    addTask(callback, key = null) {
+        if (key) {
+            this.cancel(key);
+        }
+
+        return this.add({ type: 'task', key, callback });
+    }
+
+    /**
+     * Call back once after a delay in scheduler seconds
+     */
+    delay(seconds, callback, key = null) {
+        if (key) {
+            this.cancel(key);
+        }
+
+        return this.add({ type: 'delay', key, callback, dueTime: this.time + seconds });
+    }
+
+    /**
+     * Register an entry and return its handle
+     */
+    add(entry) {
+        entry.id = this.nextId++;
+        entry.cancelled = false;
+        this.entries.push(entry);
+
+        return {
+            id: entry.id,
+            cancel: () => this.cancel(entry.id)
+        };
+    }
+
+    /**
+     * Cancel entries by key, id or handle
+     */
+    cancel(keyOrHandle) {
+        const target = keyOrHandle && typeof keyOrHandle === 'object' ? keyOrHandle.id : keyOrHandle;
+
+        this.entries.forEach(entry => {
+            if (entry.id === target || (entry.key !== null && entry.key === target)) {
+                entry.cancelled = true;
+            }
+        });
+    }
+
+    /**
+     * Whether an entry with this key is still running
+     */
+    isActive(key) {
+        return this.entries.some(entry => entry.key === key && !entry.cancelled);
+    }
+
+    /**
+     * Cancel everything
+     */
+    clear() {
+        this.entries.forEach(entry => {
+            entry.cancelled = true;
+        });
+        this.entries = [];
+    }
+
+    /**
+     * Freeze all animation (time stops advancing)
+     */
+    pause() {
+        this.isPaused = true;
+    }
+
+    /**
+     * Resume after pause()
+     */
+    resume() {
+        this.isPaused = false;
+    }
+}
+
+// Export for use in other modules
+window.AnimationScheduler = AnimationScheduler;
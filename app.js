@@ -16,39 +16,155 @@ class SimpleBabyCharacter {
         this.renderer = null;
         this.controls = null;
         this.babyModel = null;
-        this.mixer = null;
         this.clock = new THREE.Clock();
 
+        // Body animation states (idle, listening, talking, reacting) over the model's clips
+        this.bodyAnimator = new BodyAnimator();
+
+        // Extra clips for the default model, from files sharing its skeleton, e.g.
+        // { url: 'src/animations/talk.fbx', state: 'talking' } or
+        // { url: 'src/animations/clap.glb', state: 'reacting', emotion: 'happy' }
+        this.animationClipFiles = [];
+
+        // Model loading - FBX, glTF/GLB or VRM, picked by extension
+        // (?model=path/to/character.glb overrides the default paths)
+        this.modelLoader = null;
+        this.modelPaths = [
+            'src/baby.fbx',
+            './src/baby.fbx',
+            'baby.fbx',
+            './baby.fbx'
+        ];
+        this.modelFormat = null;
+        this.modelUnitScale = 0.01;
+        this.vrm = null;
+        this.modelTextureSource = null;
+        this.isSwappingModel = false;
+
+        // Skin and hair shading quality: 'low', 'medium' or 'high' (see MaterialPipeline.QUALITY)
+        this.renderQuality = window.innerWidth <= 768 ? 'medium' : 'high';
+
+        // Frame-driven scheduler for all facial animation (stepped in animate())
+        this.scheduler = new AnimationScheduler();
+
+        // Layered facial animation - the mixer is the only writer to morphTargetInfluences
+        this.facialMixer = new FacialAnimationMixer();
+        this.facialMixer.addLayer('idle', { blendMode: 'additive', priority: 0 });
+        this.facialMixer.addLayer('emotion', { blendMode: 'additive', priority: 10 });
+        this.facialMixer.addLayer('speech', { blendMode: 'override', priority: 20 });
+        this.facialMixer.addLayer('blink', { blendMode: 'max', priority: 30 });
+
         // Simple lip-sync system
-        this.lipSyncSystem = new SimpleLipSyncSystem();
+        this.lipSyncSystem = new SimpleLipSyncSystem(this.scheduler);
+        this.lipSyncSystem.setOutputLayer(this.facialMixer.getLayer('speech'));
+
+        // Autonomous blinking and saccades
+        this.eyeController = new EyeController(this.facialMixer.getLayer('blink'));
+
+        // Breathing, sway, weight shifts and fidgets (yawns go on the idle face layer)
+        this.idleMotion = new IdleMotion(this.facialMixer.getLayer('idle'));
+
+        // Head/eye look-at (created once the camera exists)
+        this.gazeController = null;
 
-        // Initialize API mode (start with mock for testing)
-        this.useRealAPI = false;
+        // Emotion presets (loaded from emotion-presets.json)
+        this.emotionRegistry = new EmotionRegistry();
+
+        // Automatic emotions from reply sentiment and inline markup like [happy] or *giggles*
+        this.emotionClassifier = new EmotionClassifier({
+            isKnownEmotion: (emotion) => this.emotionRegistry.has(emotion)
+        });
+        this.emotionSettings = {
+            automatic: true,
+            userReactionScale: 0.6,  // Reactions to the user's mood are softer than the baby's own
+            relaxDelay: 2.0,         // Seconds after a reply before relaxing back to neutral
+            reactions: { angry: 'sad', disgust: 'curious', contempt: 'sad' }
+        };
+        this.automaticEmotion = null;
+        this.emotionCues = [];
+        this.emotionCuesFollowBoundaries = false;
+
+        // What happens when the user talks while the baby speaks, and self-echo filtering
+        this.turnTaking = new TurnTakingController();
+
+        // Reply being generated or spoken: { controller, queue, text, cancelled, recorded }
+        this.activeReply = null;
+
+        // Conversation backend: 'pixora', 'openai', 'local' or 'mock' (start with mock for testing)
+        // Settings per backend; the API key is only kept for this page visit
+        this.backendType = 'mock';
+        this.backendOptions = {
+            pixora: {},
+            openai: { endpoint: 'https://api.openai.com/v1/chat/completions', model: 'gpt-4o-mini', apiKey: '' },
+            local: { endpoint: 'http://localhost:11434/api/chat', model: 'llama3.2' },
+            mock: {}
+        };
+        this.backend = null;
+        this.mockBackend = new MockBackend();
+
+        // Turn history (persisted), the backend's context and the transcript
+        this.conversation = new ConversationStore();
 
         // Audio components
         this.audioContext = null;
         this.audioElement = null;
         this.currentAudioUrl = null;
         this.currentText = null;
+        this.audioLoadTimeout = 8; // Seconds to wait for response audio before falling back to TTS
 
         // Character state
         this.isSpeaking = false;
         this.morphTargets = {};
         this.mainMesh = null;
 
+        // Rig profile for morph names: 'auto', 'character-creator', 'arkit', 'vrm' or 'oculus'
+        this.rigProfile = 'auto';
+        this.rigMapper = null;
+
+        // Conversation language: recognition locale, TTS voice, lip-sync spelling and UI strings
+        this.localization = new Localization();
+
         // Speech recognition
         this.recognition = null;
+        this.recognizerType = 'web';
+        this.recognizerOptions = {
+            web: {},
+            local: { endpoint: 'http://localhost:8080/inference', model: '' }
+        };
         this.isRecording = false;
+        this.recognitionStarting = false;
+        this.recognitionStopPending = false; // Stop requested while recognition was still starting
+
+        // Hands-free listening: continuous recognition paused while the baby speaks,
+        // voice activity detection on the microphone and an optional wake phrase
+        this.handsFree = false;
+        this.handsFreeSettings = {
+            wakePhrase: 'hey baby',
+            requireWakePhrase: false,
+            wakeWindow: 10,     // Seconds after the wake phrase (or a reply) that need no wake phrase
+            restartDelay: 0.5,  // Seconds before recognition restarts after it ends (doubled after each error)
+            maxFailures: 5      // Consecutive recognition errors before hands-free turns itself off
+        };
+        this.voiceActivity = null;
+        this.userVoiceActive = false;
+        this.handsFreePaused = false;
+        this.handsFreeRestartTime = 0;
+        this.handsFreeFailures = 0;
+        this.awakeUntil = 0;
 
         // Speech display
         this.speechDisplay = null;
         this.currentUserSpeech = '';
         this.currentBabySpeech = '';
 
-        // Animation system
-        this.lipSyncTimeouts = [];
-        this.currentViseme = null;
-        this.visemeTransitionDuration = 0.1;
+        // Text-to-speech
+        this.currentUtterance = null;
+        this.ttsSettings = {
+            rate: 0.9,           // Slightly slower for better lip-sync
+            pitch: 1.1,          // Slightly higher pitch for baby voice
+            volume: 0.8,
+            boundaryTimeout: 0.4 // Seconds to wait for a word boundary before using fixed timing
+        };
 
         // Initialize the application
         this.init();
@@ -62,17 +178,20 @@ class SimpleBabyCharacter {
         this.setupCamera();
         this.setupRenderer();
         this.setupControls();
+        this.setupGaze();
+        this.setupLanguage();
         this.setupSpeechRecognition();
         this.setupEventListeners();
 
         // Load the 3D model
         await this.loadBabyModel();
 
-        // Initialize speech display
+        // Initialize speech display and restore the last conversation
         this.speechDisplay = document.getElementById('speech-display');
+        await this.setupTranscript();
 
         // Initialize emotion system
-        this.initializeEmotionSystem();
+        await this.initializeEmotionSystem();
 
         // Start animation loop
         this.animate();
@@ -83,7 +202,7 @@ class SimpleBabyCharacter {
             loadingElement.classList.add('hidden');
         }
 
-        this.updateStatus('Ready! Click 🎤 to speak or test the simple lip-sync system! 🎭✨');
+        this.updateStatus(this.localization.t('readyIntro'));
     }
 
     /**
@@ -163,31 +282,18 @@ class SimpleBabyCharacter {
 
         this.renderer.toneMappingExposure = 1.0;
 
-        // Add subtle environment map for hair reflections
+        // HDRI lighting and texture loading for the character's materials
+        this.materialPipeline = new MaterialPipeline(this.renderer, { quality: this.renderQuality });
         this.setupEnvironmentMap();
     }
 
     /**
-     * Setup environment map for enhanced reflections
+     * Setup the HDRI environment map (src/hdri.exr) for image-based lighting
      */
     setupEnvironmentMap() {
-        try {
-            // Create a subtle environment map for hair reflections
-            const envMap = new THREE.CubeTextureLoader().load([
-                'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', // right
-                'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', // left
-                'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', // top
-                'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfNcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', // bottom
-                'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', // front
-                'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=='  // back
-            ]);
-
-            this.scene.environment = envMap;
-            this.scene.environment.intensity = 0.3; // Subtle reflection
-            console.log('🎨 Environment map setup complete for hair reflections');
-        } catch (error) {
-            console.log('🎨 Environment map setup failed, continuing without it');
-        }
+        this.materialPipeline.loadEnvironment(this.scene).catch((error) => {
+            console.warn('🎨 Environment map failed to load, continuing without it:', error);
+        });
     }
 
     /**
@@ -212,12 +318,35 @@ class SimpleBabyCharacter {
     /**
      * Initialize emotion system
      */
-    initializeEmotionSystem() {
-        // Set up emotion button event listeners
-        const emotionButtons = document.querySelectorAll('.emotion-btn');
+    async initializeEmotionSystem() {
+        try {
+            await this.emotionRegistry.load('emotion-presets.json');
+        } catch (error) {
+            console.error('🎭 Error loading emotion presets:', error);
+            this.updateStatus(this.localization.t('presetsLoadFailed'));
+        }
+        this.emotionRegistry.loadCustomPresets();
+
+        if (this.mainMesh) {
+            this.emotionRegistry.validateAll(this.morphTargets);
+        }
+
+        this.buildEmotionButtons();
+
         const intensitySlider = document.getElementById('emotion-intensity');
         const intensityValue = document.getElementById('intensity-value');
 
+        const autoEmotions = document.getElementById('auto-emotions');
+        if (autoEmotions) {
+            autoEmotions.checked = this.emotionSettings.automatic;
+            autoEmotions.addEventListener('change', () => {
+                this.emotionSettings.automatic = autoEmotions.checked;
+                if (!autoEmotions.checked) {
+                    this.stopEmotionCues();
+                }
+            });
+        }
+
         // Update intensity display
         if (intensitySlider && intensityValue) {
             intensitySlider.addEventListener('input', (e) => {
@@ -226,16 +355,126 @@ class SimpleBabyCharacter {
             });
         }
 
-        // Add emotion button listeners
-        emotionButtons.forEach(button => {
+        // Preset saving, import and export
+        const saveButton = document.getElementById('save-emotion');
+        if (saveButton) {
+            saveButton.addEventListener('click', () => this.saveCurrentEmotion());
+        }
+
+        const exportButton = document.getElementById('export-emotions');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => this.exportEmotionPresets());
+        }
+
+        const importInput = document.getElementById('import-emotions');
+        if (importInput) {
+            importInput.addEventListener('change', () => {
+                if (importInput.files[0]) {
+                    this.importEmotionPresets(importInput.files[0]);
+                }
+                importInput.value = '';
+            });
+        }
+
+        console.log('🎭 Emotion system initialized!');
+    }
+
+    /**
+     * Build the emotion buttons from the preset registry
+     */
+    buildEmotionButtons() {
+        const container = document.querySelector('.emotion-buttons');
+        if (!container) return;
+
+        const intensitySlider = document.getElementById('emotion-intensity');
+        container.innerHTML = '';
+
+        this.emotionRegistry.list().forEach(emotion => {
+            const preset = this.emotionRegistry.get(emotion);
+            const button = document.createElement('button');
+            button.className = 'emotion-btn';
+            button.dataset.emotion = emotion;
+            button.textContent = `${preset.icon} ${preset.label}`;
+            button.style.background = preset.color;
+            button.style.color = preset.textColor;
+
+            // Flag presets that use morphs the loaded mesh doesn't have
+            if (this.mainMesh) {
+                const { warnings } = this.emotionRegistry.validate(preset, this.morphTargets);
+                if (warnings.length > 0) {
+                    button.title = warnings.join('\n');
+                    button.classList.add('has-warnings');
+                }
+            }
+
             button.addEventListener('click', () => {
-                const emotion = button.dataset.emotion;
                 const intensity = (intensitySlider ? intensitySlider.value / 100 : 1.0);
+
+                // A manual choice takes over from automatic emotions
+                this.stopEmotionCues();
                 this.applyEmotion(emotion, intensity);
             });
+
+            container.appendChild(button);
         });
+    }
 
-        console.log('🎭 Emotion system initialized!');
+    /**
+     * Save the current emotion layer as a new preset
+     */
+    saveCurrentEmotion() {
+        const nameInput = document.getElementById('emotion-name');
+        const label = nameInput ? nameInput.value.trim() : '';
+        if (!label) {
+            this.updateStatus(this.localization.t('expressionNameMissing'));
+            return;
+        }
+
+        // Keep letters and digits of any script; names made only of symbols get a generated id
+        const slug = label.normalize('NFC').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+        const name = slug || `expression-${Date.now().toString(36)}`;
+        const weights = this.facialMixer.getLayer('emotion').snapshot();
+
+        try {
+            this.emotionRegistry.saveFromWeights(name, weights, { label });
+            this.buildEmotionButtons();
+            nameInput.value = '';
+            this.updateStatus(this.localization.t('expressionSaved', { label }));
+        } catch (error) {
+            console.error('🎭 Error saving emotion preset:', error);
+            this.updateStatus(this.localization.t('expressionSaveFailed', { error: error.message }));
+        }
+    }
+
+    /**
+     * Download all presets as JSON
+     */
+    exportEmotionPresets() {
+        const blob = new Blob([this.emotionRegistry.exportJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'emotion-presets.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Add presets from a JSON file chosen by the user
+     */
+    async importEmotionPresets(file) {
+        try {
+            const count = this.emotionRegistry.importJSON(await file.text(), { custom: true });
+            this.emotionRegistry.saveCustomPresets();
+            if (this.mainMesh) {
+                this.emotionRegistry.validateAll(this.morphTargets);
+            }
+            this.buildEmotionButtons();
+            this.updateStatus(this.localization.t('expressionsImported', { count, file: file.name }));
+        } catch (error) {
+            console.error('🎭 Error importing emotion presets:', error);
+            this.updateStatus(this.localization.t('expressionsImportFailed', { error: error.message }));
+        }
     }
 
     /**
@@ -247,22 +486,16 @@ class SimpleBabyCharacter {
             return;
         }
 
-        // Reset all morph targets first
-        this.resetToNeutral();
-
-        // Complete emotion mapping using actual morph target names
-        const emotionMorphs = {
-            'happy': { 'Mouth_Smile_L': 0.8, 'Mouth_Smile_R': 0.8, 'Eye_Blink_L': 0.3, 'Eye_Blink_R': 0.3 },
-            'sad': { 'Mouth_Frown_L': 0.7, 'Mouth_Frown_R': 0.7, 'Brow_Drop_L': 0.6, 'Brow_Drop_R': 0.6 },
-            'angry': { 'Mouth_Press_L': 0.8, 'Mouth_Press_R': 0.8, 'Brow_Drop_L': 0.8, 'Brow_Drop_R': 0.8, 'Eye_Squint_L': 0.6, 'Eye_Squint_R': 0.6 },
-            'surprised': { 'Jaw_Open': 0.7, 'Eye_Wide_L': 0.8, 'Eye_Wide_R': 0.8, 'Brow_Raise_Outer_L': 0.7, 'Brow_Raise_Outer_R': 0.7 },
-            'disgust': { 'Mouth_Press_L': 0.8, 'Mouth_Press_R': 0.8, 'Nose_Sneer_L': 0.6, 'Nose_Sneer_R': 0.6, 'Brow_Drop_L': 0.5, 'Brow_Drop_R': 0.5 },
-            'fear': { 'Mouth_Press_L': 0.8, 'Mouth_Press_R': 0.8, 'Eye_Wide_L': 0.8, 'Eye_Wide_R': 0.8, 'Brow_Raise_Outer_L': 0.7, 'Brow_Raise_Outer_R': 0.7 },
-            'contempt': { 'Mouth_Press_L': 0.8, 'Mouth_Press_R': 0.8, 'Mouth_Dimple_L': 0.6, 'Mouth_Dimple_R': 0.6, 'Brow_Drop_L': 0.5, 'Brow_Drop_R': 0.5 },
-            'neutral': {}
-        };
+        const preset = this.emotionRegistry.get(emotion);
+        if (!preset) {
+            console.warn(`🎭 Unknown emotion preset: ${emotion}`);
+            return;
+        }
+        const morphs = preset.morphs;
 
-        const morphs = emotionMorphs[emotion] || {};
+        // People blink as their expression changes, and the body reacts too
+        this.eyeController.triggerBlink();
+        this.bodyAnimator.react(emotion);
 
         // Apply emotions with smooth transitions
         this.applyEmotionSmoothly(morphs, intensity);
@@ -271,33 +504,125 @@ class SimpleBabyCharacter {
     }
 
     /**
-     * Apply emotion with smooth transitions
+     * Apply an emotion chosen automatically (sentiment, markup or reaction)
      */
-    applyEmotionSmoothly(morphs, intensity) {
-        const steps = 15; // Number of steps for smooth transition
-        const stepDuration = 0.05; // 50ms per step
-        let currentStep = 0;
+    applyAutomaticEmotion(emotion, intensity) {
+        if (!this.emotionSettings.automatic || !this.emotionRegistry.has(emotion)) return;
+
+        this.scheduler.cancel('emotion-relax');
+        this.applyEmotion(emotion, intensity);
+        this.automaticEmotion = emotion;
+    }
 
-        const animateStep = () => {
-            if (currentStep >= steps) return;
+    /**
+     * Play emotion cues as speech reaches their character positions
+     * Word boundaries move the cues on when the voice reports them,
+     * otherwise progress is estimated from elapsed time
+     */
+    startEmotionCues(cues, secondsPerChar) {
+        this.stopEmotionCues();
+        if (!this.emotionSettings.automatic || cues.length === 0) return;
 
-            // Calculate current value (0 to target)
-            const progress = currentStep / steps;
-            const easeValue = this.easeInOutCubic(progress);
+        this.emotionCues = cues.slice();
+        this.emotionCuesFollowBoundaries = false;
+        const startTime = this.scheduler.time;
 
-            Object.entries(morphs).forEach(([morphTarget, targetValue]) => {
-                const currentValue = targetValue * intensity * easeValue;
-                this.applyMorphTarget(morphTarget, currentValue);
-            });
+        this.scheduler.addTask((delta, time) => {
+            if (!this.emotionCuesFollowBoundaries) {
+                this.advanceEmotionCues((time - startTime) / secondsPerChar);
+            }
+            return this.emotionCues.length > 0;
+        }, 'emotion-cues');
+    }
+
+    /**
+     * Apply every cue up to a character position in the spoken text
+     */
+    advanceEmotionCues(charIndex) {
+        while (this.emotionCues.length > 0 && this.emotionCues[0].charIndex <= charIndex) {
+            const cue = this.emotionCues.shift();
+            this.applyAutomaticEmotion(cue.emotion, cue.intensity);
+        }
+    }
+
+    /**
+     * Word boundary from the voice - cues follow the boundaries from now on
+     */
+    onEmotionCueBoundary(charIndex) {
+        this.emotionCuesFollowBoundaries = true;
+        this.advanceEmotionCues(charIndex);
+    }
+
+    /**
+     * Drop any remaining cues and relax an automatic emotion back to neutral after a moment
+     */
+    finishEmotionCues() {
+        this.scheduler.cancel('emotion-cues');
+        this.emotionCues = [];
+
+        if (this.automaticEmotion) {
+            this.scheduler.delay(this.emotionSettings.relaxDelay, () => {
+                this.automaticEmotion = null;
+                this.resetToNeutralSmoothly();
+            }, 'emotion-relax');
+        }
+    }
+
+    /**
+     * Stop automatic emotions (leaves the current expression on the face)
+     */
+    stopEmotionCues() {
+        this.scheduler.cancel('emotion-cues');
+        this.scheduler.cancel('emotion-relax');
+        this.emotionCues = [];
+        this.automaticEmotion = null;
+    }
 
-            currentStep++;
+    /**
+     * Apply emotion with smooth transitions
+     * Cross-fades the emotion layer from its current expression to the new one,
+     * replacing any running expression tween (including a reset to neutral)
+     */
+    applyEmotionSmoothly(morphs, intensity) {
+        const emotionLayer = this.facialMixer.getLayer('emotion');
+        const startValues = emotionLayer.snapshot();
+
+        // Resolve symmetrical names to the morph targets they drive
+        const targetValues = {};
+        Object.entries(morphs).forEach(([morphTarget, targetValue]) => {
+            this.resolveMorphTargetNames(morphTarget).forEach(morphName => {
+                targetValues[morphName] = targetValue * intensity;
+            });
+        });
 
-            if (currentStep < steps) {
-                setTimeout(animateStep, stepDuration * 1000);
+        const morphNames = new Set([...Object.keys(startValues), ...Object.keys(targetValues)]);
+
+        this.scheduler.tween({
+            key: 'expression',
+            duration: 0.75,
+            easing: (t) => this.easeInOutCubic(t),
+            onUpdate: (easeValue) => {
+                morphNames.forEach(morphName => {
+                    const from = startValues[morphName] || 0;
+                    const to = targetValues[morphName] || 0;
+                    emotionLayer.set(morphName, from + (to - from) * easeValue);
+                });
             }
-        };
+        });
+    }
+
+    /**
+     * Morph target names driven by a (possibly symmetrical) morph name
+     */
+    resolveMorphTargetNames(morphTarget) {
+        const names = [morphTarget];
+        if (morphTarget.includes('_L')) {
+            names.push(morphTarget.replace('_L', '_R'));
+        } else if (morphTarget.includes('_R')) {
+            names.push(morphTarget.replace('_R', '_L'));
+        }
 
-        animateStep();
+        return names.filter(name => this.morphTargets[name] !== undefined);
     }
 
     /**
@@ -308,10 +633,10 @@ class SimpleBabyCharacter {
     }
 
     /**
-     * Apply individual morph target with value
+     * Apply individual morph target with value on a facial mixer layer
      * Handles both left and right sides for symmetrical expressions
      */
-    applyMorphTarget(morphTarget, value) {
+    applyMorphTarget(morphTarget, value, layerName = 'emotion') {
         if (!this.mainMesh || !this.morphTargets) {
             console.warn('🎭 Cannot apply morph target: model or morphTargets not ready');
             return;
@@ -322,7 +647,7 @@ class SimpleBabyCharacter {
             // Apply left side
             const leftIndex = this.morphTargets[morphTarget];
             if (leftIndex !== undefined) {
-                this.mainMesh.morphTargetInfluences[leftIndex] = value;
+                this.facialMixer.setWeight(layerName, morphTarget, value);
                 console.log(`🎭 Applied LEFT: ${morphTarget} = ${value}`);
             } else {
                 console.warn(`🎭 Left morph target ${morphTarget} not found`);
@@ -332,7 +657,7 @@ class SimpleBabyCharacter {
             const rightMorphTarget = morphTarget.replace('_L', '_R');
             const rightIndex = this.morphTargets[rightMorphTarget];
             if (rightIndex !== undefined) {
-                this.mainMesh.morphTargetInfluences[rightIndex] = value;
+                this.facialMixer.setWeight(layerName, rightMorphTarget, value);
                 console.log(`🎭 Applied RIGHT: ${rightMorphTarget} = ${value}`);
             } else {
                 console.warn(`🎭 Right side morph target ${rightMorphTarget} not found`);
@@ -341,7 +666,7 @@ class SimpleBabyCharacter {
             // Apply right side
             const rightIndex = this.morphTargets[morphTarget];
             if (rightIndex !== undefined) {
-                this.mainMesh.morphTargetInfluences[rightIndex] = value;
+                this.facialMixer.setWeight(layerName, morphTarget, value);
                 console.log(`🎭 Applied RIGHT: ${morphTarget} = ${value}`);
             } else {
                 console.warn(`🎭 Right morph target ${morphTarget} not found`);
@@ -351,7 +676,7 @@ class SimpleBabyCharacter {
             const leftMorphTarget = morphTarget.replace('_R', '_L');
             const leftIndex = this.morphTargets[leftMorphTarget];
             if (leftIndex !== undefined) {
-                this.mainMesh.morphTargetInfluences[leftIndex] = value;
+                this.facialMixer.setWeight(layerName, leftMorphTarget, value);
                 console.log(`🎭 Applied LEFT: ${leftMorphTarget} = ${value}`);
             } else {
                 console.warn(`🎭 Left side morph target ${leftMorphTarget} not found`);
@@ -360,72 +685,254 @@ class SimpleBabyCharacter {
             // Non-symmetrical morph target (like Jaw_Open, Mouth_Close, etc.)
             const targetIndex = this.morphTargets[morphTarget];
             if (targetIndex !== undefined) {
-                this.mainMesh.morphTargetInfluences[targetIndex] = value;
+                this.facialMixer.setWeight(layerName, morphTarget, value);
                 console.log(`🎭 Applied CENTER: ${morphTarget} = ${value}`);
             } else {
                 console.warn(`🎭 Morph target ${morphTarget} not found`);
             }
         }
+    }
+
+    /**
+     * Setup head and eye gaze tracking
+     */
+    setupGaze() {
+        this.gazeController = new GazeController(this.camera, this.eyeController);
+        this.gazeController.attachPointer(this.renderer.domElement);
+    }
+
+    /**
+     * Cycle the gaze mode (camera -> pointer -> off)
+     */
+    toggleGazeMode() {
+        const modes = GazeController.MODES;
+        const mode = modes[(modes.indexOf(this.gazeController.settings.mode) + 1) % modes.length];
+        this.gazeController.setMode(mode);
+        this.updateControlLabels();
+        this.updateStatus(this.localization.t(`gaze${mode.charAt(0).toUpperCase() + mode.slice(1)}`));
+    }
+
+    /**
+     * Button labels that show state (hands-free, gaze mode), in the current language
+     */
+    updateControlLabels() {
+        const handsFreeButton = document.getElementById('handsFreeButton');
+        if (handsFreeButton) {
+            handsFreeButton.textContent = this.localization.t(this.handsFree ? 'handsFreeOn' : 'handsFreeOff');
+            handsFreeButton.classList.toggle('active', this.handsFree);
+        }
+
+        const gazeButton = document.getElementById('toggleGaze');
+        if (gazeButton && this.gazeController) {
+            const mode = this.gazeController.settings.mode;
+            gazeButton.textContent = this.localization.t(`gaze${mode.charAt(0).toUpperCase() + mode.slice(1)}`);
+        }
+    }
+
+    /**
+     * Setup the language setting (?lang=hi, else the last choice)
+     */
+    setupLanguage() {
+        let language = new URLSearchParams(window.location.search).get('lang');
+        if (!Localization.LANGUAGES[language]) {
+            try {
+                language = window.localStorage.getItem('babyCharacter.language');
+            } catch (error) {
+                language = null;
+            }
+        }
+
+        const select = document.getElementById('languageSelect');
+        if (select) {
+            select.addEventListener('change', () => this.setLanguage(select.value));
+        }
+
+        this.setLanguage(Localization.LANGUAGES[language] ? language : 'en');
+
+        // Chrome loads voices asynchronously; check again once they are known
+        if ('speechSynthesis' in window && window.speechSynthesis.addEventListener) {
+            window.speechSynthesis.addEventListener('voiceschanged', () => this.checkVoice());
+        }
+    }
+
+    /**
+     * Switch the conversation language ('en', 'hi' or 'es'): recognition locale, TTS voice,
+     * lip-sync spelling rules, the backend's reply language and the page text
+     */
+    setLanguage(language) {
+        try {
+            this.localization.setLanguage(language);
+        } catch (error) {
+            console.warn('🌐', error.message);
+            return;
+        }
 
-        // Force updates
-        this.mainMesh.morphTargetInfluencesNeedUpdate = true;
+        const select = document.getElementById('languageSelect');
+        if (select) {
+            select.value = language;
+        }
+
+        this.lipSyncSystem.setLanguage(language);
+
+        // Recognition picks the locale up when it next starts (hands-free restarts by itself)
+        if (this.recognition) {
+            this.recognition.settings.lang = this.localization.locale;
+            this.stopRecording();
+        }
+
+        this.mockBackend = new MockBackend({ language });
+        if (this.backend) {
+            this.setBackend(this.backendType);
+        }
+
+        this.localization.apply();
+        this.updateControlLabels();
+        this.renderTranscript(this.conversation.turns); // Bubble labels are translated too
+        this.updateStatus(this.localization.t('languageChanged', { name: this.localization.current.name }));
+        this.checkVoice();
+
+        try {
+            window.localStorage.setItem('babyCharacter.language', language);
+        } catch (error) {
+            console.warn('🌐 Could not remember the language:', error);
+        }
+        console.log(`🌐 Language: ${language} (${this.localization.locale})`);
+    }
+
+    /**
+     * Warn when no installed voice speaks the conversation language
+     */
+    checkVoice() {
+        if (!('speechSynthesis' in window)) return;
+
+        const voices = window.speechSynthesis.getVoices();
+        if (voices.length > 0 && !this.localization.pickVoice(voices)) {
+            this.updateStatus(this.localization.t('noVoice', { name: this.localization.current.name }));
+        }
     }
 
     /**
      * Setup speech recognition
+     * The browser's recognizer is used where it exists, otherwise a local speech-to-text server
      */
     setupSpeechRecognition() {
-        if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
-            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-            this.recognition = new SpeechRecognition();
-            this.recognition.continuous = false;
-            this.recognition.interimResults = true;
-            this.recognition.lang = 'en-US';
-            this.recognition.maxAlternatives = 1;
-
-            this.recognition.onstart = () => {
-                this.isRecording = true;
-                document.getElementById('micButton').classList.add('recording');
-                this.updateStatus('Listening...');
-            };
+        const requestedRecognizer = new URLSearchParams(window.location.search).get('stt');
+        if (requestedRecognizer && SpeechRecognizer.TYPES[requestedRecognizer]) {
+            this.recognizerType = requestedRecognizer;
+        } else if (!WebSpeechRecognizer.isSupported()) {
+            this.recognizerType = 'local';
+        }
 
-            this.recognition.onresult = (event) => {
-                let finalTranscript = '';
-                let interimTranscript = '';
+        const select = document.getElementById('recognizerSelect');
+        if (select) {
+            select.value = this.recognizerType;
+            select.addEventListener('change', () => this.setRecognizer(select.value));
+        }
 
-                for (let i = event.resultIndex; i < event.results.length; i++) {
-                    const transcript = event.results[i][0].transcript;
-                    if (event.results[i].isFinal) {
-                        finalTranscript += transcript;
-                    } else {
-                        interimTranscript += transcript;
-                    }
-                }
+        const endpointInput = document.getElementById('recognizer-endpoint');
+        if (endpointInput) {
+            endpointInput.value = this.recognizerOptions.local.endpoint;
+            endpointInput.addEventListener('change', () => {
+                this.recognizerOptions.local.endpoint = endpointInput.value.trim();
+                this.setRecognizer(this.recognizerType);
+            });
+        }
 
-                // Show real-time input
-                if (interimTranscript) {
-                    this.showUserSpeech(interimTranscript, false);
-                }
+        this.setRecognizer(this.recognizerType);
+    }
 
-                // Process final result
-                if (finalTranscript) {
-                    this.showUserSpeech(finalTranscript, true);
-                    this.updateStatus(`Heard: "${finalTranscript}"`);
-                    this.processUserSpeech(finalTranscript);
-                }
-            };
+    /**
+     * Switch the speech recognizer ('web' or 'local')
+     */
+    setRecognizer(type) {
+        const Recognizer = SpeechRecognizer.TYPES[type];
+        if (!Recognizer) {
+            console.warn(`🎙️ Unknown speech recognizer: ${type}`);
+            return;
+        }
 
-            this.recognition.onerror = (event) => {
-                this.updateStatus('Speech recognition error. Please try again.');
-                this.stopRecording();
-            };
+        this.stopRecording();
+        if (!Recognizer.isSupported()) {
+            this.recognition = null;
+            this.recognizerType = type;
+            this.updateStatus(this.localization.t('recognitionUnsupported'));
+            return;
+        }
 
-            this.recognition.onend = () => {
+        this.recognition = SpeechRecognizer.create(type, {
+            ...this.recognizerOptions[type],
+            lang: this.localization.locale,
+            continuous: this.handsFree,
+            scheduler: this.scheduler,
+            getAudioContext: () => this.ensureAudioContext()
+        });
+        this.recognizerType = type;
+
+        this.recognition.onstart = () => {
+            this.isRecording = true;
+            this.recognitionStarting = false;
+            if (this.recognitionStopPending) {
+                this.recognitionStopPending = false;
                 this.stopRecording();
-            };
-        } else {
-            this.updateStatus('Speech recognition not supported in this browser');
+                return;
+            }
+            // Hands-free, the baby only turns to listen while someone is actually talking
+            this.gazeController.setListening(!this.handsFree || this.userVoiceActive);
+            document.getElementById('micButton').classList.add('recording');
+            this.updateStatus(this.isWaitingForWakePhrase() ?
+                this.localization.t('sayWakePhrase', { phrase: this.handsFreeSettings.wakePhrase }) :
+                this.localization.t('listening'));
+        };
+
+        this.recognition.onresult = (transcript, isFinal) => {
+            this.handsFreeFailures = 0;
+            // Show real-time input; final results go through turn-taking (echo, wake phrase, ...)
+            this.showUserSpeech(transcript, isFinal);
+            if (isFinal) {
+                this.handleFinalTranscript(transcript);
+            }
+        };
+
+        this.recognition.onerror = (event) => {
+            this.recognitionStarting = false;
+            this.recognitionStopPending = false;
+
+            // Silence and pausing are routine while listening hands-free; onend restarts
+            if (this.handsFree && (event.error === 'no-speech' || event.error === 'aborted')) return;
+
+            console.warn('🎙️ Speech recognition error:', event.error, event.message);
+            let status = type === 'local' && event.error === 'network' ?
+                this.localization.t('localRecognitionFailed', { endpoint: this.recognizerOptions.local.endpoint }) :
+                this.localization.t('recognitionError');
+
+            // Persistent errors (network, audio-capture, ...) back off in onend, then give up like not-allowed
+            if (this.handsFree) {
+                this.handsFreeFailures++;
+                if (event.error === 'not-allowed') {
+                    this.setHandsFree(false);
+                } else if (this.handsFreeFailures >= this.handsFreeSettings.maxFailures) {
+                    this.setHandsFree(false);
+                    status = this.localization.t('handsFreeFailed');
+                }
+            }
+            this.updateStatus(status);
+            this.stopRecording();
+        };
+
+        this.recognition.onend = () => {
+            this.recognitionStarting = false;
+            this.recognitionStopPending = false;
+            this.stopRecording();
+            this.handsFreeRestartTime = this.scheduler.time +
+                this.handsFreeSettings.restartDelay * 2 ** this.handsFreeFailures;
+        };
+
+        const endpointInput = document.getElementById('recognizer-endpoint');
+        if (endpointInput) {
+            endpointInput.classList.toggle('hidden', type !== 'local');
         }
+
+        console.log(`🎙️ Speech recognizer: ${type}`);
     }
 
     /**
@@ -434,6 +941,14 @@ class SimpleBabyCharacter {
     setupEventListeners() {
         // Microphone button
         document.getElementById('micButton').addEventListener('click', () => {
+            if (this.handsFree) {
+                // Already listening; the button only interrupts the baby (per the turn-taking policy)
+                if (this.babyHasTurn()) {
+                    this.startRecording();
+                }
+                return;
+            }
+
             if (this.isRecording) {
                 this.stopRecording();
             } else {
@@ -453,16 +968,67 @@ class SimpleBabyCharacter {
 
 
 
+        // Stop the reply being generated or spoken
+        const stopButton = document.getElementById('stopReply');
+        if (stopButton) {
+            stopButton.addEventListener('click', () => this.cancelReply());
+        }
+
         // Test audio lip-sync button
         document.getElementById('testAudioLipSync').addEventListener('click', () => {
             this.testAudioLipSyncSystem();
         });
 
-        // Toggle API button
-        document.getElementById('toggleAPI').addEventListener('click', () => {
-            this.toggleAPI();
+        // Gaze mode button
+        document.getElementById('toggleGaze').addEventListener('click', () => {
+            this.toggleGazeMode();
         });
 
+        // Character swapping (file picker and drag-and-drop)
+        this.setupModelSwapping();
+
+        // Rendering quality
+        const qualitySelect = document.getElementById('qualitySelect');
+        if (qualitySelect) {
+            qualitySelect.value = this.renderQuality;
+            qualitySelect.addEventListener('change', () => {
+                this.setRenderQuality(qualitySelect.value);
+            });
+        }
+
+        // Conversation backend settings
+        this.setupBackendSettings();
+
+        // Hands-free listening and its wake phrase
+        const handsFreeButton = document.getElementById('handsFreeButton');
+        if (handsFreeButton) {
+            handsFreeButton.addEventListener('click', () => this.setHandsFree(!this.handsFree));
+        }
+
+        const wakePhraseToggle = document.getElementById('wake-phrase-toggle');
+        const wakePhraseInput = document.getElementById('wake-phrase');
+        if (wakePhraseToggle && wakePhraseInput) {
+            wakePhraseToggle.checked = this.handsFreeSettings.requireWakePhrase;
+            wakePhraseInput.value = this.handsFreeSettings.wakePhrase;
+            wakePhraseToggle.addEventListener('change', () => {
+                this.handsFreeSettings.requireWakePhrase = wakePhraseToggle.checked;
+                this.awakeUntil = 0;
+            });
+            wakePhraseInput.addEventListener('change', () => {
+                this.handsFreeSettings.wakePhrase = wakePhraseInput.value.trim();
+            });
+        }
+
+        // Turn-taking policy (what talking over the baby does)
+        const turnPolicySelect = document.getElementById('turnPolicySelect');
+        if (turnPolicySelect) {
+            turnPolicySelect.value = this.turnTaking.settings.policy;
+            turnPolicySelect.addEventListener('change', () => {
+                this.turnTaking.setPolicy(turnPolicySelect.value);
+                console.log(`🗣️ Turn-taking policy: ${turnPolicySelect.value}`);
+            });
+        }
+
         // Window resize
         window.addEventListener('resize', () => {
             this.camera.aspect = window.innerWidth / window.innerHeight;
@@ -490,168 +1056,275 @@ class SimpleBabyCharacter {
      * Load the 3D baby model
      */
     async loadBabyModel() {
-        const loader = new THREE.FBXLoader();
+        if (!this.modelLoader) {
+            this.modelLoader = new ModelLoader(this.renderer);
+        }
+
+        const requestedModel = new URLSearchParams(window.location.search).get('model');
+        const possiblePaths = requestedModel ? [requestedModel] : this.modelPaths;
 
         try {
             console.log('🚀 Starting 3D model loading...');
-            this.babyModel = await new Promise((resolve, reject) => {
-                const possiblePaths = [
-                    'src/baby.fbx',
-                    './src/baby.fbx',
-                    'baby.fbx',
-                    './baby.fbx'
-                ];
-
-                const tryLoad = (index) => {
-                    if (index >= possiblePaths.length) {
-                        reject(new Error('Failed to load model from all possible paths'));
-                        return;
-                    }
-
-                    const path = possiblePaths[index];
-                    console.log(`🔍 Trying to load model from: ${path}`);
-
-                    loader.load(
-                        path,
-                        (object) => {
-                            console.log('✅ Model loaded successfully:', object);
-                            console.log('📊 Model info:', {
-                                children: object.children.length,
-                                animations: object.animations.length,
-                                hasMorphTargets: object.morphTargetDictionary ? Object.keys(object.morphTargetDictionary).length : 0
-                            });
-                            resolve(object);
-                        },
-                        (progress) => {
+            let result = null;
+
+            for (const path of possiblePaths) {
+                console.log(`🔍 Trying to load model from: ${path}`);
+                try {
+                    result = await this.modelLoader.load(path, {
+                        onProgress: (progress) => {
+                            if (!progress.total) return;
                             const percent = (progress.loaded / progress.total * 100).toFixed(0);
-                            document.getElementById('loading').textContent = `Loading 3D Model... ${percent}%`;
+                            document.getElementById('loading').textContent = this.localization.t('loadingProgress', { percent });
                             console.log(`📈 Loading progress: ${percent}%`);
-                        },
-                        (error) => {
-                            console.error(`❌ Failed to load from ${path}:`, error);
-                            tryLoad(index + 1);
                         }
-                    );
-                };
+                    });
+                    break;
+                } catch (error) {
+                    console.error(`❌ Failed to load from ${path}:`, error);
+                }
+            }
+
+            if (!result) {
+                throw new Error('Failed to load model from all possible paths');
+            }
 
-                tryLoad(0);
+            console.log('✅ Model loaded successfully:', result.scene);
+            console.log('📊 Model info:', {
+                format: result.format,
+                children: result.scene.children.length,
+                animations: result.animations.length
             });
 
             console.log('🎯 Model loaded, setting up...');
-            // Setup the model
-            this.setupModel();
+            this.useLoadedModel(result);
+            await this.loadAnimationClips();
 
         } catch (error) {
             console.error('💥 Model loading failed:', error);
-            this.updateStatus('Error loading 3D model - check console for details');
+            this.updateStatus(this.localization.t('modelLoadFailed'));
 
             document.getElementById('loading').innerHTML = `
                 <div style="text-align: center; padding: 20px;">
-                    <h3>❌ 3D Model Loading Failed</h3>
-                    <p>Error: ${error.message}</p>
-                    <p>Please check the browser console for more details.</p>
+                    <h3>${this.localization.t('modelLoadFailedTitle')}</h3>
+                    <p>${this.localization.t('modelLoadFailedError', { error: error.message })}</p>
+                    <p>${this.localization.t('modelLoadFailedHint')}</p>
                 </div>
             `;
         }
     }
 
     /**
-     * Setup the loaded 3D model
+     * Load the extra animation clip files for the default model
      */
-    setupModel() {
-        if (!this.babyModel) return;
-
-        console.log('🔧 Setting up model...');
-        console.log('📐 Model scale and position...');
+    async loadAnimationClips() {
+        for (const { url, state, emotion } of this.animationClipFiles) {
+            try {
+                await this.bodyAnimator.loadClips(this.modelLoader, url, { state, emotion });
+            } catch (error) {
+                console.warn(`🧸 Could not load animation clips from ${url}:`, error);
+            }
+        }
+    }
 
-        // Scale and position the model
-        this.babyModel.scale.setScalar(0.01);
-        this.babyModel.position.set(0, 0, 0);
+    /**
+     * Make a ModelLoader result the current character and set it up
+     */
+    useLoadedModel(result) {
+        this.babyModel = result.scene;
+        this.modelFormat = result.format;
+        this.modelUnitScale = result.unitScale;
+        this.vrm = result.vrm;
+        this.modelTextureSource = { texturePath: result.resourcePath, manager: result.manager };
+
+        this.setupModel();
+    }
 
-        // Apply materials and find morph targets
-        this.babyModel.traverse((child) => {
-            if (child.isMesh) {
-                console.log(`🔍 Checking mesh: ${child.name} - Morph targets: ${child.morphTargetDictionary ? Object.keys(child.morphTargetDictionary).length : 0}`);
-                if (child.morphTargetDictionary && Object.keys(child.morphTargetDictionary).length > 0) {
-                    console.log(`🔍 Available morph targets in ${child.name}:`, Object.keys(child.morphTargetDictionary));
+    /**
+     * Switch skin and hair shading quality, rebuilding the current character's materials
+     */
+    setRenderQuality(quality) {
+        try {
+            this.materialPipeline.setQuality(quality);
+        } catch (error) {
+            console.warn('🎨', error.message);
+            return;
+        }
+        this.renderQuality = quality;
+
+        if (this.babyModel && this.modelFormat === 'fbx') {
+            this.materialPipeline.apply(this.babyModel, this.modelTextureSource || {}).catch((error) => {
+                console.warn('🎨 Material pipeline failed:', error);
+            });
+        }
+        this.updateStatus(this.localization.t(`quality${quality.charAt(0).toUpperCase() + quality.slice(1)}`));
+    }
+
+    /**
+     * Let the user pick or drop a new character (model plus textures)
+     */
+    setupModelSwapping() {
+        const modelInput = document.getElementById('model-file');
+        const loadButton = document.getElementById('loadModelButton');
+        if (modelInput && loadButton) {
+            loadButton.addEventListener('click', () => modelInput.click());
+            modelInput.addEventListener('change', () => {
+                if (modelInput.files.length > 0) {
+                    this.swapModel(modelInput.files);
                 }
+                modelInput.value = '';
+            });
+        }
 
-                // Check if this is the body mesh that needs alpha map
-                const isBodyMesh = child.name.toLowerCase().includes('body') ||
-                    (child.material && child.material.name && child.material.name.toLowerCase().includes('body'));
-
-                if (isBodyMesh) {
-                    // Load alpha map for body mesh
-                    const textureLoader = new THREE.TextureLoader();
-                    const alphaMapPaths = [
-                        'src/body__Opacity.jpg',
-                        './src/body__Opacity.jpg',
-                        'body__Opacity.jpg',
-                        './body__Opacity.jpg'
-                    ];
-
-                    let alphaMap = null;
-                    for (let i = 0; i < alphaMapPaths.length; i++) {
-                        try {
-                            alphaMap = textureLoader.load(alphaMapPaths[i]);
-                            break;
-                        } catch (error) {
-                            // Continue to next path
-                        }
-                    }
+        const container = document.getElementById('container');
+        const hasFiles = (event) => event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files');
 
-                    // Create material with alpha map
-                    const bodyMaterial = new THREE.MeshStandardMaterial({
-                        color: child.material?.color || 0xffffff,
-                        map: child.material?.map || null,
-                        normalMap: child.material?.normalMap || null,
-                        roughnessMap: child.material?.roughnessMap || null,
-                        aoMap: child.material?.aoMap || null,
-                        alphaMap: alphaMap,
-                        alphaTest: 0.5,
-                        transparent: true,
-                        side: THREE.DoubleSide,
-                        roughness: 0.5,
-                        metalness: 0.1,
-                        skinning: child.isSkinnedMesh || false // Preserve skinning for SkinnedMesh objects
-                    });
+        container.addEventListener('dragover', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            container.classList.add('drag-over');
+        });
 
-                    child.material = bodyMaterial;
-                } else if (child.name.toLowerCase().includes('hair')) {
-                    // Enhanced hair material with realistic shaders
-                    const hairMaterial = new THREE.MeshStandardMaterial({
-                        color: child.material?.color || 0x8B4513, // Brown hair color
-                        map: child.material?.map || null,
-                        normalMap: child.material?.normalMap || null,
-                        roughnessMap: child.material?.roughnessMap || null,
-                        aoMap: child.material?.aoMap || null,
-                        transparent: true,
-                        opacity: 0.9,
-                        roughness: 0.3, // Shiny hair
-                        metalness: 0.0,
-                        side: THREE.DoubleSide,
-                        skinning: child.isSkinnedMesh || false, // Preserve skinning for SkinnedMesh objects
-                        // Enhanced hair properties
-                        envMapIntensity: 1.2
-                    });
+        container.addEventListener('dragleave', (event) => {
+            if (!container.contains(event.relatedTarget)) {
+                container.classList.remove('drag-over');
+            }
+        });
 
-                    child.material = hairMaterial;
-                } else {
-                    // Apply standard material for other meshes
-                    const standardMaterial = new THREE.MeshStandardMaterial({
-                        color: child.material?.color || 0xffffff,
-                        map: child.material?.map || null,
-                        normalMap: child.material?.normalMap || null,
-                        roughnessMap: child.material?.roughnessMap || null,
-                        aoMap: child.material?.aoMap || null,
-                        transparent: child.material?.transparent || false,
-                        opacity: child.material?.opacity !== undefined ? child.material.opacity : 1,
-                        roughness: 0.5,
-                        metalness: 0.1,
-                        skinning: child.isSkinnedMesh || false // Preserve skinning for SkinnedMesh objects
+        container.addEventListener('drop', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            container.classList.remove('drag-over');
+            this.swapModel(event.dataTransfer.files);
+        });
+    }
+
+    /**
+     * Replace the current character with one from user files, without a page reload
+     */
+    async swapModel(files) {
+        if (this.isSwappingModel) return;
+        if (this.isSpeaking) {
+            this.updateStatus(this.localization.t('swapWait'));
+            return;
+        }
+
+        this.isSwappingModel = true;
+        this.updateStatus(this.localization.t('characterLoading'));
+
+        try {
+            const result = await this.modelLoader.loadFiles(files, {
+                onProgress: (progress) => {
+                    if (!progress.total) return;
+                    const percent = (progress.loaded / progress.total * 100).toFixed(0);
+                    this.updateStatus(this.localization.t('characterLoadingProgress', { percent }));
+                }
+            });
+
+            // Only drop the old character once the new one has loaded
+            this.disposeModel();
+
+            this.useLoadedModel(result);
+
+            // Expressions may reference morphs the new rig doesn't have
+            if (this.mainMesh) {
+                this.emotionRegistry.validateAll(this.morphTargets);
+            }
+            this.buildEmotionButtons();
+
+            console.log(`🔄 Swapped character to ${result.name}`);
+            this.updateStatus(this.mainMesh
+                ? this.localization.t('characterLoaded', { name: result.name })
+                : this.localization.t('characterNoMorphs', { name: result.name }));
+        } catch (error) {
+            console.error('💥 Character swap failed:', error);
+            this.updateStatus(this.localization.t('characterLoadFailed', { error: error.message }));
+        } finally {
+            this.isSwappingModel = false;
+        }
+    }
+
+    /**
+     * Remove the current character and free its GPU resources
+     */
+    disposeModel() {
+        if (!this.babyModel) return;
+
+        this.stopLipSync();
+        this.stopEmotionCues();
+
+        // Detach everything that writes to the old rig
+        this.facialMixer.clearMesh();
+        this.lipSyncSystem.setBodyMesh(null);
+        this.eyeController.setTargets({});
+        this.gazeController.setTargets(null);
+
+        this.bodyAnimator.dispose();
+        this.idleMotion.setModel(null);
+
+        this.scene.remove(this.babyModel);
+
+        const disposedMaterials = new Set();
+        this.babyModel.traverse((child) => {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+            if (child.isSkinnedMesh && child.skeleton) {
+                child.skeleton.dispose();
+            }
+
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach((material) => {
+                if (!material || disposedMaterials.has(material)) return;
+                disposedMaterials.add(material);
+
+                // Textures hang off material properties (map, normalMap, alphaMap, uniforms...)
+                Object.values(material).forEach((value) => {
+                    if (value && value.isTexture) value.dispose();
+                });
+                if (material.uniforms) {
+                    Object.values(material.uniforms).forEach((uniform) => {
+                        if (uniform && uniform.value && uniform.value.isTexture) uniform.value.dispose();
                     });
+                }
+                material.dispose();
+            });
+        });
+
+        this.babyModel = null;
+        this.vrm = null;
+        this.mainMesh = null;
+        this.morphTargets = {};
+        this.rigMapper = null;
+    }
+
+    /**
+     * Setup the loaded 3D model
+     */
+    setupModel() {
+        if (!this.babyModel) return;
+
+        console.log('🔧 Setting up model...');
+        console.log('📐 Model scale and position...');
 
-                    child.material = standardMaterial;
+        // Scale and position the model (FBX is authored in centimetres, glTF/VRM in metres)
+        this.babyModel.scale.setScalar(this.modelUnitScale);
+        this.babyModel.position.set(0, 0, 0);
+
+        // glTF/VRM files ship their own PBR (or MToon) materials; FBX ones go through
+        // the material pipeline, which also loads their textures in the background
+        if (this.modelFormat === 'fbx') {
+            this.materialPipeline.apply(this.babyModel, this.modelTextureSource || {}).catch((error) => {
+                console.warn('🎨 Material pipeline failed:', error);
+            });
+        }
+
+        // Find morph targets
+        this.babyModel.traverse((child) => {
+            if (child.isMesh) {
+                console.log(`🔍 Checking mesh: ${child.name} - Morph targets: ${child.morphTargetDictionary ? Object.keys(child.morphTargetDictionary).length : 0}`);
+                if (child.morphTargetDictionary && Object.keys(child.morphTargetDictionary).length > 0) {
+                    console.log(`🔍 Available morph targets in ${child.name}:`, Object.keys(child.morphTargetDictionary));
                 }
 
                 child.castShadow = true;
@@ -690,8 +1363,10 @@ class SimpleBabyCharacter {
                             this.morphTargets = child.morphTargetDictionary;
                             this.mainMesh = child;
 
-                            // Enable morph targets on material
-                            child.material.morphTargets = true;
+                            // Enable morph targets on material(s)
+                            (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => {
+                                material.morphTargets = true;
+                            });
 
                             console.log('🎭 Found lip-sync mesh:', child.name);
                             console.log('🎭 Available morph targets:', Object.keys(child.morphTargetDictionary));
@@ -701,12 +1376,9 @@ class SimpleBabyCharacter {
             }
         });
 
-        // Setup animations if available
-        if (this.babyModel.animations.length > 0) {
-            this.mixer = new THREE.AnimationMixer(this.babyModel);
-            const idleAction = this.mixer.clipAction(this.babyModel.animations[0]);
-            idleAction.play();
-        }
+        // Body animation states (procedural breathing when the model has no clips)
+        this.bodyAnimator.setModel(this.babyModel, this.babyModel.animations || []);
+        this.idleMotion.setModel(this.babyModel);
 
         this.scene.add(this.babyModel);
 
@@ -717,9 +1389,19 @@ class SimpleBabyCharacter {
             console.log('✅ Morph targets count:', Object.keys(this.morphTargets).length);
             console.log('✅ Sample morph targets:', Object.keys(this.morphTargets).slice(0, 10));
 
+            // Map canonical morph names (CC style) onto this rig's morphs
+            this.rigMapper = new RigProfileMapper(this.mainMesh.morphTargetDictionary, this.rigProfile);
+            this.rigMapper.logReport();
+            this.morphTargets = this.rigMapper.dictionary;
+
             // Initialize lip-sync system with the detected morph targets
             this.lipSyncSystem.initializeMorphTargets(this.morphTargets);
             this.lipSyncSystem.setBodyMesh(this.mainMesh);
+
+            // All facial layers blend onto the same mesh
+            this.facialMixer.setMesh(this.mainMesh, this.morphTargets, this.rigMapper);
+            this.eyeController.setTargets(this.morphTargets, this.babyModel);
+            this.gazeController.setTargets(this.babyModel);
         } else {
             console.warn('⚠️ No lip-sync mesh found!');
             console.warn('⚠️ Available meshes:', this.babyModel.children.map(child => child.name));
@@ -732,158 +1414,576 @@ class SimpleBabyCharacter {
     async startRecording() {
         if (!this.recognition || this.isRecording) return;
 
+        // Talking over the baby follows the turn-taking policy
+        const action = this.turnTaking.requestTurn(this.babyHasTurn());
+        if (action === 'ignore') {
+            this.updateStatus(this.localization.t('waitForBaby'));
+            return;
+        }
+        if (action === 'interrupt') {
+            this.interruptBaby();
+        }
+
         try {
             // Initialize audio context if needed
-            if (!this.audioContext) {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                if (this.audioContext.state === 'suspended') {
-                    await this.audioContext.resume();
-                }
+            this.recognitionStarting = true;
+            this.recognitionStopPending = false;
+            await this.ensureAudioContext();
+
+            // Stopped (e.g. paused for the baby's turn) before the recognizer was started
+            if (this.recognitionStopPending) {
+                this.recognitionStarting = false;
+                this.recognitionStopPending = false;
+                return;
             }
 
-            this.recognition.start();
+            await this.recognition.start();
 
         } catch (error) {
-            this.updateStatus('Failed to start recording');
+            this.recognitionStarting = false;
+            this.recognitionStopPending = false;
+            this.updateStatus(this.localization.t('recordingFailed'));
         }
     }
 
     /**
      * Stop recording
+     * While the recognizer is still starting (e.g. waiting for the microphone) the stop waits for onstart
      */
     stopRecording() {
         if (this.recognition && this.isRecording) {
-            this.recognition.stop();
             this.isRecording = false;
+            this.recognition.stop();
+            this.gazeController.setListening(false);
             document.getElementById('micButton').classList.remove('recording');
+        } else if (this.recognition && this.recognitionStarting) {
+            this.recognitionStopPending = true;
         }
     }
 
     /**
-     * Process user speech input
+     * Turn hands-free listening on or off
+     * Recognition runs continuously and restarts on its own, pausing while the baby speaks
      */
-    async processUserSpeech(text) {
-        this.updateStatus('Processing your speech...');
+    async setHandsFree(enabled) {
+        if (!this.recognition) {
+            this.updateStatus(this.localization.t('recognitionUnsupported'));
+            return;
+        }
+
+        this.handsFree = enabled;
+        this.recognition.settings.continuous = enabled;
+
+        this.updateControlLabels();
 
+        if (!enabled) {
+            this.scheduler.cancel('hands-free');
+            if (this.voiceActivity) {
+                this.voiceActivity.stop();
+            }
+            this.userVoiceActive = false;
+            this.stopRecording();
+            this.updateStatus(this.localization.t('handsFreeStopped'));
+            return;
+        }
+
+        // Voice activity drives the listening pose; recognition works without it
         try {
-            // Generate baby response using API
-            const response = await this.generateBabyResponse(text);
+            await this.ensureAudioContext();
+            if (!this.voiceActivity) {
+                this.voiceActivity = new VoiceActivityDetector(this.scheduler, {
+                    onSpeechStart: () => this.onUserVoice(true),
+                    onSpeechEnd: () => this.onUserVoice(false)
+                });
+            }
+            await this.voiceActivity.start(this.audioContext);
+        } catch (error) {
+            console.warn('🎙️ Voice activity detection unavailable:', error);
+        }
 
-            if (response.success) {
-                this.updateStatus('Baby is responding...');
-                await this.playBabyResponse(response.textContent);
-            } else {
-                this.updateStatus('Failed to generate response');
+        this.handsFreeRestartTime = this.scheduler.time;
+        this.handsFreeFailures = 0;
+        this.scheduler.addTask((delta, time) => this.updateHandsFree(time), 'hands-free');
+        console.log('🎙️ Hands-free listening on');
+    }
+
+    /**
+     * Per-frame hands-free upkeep: pause recognition while the baby has the turn, restart it afterwards
+     */
+    updateHandsFree(time) {
+        if (!this.handsFree || !this.recognition) return false;
+
+        if (this.babyHasTurn()) {
+            // Pause once when the baby takes the turn (the mic button can still reopen it)
+            if (!this.handsFreePaused) {
+                this.handsFreePaused = true;
+                this.stopRecording();
+            }
+            // A reply keeps the conversation awake without the wake phrase
+            this.awakeUntil = Math.max(this.awakeUntil, time + this.handsFreeSettings.wakeWindow);
+            return true;
+        }
+        this.handsFreePaused = false;
+
+        // Restart after a short pause, or straight away when someone starts talking (unless backing off)
+        if (!this.isRecording && !this.recognitionStarting &&
+            (time >= this.handsFreeRestartTime || (this.userVoiceActive && this.handsFreeFailures === 0))) {
+            this.startRecording();
+        }
+        return true;
+    }
+
+    /**
+     * Voice activity changed: look at the speaker while they talk
+     */
+    onUserVoice(active) {
+        this.userVoiceActive = active;
+        if (this.handsFree && !this.babyHasTurn()) {
+            this.gazeController.setListening(active);
+        }
+    }
+
+    /**
+     * Whether hands-free listening is waiting for the wake phrase
+     */
+    isWaitingForWakePhrase() {
+        const { requireWakePhrase, wakePhrase } = this.handsFreeSettings;
+        return this.handsFree && requireWakePhrase && Boolean(wakePhrase) && this.scheduler.time >= this.awakeUntil;
+    }
+
+    /**
+     * Apply the wake phrase to a hands-free transcript
+     * Returns the text to answer (without the wake phrase), or null to ignore it
+     */
+    matchWakePhrase(text) {
+        const { wakePhrase, requireWakePhrase, wakeWindow } = this.handsFreeSettings;
+        if (!requireWakePhrase || !wakePhrase) return text;
+
+        const time = this.scheduler.time;
+        const words = wakePhrase.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${words.join('[\\s,]+')}(?![\\p{L}\\p{N}])[\\s,.!?]*`, 'iu');
+        const match = text.match(pattern);
+
+        if (match) {
+            this.awakeUntil = time + wakeWindow;
+            const rest = text.slice(match.index + match[0].length).trim();
+            if (!rest) {
+                this.updateStatus(this.localization.t('babyListening'));
+                return null;
             }
+            return rest;
+        }
+
+        if (time < this.awakeUntil) {
+            this.awakeUntil = time + wakeWindow;
+            return text;
+        }
+
+        console.log(`👂 Waiting for "${wakePhrase}", ignoring: "${text}"`);
+        return null;
+    }
+
+    /**
+     * Route a final transcript through turn-taking (echo, queue, interrupt or process)
+     */
+    handleFinalTranscript(transcript) {
+        const text = this.handsFree ? this.matchWakePhrase(transcript) : transcript;
+        if (text === null) return;
+
+        const action = this.turnTaking.handleTranscript(text, this.babyHasTurn());
+
+        if (action === 'echo' || action === 'ignore') {
+            return;
+        }
+        if (action === 'queue') {
+            this.updateStatus(this.localization.t('heardQueued', { text }));
+            return;
+        }
+        if (action === 'interrupt') {
+            this.interruptBaby();
+        }
+
+        this.updateStatus(this.localization.t('heard', { text }));
+        this.processUserSpeech(text);
+    }
+
+    /**
+     * Whether the baby is replying (thinking, speaking, or between sentences)
+     */
+    babyHasTurn() {
+        return this.isSpeaking || Boolean(this.activeReply);
+    }
+
+    /**
+     * Barge-in: silence the baby straight away and switch to the listening pose
+     */
+    interruptBaby() {
+        if (!this.cancelReply()) {
+            // Speech outside a reply (such as the lip-sync tests)
+            if ('speechSynthesis' in window) {
+                window.speechSynthesis.cancel();
+            }
+            if (this.audioElement) {
+                this.audioElement.pause();
+            }
+            this.stopLipSync();
+        }
+
+        this.finishEmotionCues();
+        this.isSpeaking = false;
+        this.turnTaking.babyStoppedSpeaking();
+
+        this.bodyAnimator.setTalking(false);
+        this.bodyAnimator.setListening(true);
+        this.gazeController.setListening(true);
+        console.log('🗣️ Baby interrupted');
+    }
+
+    /**
+     * Process user speech input
+     */
+    async processUserSpeech(text) {
+        this.updateStatus(this.localization.t('processing'));
+
+        // React to the user's mood while the reply is being generated
+        const mood = this.emotionClassifier.classify(text);
+        if (mood.emotion !== 'neutral') {
+            const reaction = this.emotionSettings.reactions[mood.emotion] || mood.emotion;
+            this.applyAutomaticEmotion(reaction, mood.intensity * this.emotionSettings.userReactionScale);
+        }
+
+        try {
+            await this.respondTo(text);
         } catch (error) {
-            this.updateStatus('Error processing speech');
+            console.error('💬 Reply failed:', error);
+            this.updateStatus(this.localization.t('speechError'));
+        }
+
+        // Answer anything said while the baby was talking (queue policy)
+        const queued = this.activeReply ? null : this.turnTaking.takeQueued();
+        if (queued) {
+            this.processUserSpeech(queued);
         }
     }
 
     /**
-     * Generate baby response from API or mock
+     * Generate a reply and speak it sentence by sentence while it streams in
+     * Replies that arrive whole (such as recorded audio) play through playBabyResponse
      */
-    async generateBabyResponse(userText) {
-        // Check if we should use real API or mock
-        if (this.useRealAPI) {
+    async respondTo(userText) {
+        this.cancelReply();
+
+        const reply = {
+            controller: new AbortController(),
+            queue: new SpeechQueue(sentence => this.speakSentence(sentence)),
+            text: '',
+            cancelled: false,
+            recorded: false
+        };
+        this.activeReply = reply;
+        this.setStopButtonVisible(true);
+
+        const onText = (delta) => {
+            if (!reply.text) {
+                this.updateStatus(this.localization.t('responding'));
+            }
+            reply.text += delta;
+            reply.queue.push(delta);
+            this.showStreamingSpeech(reply.text);
+        };
+
+        try {
+            let response = null;
             try {
-                return await this.generateRealBabyResponse(userText);
+                this.updateStatus(this.localization.t('thinking'));
+                response = await this.generateBabyResponse(userText, { signal: reply.controller.signal, onText });
             } catch (error) {
-                console.log('Real API failed, falling back to mock');
-                return this.generateMockResponse(userText);
+                if (error.name !== 'AbortError') throw error;
+            }
+
+            if (response && !reply.text) {
+                this.updateStatus(this.localization.t('responding'));
+                await this.playBabyResponse(response, { signal: reply.controller.signal });
+                return;
+            }
+
+            // The backend's emotion is only known once the stream is complete
+            const backendEmotion = response && response.emotion ? this.emotionClassifier.resolveTag(response.emotion) : null;
+            if (backendEmotion && !this.automaticEmotion) {
+                this.applyAutomaticEmotion(backendEmotion, 0.8);
+            }
+
+            reply.queue.end();
+            await reply.queue.finished;
+            this.finishStreamedReply(reply, backendEmotion);
+        } finally {
+            if (this.activeReply === reply) {
+                this.activeReply = null;
+                this.setStopButtonVisible(false);
             }
-        } else {
-            return this.generateMockResponse(userText);
         }
     }
 
     /**
-     * Generate mock baby response for testing
+     * Speak one sentence of a streamed reply (its emotion markup becomes cues)
      */
-    generateMockResponse(userText) {
-        // Simulate different types of responses based on input
-        const responses = [
-            {
-                success: true,
-                audioUrl: null, // No audio for demo - will use text-based animation
-                textContent: `Hewwo, Baccha! I heard you say "${userText}". That's very interesting! I love talking to you!`
-            },
-            {
-                success: true,
-                audioUrl: null,
-                textContent: `Oh my! You said "${userText}"! That makes me so happy! Can we play together?`
-            },
-            {
-                success: true,
-                audioUrl: null,
-                textContent: `Wow! "${userText}" is what you said! I'm learning so much from you!`
-            }
-        ];
+    async speakSentence(sentence) {
+        const { text, cues } = this.emotionClassifier.analyze(sentence);
+        if (!text) {
+            cues.forEach(cue => this.applyAutomaticEmotion(cue.emotion, cue.intensity));
+            return;
+        }
 
-        // Pick a random response
-        const randomIndex = Math.floor(Math.random() * responses.length);
-        return responses[randomIndex];
+        this.currentText = text;
+        await this.startSimpleLipSync(text, cues);
     }
 
     /**
-     * Generate real baby response from external API (when you have proper access)
+     * Record a streamed reply (as far as it got) and return to idle
      */
-    async generateRealBabyResponse(userText) {
-        try {
-            // Make actual API call to get response
-            const response = await fetch('https://digital-baby.pixora.app/api/v1/text-to-speech/baby-voice', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    context: [],
-                    text: userText
-                })
+    finishStreamedReply(reply, emotion = null) {
+        this.recordStreamedReply(reply, emotion);
+
+        // A newer reply has taken over the voice and face
+        if (this.activeReply && this.activeReply !== reply) return;
+
+        this.stopLipSync();
+        this.finishEmotionCues();
+        this.isSpeaking = false;
+        this.updateStatus(reply.cancelled ? this.localization.t('stopped') : this.localization.t('ready'));
+    }
+
+    /**
+     * Move a streamed reply from the live bubble into the conversation (once)
+     */
+    recordStreamedReply(reply, emotion = null) {
+        if (reply.recorded) return;
+        reply.recorded = true;
+
+        const text = this.emotionClassifier.parseMarkup(reply.text).text.trim();
+        this.showStreamingSpeech(null);
+        if (text) {
+            this.showBabySpeech(text, {
+                ...(emotion ? { emotion } : {}),
+                ...(reply.cancelled ? { interrupted: true } : {})
             });
+        }
+    }
 
-            if (response.ok) {
-                const data = await response.json();
-                return {
-                    success: true,
-                    audioUrl: data.audioUrl || null,
-                    textContent: data.textContent || `Hello! I heard you say "${userText}". That's very interesting!`
-                };
+    /**
+     * Stop the reply being generated or spoken; returns false if there was none
+     * What was already said is recorded straight away, so it stays in order
+     */
+    cancelReply() {
+        const reply = this.activeReply;
+        if (!reply) return false;
+
+        reply.cancelled = true;
+        reply.controller.abort();
+        reply.queue.cancel();
+        this.recordStreamedReply(reply);
+        this.activeReply = null;
+        this.setStopButtonVisible(false);
+
+        if ('speechSynthesis' in window) {
+            window.speechSynthesis.cancel();
+        }
+        if (this.audioElement) {
+            this.audioElement.pause();
+        }
+        this.stopLipSync();
+
+        console.log('💬 Reply cancelled');
+        return true;
+    }
+
+    /**
+     * Show the stop button while a reply is on its way
+     */
+    setStopButtonVisible(visible) {
+        const stopButton = document.getElementById('stopReply');
+        if (stopButton) {
+            stopButton.classList.toggle('hidden', !visible);
+        }
+    }
+
+    /**
+     * Generate baby response from the selected backend
+     * Streaming backends call onText(delta) as the text arrives; signal cancels the request.
+     * Falls back to the mock backend when the request fails before any text arrived
+     * With record false the user's text is not added to the conversation (test lines)
+     */
+    async generateBabyResponse(userText, { signal = null, onText = null, record = true } = {}) {
+        if (!this.backend) {
+            this.setBackend(this.backendType);
+        }
+
+        // Context is the history before this turn; the backend adds userText itself
+        const context = this.conversation.getContext();
+        if (record) {
+            this.conversation.addTurn('user', userText);
+        } else {
+            this.appendSpeechBubble('user', userText);
+        }
+
+        let streamed = '';
+        const onChunk = onText ? (delta) => {
+            streamed += delta;
+            onText(delta);
+        } : null;
+
+        let reply;
+        try {
+            reply = await this.backend.generate(userText, context, { signal, onText: onChunk });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+
+            if (streamed) {
+                // Keep what already arrived rather than switching replies halfway
+                console.warn(`💬 ${this.backendType} stream broke off:`, error);
+                reply = { textContent: streamed, audioUrl: null, emotion: null };
             } else {
-                throw new Error('API request failed');
+                console.warn(`💬 ${this.backendType} backend failed, falling back to mock:`, error);
+                this.updateStatus(this.localization.t('backendUnavailable'));
+                reply = await this.mockBackend.generate(userText, context, { signal, onText: onChunk });
             }
-        } catch (error) {
-            console.log('Real API call failed, falling back to mock response');
-            return this.generateMockResponse(userText);
         }
+
+        return { success: true, ...reply };
     }
 
     /**
-     * Play baby response with simple lip-sync
+     * Play baby response with lip-sync
+     * Uses the API's audioUrl when present, otherwise falls back to TTS.
+     * Emotion markup is stripped from the text and, with the reply's
+     * sentiment, drives the expression while the baby speaks.
+     * Aborting signal while the audio loads skips both the audio and the TTS fallback
      */
-    async playBabyResponse(textContent) {
-        // Show baby's speech
-        this.showBabySpeech(textContent);
+    async playBabyResponse(response, { record = true, signal = null } = {}) {
+        const { audioUrl } = response;
+        const { text: textContent, cues: emotionCues } = this.emotionClassifier.analyze(response.textContent);
+
+        // An emotion picked by the backend sets the opening expression (markup still wins)
+        const backendEmotion = response.emotion ? this.emotionClassifier.resolveTag(response.emotion) : null;
+        if (backendEmotion && !emotionCues.some(cue => cue.charIndex === 0 && cue.source === 'markup')) {
+            const later = emotionCues.filter(cue => cue.charIndex > 0);
+            emotionCues.length = 0;
+            emotionCues.push({ emotion: backendEmotion, intensity: 0.8, charIndex: 0, source: 'backend' }, ...later);
+        } else if (response.emotion && !backendEmotion) {
+            console.warn(`🎭 Ignoring unknown backend emotion: ${response.emotion}`);
+        }
+        this.currentText = textContent;
 
-        // Start simple lip-sync animation
-        this.startSimpleLipSync(textContent);
+        // Show baby's speech
+        this.showBabySpeech(textContent, backendEmotion ? { emotion: backendEmotion } : {}, { record });
         this.isSpeaking = true;
 
-        // Simulate speaking duration
-        setTimeout(() => {
-            this.stopLipSync();
-            this.isSpeaking = false;
-            this.updateStatus('Ready to interact!');
-        }, 3000);
+        if (audioUrl) {
+            try {
+                await this.playResponseAudio(audioUrl, emotionCues, { signal });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    console.log('🔊 Response audio cancelled while loading');
+                } else {
+                    console.warn('🔊 Response audio failed, falling back to TTS:', error);
+                    await this.startSimpleLipSync(textContent, emotionCues);
+                }
+            }
+        } else {
+            await this.startSimpleLipSync(textContent, emotionCues);
+        }
+
+        // A newer reply has taken over the voice and face
+        const cancelled = !!(signal && signal.aborted);
+        if (cancelled && this.activeReply) return;
+
+        // Speaking ends when the audio or TTS actually finishes
+        this.stopLipSync();
+        this.finishEmotionCues();
+        this.isSpeaking = false;
+        this.updateStatus(cancelled ? this.localization.t('stopped') : this.localization.t('ready'));
+    }
+
+    /**
+     * Play response audio through the shared audio element with audio-driven lip-sync
+     * Rejects with an AbortError when signal aborts before the audio can play
+     */
+    async playResponseAudio(audioUrl, emotionCues = [], { signal = null } = {}) {
+        if (!this.audioElement) {
+            this.audioElement = new Audio();
+            this.audioElement.crossOrigin = 'anonymous'; // Required for analysing remote audio
+            this.audioElement.preload = 'auto';
+        }
+
+        this.currentAudioUrl = audioUrl;
+        this.audioElement.src = audioUrl;
+
+        // Wait until the audio can play so load failures and stalls fall back to TTS
+        await new Promise((resolve, reject) => {
+            const onReady = () => {
+                cleanup();
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error(`Failed to load audio: ${audioUrl}`));
+            };
+            const abandon = (error) => {
+                cleanup();
+                this.audioElement.removeAttribute('src');
+                this.audioElement.load();
+                reject(error);
+            };
+            const onAbort = () => abandon(new DOMException('The reply was cancelled', 'AbortError'));
+            const timeout = this.scheduler.delay(this.audioLoadTimeout, () => {
+                abandon(new Error(`Timed out loading audio: ${audioUrl}`));
+            });
+            const cleanup = () => {
+                timeout.cancel();
+                this.audioElement.removeEventListener('canplaythrough', onReady);
+                this.audioElement.removeEventListener('error', onError);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            this.audioElement.addEventListener('canplaythrough', onReady);
+            this.audioElement.addEventListener('error', onError);
+            this.audioElement.load();
+        });
+
+        console.log('🔊 Playing response audio:', audioUrl);
+
+        // Spread the emotion cues over the clip
+        const duration = this.audioElement.duration;
+        if (Number.isFinite(duration) && this.currentText) {
+            this.startEmotionCues(emotionCues, duration / this.currentText.length);
+        }
+
+        // A refused play() (autoplay policy) rejects here and the reply falls back to TTS
+        this.turnTaking.babyStartedSpeaking(this.currentText || '');
+        try {
+            await this.startAudioLipSync(this.audioElement);
+        } finally {
+            this.turnTaking.babyStoppedSpeaking();
+        }
     }
 
     /**
      * Start simple lip-sync using text analysis
+     * Visemes follow the TTS word boundaries; resolves when the voice finishes
      */
-    startSimpleLipSync(textContent) {
-        if (!this.mainMesh || !this.morphTargets) {
-            this.updateStatus('No morph targets available for lip-sync');
-            return;
+    async startSimpleLipSync(textContent, emotionCues = []) {
+        // Without morph targets the reply is still spoken, only the mouth stays still
+        const hasMorphs = !!(this.mainMesh && this.morphTargets);
+        if (!hasMorphs) {
+            this.updateStatus(this.localization.t('noMorphTargets'));
         }
 
         console.log('🎭 Starting simple lip-sync for:', textContent);
@@ -892,23 +1992,70 @@ class SimpleBabyCharacter {
         const morphTargets = this.lipSyncSystem.textToVisemes(textContent);
         console.log('🎭 Generated morph targets:', morphTargets);
 
-        // Start TTS for audio
-        this.speakText(textContent);
+        let lipSyncComplete = null;
+        const lipSyncDone = new Promise((resolve) => {
+            lipSyncComplete = resolve;
+        });
 
-        // Start lip-sync animation using the new system
-        this.lipSyncSystem.startLipSync(morphTargets, (visemeName, intensity) => {
+        // The lip-sync system writes blended viseme curves to the speech layer itself
+        const onVisemeChange = (visemeName) => {
             if (visemeName === null) {
-                // Lip-sync complete, reset to neutral smoothly
-                console.log('🎭 Lip-sync complete, resetting to neutral smoothly');
-                this.resetToNeutralSmoothly();
-            } else {
-                // Apply morph target
-                console.log(`🎭 Applying morph target: ${visemeName} with intensity: ${intensity}`);
-                this.applyMorphTarget(visemeName, intensity);
+                console.log('🎭 Lip-sync complete');
+                lipSyncComplete();
             }
-        });
+        };
 
         this.isSpeaking = true;
+
+        // Drive the mouth from the voice's word boundaries
+        if (hasMorphs) {
+            this.lipSyncSystem.startBoundaryLipSync(textContent, onVisemeChange, this.ttsSettings.rate);
+        }
+
+        // Some voices never fire boundary events - fall back to fixed timing
+        let receivedBoundary = false;
+        let fallbackTimer = null;
+        let fixedTiming = false;
+
+        const spoken = await this.speakText(textContent, {
+            onStart: () => {
+                this.startEmotionCues(emotionCues, this.lipSyncSystem.secondsPerChar);
+                fallbackTimer = this.scheduler.delay(this.ttsSettings.boundaryTimeout, () => {
+                    if (!receivedBoundary && hasMorphs) {
+                        console.log('🎭 No word boundaries from this voice, using fixed viseme timing');
+                        fixedTiming = true;
+                        this.lipSyncSystem.startLipSync(morphTargets, onVisemeChange);
+                    }
+                });
+            },
+            onBoundary: (event) => {
+                if (event.name && event.name !== 'word') return;
+                receivedBoundary = true;
+                this.lipSyncSystem.onWordBoundary(event.charIndex);
+                this.onEmotionCueBoundary(event.charIndex);
+            }
+        });
+
+        if (fallbackTimer) {
+            fallbackTimer.cancel();
+        }
+
+        if (spoken) {
+            // The voice has finished, close the mouth regardless of remaining visemes
+            // (the fixed-timing fallback replaced the boundary session, so stop it directly)
+            if (fixedTiming) {
+                this.lipSyncSystem.stopAudioAnalysis();
+            } else {
+                this.lipSyncSystem.finishBoundaryLipSync();
+            }
+        } else {
+            // No TTS - play the fixed viseme timeline on its own
+            this.startEmotionCues(emotionCues, this.lipSyncSystem.secondsPerChar);
+            if (hasMorphs) {
+                this.lipSyncSystem.startLipSync(morphTargets, onVisemeChange);
+                await lipSyncDone;
+            }
+        }
     }
 
 
@@ -917,25 +2064,110 @@ class SimpleBabyCharacter {
 
 
 
+    /**
+     * Create (or resume) the shared audio context
+     */
+    async ensureAudioContext() {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        return this.audioContext;
+    }
+
+    /**
+     * Start audio-driven lip-sync from an AudioBuffer or <audio> element
+     * Resolves when the audio has finished playing
+     */
+    async startAudioLipSync(source) {
+        // The audio plays even without morph targets; only the mouth needs them
+        await this.ensureAudioContext();
+        this.isSpeaking = true;
+
+        try {
+            await this.lipSyncSystem.startAudioLipSync(source, this.audioContext);
+        } finally {
+            this.isSpeaking = false;
+        }
+    }
+
+    /**
+     * Test audio-driven lip-sync with a local audio file (e.g. a WAV)
+     */
+    async testAudioFileLipSync(source) {
+        try {
+            await this.ensureAudioContext();
+            const audioBuffer = await this.lipSyncSystem.loadAudioBuffer(source, this.audioContext);
+
+            this.updateStatus(this.localization.t('audioFileTesting'));
+            await this.startAudioLipSync(audioBuffer);
+            this.updateStatus(this.localization.t('audioFileTestDone'));
+        } catch (error) {
+            console.error('Audio file lip-sync test failed:', error);
+            this.updateStatus(this.localization.t('audioFileFailed'));
+        }
+    }
+
     /**
      * Speak text using TTS for audio playback during lip-sync
+     * Resolves true when the utterance ends, or false if TTS is unavailable
      */
-    speakText(text) {
+    speakText(text, events = {}) {
         if ('speechSynthesis' in window) {
             // Stop any existing speech
             window.speechSynthesis.cancel();
 
             // Create new speech utterance
             const utterance = new SpeechSynthesisUtterance(text);
-            utterance.rate = 0.9; // Slightly slower for better lip-sync
-            utterance.pitch = 1.1; // Slightly higher pitch for baby voice
-            utterance.volume = 0.8;
+            utterance.rate = this.ttsSettings.rate;
+            utterance.pitch = this.ttsSettings.pitch;
+            utterance.volume = this.ttsSettings.volume;
+
+            // Speak the conversation language (the default voice if none is installed)
+            utterance.lang = this.localization.locale;
+            const voice = this.localization.pickVoice(window.speechSynthesis.getVoices());
+            if (voice) {
+                utterance.voice = voice;
+            }
+
+            // Keep a reference - Chrome drops events for garbage-collected utterances
+            this.currentUtterance = utterance;
+
+            if (events.onStart) {
+                utterance.onstart = events.onStart;
+            }
+            if (events.onBoundary) {
+                utterance.onboundary = events.onBoundary;
+            }
+
+            const finished = new Promise((resolve) => {
+                utterance.onend = () => {
+                    this.currentUtterance = null;
+                    this.turnTaking.babyStoppedSpeaking();
+                    resolve(true);
+                };
+                utterance.onerror = (event) => {
+                    if (event.error !== 'interrupted' && event.error !== 'canceled') {
+                        console.warn('🎤 TTS error:', event.error);
+                    }
+                    this.currentUtterance = null;
+                    this.turnTaking.babyStoppedSpeaking();
+                    resolve(true);
+                };
+            });
 
             // Start speaking
+            this.turnTaking.babyStartedSpeaking(text);
             window.speechSynthesis.speak(utterance);
             console.log('🎤 TTS started:', text);
+            return finished;
         } else {
             console.warn('🎤 TTS not supported in this browser');
+            return Promise.resolve(false);
         }
     }
 
@@ -950,145 +2182,72 @@ class SimpleBabyCharacter {
 
 
     /**
-     * Reset to neutral expression
+     * Reset to neutral expression (clears the emotion layer)
      */
     resetToNeutral() {
-        if (!this.mainMesh) return;
-
-        for (let i = 0; i < this.mainMesh.morphTargetInfluences.length; i++) {
-            this.mainMesh.morphTargetInfluences[i] = 0;
-        }
-
-        this.mainMesh.morphTargetInfluencesNeedUpdate = true;
+        this.scheduler.cancel('expression');
+        this.facialMixer.getLayer('emotion').clear();
     }
 
     /**
      * Reset to neutral expression with smooth transition
      */
     resetToNeutralSmoothly() {
-        if (!this.mainMesh) return;
-
-        const steps = 20; // Number of steps for smooth transition
-        const stepDuration = 0.03; // 30ms per step
-        let currentStep = 0;
-
-        const animateStep = () => {
-            if (currentStep >= steps) return;
-
-            // Calculate current value (current to 0)
-            const progress = currentStep / steps;
-            const easeValue = this.easeInOutCubic(progress);
-
-            for (let i = 0; i < this.mainMesh.morphTargetInfluences.length; i++) {
-                const currentValue = this.mainMesh.morphTargetInfluences[i];
-                this.mainMesh.morphTargetInfluences[i] = currentValue * (1 - easeValue);
-            }
-
-            this.mainMesh.morphTargetInfluencesNeedUpdate = true;
-            currentStep++;
-
-            if (currentStep < steps) {
-                setTimeout(animateStep, stepDuration * 1000);
-            }
-        };
-
-        animateStep();
+        this.applyEmotionSmoothly({}, 0);
     }
 
     /**
      * Stop all lip-sync animations
+     * Only the speech layer is cleared, so any emotion stays on the face
      */
     stopLipSync() {
-        // Stop the lip-sync system
+        // Stop the lip-sync system (clears the speech layer)
         if (this.lipSyncSystem) {
             this.lipSyncSystem.stopAudioAnalysis();
         }
-
-        // Clear any remaining timeouts
-        if (this.lipSyncTimeouts) {
-            this.lipSyncTimeouts.forEach(timeout => clearTimeout(timeout));
-            this.lipSyncTimeouts = [];
-        }
-
-        // Reset to neutral expression
-        this.resetToNeutral();
     }
 
     /**
      * Test the lip-sync system with sample text
      */
-    testLipSyncSystem() {
+    async testLipSyncSystem() {
         if (!this.mainMesh || !this.morphTargets) {
-            this.updateStatus('No morph targets available for lip-sync');
+            this.updateStatus(this.localization.t('noMorphTargets'));
             return;
         }
 
-        const testText = "Hello! This is a test of the simple lip-sync system. Watch the baby's mouth move!";
-        this.updateStatus('Testing lip-sync system...');
+        const testText = this.localization.t('lipSyncTestText');
+        this.updateStatus(this.localization.t('lipSyncTesting'));
 
-        // Show baby's speech
-        this.showBabySpeech(testText);
+        // Show baby's speech (test lines stay out of the conversation)
+        this.showBabySpeech(testText, {}, { record: false });
 
-        // Start simple lip-sync
-        this.startSimpleLipSync(testText);
+        // Start simple lip-sync and stop once the voice has finished
         this.isSpeaking = true;
+        await this.startSimpleLipSync(testText);
 
-        // Stop after the lip-sync completes
-        setTimeout(() => {
-            this.stopLipSync();
-            this.isSpeaking = false;
-            this.updateStatus('Lip-sync test completed! Ready to interact.');
-        }, 5000);
+        this.stopLipSync();
+        this.isSpeaking = false;
+        this.updateStatus(this.localization.t('lipSyncTestDone'));
     }
 
     /**
-     * Test the lip-sync system with real audio from API
+     * Test the lip-sync system with a reply (and its audio) from the selected backend
      */
     async testAudioLipSyncSystem() {
         if (!this.mainMesh || !this.morphTargets) {
-            this.updateStatus('No morph targets available for lip-sync');
+            this.updateStatus(this.localization.t('noMorphTargets'));
             return;
         }
 
-        this.updateStatus('Testing audio lip-sync system...');
+        this.updateStatus(this.localization.t('audioLipSyncTesting', { backend: this.backendType }));
 
         try {
-            // Test with a sample message
-            const testMessage = "Hello baby, how are you?";
-
-            // Try real API first, fallback to mock
-            let response = await this.generateRealBabyResponse(testMessage);
-
-            if (response.success) {
-                this.updateStatus('Real API test started!');
-                await this.playBabyResponse(response.textContent);
-            } else {
-                this.updateStatus('Using mock response for testing');
-                response = this.generateMockResponse(testMessage);
-                this.startSimpleLipSync(response.textContent);
-                this.isSpeaking = true;
-
-                setTimeout(() => {
-                    this.stopLipSync();
-                    this.isSpeaking = false;
-                    this.updateStatus('Mock lip-sync test completed! Ready to interact.');
-                }, 4000);
-            }
+            const response = await this.generateBabyResponse(this.localization.t('audioLipSyncTestPrompt'), { record: false });
+            await this.playBabyResponse(response, { record: false });
         } catch (error) {
             console.error('Audio lip-sync test failed:', error);
-            this.updateStatus('API test failed - using mock response instead');
-
-            // Fallback to mock
-            const testMessage = "Hello baby, how are you?";
-            const response = this.generateMockResponse(testMessage);
-            this.startSimpleLipSync(response.textContent);
-            this.isSpeaking = true;
-
-            setTimeout(() => {
-                this.stopLipSync();
-                this.isSpeaking = false;
-                this.updateStatus('Mock lip-sync test completed! Ready to interact.');
-            }, 4000);
+            this.updateStatus(this.localization.t('audioLipSyncTestFailed'));
         }
     }
 
@@ -1123,65 +2282,144 @@ class SimpleBabyCharacter {
 
     /**
      * Show user speech
+     * Interim results go in a live bubble; final text becomes a turn when it is processed
      */
     showUserSpeech(text, isFinal = false) {
         if (!this.speechDisplay) return;
 
-        let userBubble = this.speechDisplay.querySelector('.user-speech');
+        let userBubble = this.speechDisplay.querySelector('.user-speech.interim-speech');
+        if (isFinal) {
+            this.currentUserSpeech = text;
+            if (userBubble) {
+                userBubble.remove();
+            }
+            return;
+        }
+
         if (!userBubble) {
-            userBubble = document.createElement('div');
-            userBubble.className = 'speech-bubble user-speech';
+            userBubble = this.createSpeechBubble('user', this.localization.t('listening'), '');
+            userBubble.classList.add('interim-speech');
+            this.speechDisplay.appendChild(userBubble);
+        }
 
-            const label = document.createElement('div');
-            label.className = 'speech-label';
-            label.textContent = 'You said:';
-            userBubble.appendChild(label);
+        userBubble.querySelector('.speech-content').textContent = text;
+        this.speechDisplay.scrollTop = this.speechDisplay.scrollHeight;
+    }
 
-            const content = document.createElement('div');
-            content.className = 'speech-content';
-            userBubble.appendChild(content);
+    /**
+     * Show a reply while it streams in (null removes the live bubble)
+     * Emotion markup is hidden, including a tag that is still arriving
+     */
+    showStreamingSpeech(text) {
+        if (!this.speechDisplay) return;
 
-            this.speechDisplay.appendChild(userBubble);
+        let babyBubble = this.speechDisplay.querySelector('.baby-speech.interim-speech');
+        if (text === null) {
+            if (babyBubble) {
+                babyBubble.remove();
+            }
+            return;
         }
 
-        const content = userBubble.querySelector('.speech-content');
-        content.textContent = text;
+        if (!babyBubble) {
+            babyBubble = this.createSpeechBubble('assistant', null, '');
+            babyBubble.classList.add('interim-speech');
+            this.speechDisplay.appendChild(babyBubble);
+        }
 
-        const label = userBubble.querySelector('.speech-label');
-        label.textContent = isFinal ? 'You said:' : 'Listening...';
+        const { text: cleaned } = this.emotionClassifier.parseMarkup(text.replace(/\[[^\]\n]*$/, ''));
+        babyBubble.querySelector('.speech-content').textContent = cleaned;
+        this.speechDisplay.scrollTop = this.speechDisplay.scrollHeight;
+    }
 
-        if (isFinal) {
-            this.currentUserSpeech = text;
+    /**
+     * Show baby speech (recorded as a turn in the conversation unless record is false)
+     */
+    showBabySpeech(text, details = {}, { record = true } = {}) {
+        this.currentBabySpeech = text;
+        if (record) {
+            this.conversation.addTurn('assistant', text, details);
+        } else {
+            this.appendSpeechBubble('assistant', text);
         }
     }
 
     /**
- * Show baby speech
- */
-    showBabySpeech(text) {
+     * Show a line in the transcript without recording it (gone at the next re-render)
+     */
+    appendSpeechBubble(role, text) {
         if (!this.speechDisplay) return;
 
-        this.currentBabySpeech = text;
+        this.speechDisplay.appendChild(this.createSpeechBubble(role, null, text));
+        this.speechDisplay.scrollTop = this.speechDisplay.scrollHeight;
+    }
 
-        let babyBubble = this.speechDisplay.querySelector('.baby-speech');
-        if (!babyBubble) {
-            babyBubble = document.createElement('div');
-            babyBubble.className = 'speech-bubble baby-speech';
+    /**
+     * Render the transcript whenever the conversation changes, then restore the last session
+     */
+    async setupTranscript() {
+        this.conversation.onChange(turns => this.renderTranscript(turns));
+
+        const clearButton = document.getElementById('clearConversation');
+        if (clearButton) {
+            clearButton.addEventListener('click', async () => {
+                await this.conversation.clear();
+                this.updateStatus(this.localization.t('conversationCleared'));
+            });
+        }
 
-            const label = document.createElement('div');
-            label.className = 'speech-label';
-            label.textContent = 'Baby says:';
-            babyBubble.appendChild(label);
+        document.querySelectorAll('[data-export-conversation]').forEach(button => {
+            button.addEventListener('click', () => this.exportConversation(button.dataset.exportConversation));
+        });
 
-            const content = document.createElement('div');
-            content.className = 'speech-content';
-            babyBubble.appendChild(content);
+        await this.conversation.load();
+    }
 
-            this.speechDisplay.appendChild(babyBubble);
-        }
+    /**
+     * Rebuild the scrollable transcript in #speech-display (keeps live interim bubbles last)
+     */
+    renderTranscript(turns) {
+        if (!this.speechDisplay) return;
+
+        const interim = Array.from(this.speechDisplay.querySelectorAll('.interim-speech'));
+        this.speechDisplay.replaceChildren(...turns.map(turn => this.createSpeechBubble(turn.role, null, turn.text)), ...interim);
+        this.speechDisplay.scrollTop = this.speechDisplay.scrollHeight;
+    }
+
+    /**
+     * Speech bubble element for a role ('user' or 'assistant')
+     */
+    createSpeechBubble(role, label, text) {
+        const bubble = document.createElement('div');
+        bubble.className = `speech-bubble ${role === 'user' ? 'user-speech' : 'baby-speech'}`;
 
-        const content = babyBubble.querySelector('.speech-content');
+        const labelElement = document.createElement('div');
+        labelElement.className = 'speech-label';
+        labelElement.textContent = label || this.localization.t(role === 'user' ? 'youSaid' : 'babySays');
+        bubble.appendChild(labelElement);
+
+        const content = document.createElement('div');
+        content.className = 'speech-content';
         content.textContent = text;
+        bubble.appendChild(content);
+
+        return bubble;
+    }
+
+    /**
+     * Download the conversation as 'json' or 'text'
+     */
+    exportConversation(format = 'json') {
+        const isJSON = format === 'json';
+        const blob = new Blob([isJSON ? this.conversation.exportJSON() : this.conversation.exportText()], {
+            type: isJSON ? 'application/json' : 'text/plain'
+        });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `baby-conversation.${isJSON ? 'json' : 'txt'}`;
+        link.click();
+        URL.revokeObjectURL(url);
     }
 
     /**
@@ -1192,11 +2430,33 @@ class SimpleBabyCharacter {
 
         const delta = this.clock.getDelta();
 
-        // Update animation mixer
-        if (this.mixer) {
-            this.mixer.update(delta);
+        // Advance facial animation (tweens, lip-sync, delayed calls)
+        this.scheduler.update(delta);
+
+        // Take last frame's procedural offsets off (newest layer first) so clips start clean
+        this.gazeController.restorePose();
+        this.idleMotion.restorePose();
+
+        // Body animation follows the microphone and the voice
+        this.bodyAnimator.setListening(this.handsFree ? this.userVoiceActive : this.isRecording);
+        this.bodyAnimator.setTalking(this.isSpeaking);
+        this.bodyAnimator.update(delta);
+
+        // Breathing, sway and fidgets on top of the clip or procedural pose
+        this.idleMotion.update(delta, this.bodyAnimator.state, this.bodyAnimator.emotion);
+
+        // VRM spring bones (before the facial mixer, which writes the final morph weights)
+        if (this.vrm) {
+            this.vrm.update(delta);
         }
 
+        // Look-at, blinks and saccades (after body animation so bones aren't overwritten)
+        this.gazeController.update(delta);
+        this.eyeController.update(delta);
+
+        // Blend facial layers onto the mesh
+        this.facialMixer.update();
+
         // Update controls
         if (this.controls) {
             this.controls.update();
@@ -1209,27 +2469,70 @@ class SimpleBabyCharacter {
     }
 
     /**
-     * Toggle between mock and real API
+     * Wire up the backend menu and its endpoint/model/API key fields
+     * ?backend=openai (or pixora, local, mock) picks the starting backend
      */
-    toggleAPI() {
-        this.useRealAPI = !this.useRealAPI;
-        const button = document.getElementById('toggleAPI');
+    setupBackendSettings() {
+        const requestedBackend = new URLSearchParams(window.location.search).get('backend');
+        if (requestedBackend && ConversationBackend.TYPES[requestedBackend]) {
+            this.backendType = requestedBackend;
+        }
 
-        if (this.useRealAPI) {
-            button.textContent = 'Use Mock API';
-            button.style.background = '#FF9800';
-            this.updateStatus('Switched to REAL API mode. Note: May require proper authentication.');
-        } else {
-            button.textContent = 'Use Real API';
-            button.style.background = '#4CAF50';
-            this.updateStatus('Switched to MOCK API mode. Safe for testing.');
+        const select = document.getElementById('backendSelect');
+
+        if (select) {
+            select.value = this.backendType;
+            select.addEventListener('change', () => {
+                this.setBackend(select.value);
+                this.updateStatus(this.backendType === 'mock' ?
+                    this.localization.t('backendMockSelected') :
+                    this.localization.t('backendSelected', { backend: this.backendType }));
+            });
+        }
+
+        // Inputs name the option they edit with data-option
+        document.querySelectorAll('#backend-settings [data-option]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.backendOptions[this.backendType][input.dataset.option] = input.value.trim();
+                this.setBackend(this.backendType);
+            });
+        });
+
+        this.setBackend(this.backendType);
+    }
+
+    /**
+     * Switch the conversation backend ('pixora', 'openai', 'local' or 'mock')
+     */
+    setBackend(type) {
+        try {
+            this.backend = ConversationBackend.create(type, {
+                ...this.backendOptions[type],
+                language: this.localization.language
+            });
+        } catch (error) {
+            console.warn('💬', error.message);
+            return;
+        }
+        this.backendType = type;
+
+        // Only the chat backends have endpoint, model and key fields
+        const options = this.backendOptions[type];
+        const settings = document.getElementById('backend-settings');
+        if (settings) {
+            settings.classList.toggle('hidden', !('endpoint' in options));
+            settings.querySelectorAll('[data-option]').forEach(input => {
+                const key = input.dataset.option;
+                input.value = options[key] || '';
+                input.classList.toggle('hidden', !(key in options));
+            });
         }
 
-        console.log(`API mode switched to: ${this.useRealAPI ? 'REAL' : 'MOCK'}`);
+        console.log(`💬 Conversation backend: ${type}`);
     }
 }
 
 // Initialize when page loads
 window.addEventListener('DOMContentLoaded', () => {
-    new SimpleBabyCharacter();
+    window.babyCharacter = new SimpleBabyCharacter();
 });
@@ -0,0 +1,358 @@
+/**
+ * Body Animator
+ * Animation state machine on top of THREE.AnimationMixer:
+ *
+ * - idle: default loop
+ * - listening: while the microphone is recording
+ * - talking: while the baby is speaking
+ * - reacting: a one-shot per emotion, then back to idle/listening/talking
+ *
+ * Clips are matched to states by name (see BodyAnimator.STATE_KEYWORDS) or
+ * mapped explicitly with addClips(); extra clips can be loaded from separate
+ * FBX/GLB files that share the character's skeleton. Models without clips
+ * get a procedural posture and head-bob per state instead (breathing and
+ * sway come from IdleMotion, which runs with or without clips).
+ */
+
+class BodyAnimator {
+    constructor(options = {}) {
+        this.settings = {
+            crossFade: 0.4,             // Seconds to blend between clips
+            reactionDuration: 1.6,      // Seconds a procedural reaction lasts
+            reactionCooldown: 4.0,      // Minimum seconds between reactions
+            proceduralSmoothing: 4.0,   // How fast procedural motion follows a state change
+            ...options
+        };
+
+        this.model = null;
+        this.mixer = null;
+        this.clips = [];
+        this.clipMap = {};              // 'idle' / 'reacting:happy' -> clip, set by addClips
+        this.currentAction = null;
+
+        // State
+        this.state = 'idle';
+        this.emotion = null;
+        this.isListening = false;
+        this.isTalking = false;
+        this.time = 0;
+        this.reactionEndTime = 0;
+        this.lastReactionTime = -Infinity;
+
+        // Procedural fallback
+        this.spineBones = [];
+        this.headBone = null;
+        this.motion = { ...BodyAnimator.PROCEDURAL.idle };
+        this.bobPhase = 0;
+
+        // Scratch objects
+        this.offset = new THREE.Quaternion();
+        this.parentRotation = new THREE.Quaternion();
+        this.modelRotation = new THREE.Quaternion();
+        this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    }
+
+    /**
+     * Attach to a (newly loaded) model and its animation clips
+     */
+    setModel(model, animations = []) {
+        this.dispose();
+
+        this.model = model;
+        this.clips = animations.slice();
+        this.clipMap = {};
+        this.mixer = new THREE.AnimationMixer(model);
+        this.mixer.addEventListener('finished', (event) => {
+            if (event.action === this.currentAction && this.state === 'reacting') {
+                this.reactionEndTime = this.time;
+            }
+        });
+
+        // Bones for the procedural fallback, rest pose remembered for offsets
+        this.spineBones = [];
+        this.headBone = null;
+        model.traverse(child => {
+            if (!child.isBone || /end|top|nub/i.test(child.name)) return;
+
+            if (/spine|chest/i.test(child.name)) {
+                this.spineBones.push(child);
+            } else if (!this.headBone && /head/i.test(child.name)) {
+                this.headBone = child;
+            }
+        });
+        [...this.spineBones, this.headBone].filter(Boolean).forEach(bone => {
+            bone.userData.bodyRest = bone.quaternion.clone();
+        });
+
+        console.log(`🧸 Body animator: ${this.clips.length} clips, ` +
+            `${this.spineBones.length} spine bones, head bone ${this.headBone ? this.headBone.name : 'none'}`);
+
+        this.state = null;
+        this.transition(this.getBaseState());
+    }
+
+    /**
+     * Add clips, optionally for a specific state (and emotion for reactions)
+     */
+    addClips(clips, { state = null, emotion = null } = {}) {
+        clips.forEach(clip => {
+            if (!this.clips.includes(clip)) {
+                this.clips.push(clip);
+            }
+        });
+
+        if (state && clips.length > 0) {
+            this.clipMap[emotion ? `${state}:${emotion}` : state] = clips[0];
+        }
+
+        // A new clip may suit the current state better
+        if (this.model && this.state !== 'reacting') {
+            this.transition(this.state, null, { force: true });
+        }
+    }
+
+    /**
+     * Load clips from a separate FBX/GLB file (the file's mesh is discarded)
+     */
+    async loadClips(modelLoader, url, mapping = {}) {
+        const result = await modelLoader.load(url);
+        result.scene.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => material.dispose());
+            }
+        });
+
+        this.addClips(result.animations, mapping);
+        console.log(`🧸 Loaded ${result.animations.length} clips from ${url}`);
+        return result.animations;
+    }
+
+    /**
+     * Follow the microphone
+     */
+    setListening(listening) {
+        if (this.isListening === listening) return;
+        this.isListening = listening;
+        this.refresh();
+    }
+
+    /**
+     * Follow the voice
+     */
+    setTalking(talking) {
+        if (this.isTalking === talking) return;
+        this.isTalking = talking;
+        this.refresh();
+    }
+
+    /**
+     * Play a short reaction for an emotion, then return to the base state
+     */
+    react(emotion) {
+        if (!this.model || !emotion || emotion === 'neutral') return;
+        if (this.time - this.lastReactionTime < this.settings.reactionCooldown) return;
+
+        const clip = this.findClip('reacting', emotion);
+        if (this.clips.length > 0 && !clip) return;
+
+        this.lastReactionTime = this.time;
+        this.reactionEndTime = clip ? Infinity : this.time + this.settings.reactionDuration;
+        this.transition('reacting', emotion);
+    }
+
+    /**
+     * State the character settles into when not reacting
+     */
+    getBaseState() {
+        if (this.isTalking) return 'talking';
+        if (this.isListening) return 'listening';
+        return 'idle';
+    }
+
+    /**
+     * Move to the base state unless a reaction is playing
+     */
+    refresh() {
+        if (this.state !== 'reacting') {
+            this.transition(this.getBaseState());
+        }
+    }
+
+    /**
+     * Change state, cross-fading to the state's clip
+     */
+    transition(state, emotion = null, { force = false } = {}) {
+        if (!force && state === this.state && emotion === this.emotion) return;
+
+        this.state = state;
+        this.emotion = emotion;
+
+        const clip = this.findClip(state, emotion);
+        if (clip) {
+            this.playClip(clip, state === 'reacting');
+        }
+    }
+
+    /**
+     * Clip for a state: explicit mapping, then by name, then the idle clip
+     */
+    findClip(state, emotion = null) {
+        if (emotion && this.clipMap[`${state}:${emotion}`]) return this.clipMap[`${state}:${emotion}`];
+        if (this.clipMap[state]) return this.clipMap[state];
+
+        const keywords = state === 'reacting'
+            ? BodyAnimator.EMOTION_KEYWORDS[emotion] || []
+            : BodyAnimator.STATE_KEYWORDS[state] || [];
+        const byName = this.clips.find(clip => keywords.some(keyword => clip.name.toLowerCase().includes(keyword)));
+        if (byName) return byName;
+
+        // Reactions without a clip are skipped; other states fall back to the idle loop
+        if (state === 'reacting') return null;
+        if (state !== 'idle') return this.findClip('idle');
+        return this.clips[0] || null;
+    }
+
+    /**
+     * Cross-fade to a clip (looping, or once for reactions)
+     */
+    playClip(clip, once) {
+        const action = this.mixer.clipAction(clip);
+        if (action === this.currentAction && !once) return;
+
+        action.reset();
+        action.setLoop(once ? THREE.LoopOnce : THREE.LoopRepeat, Infinity);
+        action.clampWhenFinished = once;
+        action.play();
+
+        if (this.currentAction && this.currentAction !== action) {
+            this.currentAction.crossFadeTo(action, this.settings.crossFade, false);
+        } else {
+            action.fadeIn(this.settings.crossFade);
+        }
+
+        this.currentAction = action;
+        console.log(`🧸 ${this.state}${this.emotion ? ` (${this.emotion})` : ''}: ${clip.name || 'unnamed clip'}`);
+    }
+
+    /**
+     * Advance clips or procedural motion (call before gaze so it layers on top)
+     */
+    update(delta) {
+        if (!this.model) return;
+        this.time += delta;
+
+        // Reactions end when their clip finishes or their time runs out
+        if (this.state === 'reacting' && this.time >= this.reactionEndTime) {
+            this.transition(this.getBaseState());
+        }
+
+        this.mixer.update(delta);
+
+        if (this.clips.length === 0) {
+            this.updateProcedural(delta);
+        }
+    }
+
+    /**
+     * Posture and head-bob for models without clips
+     */
+    updateProcedural(delta) {
+        const target = (this.state === 'reacting' && BodyAnimator.PROCEDURAL.reactions[this.emotion]) ||
+            BodyAnimator.PROCEDURAL[this.state] || BodyAnimator.PROCEDURAL.idle;
+
+        // Ease the motion parameters towards the state's
+        const blend = 1 - Math.exp(-this.settings.proceduralSmoothing * delta);
+        Object.keys(this.motion).forEach(key => {
+            this.motion[key] += ((target[key] || 0) - this.motion[key]) * blend;
+        });
+
+        const m = this.motion;
+        // Accumulate the phase so easing the rate doesn't jump the head
+        this.bobPhase += delta * m.bobRate * Math.PI * 2;
+        const bob = Math.sin(this.bobPhase);
+
+        // Leaning spreads over the spine bones
+        const spineShare = this.spineBones.length > 0 ? 1 / this.spineBones.length : 0;
+        this.spineBones.forEach(bone => {
+            this.applyOffset(bone, m.lean * spineShare, 0, 0);
+        });
+
+        if (this.headBone) {
+            this.applyOffset(this.headBone, m.headPitch + bob * m.bobDepth, 0, m.headRoll);
+        }
+    }
+
+    /**
+     * Set a bone to its rest pose plus a model-space rotation (pitch forward, yaw, roll)
+     */
+    applyOffset(bone, pitch, yaw, roll) {
+        this.euler.set(pitch, yaw, roll);
+        this.offset.setFromEuler(this.euler);
+
+        this.model.getWorldQuaternion(this.modelRotation);
+        bone.parent.getWorldQuaternion(this.parentRotation);
+        this.parentRotation.invert().multiply(this.modelRotation);
+        this.offset.premultiply(this.parentRotation).multiply(this.parentRotation.invert());
+
+        bone.quaternion.copy(bone.userData.bodyRest).premultiply(this.offset);
+    }
+
+    /**
+     * Stop all clips and release the mixer's cached bindings
+     */
+    dispose() {
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+            this.mixer.uncacheRoot(this.model);
+        }
+        this.mixer = null;
+        this.model = null;
+        this.currentAction = null;
+        this.spineBones = [];
+        this.headBone = null;
+    }
+}
+
+// Clip name keywords per state
+BodyAnimator.STATE_KEYWORDS = {
+    idle: ['idle', 'breath', 'stand'],
+    listening: ['listen', 'attentive', 'nod'],
+    talking: ['talk', 'speak', 'convers']
+};
+
+// Clip name keywords per reaction emotion
+BodyAnimator.EMOTION_KEYWORDS = {
+    happy: ['happy', 'cheer', 'clap', 'excite'],
+    giggle: ['giggle', 'laugh'],
+    sad: ['sad', 'upset', 'pout'],
+    crying: ['cry', 'sob'],
+    angry: ['angry', 'stomp', 'tantrum'],
+    surprised: ['surprise', 'startle', 'shock'],
+    fear: ['fear', 'scared', 'cower'],
+    disgust: ['disgust', 'yuck'],
+    curious: ['curious', 'think', 'tilt'],
+    sleepy: ['sleepy', 'yawn', 'tired']
+};
+
+// Procedural motion per state (radians, Hz); reactions override per emotion
+BodyAnimator.PROCEDURAL = {
+    idle: { lean: 0, bobRate: 0.15, bobDepth: 0.01, headPitch: 0, headRoll: 0 },
+    listening: { lean: 0.04, bobRate: 0.15, bobDepth: 0.01, headPitch: 0.05, headRoll: 0.06 },
+    talking: { lean: 0.02, bobRate: 2.2, bobDepth: 0.025, headPitch: 0, headRoll: 0 },
+    reactions: {
+        happy: { lean: 0, bobRate: 3.0, bobDepth: 0.05, headPitch: -0.04, headRoll: 0.03 },
+        giggle: { lean: 0.03, bobRate: 3.5, bobDepth: 0.04, headPitch: -0.05, headRoll: 0.05 },
+        sad: { lean: 0.06, bobRate: 0.2, bobDepth: 0.01, headPitch: 0.15, headRoll: 0 },
+        crying: { lean: 0.06, bobRate: 1.5, bobDepth: 0.03, headPitch: 0.12, headRoll: 0 },
+        angry: { lean: 0.05, bobRate: 0.5, bobDepth: 0.01, headPitch: 0.08, headRoll: 0 },
+        surprised: { lean: -0.05, bobRate: 0.2, bobDepth: 0.01, headPitch: -0.1, headRoll: 0 },
+        fear: { lean: -0.04, bobRate: 4.0, bobDepth: 0.01, headPitch: 0.05, headRoll: 0 },
+        disgust: { lean: -0.03, bobRate: 0.2, bobDepth: 0.01, headPitch: -0.03, headRoll: -0.08 },
+        curious: { lean: 0.04, bobRate: 0.2, bobDepth: 0.01, headPitch: 0.03, headRoll: 0.12 },
+        sleepy: { lean: 0.05, bobRate: 0.1, bobDepth: 0.02, headPitch: 0.12, headRoll: 0.05 }
+    }
+};
+
+// Export for use in other modules
+window.BodyAnimator = BodyAnimator;
@@ -0,0 +1,168 @@
+/**
+ * Character Shading
+ * Shader tweaks for skin and hair on top of the built-in PBR materials
+ * (injected with onBeforeCompile, so lights, shadows, skinning and morphs
+ * keep working):
+ *
+ * - Skin: wrap lighting tinted by a scattering colour, a cheap subsurface
+ *   approximation that lets red light bleed past the shadow terminator
+ * - Hair: two shifted Kajiya-Kay highlights along the strand direction,
+ *   masked by the hair specular texture
+ *
+ * Uniform values live in material.userData.shadingUniforms and can be
+ * changed at any time without recompiling.
+ */
+
+class CharacterShading {
+    /**
+     * Add wrap-lit subsurface approximation to a MeshStandardMaterial/MeshPhysicalMaterial
+     */
+    static applySkin(material, options = {}) {
+        const { wrap = 0.5, scatterColor = 0xff5a33 } = options;
+        const uniforms = {
+            skinWrap: { value: wrap },
+            skinScatterColor: { value: new THREE.Color(scatterColor) }
+        };
+
+        const lights = CharacterShading.patchChunk(
+            CharacterShading.DIRECT_IRRADIANCE,
+            CharacterShading.SKIN_IRRADIANCE
+        );
+        if (!lights) return material;
+
+        material.userData.shadingUniforms = uniforms;
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, uniforms);
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>\n${CharacterShading.SKIN_PARS}`)
+                .replace('#include <lights_physical_pars_fragment>', lights);
+        };
+        return material;
+    }
+
+    /**
+     * Add anisotropic strand highlights to a MeshStandardMaterial
+     * strandAxis: UV direction the strands run along ([0, 1] = V, the usual hair card layout)
+     */
+    static applyHair(material, options = {}) {
+        const {
+            specularColor = 0xfff0dd,
+            specularStrength = 0.6,
+            shift = 0.1,
+            strandAxis = [0, 1]
+        } = options;
+
+        const uniforms = {
+            hairSpecularMap: { value: CharacterShading.whiteTexture() },
+            hairSpecularColor: { value: new THREE.Color(specularColor) },
+            hairSpecularStrength: { value: specularStrength },
+            hairShift: { value: shift },
+            hairStrandAxis: { value: new THREE.Vector2(...strandAxis) }
+        };
+
+        const lights = CharacterShading.patchChunk(
+            CharacterShading.DIRECT_DIFFUSE,
+            `${CharacterShading.DIRECT_DIFFUSE}\n${CharacterShading.HAIR_DIRECT}`
+        );
+        if (!lights) return material;
+
+        material.userData.shadingUniforms = uniforms;
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, uniforms);
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>\n${CharacterShading.HAIR_PARS}`)
+                .replace('#include <lights_physical_pars_fragment>', lights)
+                .replace('#include <normal_fragment_maps>', `#include <normal_fragment_maps>\n${CharacterShading.HAIR_TANGENT}`);
+        };
+        return material;
+    }
+
+    /**
+     * Physical lighting chunk with one line replaced (null if this three.js version differs)
+     */
+    static patchChunk(search, replacement) {
+        const chunk = THREE.ShaderChunk.lights_physical_pars_fragment;
+        if (!chunk.includes(search)) {
+            console.warn('🎨 Character shading: lighting chunk not recognised, using plain PBR');
+            return null;
+        }
+        return chunk.replace(search, replacement);
+    }
+
+    /**
+     * 1x1 white texture for unset mask uniforms
+     */
+    static whiteTexture() {
+        if (!CharacterShading.white) {
+            CharacterShading.white = new THREE.DataTexture(new Uint8Array([255, 255, 255, 255]), 1, 1, THREE.RGBAFormat);
+            CharacterShading.white.needsUpdate = true;
+        }
+        return CharacterShading.white;
+    }
+}
+
+// Lines in lights_physical_pars_fragment (three r128) that the patches hook into
+CharacterShading.DIRECT_IRRADIANCE = 'vec3 irradiance = dotNL * directLight.color;';
+CharacterShading.DIRECT_DIFFUSE = 'reflectedLight.directDiffuse += ( 1.0 - clearcoatDHR ) * irradiance * BRDF_Diffuse_Lambert( material.diffuseColor );';
+
+CharacterShading.SKIN_PARS = /* glsl */`
+uniform float skinWrap;
+uniform vec3 skinScatterColor;
+`;
+
+// Each colour channel wraps by its share of the scattering colour (red travels furthest in skin)
+CharacterShading.SKIN_IRRADIANCE = /* glsl */`
+float wrapNL = saturate( ( dot( geometry.normal, directLight.direction ) + skinWrap ) / ( 1.0 + skinWrap ) );
+vec3 irradiance = mix( vec3( dotNL ), vec3( wrapNL ), skinScatterColor ) * directLight.color;
+`;
+
+CharacterShading.HAIR_PARS = /* glsl */`
+uniform sampler2D hairSpecularMap;
+uniform vec3 hairSpecularColor;
+uniform float hairSpecularStrength;
+uniform float hairShift;
+uniform vec2 hairStrandAxis;
+
+vec3 hairTangent = vec3( 0.0 );
+float hairSpecularMask = 0.0;
+
+float strandSpecular( const in vec3 tangent, const in vec3 halfDir, const in float exponent ) {
+    float dotTH = dot( tangent, halfDir );
+    float sinTH = sqrt( max( 0.0, 1.0 - dotTH * dotTH ) );
+    return smoothstep( -1.0, 0.0, dotTH ) * pow( sinTH, exponent );
+}
+`;
+
+// Strand direction from the UV gradient (same cotangent frame as perturbNormal2Arb)
+CharacterShading.HAIR_TANGENT = /* glsl */`
+#ifdef USE_UV
+{
+    vec3 q0 = dFdx( - vViewPosition );
+    vec3 q1 = dFdy( - vViewPosition );
+    vec2 st0 = dFdx( vUv );
+    vec2 st1 = dFdy( vUv );
+    vec3 q1perp = cross( q1, normal );
+    vec3 q0perp = cross( normal, q0 );
+    vec3 strand = hairStrandAxis.x * ( q1perp * st0.x + q0perp * st1.x ) +
+        hairStrandAxis.y * ( q1perp * st0.y + q0perp * st1.y );
+    float strandLength = dot( strand, strand );
+    if ( strandLength > 0.0 ) {
+        hairTangent = strand * inversesqrt( strandLength );
+        hairSpecularMask = texture2D( hairSpecularMap, vUv ).g;
+    }
+}
+#endif
+`;
+
+// Sharp white primary and broader hair-tinted secondary highlight
+CharacterShading.HAIR_DIRECT = /* glsl */`
+vec3 hairHalf = normalize( directLight.direction + geometry.viewDir );
+vec3 hairT1 = normalize( hairTangent + geometry.normal * hairShift );
+vec3 hairT2 = normalize( hairTangent - geometry.normal * hairShift );
+vec3 hairHighlight = hairSpecularColor * strandSpecular( hairT1, hairHalf, 80.0 ) +
+    material.diffuseColor * strandSpecular( hairT2, hairHalf, 16.0 ) * 0.5;
+reflectedLight.directSpecular += irradiance * hairHighlight * hairSpecularMask * hairSpecularStrength;
+`;
+
+// Export for use in other modules
+window.CharacterShading = CharacterShading;
@@ -0,0 +1,5022 @@
+/**
+ * Bundled ARPAbet pronunciation dictionary for offline grapheme-to-phoneme conversion
+ * Subset of the CMU Pronouncing Dictionary: the ~5,000 most frequent spoken English words
+ * (SUBTLEX-US ranking) plus baby-talk vocabulary, with CMUdict stress digits kept
+ *
+ * CMU Pronouncing Dictionary - Copyright (C) 1993-2015 Carnegie Mellon University (BSD licence)
+ */
+
+const CMU_DICTIONARY = {
+    a: 'AH0',
+    aaron: 'EH1 R AH0 N',
+    abandon: 'AH0 B AE1 N D AH0 N',
+    abandoned: 'AH0 B AE1 N D AH0 N D',
+    abby: 'AE1 B IY0',
+    ability: 'AH0 B IH1 L AH0 T IY2',
+    able: 'EY1 B AH0 L',
+    aboard: 'AH0 B AO1 R D',
+    about: 'AH0 B AW1 T',
+    above: 'AH0 B AH1 V',
+    absolute: 'AE1 B S AH0 L UW2 T',
+    absolutely: 'AE2 B S AH0 L UW1 T L IY0',
+    absurd: 'AH0 B S ER1 D',
+    abuse: 'AH0 B Y UW1 S',
+    academy: 'AH0 K AE1 D AH0 M IY0',
+    accent: 'AH0 K S EH1 N T',
+    accept: 'AE0 K S EH1 P T',
+    accepted: 'AE0 K S EH1 P T IH0 D',
+    access: 'AE1 K S EH2 S',
+    accident: 'AE1 K S AH0 D AH0 N T',
+    accidentally: 'AE2 K S AH0 D EH1 N T AH0 L IY0',
+    according: 'AH0 K AO1 R D IH0 NG',
+    account: 'AH0 K AW1 N T',
+    accounts: 'AH0 K AW1 N T S',
+    accused: 'AH0 K Y UW1 Z D',
+    ace: 'EY1 S',
+    acid: 'AE1 S AH0 D',
+    across: 'AH0 K R AO1 S',
+    act: 'AE1 K T',
+    acted: 'AE1 K T IH0 D',
+    acting: 'AE1 K T IH0 NG',
+    action: 'AE1 K SH AH0 N',
+    actions: 'AE1 K SH AH0 N Z',
+    active: 'AE1 K T IH0 V',
+    activities: 'AE0 K T IH1 V AH0 T IY0 Z',
+    activity: 'AE0 K T IH1 V AH0 T IY0',
+    actor: 'AE1 K T ER0',
+    actors: 'AE1 K T ER0 Z',
+    actress: 'AE1 K T R AH0 S',
+    acts: 'AE1 K T S',
+    actual: 'AE1 K CH AH0 W AH0 L',
+    actually: 'AE1 K CH UW2 AH0 L IY0',
+    ad: 'AE1 D',
+    adam: 'AE1 D AH0 M',
+    adams: 'AE1 D AH0 M Z',
+    add: 'AE1 D',
+    added: 'AE1 D AH0 D',
+    address: 'AE1 D R EH2 S',
+    admiral: 'AE1 D M ER0 AH0 L',
+    admire: 'AE0 D M AY1 R',
+    admit: 'AH0 D M IH1 T',
+    admitted: 'AH0 D M IH1 T IH0 D',
+    adopted: 'AH0 D AA1 P T IH0 D',
+    adorable: 'AH0 D AO1 R AH0 B AH0 L',
+    adult: 'AH0 D AH1 L T',
+    adults: 'AH0 D AH1 L T S',
+    advance: 'AH0 D V AE1 N S',
+    advanced: 'AH0 D V AE1 N S T',
+    advantage: 'AE0 D V AE1 N T IH0 JH',
+    adventure: 'AE0 D V EH1 N CH ER0',
+    advice: 'AE0 D V AY1 S',
+    advise: 'AE0 D V AY1 Z',
+    affair: 'AH0 F EH1 R',
+    affairs: 'AH0 F EH1 R Z',
+    affect: 'AH0 F EH1 K T',
+    affection: 'AH0 F EH1 K SH AH0 N',
+    afford: 'AH0 F AO1 R D',
+    afraid: 'AH0 F R EY1 D',
+    africa: 'AE1 F R AH0 K AA0',
+    after: 'AE1 F T ER0',
+    afternoon: 'AE2 F T ER0 N UW1 N',
+    afterwards: 'AE1 F T ER0 W ER0 D Z',
+    again: 'AH0 G EH1 N',
+    against: 'AH0 G EH1 N S T',
+    age: 'EY1 JH',
+    agency: 'EY1 JH AH0 N S IY0',
+    agent: 'EY1 JH AH0 N T',
+    agents: 'EY1 JH AH0 N T S',
+    ages: 'EY1 JH AH0 Z',
+    ago: 'AH0 G OW1',
+    agree: 'AH0 G R IY1',
+    agreed: 'AH0 G R IY1 D',
+    agreement: 'AH0 G R IY1 M AH0 N T',
+    ah: 'AA1',
+    ahead: 'AH0 HH EH1 D',
+    aid: 'EY1 D',
+    aim: 'EY1 M',
+    air: 'EH1 R',
+    aircraft: 'EH1 R K R AE2 F T',
+    airplane: 'EH1 R P L EY2 N',
+    airport: 'EH1 R P AO2 R T',
+    al: 'AE1 L',
+    alan: 'AE1 L AH0 N',
+    alarm: 'AH0 L AA1 R M',
+    albert: 'AE1 L B ER0 T',
+    album: 'AE1 L B AH0 M',
+    alcohol: 'AE1 L K AH0 HH AA2 L',
+    alert: 'AH0 L ER1 T',
+    alexander: 'AE2 L AH0 G Z AE1 N D ER0',
+    alibi: 'AE1 L AH0 B AY2',
+    alice: 'AE1 L AH0 S',
+    alien: 'EY1 L IY0 AH0 N',
+    aliens: 'EY1 L IY0 AH0 N Z',
+    alike: 'AH0 L AY1 K',
+    alive: 'AH0 L AY1 V',
+    all: 'AO1 L',
+    allen: 'AE1 L AH0 N',
+    allergic: 'AH0 L ER1 JH IH0 K',
+    alley: 'AE1 L IY0',
+    alliance: 'AH0 L AY1 AH0 N S',
+    allow: 'AH0 L AW1',
+    allowed: 'AH0 L AW1 D',
+    ally: 'AE1 L AY0',
+    almighty: 'AO0 L M AY1 T IY0',
+    almost: 'AO1 L M OW2 S T',
+    alone: 'AH0 L OW1 N',
+    along: 'AH0 L AO1 NG',
+    alpha: 'AE1 L F AH0',
+    already: 'AO0 L R EH1 D IY0',
+    alright: 'AO2 L R AY1 T',
+    also: 'AO1 L S OW0',
+    alternative: 'AO0 L T ER1 N AH0 T IH0 V',
+    although: 'AO2 L DH OW1',
+    always: 'AO1 L W EY2 Z',
+    am: 'AE1 M',
+    amazing: 'AH0 M EY1 Z IH0 NG',
+    ambassador: 'AE0 M B AE1 S AH0 D ER0',
+    amber: 'AE1 M B ER0',
+    ambulance: 'AE1 M B Y AH0 L AH0 N S',
+    amen: 'EY0 M EH1 N',
+    america: 'AH0 M EH1 R AH0 K AH0',
+    american: 'AH0 M EH1 R AH0 K AH0 N',
+    americans: 'AH0 M EH1 R AH0 K AH0 N Z',
+    among: 'AH0 M AH1 NG',
+    amount: 'AH0 M AW1 N T',
+    amusing: 'AH0 M Y UW1 Z IH0 NG',
+    amy: 'EY1 M IY0',
+    an: 'AE1 N',
+    analysis: 'AH0 N AE1 L AH0 S AH0 S',
+    ancient: 'EY1 N CH AH0 N T',
+    and: 'AH0 N D',
+    anderson: 'AE1 N D ER0 S AH0 N',
+    andrew: 'AE1 N D R UW0',
+    angel: 'EY1 N JH AH0 L',
+    angeles: 'AE1 N JH AH0 L IH0 S',
+    angels: 'EY1 N JH AH0 L Z',
+    anger: 'AE1 NG G ER0',
+    angle: 'AE1 NG G AH0 L',
+    angry: 'AE1 NG G R IY0',
+    animal: 'AE1 N AH0 M AH0 L',
+    animals: 'AE1 N AH0 M AH0 L Z',
+    ann: 'AE1 N',
+    anna: 'AE1 N AH0',
+    anne: 'AE1 N',
+    annie: 'AE1 N IY0',
+    anniversary: 'AE2 N AH0 V ER1 S ER0 IY0',
+    announce: 'AH0 N AW1 N S',
+    announcement: 'AH0 N AW1 N S M AH0 N T',
+    announcer: 'AH0 N AW1 N S ER0',
+    annoying: 'AH0 N OY1 IH0 NG',
+    anonymous: 'AH0 N AA1 N AH0 M AH0 S',
+    another: 'AH0 N AH1 DH ER0',
+    answer: 'AE1 N S ER0',
+    answered: 'AE1 N S ER0 D',
+    answering: 'AE1 N S ER0 IH0 NG',
+    answers: 'AE1 N S ER0 Z',
+    anthony: 'AE1 N TH AH0 N IY0',
+    anxious: 'AE1 NG K SH AH0 S',
+    any: 'EH1 N IY0',
+    anybody: 'EH1 N IY0 B AH0 D IY0',
+    anyhow: 'EH1 N IY0 HH AW2',
+    anymore: 'EH2 N IY0 M AO1 R',
+    anyone: 'EH1 N IY0 W AH2 N',
+    anything: 'EH1 N IY0 TH IH2 NG',
+    anytime: 'EH1 N IY0 T AY2 M',
+    anyway: 'EH1 N IY0 W EY2',
+    anyways: 'EH1 N IY0 W EY2 Z',
+    anywhere: 'EH1 N IY0 W EH2 R',
+    apart: 'AH0 P AA1 R T',
+    apartment: 'AH0 P AA1 R T M AH0 N T',
+    ape: 'EY1 P',
+    apologies: 'AH0 P AA1 L AH0 JH IY2 Z',
+    apologize: 'AH0 P AA1 L AH0 JH AY2 Z',
+    apology: 'AH0 P AA1 L AH0 JH IY2',
+    apparently: 'AH0 P EH1 R AH0 N T L IY0',
+    appeal: 'AH0 P IY1 L',
+    appear: 'AH0 P IH1 R',
+    appearance: 'AH0 P IH1 R AH0 N S',
+    appeared: 'AH0 P IH1 R D',
+    appears: 'AH0 P IH1 R Z',
+    appetite: 'AE1 P AH0 T AY2 T',
+    applause: 'AH0 P L AO1 Z',
+    apple: 'AE1 P AH0 L',
+    apples: 'AE1 P AH0 L Z',
+    application: 'AE2 P L AH0 K EY1 SH AH0 N',
+    apply: 'AH0 P L AY1',
+    appointment: 'AH0 P OY1 N T M AH0 N T',
+    appreciate: 'AH0 P R IY1 SH IY0 EY2 T',
+    approach: 'AH0 P R OW1 CH',
+    approaching: 'AH0 P R OW1 CH IH0 NG',
+    appropriate: 'AH0 P R OW1 P R IY0 AH0 T',
+    approval: 'AH0 P R UW1 V AH0 L',
+    approve: 'AH0 P R UW1 V',
+    april: 'EY1 P R AH0 L',
+    are: 'AA1 R',
+    area: 'EH1 R IY0 AH0',
+    areas: 'EH1 R IY0 AH0 Z',
+    aren: 'AA1 R AH0 N',
+    argue: 'AA1 R G Y UW0',
+    arguing: 'AA1 R G Y UW0 IH0 NG',
+    argument: 'AA1 R G Y AH0 M AH0 N T',
+    arizona: 'EH2 R IH0 Z OW1 N AH0',
+    arm: 'AA1 R M',
+    armed: 'AA1 R M D',
+    arms: 'AA1 R M Z',
+    army: 'AA1 R M IY0',
+    arnold: 'AA1 R N AH0 L D',
+    around: 'ER0 AW1 N D',
+    arrange: 'ER0 EY1 N JH',
+    arranged: 'ER0 EY1 N JH D',
+    arrangement: 'ER0 EY1 N JH M AH0 N T',
+    arrangements: 'ER0 EY1 N JH M AH0 N T S',
+    arrest: 'ER0 EH1 S T',
+    arrested: 'ER0 EH1 S T IH0 D',
+    arrival: 'ER0 AY1 V AH0 L',
+    arrive: 'ER0 AY1 V',
+    arrived: 'ER0 AY1 V D',
+    arrives: 'ER0 AY1 V Z',
+    art: 'AA1 R T',
+    arthur: 'AA1 R TH ER0',
+    article: 'AA1 R T AH0 K AH0 L',
+    artist: 'AA1 R T AH0 S T',
+    arts: 'AA1 R T S',
+    as: 'AE1 Z',
+    ash: 'AE1 SH',
+    ashamed: 'AH0 SH EY1 M D',
+    ashes: 'AE1 SH AH0 Z',
+    aside: 'AH0 S AY1 D',
+    ask: 'AE1 S K',
+    asked: 'AE1 S K T',
+    asking: 'AE1 S K IH0 NG',
+    asks: 'AE1 S K S',
+    asleep: 'AH0 S L IY1 P',
+    ass: 'AE1 S',
+    assault: 'AH0 S AO1 L T',
+    asses: 'AE1 S AH0 Z',
+    asshole: 'AE1 S HH OW0 L',
+    assholes: 'AE1 S HH OW0 L Z',
+    assigned: 'AH0 S AY1 N D',
+    assignment: 'AH0 S AY1 N M AH0 N T',
+    assistance: 'AH0 S IH1 S T AH0 N S',
+    assistant: 'AH0 S IH1 S T AH0 N T',
+    associate: 'AH0 S OW1 S IY0 AH0 T',
+    association: 'AH0 S OW2 S IY0 EY1 SH AH0 N',
+    assume: 'AH0 S UW1 M',
+    assumed: 'AH0 S UW1 M D',
+    assuming: 'AH0 S UW1 M IH0 NG',
+    assure: 'AH0 SH UH1 R',
+    at: 'AE1 T',
+    ate: 'EY1 T',
+    atlantic: 'AH0 T L AE1 N T IH0 K',
+    atmosphere: 'AE1 T M AH0 S F IH2 R',
+    attached: 'AH0 T AE1 CH T',
+    attack: 'AH0 T AE1 K',
+    attacked: 'AH0 T AE1 K T',
+    attacks: 'AH0 T AE1 K S',
+    attempt: 'AH0 T EH1 M P T',
+    attend: 'AH0 T EH1 N D',
+    attention: 'AH0 T EH1 N SH AH0 N',
+    attitude: 'AE1 T AH0 T UW2 D',
+    attorney: 'AH0 T ER1 N IY0',
+    attracted: 'AH0 T R AE1 K T IH0 D',
+    attractive: 'AH0 T R AE1 K T IH0 V',
+    auction: 'AA1 K SH AH0 N',
+    audience: 'AA1 D IY0 AH0 N S',
+    audition: 'AA0 D IH1 SH AH0 N',
+    august: 'AA1 G AH0 S T',
+    aunt: 'AE1 N T',
+    austin: 'AO1 S T AH0 N',
+    australia: 'AO0 S T R EY1 L Y AH0',
+    authorities: 'AH0 TH AO1 R AH0 T IY0 Z',
+    authority: 'AH0 TH AO1 R AH0 T IY0',
+    autograph: 'AO1 T AH0 G R AE2 F',
+    autopsy: 'AO1 T AA2 P S IY0',
+    available: 'AH0 V EY1 L AH0 B AH0 L',
+    avenue: 'AE1 V AH0 N UW2',
+    average: 'AE1 V ER0 IH0 JH',
+    avoid: 'AH0 V OY1 D',
+    aw: 'AO1',
+    awake: 'AH0 W EY1 K',
+    award: 'AH0 W AO1 R D',
+    aware: 'AH0 W EH1 R',
+    away: 'AH0 W EY1',
+    awesome: 'AA1 S AH0 M',
+    awful: 'AA1 F AH0 L',
+    awfully: 'AA1 F L IY0',
+    awhile: 'AH0 W AY1 L',
+    awkward: 'AA1 K W ER0 D',
+    aye: 'AY1',
+    b: 'B IY1',
+    babe: 'B EY1 B',
+    babies: 'B EY1 B IY0 Z',
+    baby: 'B EY1 B IY0',
+    bachelor: 'B AE1 CH AH0 L ER0',
+    back: 'B AE1 K',
+    background: 'B AE1 K G R AW2 N D',
+    backup: 'B AE1 K AH2 P',
+    backwards: 'B AE1 K W ER0 D Z',
+    bacon: 'B EY1 K AH0 N',
+    bad: 'B AE1 D',
+    badge: 'B AE1 JH',
+    badly: 'B AE1 D L IY0',
+    bag: 'B AE1 G',
+    bags: 'B AE1 G Z',
+    bail: 'B EY1 L',
+    bait: 'B EY1 T',
+    baker: 'B EY1 K ER0',
+    balance: 'B AE1 L AH0 N S',
+    bald: 'B AO1 L D',
+    ball: 'B AO1 L',
+    ballet: 'B AE0 L EY1',
+    balloon: 'B AH0 L UW1 N',
+    balls: 'B AO1 L Z',
+    banana: 'B AH0 N AE1 N AH0',
+    band: 'B AE1 N D',
+    bang: 'B AE1 NG',
+    banging: 'B AE1 NG IH0 NG',
+    bank: 'B AE1 NG K',
+    banks: 'B AE1 NG K S',
+    bar: 'B AA1 R',
+    barbara: 'B AA1 R B ER0 AH0',
+    barbecue: 'B AA1 R B IH0 K Y UW2',
+    bare: 'B EH1 R',
+    barely: 'B EH1 R L IY0',
+    bargain: 'B AA1 R G AH0 N',
+    barking: 'B AA1 R K IH0 NG',
+    barn: 'B AA1 R N',
+    barney: 'B AA1 R N IY0',
+    baron: 'B AE1 R AH0 N',
+    barrel: 'B AE1 R AH0 L',
+    barry: 'B AE1 R IY0',
+    bars: 'B AA1 R Z',
+    bartender: 'B AA1 R T EH2 N D ER0',
+    base: 'B EY1 S',
+    baseball: 'B EY1 S B AO1 L',
+    based: 'B EY1 S T',
+    basement: 'B EY1 S M AH0 N T',
+    basic: 'B EY1 S IH0 K',
+    basically: 'B EY1 S IH0 K L IY0',
+    basis: 'B EY1 S AH0 S',
+    basket: 'B AE1 S K AH0 T',
+    basketball: 'B AE1 S K AH0 T B AO2 L',
+    bastard: 'B AE1 S T ER0 D',
+    bastards: 'B AE1 S T ER0 D Z',
+    bat: 'B AE1 T',
+    bath: 'B AE1 TH',
+    bathroom: 'B AE1 TH R UW2 M',
+    battery: 'B AE1 T ER0 IY0',
+    battle: 'B AE1 T AH0 L',
+    bay: 'B EY1',
+    be: 'B IY1',
+    beach: 'B IY1 CH',
+    beam: 'B IY1 M',
+    beans: 'B IY1 N Z',
+    bear: 'B EH1 R',
+    beard: 'B IH1 R D',
+    bearing: 'B EH1 R IH0 NG',
+    bears: 'B EH1 R Z',
+    beast: 'B IY1 S T',
+    beat: 'B IY1 T',
+    beaten: 'B IY1 T AH0 N',
+    beating: 'B IY1 T IH0 NG',
+    beats: 'B IY1 T S',
+    beautiful: 'B Y UW1 T AH0 F AH0 L',
+    beauty: 'B Y UW1 T IY0',
+    became: 'B IH0 K EY1 M',
+    because: 'B IH0 K AO1 Z',
+    become: 'B IH0 K AH1 M',
+    becomes: 'B IH0 K AH1 M Z',
+    becoming: 'B IH0 K AH1 M IH0 NG',
+    bed: 'B EH1 D',
+    bedroom: 'B EH1 D R UW2 M',
+    beds: 'B EH1 D Z',
+    bee: 'B IY1',
+    beef: 'B IY1 F',
+    been: 'B IH1 N',
+    beer: 'B IH1 R',
+    beers: 'B IH1 R Z',
+    before: 'B IH0 F AO1 R',
+    beg: 'B EH1 G',
+    began: 'B IH0 G AE1 N',
+    begging: 'B EH1 G IH0 NG',
+    begin: 'B IH0 G IH1 N',
+    beginning: 'B IH0 G IH1 N IH0 NG',
+    begins: 'B IH0 G IH1 N Z',
+    begun: 'B IH0 G AH1 N',
+    behalf: 'B IH0 HH AE1 F',
+    behave: 'B IH0 HH EY1 V',
+    behavior: 'B IH0 HH EY1 V Y ER0',
+    behind: 'B IH0 HH AY1 N D',
+    being: 'B IY1 IH0 NG',
+    beings: 'B IY1 IH0 NG Z',
+    believe: 'B IH0 L IY1 V',
+    believed: 'B IH0 L IY1 V D',
+    believes: 'B IH0 L IY1 V Z',
+    believing: 'B IH0 L IY1 V IH0 NG',
+    bell: 'B EH1 L',
+    bells: 'B EH1 L Z',
+    belly: 'B EH1 L IY0',
+    belong: 'B IH0 L AO1 NG',
+    belonged: 'B IH0 L AO1 NG D',
+    belongs: 'B IH0 L AO1 NG Z',
+    beloved: 'B IH0 L AH1 V D',
+    below: 'B IH0 L OW1',
+    belt: 'B EH1 L T',
+    ben: 'B EH1 N',
+    bench: 'B EH1 N CH',
+    bend: 'B EH1 N D',
+    beneath: 'B IH0 N IY1 TH',
+    benefit: 'B EH1 N AH0 F IH0 T',
+    benjamin: 'B EH1 N JH AH0 M AH0 N',
+    benny: 'B EH1 N IY0',
+    berlin: 'B ER0 L IH1 N',
+    bernard: 'B ER0 N AA1 R D',
+    beside: 'B IH0 S AY1 D',
+    besides: 'B IH0 S AY1 D Z',
+    best: 'B EH1 S T',
+    bet: 'B EH1 T',
+    beth: 'B EH1 TH',
+    betray: 'B IH0 T R EY1',
+    betrayed: 'B IH0 T R EY1 D',
+    bets: 'B EH1 T S',
+    better: 'B EH1 T ER0',
+    betting: 'B EH1 T IH0 NG',
+    betty: 'B EH1 T IY0',
+    between: 'B IH0 T W IY1 N',
+    beyond: 'B IH0 AA1 N D',
+    bible: 'B AY1 B AH0 L',
+    bid: 'B IH1 D',
+    big: 'B IH1 G',
+    bigger: 'B IH1 G ER0',
+    biggest: 'B IH1 G AH0 S T',
+    bike: 'B AY1 K',
+    bill: 'B IH1 L',
+    billion: 'B IH1 L Y AH0 N',
+    bills: 'B IH1 L Z',
+    billy: 'B IH1 L IY0',
+    bingo: 'B IH1 NG G OW0',
+    bird: 'B ER1 D',
+    birds: 'B ER1 D Z',
+    birth: 'B ER1 TH',
+    birthday: 'B ER1 TH D EY2',
+    bishop: 'B IH1 SH AH0 P',
+    bit: 'B IH1 T',
+    bitch: 'B IH1 CH',
+    bitches: 'B IH1 CH IH0 Z',
+    bite: 'B AY1 T',
+    bits: 'B IH1 T S',
+    bitter: 'B IH1 T ER0',
+    black: 'B L AE1 K',
+    blade: 'B L EY1 D',
+    blah: 'B L AA1',
+    blake: 'B L EY1 K',
+    blame: 'B L EY1 M',
+    blanche: 'B L AE1 N CH',
+    blank: 'B L AE1 NG K',
+    blanket: 'B L AE1 NG K AH0 T',
+    blast: 'B L AE1 S T',
+    bleed: 'B L IY1 D',
+    bleeding: 'B L IY1 D IH0 NG',
+    bless: 'B L EH1 S',
+    blessed: 'B L EH1 S T',
+    blessing: 'B L EH1 S IH0 NG',
+    blew: 'B L UW1',
+    blind: 'B L AY1 N D',
+    block: 'B L AA1 K',
+    blocks: 'B L AA1 K S',
+    blond: 'B L AA1 N D',
+    blonde: 'B L AA1 N D',
+    blood: 'B L AH1 D',
+    bloody: 'B L AH1 D IY0',
+    blow: 'B L OW1',
+    blowing: 'B L OW1 IH0 NG',
+    blown: 'B L OW1 N',
+    blows: 'B L OW1 Z',
+    blue: 'B L UW1',
+    blues: 'B L UW1 Z',
+    bo: 'B OW1',
+    board: 'B AO1 R D',
+    boarding: 'B AO1 R D IH0 NG',
+    boat: 'B OW1 T',
+    boats: 'B OW1 T S',
+    bob: 'B AA1 B',
+    bobby: 'B AA1 B IY0',
+    bodies: 'B AA1 D IY0 Z',
+    body: 'B AA1 D IY0',
+    bomb: 'B AA1 M',
+    bombs: 'B AA1 M Z',
+    bond: 'B AA1 N D',
+    bone: 'B OW1 N',
+    bones: 'B OW1 N Z',
+    bonnie: 'B AA1 N IY0',
+    bonus: 'B OW1 N AH0 S',
+    boo: 'B UW1',
+    book: 'B UH1 K',
+    booked: 'B UH1 K T',
+    books: 'B UH1 K S',
+    boom: 'B UW1 M',
+    boot: 'B UW1 T',
+    booth: 'B UW1 TH',
+    boots: 'B UW1 T S',
+    booze: 'B UW1 Z',
+    border: 'B AO1 R D ER0',
+    bored: 'B AO1 R D',
+    boring: 'B AO1 R IH0 NG',
+    born: 'B AO1 R N',
+    borrow: 'B AA1 R OW2',
+    borrowed: 'B AA1 R OW2 D',
+    boss: 'B AA1 S',
+    boston: 'B AA1 S T AH0 N',
+    both: 'B OW1 TH',
+    bother: 'B AA1 DH ER0',
+    bothered: 'B AA1 DH ER0 D',
+    bothering: 'B AA1 DH ER0 IH0 NG',
+    bottle: 'B AA1 T AH0 L',
+    bottles: 'B AA1 T AH0 L Z',
+    bottom: 'B AA1 T AH0 M',
+    bought: 'B AA1 T',
+    bounce: 'B AW1 N S',
+    bound: 'B AW1 N D',
+    bout: 'B AW1 T',
+    bow: 'B AW1',
+    bowl: 'B OW1 L',
+    bowling: 'B OW1 L IH0 NG',
+    box: 'B AA1 K S',
+    boxes: 'B AA1 K S AH0 Z',
+    boy: 'B OY1',
+    boyfriend: 'B OY1 F R EH2 N D',
+    boys: 'B OY1 Z',
+    bra: 'B R AA1',
+    brad: 'B R AE1 D',
+    brain: 'B R EY1 N',
+    brains: 'B R EY1 N Z',
+    branch: 'B R AE1 N CH',
+    brand: 'B R AE1 N D',
+    brandon: 'B R AE1 N D AH0 N',
+    brandy: 'B R AE1 N D IY0',
+    brass: 'B R AE1 S',
+    brave: 'B R EY1 V',
+    bravo: 'B R AA1 V OW0',
+    bread: 'B R EH1 D',
+    break: 'B R EY1 K',
+    breakfast: 'B R EH1 K F AH0 S T',
+    breaking: 'B R EY1 K IH0 NG',
+    breaks: 'B R EY1 K S',
+    breast: 'B R EH1 S T',
+    breasts: 'B R EH1 S T S',
+    breath: 'B R EH1 TH',
+    breathe: 'B R IY1 DH',
+    breathing: 'B R IY1 DH IH0 NG',
+    bree: 'B R IY1',
+    bret: 'B R EH1 T',
+    brian: 'B R AY1 AH0 N',
+    brick: 'B R IH1 K',
+    bride: 'B R AY1 D',
+    bridge: 'B R IH1 JH',
+    brief: 'B R IY1 F',
+    briefcase: 'B R IY1 F K EY2 S',
+    bright: 'B R AY1 T',
+    brilliant: 'B R IH1 L Y AH0 N T',
+    bring: 'B R IH1 NG',
+    bringing: 'B R IH1 NG IH0 NG',
+    brings: 'B R IH1 NG Z',
+    british: 'B R IH1 T IH0 SH',
+    bro: 'B R OW1',
+    broad: 'B R AO1 D',
+    broadcast: 'B R AO1 D K AE2 S T',
+    broadway: 'B R AO1 D W EY2',
+    broke: 'B R OW1 K',
+    broken: 'B R OW1 K AH0 N',
+    brooklyn: 'B R UH1 K L AH0 N',
+    brooks: 'B R UH1 K S',
+    brother: 'B R AH1 DH ER0',
+    brothers: 'B R AH1 DH ER0 Z',
+    brought: 'B R AO1 T',
+    brown: 'B R AW1 N',
+    bruce: 'B R UW1 S',
+    brush: 'B R AH1 SH',
+    bubbles: 'B AH1 B AH0 L Z',
+    buck: 'B AH1 K',
+    bucket: 'B AH1 K AH0 T',
+    bucks: 'B AH1 K S',
+    bud: 'B AH1 D',
+    buddies: 'B AH1 D IY0 Z',
+    buddy: 'B AH1 D IY0',
+    budget: 'B AH1 JH IH0 T',
+    buffalo: 'B AH1 F AH0 L OW2',
+    bug: 'B AH1 G',
+    bugs: 'B AH1 G Z',
+    build: 'B IH1 L D',
+    building: 'B IH1 L D IH0 NG',
+    buildings: 'B IH1 L D IH0 NG Z',
+    built: 'B IH1 L T',
+    bull: 'B UH1 L',
+    bullet: 'B UH1 L AH0 T',
+    bullets: 'B UH1 L AH0 T S',
+    bullshit: 'B UH1 L SH IH2 T',
+    bum: 'B AH1 M',
+    bump: 'B AH1 M P',
+    bunch: 'B AH1 N CH',
+    bundy: 'B AH1 N D IY0',
+    bunny: 'B AH1 N IY0',
+    burden: 'B ER1 D AH0 N',
+    bureau: 'B Y UH1 R OW0',
+    burger: 'B ER1 G ER0',
+    buried: 'B EH1 R IY0 D',
+    burke: 'B ER1 K',
+    burn: 'B ER1 N',
+    burned: 'B ER1 N D',
+    burning: 'B ER1 N IH0 NG',
+    burns: 'B ER1 N Z',
+    burnt: 'B ER1 N T',
+    burst: 'B ER1 S T',
+    burt: 'B ER1 T',
+    bury: 'B EH1 R IY0',
+    bus: 'B AH1 S',
+    bush: 'B UH1 SH',
+    business: 'B IH1 Z N AH0 S',
+    bust: 'B AH1 S T',
+    busted: 'B AH1 S T IH0 D',
+    buster: 'B AH1 S T ER0',
+    busy: 'B IH1 Z IY0',
+    but: 'B AH1 T',
+    butcher: 'B UH1 CH ER0',
+    butler: 'B AH1 T L ER0',
+    butt: 'B AH1 T',
+    butter: 'B AH1 T ER0',
+    button: 'B AH1 T AH0 N',
+    buttons: 'B AH1 T AH0 N Z',
+    buy: 'B AY1',
+    buying: 'B AY1 IH0 NG',
+    buzz: 'B AH1 Z',
+    by: 'B AY1',
+    bye: 'B AY1',
+    c: 'S IY1',
+    cab: 'K AE1 B',
+    cabin: 'K AE1 B AH0 N',
+    cabinet: 'K AE1 B AH0 N AH0 T',
+    cable: 'K EY1 B AH0 L',
+    caesar: 'S IY1 Z ER0',
+    cage: 'K EY1 JH',
+    cake: 'K EY1 K',
+    cal: 'K AE1 L',
+    california: 'K AE2 L AH0 F AO1 R N Y AH0',
+    call: 'K AO1 L',
+    called: 'K AO1 L D',
+    calling: 'K AO1 L IH0 NG',
+    calls: 'K AO1 L Z',
+    calm: 'K AA1 M',
+    calvin: 'K AE1 L V AH0 N',
+    came: 'K EY1 M',
+    camera: 'K AE1 M ER0 AH0',
+    cameras: 'K AE1 M ER0 AH0 Z',
+    camp: 'K AE1 M P',
+    campaign: 'K AE0 M P EY1 N',
+    campus: 'K AE1 M P AH0 S',
+    can: 'K AE1 N',
+    canada: 'K AE1 N AH0 D AH0',
+    cancel: 'K AE1 N S AH0 L',
+    cancer: 'K AE1 N S ER0',
+    candidate: 'K AE1 N D AH0 D EY0 T',
+    candles: 'K AE1 N D AH0 L Z',
+    candy: 'K AE1 N D IY0',
+    cane: 'K EY1 N',
+    cannon: 'K AE1 N AH0 N',
+    cannot: 'K AE1 N AA0 T',
+    canyon: 'K AE1 N Y AH0 N',
+    cap: 'K AE1 P',
+    capable: 'K EY1 P AH0 B AH0 L',
+    capacity: 'K AH0 P AE1 S AH0 T IY0',
+    cape: 'K EY1 P',
+    capital: 'K AE1 P AH0 T AH0 L',
+    captain: 'K AE1 P T AH0 N',
+    capture: 'K AE1 P CH ER0',
+    captured: 'K AE1 P CH ER0 D',
+    car: 'K AA1 R',
+    card: 'K AA1 R D',
+    cards: 'K AA1 R D Z',
+    care: 'K EH1 R',
+    cared: 'K EH1 R D',
+    career: 'K ER0 IH1 R',
+    careful: 'K EH1 R F AH0 L',
+    carefully: 'K EH1 R F AH0 L IY0',
+    cares: 'K EH1 R Z',
+    cargo: 'K AA1 R G OW2',
+    carl: 'K AA1 R L',
+    carmen: 'K AA1 R M AH0 N',
+    carol: 'K AE1 R AH0 L',
+    caroline: 'K EH1 R AH0 L AY2 N',
+    carpet: 'K AA1 R P AH0 T',
+    carried: 'K AE1 R IY0 D',
+    carry: 'K AE1 R IY0',
+    carrying: 'K AE1 R IY0 IH0 NG',
+    cars: 'K AA1 R Z',
+    cart: 'K AA1 R T',
+    carter: 'K AA1 R T ER0',
+    case: 'K EY1 S',
+    cases: 'K EY1 S AH0 Z',
+    cash: 'K AE1 SH',
+    casino: 'K AH0 S IY1 N OW0',
+    cast: 'K AE1 S T',
+    castle: 'K AE1 S AH0 L',
+    cat: 'K AE1 T',
+    catch: 'K AE1 CH',
+    catching: 'K AE1 CH IH0 NG',
+    catherine: 'K AE1 TH ER0 AH0 N',
+    catholic: 'K AE1 TH L IH0 K',
+    cathy: 'K AE1 TH IY0',
+    cats: 'K AE1 T S',
+    cattle: 'K AE1 T AH0 L',
+    caught: 'K AA1 T',
+    cause: 'K AA1 Z',
+    caused: 'K AA1 Z D',
+    causes: 'K AA1 Z AH0 Z',
+    causing: 'K AA1 Z IH0 NG',
+    cave: 'K EY1 V',
+    cd: 'S IY2 D IY1',
+    cease: 'S IY1 S',
+    ceiling: 'S IY1 L IH0 NG',
+    celebrate: 'S EH1 L AH0 B R EY2 T',
+    celebrating: 'S EH1 L AH0 B R EY2 T IH0 NG',
+    celebration: 'S EH2 L AH0 B R EY1 SH AH0 N',
+    cell: 'S EH1 L',
+    cellar: 'S EH1 L ER0',
+    cells: 'S EH1 L Z',
+    cemetery: 'S EH1 M AH0 T EH2 R IY0',
+    cent: 'S EH1 N T',
+    center: 'S EH1 N T ER0',
+    central: 'S EH1 N T R AH0 L',
+    centre: 'S EH1 N T ER0',
+    cents: 'S EH1 N T S',
+    century: 'S EH1 N CH ER0 IY0',
+    ceremony: 'S EH1 R AH0 M OW2 N IY0',
+    certain: 'S ER1 T AH0 N',
+    certainly: 'S ER1 T AH0 N L IY0',
+    certificate: 'S ER0 T IH1 F IH0 K AH0 T',
+    chain: 'CH EY1 N',
+    chair: 'CH EH1 R',
+    chairman: 'CH EH1 R M AH0 N',
+    chairs: 'CH EH1 R Z',
+    challenge: 'CH AE1 L AH0 N JH',
+    chamber: 'CH EY1 M B ER0',
+    champ: 'CH AE1 M P',
+    champagne: 'SH AE0 M P EY1 N',
+    champion: 'CH AE1 M P IY0 AH0 N',
+    championship: 'CH AE1 M P IY0 AH0 N SH IH2 P',
+    chan: 'CH AE1 N',
+    chance: 'CH AE1 N S',
+    chances: 'CH AE1 N S AH0 Z',
+    chandler: 'CH AE1 N D L ER0',
+    change: 'CH EY1 N JH',
+    changed: 'CH EY1 N JH D',
+    changes: 'CH EY1 N JH AH0 Z',
+    changing: 'CH EY1 N JH IH0 NG',
+    channel: 'CH AE1 N AH0 L',
+    chaos: 'K EY1 AA0 S',
+    chapter: 'CH AE1 P T ER0',
+    character: 'K EH1 R IH0 K T ER0',
+    characters: 'K AE1 R AH0 K T ER0 Z',
+    charge: 'CH AA1 R JH',
+    charged: 'CH AA1 R JH D',
+    charges: 'CH AA1 R JH AH0 Z',
+    charity: 'CH EH1 R IH0 T IY0',
+    charles: 'CH AA1 R L Z',
+    charley: 'CH AA1 R L IY0',
+    charlie: 'CH AA1 R L IY0',
+    charlotte: 'SH AA1 R L AH0 T',
+    charm: 'CH AA1 R M',
+    charming: 'CH AA1 R M IH0 NG',
+    chart: 'CH AA1 R T',
+    chase: 'CH EY1 S',
+    chased: 'CH EY1 S T',
+    chasing: 'CH EY1 S IH0 NG',
+    chat: 'CH AE1 T',
+    cheap: 'CH IY1 P',
+    cheat: 'CH IY1 T',
+    cheated: 'CH IY1 T AH0 D',
+    cheating: 'CH IY1 T IH0 NG',
+    check: 'CH EH1 K',
+    checked: 'CH EH1 K T',
+    checking: 'CH EH1 K IH0 NG',
+    checks: 'CH EH1 K S',
+    cheer: 'CH IH1 R',
+    cheering: 'CH IH1 R IH0 NG',
+    cheers: 'CH IH1 R Z',
+    cheese: 'CH IY1 Z',
+    chef: 'SH EH1 F',
+    chemical: 'K EH1 M AH0 K AH0 L',
+    chemistry: 'K EH1 M AH0 S T R IY0',
+    cherry: 'CH EH1 R IY0',
+    chest: 'CH EH1 S T',
+    chew: 'CH UW1',
+    chicago: 'SH AH0 K AA1 G OW2',
+    chick: 'CH IH1 K',
+    chicken: 'CH IH1 K AH0 N',
+    chickens: 'CH IH1 K AH0 N Z',
+    chicks: 'CH IH1 K S',
+    chief: 'CH IY1 F',
+    child: 'CH AY1 L D',
+    childhood: 'CH AY1 L D HH UH2 D',
+    children: 'CH IH1 L D R AH0 N',
+    chill: 'CH IH1 L',
+    chin: 'CH IH1 N',
+    china: 'CH AY1 N AH0',
+    chinese: 'CH AY0 N IY1 Z',
+    chip: 'CH IH1 P',
+    chips: 'CH IH1 P S',
+    chloe: 'K L OW1 IY0',
+    chocolate: 'CH AO1 K L AH0 T',
+    choice: 'CH OY1 S',
+    choices: 'CH OY1 S AH0 Z',
+    choose: 'CH UW1 Z',
+    chop: 'CH AA1 P',
+    chopper: 'CH AA1 P ER0',
+    chose: 'CH OW1 Z',
+    chosen: 'CH OW1 Z AH0 N',
+    christ: 'K R AY1 S T',
+    christian: 'K R IH1 S CH AH0 N',
+    christmas: 'K R IH1 S M AH0 S',
+    christopher: 'K R IH1 S T AH0 F ER0',
+    chuck: 'CH AH1 K',
+    chuckles: 'CH AH1 K AH0 L Z',
+    church: 'CH ER1 CH',
+    cigar: 'S IH0 G AA1 R',
+    cigarette: 'S IH2 G ER0 EH1 T',
+    cigarettes: 'S IH2 G ER0 EH1 T S',
+    circle: 'S ER1 K AH0 L',
+    circumstances: 'S ER1 K AH0 M S T AE2 N S AH0 Z',
+    circus: 'S ER1 K AH0 S',
+    cities: 'S IH1 T IY0 Z',
+    citizen: 'S IH1 T AH0 Z AH0 N',
+    citizens: 'S IH1 T AH0 Z AH0 N Z',
+    city: 'S IH1 T IY0',
+    civil: 'S IH1 V AH0 L',
+    civilian: 'S AH0 V IH1 L Y AH0 N',
+    civilization: 'S IH2 V AH0 L IH0 Z EY1 SH AH0 N',
+    claim: 'K L EY1 M',
+    claims: 'K L EY1 M Z',
+    claire: 'K L EH1 R',
+    clarence: 'K L EH1 R AH0 N S',
+    clark: 'K L AA1 R K',
+    class: 'K L AE1 S',
+    classes: 'K L AE1 S AH0 Z',
+    classic: 'K L AE1 S IH0 K',
+    claus: 'K L AO1 Z',
+    clay: 'K L EY1',
+    clean: 'K L IY1 N',
+    cleaned: 'K L IY1 N D',
+    cleaning: 'K L IY1 N IH0 NG',
+    clear: 'K L IH1 R',
+    cleared: 'K L IH1 R D',
+    clearly: 'K L IH1 R L IY0',
+    clerk: 'K L ER1 K',
+    cleveland: 'K L IY1 V L AH0 N D',
+    clever: 'K L EH1 V ER0',
+    client: 'K L AY1 AH0 N T',
+    clients: 'K L AY1 AH0 N T S',
+    cliff: 'K L IH1 F',
+    climb: 'K L AY1 M',
+    clinic: 'K L IH1 N IH0 K',
+    clock: 'K L AA1 K',
+    close: 'K L OW1 S',
+    closed: 'K L OW1 Z D',
+    closely: 'K L OW1 S L IY0',
+    closer: 'K L OW1 S ER0',
+    closest: 'K L OW1 S AH0 S T',
+    closet: 'K L AA1 Z AH0 T',
+    closing: 'K L OW1 Z IH0 NG',
+    clothes: 'K L OW1 DH Z',
+    clothing: 'K L OW1 DH IH0 NG',
+    cloud: 'K L AW1 D',
+    clouds: 'K L AW1 D Z',
+    clown: 'K L AW1 N',
+    club: 'K L AH1 B',
+    clubs: 'K L AH1 B Z',
+    clue: 'K L UW1',
+    coach: 'K OW1 CH',
+    coast: 'K OW1 S T',
+    coat: 'K OW1 T',
+    cocaine: 'K OW0 K EY1 N',
+    cock: 'K AA1 K',
+    cocksucker: 'K AA1 K S AH2 K ER0',
+    cocktail: 'K AA1 K T EY2 L',
+    code: 'K OW1 D',
+    codes: 'K OW1 D Z',
+    coffee: 'K AA1 F IY0',
+    coffin: 'K AO1 F IH0 N',
+    cohen: 'K OW1 AH0 N',
+    coin: 'K OY1 N',
+    coincidence: 'K OW0 IH1 N S IH0 D AH0 N S',
+    coke: 'K OW1 K',
+    cold: 'K OW1 L D',
+    cole: 'K OW1 L',
+    colin: 'K OW1 L IH0 N',
+    collar: 'K AA1 L ER0',
+    collect: 'K AH0 L EH1 K T',
+    collection: 'K AH0 L EH1 K SH AH0 N',
+    college: 'K AA1 L IH0 JH',
+    collins: 'K AA1 L IH0 N Z',
+    colonel: 'K ER1 N AH0 L',
+    color: 'K AH1 L ER0',
+    colors: 'K AH1 L ER0 Z',
+    colour: 'K AH1 L ER0',
+    columbo: 'K OW2 L AH1 M B OW0',
+    column: 'K AA1 L AH0 M',
+    com: 'K AA1 M',
+    coma: 'K OW1 M AH0',
+    combat: 'K AA1 M B AE0 T',
+    combination: 'K AA2 M B AH0 N EY1 SH AH0 N',
+    come: 'K AH1 M',
+    comedy: 'K AA1 M AH0 D IY0',
+    comes: 'K AH1 M Z',
+    comfort: 'K AH1 M F ER0 T',
+    comfortable: 'K AH1 M F ER0 T AH0 B AH0 L',
+    comic: 'K AA1 M IH0 K',
+    coming: 'K AH1 M IH0 NG',
+    command: 'K AH0 M AE1 N D',
+    commander: 'K AH0 M AE1 N D ER0',
+    comment: 'K AA1 M EH0 N T',
+    commercial: 'K AH0 M ER1 SH AH0 L',
+    commission: 'K AH0 M IH1 SH AH0 N',
+    commissioner: 'K AH0 M IH1 SH AH0 N ER0',
+    commit: 'K AH0 M IH1 T',
+    commitment: 'K AH0 M IH1 T M AH0 N T',
+    committed: 'K AH0 M IH1 T IH0 D',
+    committee: 'K AH0 M IH1 T IY0',
+    common: 'K AA1 M AH0 N',
+    communicate: 'K AH0 M Y UW1 N AH0 K EY2 T',
+    communication: 'K AH0 M Y UW2 N AH0 K EY1 SH AH0 N',
+    community: 'K AH0 M Y UW1 N AH0 T IY0',
+    companies: 'K AH1 M P AH0 N IY2 Z',
+    company: 'K AH1 M P AH0 N IY2',
+    compare: 'K AH0 M P EH1 R',
+    compared: 'K AH0 M P EH1 R D',
+    compete: 'K AH0 M P IY1 T',
+    competition: 'K AA2 M P AH0 T IH1 SH AH0 N',
+    complain: 'K AH0 M P L EY1 N',
+    complaining: 'K AH0 M P L EY1 N IH0 NG',
+    complaint: 'K AH0 M P L EY1 N T',
+    complete: 'K AH0 M P L IY1 T',
+    completely: 'K AH0 M P L IY1 T L IY0',
+    complex: 'K AA1 M P L EH0 K S',
+    complicated: 'K AA1 M P L AH0 K EY2 T AH0 D',
+    compliment: 'K AA1 M P L AH0 M EH0 N T',
+    computer: 'K AH0 M P Y UW1 T ER0',
+    computers: 'K AH0 M P Y UW1 T ER0 Z',
+    comrade: 'K AA1 M R AE2 D',
+    con: 'K AA1 N',
+    concentrate: 'K AA1 N S AH0 N T R EY2 T',
+    concept: 'K AA1 N S EH0 P T',
+    concern: 'K AH0 N S ER1 N',
+    concerned: 'K AH0 N S ER1 N D',
+    concerns: 'K AH0 N S ER1 N Z',
+    concert: 'K AA1 N S ER0 T',
+    conclusion: 'K AH0 N K L UW1 ZH AH0 N',
+    condition: 'K AH0 N D IH1 SH AH0 N',
+    conditions: 'K AH0 N D IH1 SH AH0 N Z',
+    conduct: 'K AA1 N D AH0 K T',
+    conference: 'K AA1 N F ER0 AH0 N S',
+    confess: 'K AH0 N F EH1 S',
+    confession: 'K AH0 N F EH1 SH AH0 N',
+    confidence: 'K AA1 N F AH0 D AH0 N S',
+    confident: 'K AA1 N F AH0 D AH0 N T',
+    confirm: 'K AH0 N F ER1 M',
+    confirmed: 'K AH0 N F ER1 M D',
+    conflict: 'K AA1 N F L IH0 K T',
+    confused: 'K AH0 N F Y UW1 Z D',
+    confusing: 'K AH0 N F Y UW1 Z IH0 NG',
+    congratulations: 'K AH0 N G R AE2 CH AH0 L EY1 SH AH0 N Z',
+    congress: 'K AA1 NG G R AH0 S',
+    connect: 'K AH0 N EH1 K T',
+    connected: 'K AH0 N EH1 K T IH0 D',
+    connection: 'K AH0 N EH1 K SH AH0 N',
+    connie: 'K AO1 N IY0',
+    conscience: 'K AA1 N SH AH0 N S',
+    consciousness: 'K AA1 N SH AH0 S N AH0 S',
+    consequences: 'K AA1 N S AH0 K W EH2 N S AH0 Z',
+    consider: 'K AH0 N S IH1 D ER0',
+    considered: 'K AH0 N S IH1 D ER0 D',
+    considering: 'K AH0 N S IH1 D ER0 IH0 NG',
+    conspiracy: 'K AH0 N S P IH1 R AH0 S IY0',
+    constant: 'K AA1 N S T AH0 N T',
+    constantly: 'K AA1 N S T AH0 N T L IY0',
+    construction: 'K AH0 N S T R AH1 K SH AH0 N',
+    contact: 'K AA1 N T AE2 K T',
+    contest: 'K AA1 N T EH0 S T',
+    continue: 'K AH0 N T IH1 N Y UW0',
+    continues: 'K AH0 N T IH1 N Y UW0 Z',
+    contract: 'K AA1 N T R AE2 K T',
+    contrary: 'K AA1 N T R EH0 R IY0',
+    control: 'K AH0 N T R OW1 L',
+    convenient: 'K AH0 N V IY1 N Y AH0 N T',
+    convention: 'K AH0 N V EH1 N SH AH0 N',
+    conversation: 'K AA2 N V ER0 S EY1 SH AH0 N',
+    convicted: 'K AH0 N V IH1 K T AH0 D',
+    convince: 'K AH0 N V IH1 N S',
+    convinced: 'K AH0 N V IH1 N S T',
+    cook: 'K UH1 K',
+    cooked: 'K UH1 K T',
+    cookie: 'K UH1 K IY0',
+    cookies: 'K UH1 K IY0 Z',
+    cooking: 'K UH1 K IH0 NG',
+    cool: 'K UW1 L',
+    coop: 'K UW1 P',
+    cooper: 'K UW1 P ER0',
+    cooperate: 'K OW0 AA1 P ER0 EY2 T',
+    cop: 'K AA1 P',
+    copies: 'K AA1 P IY0 Z',
+    cops: 'K AA1 P S',
+    copy: 'K AA1 P IY0',
+    core: 'K AO1 R',
+    corn: 'K AO1 R N',
+    corner: 'K AO1 R N ER0',
+    coroner: 'K AO1 R AH0 N ER0',
+    corporal: 'K AO1 R P ER0 AH0 L',
+    corporate: 'K AO1 R P ER0 AH0 T',
+    corps: 'K AO1 R',
+    corpse: 'K AO1 R P S',
+    correct: 'K ER0 EH1 K T',
+    cos: 'K AO1 S',
+    cost: 'K AA1 S T',
+    costs: 'K AA1 S T S',
+    costume: 'K AA0 S T UW1 M',
+    cotton: 'K AA1 T AH0 N',
+    couch: 'K AW1 CH',
+    cough: 'K AA1 F',
+    could: 'K UH1 D',
+    council: 'K AW1 N S AH0 L',
+    counsel: 'K AW1 N S AH0 L',
+    counselor: 'K AW1 N S AH0 L ER0',
+    count: 'K AW1 N T',
+    counter: 'K AW1 N T ER0',
+    counting: 'K AW1 N T IH0 NG',
+    countries: 'K AH1 N T R IY0 Z',
+    country: 'K AH1 N T R IY0',
+    counts: 'K AW1 N T S',
+    county: 'K AW1 N T IY0',
+    couple: 'K AH1 P AH0 L',
+    courage: 'K ER1 AH0 JH',
+    course: 'K AO1 R S',
+    court: 'K AO1 R T',
+    courtesy: 'K ER1 T AH0 S IY0',
+    courtroom: 'K AO1 R T R UW2 M',
+    cousin: 'K AH1 Z AH0 N',
+    cover: 'K AH1 V ER0',
+    covered: 'K AH1 V ER0 D',
+    covering: 'K AH1 V ER0 IH0 NG',
+    covers: 'K AH1 V ER0 Z',
+    cow: 'K AW1',
+    coward: 'K AW1 ER0 D',
+    cowboy: 'K AW1 B OY2',
+    cows: 'K AW1 Z',
+    crack: 'K R AE1 K',
+    cracked: 'K R AE1 K T',
+    crane: 'K R EY1 N',
+    crap: 'K R AE1 P',
+    crash: 'K R AE1 SH',
+    crashed: 'K R AE1 SH T',
+    crawl: 'K R AO1 L',
+    crawling: 'K R AO1 L IH0 NG',
+    crazy: 'K R EY1 Z IY0',
+    cream: 'K R IY1 M',
+    create: 'K R IY0 EY1 T',
+    created: 'K R IY0 EY1 T AH0 D',
+    creative: 'K R IY0 EY1 T IH0 V',
+    creature: 'K R IY1 CH ER0',
+    creatures: 'K R IY1 CH ER0 Z',
+    credit: 'K R EH1 D AH0 T',
+    creek: 'K R IY1 K',
+    creep: 'K R IY1 P',
+    creepy: 'K R IY1 P IY0',
+    crew: 'K R UW1',
+    cried: 'K R AY1 D',
+    crime: 'K R AY1 M',
+    crimes: 'K R AY1 M Z',
+    criminal: 'K R IH1 M AH0 N AH0 L',
+    criminals: 'K R IH1 M AH0 N AH0 L Z',
+    crisis: 'K R AY1 S AH0 S',
+    critical: 'K R IH1 T IH0 K AH0 L',
+    cross: 'K R AO1 S',
+    crossed: 'K R AO1 S T',
+    crossing: 'K R AO1 S IH0 NG',
+    crowd: 'K R AW1 D',
+    crowded: 'K R AW1 D AH0 D',
+    crown: 'K R AW1 N',
+    cruel: 'K R UW1 AH0 L',
+    cruise: 'K R UW1 Z',
+    crush: 'K R AH1 SH',
+    crushed: 'K R AH1 SH T',
+    cry: 'K R AY1',
+    crying: 'K R AY1 IH0 NG',
+    crystal: 'K R IH1 S T AH0 L',
+    cuddle: 'K AH1 D AH0 L',
+    culture: 'K AH1 L CH ER0',
+    cup: 'K AH1 P',
+    cure: 'K Y UH1 R',
+    curiosity: 'K Y UH2 R IY0 AA1 S AH0 T IY0',
+    curious: 'K Y UH1 R IY0 AH0 S',
+    current: 'K ER1 AH0 N T',
+    curse: 'K ER1 S',
+    curtain: 'K ER1 T AH0 N',
+    custody: 'K AH1 S T AH0 D IY0',
+    customer: 'K AH1 S T AH0 M ER0',
+    customers: 'K AH1 S T AH0 M ER0 Z',
+    cut: 'K AH1 T',
+    cute: 'K Y UW1 T',
+    cuts: 'K AH1 T S',
+    cutting: 'K AH1 T IH0 NG',
+    d: 'D IY1',
+    da: 'D AA1',
+    dad: 'D AE1 D',
+    dada: 'D AA1 D AA2',
+    daddy: 'D AE1 D IY0',
+    daily: 'D EY1 L IY0',
+    daisy: 'D EY1 Z IY0',
+    dale: 'D EY1 L',
+    dallas: 'D AE1 L AH0 S',
+    damage: 'D AE1 M AH0 JH',
+    damaged: 'D AE1 M AH0 JH D',
+    dame: 'D EY1 M',
+    damn: 'D AE1 M',
+    damned: 'D AE1 M D',
+    dan: 'D AE1 N',
+    dana: 'D EY1 N AH0',
+    dance: 'D AE1 N S',
+    danced: 'D AE1 N S T',
+    dancer: 'D AE1 N S ER0',
+    dancing: 'D AE1 N S IH0 NG',
+    danger: 'D EY1 N JH ER0',
+    dangerous: 'D EY1 N JH ER0 AH0 S',
+    daniel: 'D AE1 N Y AH0 L',
+    danny: 'D AE1 N IY0',
+    daphne: 'D AE1 F N IY0',
+    dare: 'D EH1 R',
+    dark: 'D AA1 R K',
+    darkness: 'D AA1 R K N AH0 S',
+    darling: 'D AA1 R L IH0 NG',
+    darn: 'D AA1 R N',
+    data: 'D EY1 T AH0',
+    date: 'D EY1 T',
+    dated: 'D EY1 T IH0 D',
+    dates: 'D EY1 T S',
+    dating: 'D EY1 T IH0 NG',
+    daughter: 'D AO1 T ER0',
+    daughters: 'D AO1 T ER0 Z',
+    dave: 'D EY1 V',
+    david: 'D EY1 V IH0 D',
+    davis: 'D EY1 V AH0 S',
+    dawn: 'D AO1 N',
+    day: 'D EY1',
+    daylight: 'D EY1 L AY2 T',
+    days: 'D EY1 Z',
+    de: 'D IY1',
+    dead: 'D EH1 D',
+    deadly: 'D EH1 D L IY0',
+    deaf: 'D EH1 F',
+    deal: 'D IY1 L',
+    dealer: 'D IY1 L ER0',
+    dealing: 'D IY1 L IH0 NG',
+    deals: 'D IY1 L Z',
+    dean: 'D IY1 N',
+    dear: 'D IH1 R',
+    death: 'D EH1 TH',
+    debate: 'D AH0 B EY1 T',
+    debbie: 'D EH1 B IY0',
+    debt: 'D EH1 T',
+    decent: 'D IY1 S AH0 N T',
+    decide: 'D IH2 S AY1 D',
+    decided: 'D IH2 S AY1 D IH0 D',
+    decision: 'D IH0 S IH1 ZH AH0 N',
+    decisions: 'D IH0 S IH1 ZH AH0 N Z',
+    deck: 'D EH1 K',
+    dedicated: 'D EH1 D AH0 K EY0 T AH0 D',
+    deed: 'D IY1 D',
+    deeds: 'D IY1 D Z',
+    deep: 'D IY1 P',
+    deeper: 'D IY1 P ER0',
+    deeply: 'D IY1 P L IY0',
+    deer: 'D IH1 R',
+    defeat: 'D IH0 F IY1 T',
+    defend: 'D IH0 F EH1 N D',
+    defendant: 'D IH0 F EH1 N D AH0 N T',
+    defense: 'D IH0 F EH1 N S',
+    definitely: 'D EH1 F AH0 N AH0 T L IY0',
+    degree: 'D IH0 G R IY1',
+    degrees: 'D IH0 G R IY1 Z',
+    del: 'D EH1 L',
+    delay: 'D IH0 L EY1',
+    delicate: 'D EH1 L AH0 K AH0 T',
+    delicious: 'D IH0 L IH1 SH AH0 S',
+    delighted: 'D IH0 L AY1 T AH0 D',
+    delightful: 'D IH0 L AY1 T F AH0 L',
+    deliver: 'D IH0 L IH1 V ER0',
+    delivered: 'D IH0 L IH1 V ER0 D',
+    delivery: 'D IH0 L IH1 V ER0 IY0',
+    delta: 'D EH1 L T AH0',
+    demand: 'D IH0 M AE1 N D',
+    demands: 'D IH0 M AE1 N D Z',
+    demon: 'D IY1 M AH0 N',
+    demons: 'D IY1 M AH0 N Z',
+    denied: 'D IH0 N AY1 D',
+    dennis: 'D EH1 N IH0 S',
+    dentist: 'D EH1 N T AH0 S T',
+    denver: 'D EH1 N V ER0',
+    deny: 'D IH0 N AY1',
+    department: 'D IH0 P AA1 R T M AH0 N T',
+    depend: 'D IH0 P EH1 N D',
+    depends: 'D IH0 P EH1 N D Z',
+    deposit: 'D AH0 P AA1 Z IH0 T',
+    depressed: 'D IH0 P R EH1 S T',
+    depth: 'D EH1 P TH',
+    deputy: 'D EH1 P Y AH0 T IY0',
+    describe: 'D IH0 S K R AY1 B',
+    described: 'D IH0 S K R AY1 B D',
+    description: 'D IH0 S K R IH1 P SH AH0 N',
+    desert: 'D EH1 Z ER0 T',
+    deserve: 'D IH0 Z ER1 V',
+    deserved: 'D IH0 Z ER1 V D',
+    deserves: 'D IH0 Z ER1 V Z',
+    design: 'D IH0 Z AY1 N',
+    designed: 'D IH0 Z AY1 N D',
+    desire: 'D IH0 Z AY1 ER0',
+    desk: 'D EH1 S K',
+    desperate: 'D EH1 S P R IH0 T',
+    despite: 'D IH0 S P AY1 T',
+    dessert: 'D IH0 Z ER1 T',
+    destiny: 'D EH1 S T AH0 N IY0',
+    destroy: 'D IH0 S T R OY1',
+    destroyed: 'D IH0 S T R OY1 D',
+    destruction: 'D IH0 S T R AH1 K SH AH0 N',
+    detail: 'D IH0 T EY1 L',
+    details: 'D IH0 T EY1 L Z',
+    detective: 'D IH0 T EH1 K T IH0 V',
+    determine: 'D AH0 T ER1 M AH0 N',
+    determined: 'D IH0 T ER1 M AH0 N D',
+    detroit: 'D IH0 T R OY1 T',
+    develop: 'D IH0 V EH1 L AH0 P',
+    developed: 'D IH0 V EH1 L AH0 P T',
+    development: 'D IH0 V EH1 L AH0 P M AH0 N T',
+    device: 'D IH0 V AY1 S',
+    devil: 'D EH1 V AH0 L',
+    devon: 'D EH1 V AH0 N',
+    dial: 'D AY1 AH0 L',
+    diamond: 'D AY1 M AH0 N D',
+    diamonds: 'D AY1 M AH0 N D Z',
+    diana: 'D AY0 AE1 N AH0',
+    diane: 'D AY0 AE1 N',
+    diaper: 'D AY1 P ER0',
+    diary: 'D AY1 ER0 IY0',
+    dice: 'D AY1 S',
+    dick: 'D IH1 K',
+    did: 'D IH1 D',
+    die: 'D AY1',
+    died: 'D AY1 D',
+    diego: 'D IY0 EY1 G OW0',
+    dies: 'D AY1 Z',
+    diet: 'D AY1 AH0 T',
+    difference: 'D IH1 F ER0 AH0 N S',
+    different: 'D IH1 F ER0 AH0 N T',
+    differently: 'D IH1 F R AH0 N T L IY0',
+    difficult: 'D IH1 F AH0 K AH0 L T',
+    dig: 'D IH1 G',
+    digging: 'D IH1 G IH0 NG',
+    dignity: 'D IH1 G N AH0 T IY0',
+    dime: 'D AY1 M',
+    diner: 'D AY1 N ER0',
+    dining: 'D AY1 N IH0 NG',
+    dinner: 'D IH1 N ER0',
+    direct: 'D ER0 EH1 K T',
+    direction: 'D ER0 EH1 K SH AH0 N',
+    directions: 'D ER0 EH1 K SH AH0 N Z',
+    directly: 'D ER0 EH1 K T L IY0',
+    director: 'D ER0 EH1 K T ER0',
+    dirt: 'D ER1 T',
+    dirty: 'D ER1 T IY0',
+    disappear: 'D IH2 S AH0 P IH1 R',
+    disappeared: 'D IH2 S AH0 P IH1 R D',
+    disappoint: 'D IH2 S AH0 P OY1 N T',
+    disappointed: 'D IH2 S AH0 P OY1 N T IH0 D',
+    disaster: 'D IH0 Z AE1 S T ER0',
+    discipline: 'D IH1 S AH0 P L AH0 N',
+    discover: 'D IH0 S K AH1 V ER0',
+    discovered: 'D IH0 S K AH1 V ER0 D',
+    discovery: 'D IH0 S K AH1 V ER0 IY0',
+    discuss: 'D IH0 S K AH1 S',
+    discussed: 'D IH0 S K AH1 S T',
+    discussing: 'D IH0 S K AH1 S IH0 NG',
+    discussion: 'D IH0 S K AH1 SH AH0 N',
+    disease: 'D IH0 Z IY1 Z',
+    disgusting: 'D IH0 S G AH1 S T IH0 NG',
+    dish: 'D IH1 SH',
+    dishes: 'D IH1 SH AH0 Z',
+    dismissed: 'D IH0 S M IH1 S T',
+    display: 'D IH0 S P L EY1',
+    distance: 'D IH1 S T AH0 N S',
+    distant: 'D IH1 S T AH0 N T',
+    district: 'D IH1 S T R IH0 K T',
+    disturb: 'D IH0 S T ER1 B',
+    disturbed: 'D IH0 S T ER1 B D',
+    disturbing: 'D IH0 S T ER1 B IH0 NG',
+    dive: 'D AY1 V',
+    divine: 'D IH0 V AY1 N',
+    division: 'D IH0 V IH1 ZH AH0 N',
+    divorce: 'D IH0 V AO1 R S',
+    divorced: 'D IH0 V AO1 R S T',
+    dizzy: 'D IH1 Z IY0',
+    do: 'D UW1',
+    doc: 'D AA1 K',
+    dock: 'D AA1 K',
+    doctor: 'D AA1 K T ER0',
+    doctors: 'D AA1 K T ER0 Z',
+    document: 'D AA1 K Y AH0 M EH0 N T',
+    documents: 'D AA1 K Y AH0 M AH0 N T S',
+    does: 'D AH1 Z',
+    dog: 'D AO1 G',
+    dogs: 'D AA1 G Z',
+    doing: 'D UW1 IH0 NG',
+    doll: 'D AA1 L',
+    dollar: 'D AA1 L ER0',
+    dollars: 'D AA1 L ER0 Z',
+    don: 'D AA1 N',
+    donald: 'D AA1 N AH0 L D',
+    done: 'D AH1 N',
+    donna: 'D AA1 N AH0',
+    doomed: 'D UW1 M D',
+    door: 'D AO1 R',
+    doorbell: 'D AO1 R B EH2 L',
+    doors: 'D AO1 R Z',
+    dope: 'D OW1 P',
+    doris: 'D AO1 R AH0 S',
+    dorothy: 'D AO1 R AH0 TH IY0',
+    double: 'D AH1 B AH0 L',
+    doubt: 'D AW1 T',
+    dough: 'D OW1',
+    down: 'D AW1 N',
+    downstairs: 'D AW1 N S T EH1 R Z',
+    downtown: 'D AW1 N T AW1 N',
+    dozen: 'D AH1 Z AH0 N',
+    dr: 'D R AY1 V',
+    drag: 'D R AE1 G',
+    dragged: 'D R AE1 G D',
+    dragon: 'D R AE1 G AH0 N',
+    drain: 'D R EY1 N',
+    drama: 'D R AA1 M AH0',
+    dramatic: 'D R AH0 M AE1 T IH0 K',
+    drank: 'D R AE1 NG K',
+    draw: 'D R AO1',
+    drawer: 'D R AO1 R',
+    drawing: 'D R AO1 IH0 NG',
+    drawn: 'D R AO1 N',
+    dream: 'D R IY1 M',
+    dreamed: 'D R IY1 M D',
+    dreaming: 'D R IY1 M IH0 NG',
+    dreams: 'D R IY1 M Z',
+    dress: 'D R EH1 S',
+    dressed: 'D R EH1 S T',
+    dresses: 'D R EH1 S AH0 Z',
+    dressing: 'D R EH1 S IH0 NG',
+    drew: 'D R UW1',
+    drill: 'D R IH1 L',
+    drink: 'D R IH1 NG K',
+    drinking: 'D R IH1 NG K IH0 NG',
+    drinks: 'D R IH1 NG K S',
+    drive: 'D R AY1 V',
+    driven: 'D R IH1 V AH0 N',
+    driver: 'D R AY1 V ER0',
+    drives: 'D R AY1 V Z',
+    driving: 'D R AY1 V IH0 NG',
+    drop: 'D R AA1 P',
+    dropped: 'D R AA1 P T',
+    dropping: 'D R AA1 P IH0 NG',
+    drops: 'D R AA1 P S',
+    drove: 'D R OW1 V',
+    drown: 'D R AW1 N',
+    drug: 'D R AH1 G',
+    drugs: 'D R AH1 G Z',
+    drum: 'D R AH1 M',
+    drunk: 'D R AH1 NG K',
+    dry: 'D R AY1',
+    duck: 'D AH1 K',
+    ducks: 'D AH1 K S',
+    dude: 'D UW1 D',
+    due: 'D UW1',
+    dug: 'D AH1 G',
+    duke: 'D UW1 K',
+    dull: 'D AH1 L',
+    dumb: 'D AH1 M',
+    dummy: 'D AH1 M IY0',
+    dump: 'D AH1 M P',
+    dumped: 'D AH1 M P T',
+    during: 'D UH1 R IH0 NG',
+    dust: 'D AH1 S T',
+    dutch: 'D AH1 CH',
+    duty: 'D UW1 T IY0',
+    dying: 'D AY1 IH0 NG',
+    dynamite: 'D AY1 N AH0 M AY2 T',
+    e: 'IY1',
+    each: 'IY1 CH',
+    eagle: 'IY1 G AH0 L',
+    ear: 'IY1 R',
+    earl: 'ER1 L',
+    earlier: 'ER1 L IY0 ER0',
+    early: 'ER1 L IY0',
+    earn: 'ER1 N',
+    earned: 'ER1 N D',
+    ears: 'IH1 R Z',
+    earth: 'ER1 TH',
+    ease: 'IY1 Z',
+    easier: 'IY1 Z IY0 ER0',
+    easily: 'IY1 Z AH0 L IY0',
+    east: 'IY1 S T',
+    eastern: 'IY1 S T ER0 N',
+    easy: 'IY1 Z IY0',
+    eat: 'IY1 T',
+    eaten: 'IY1 T AH0 N',
+    eating: 'IY1 T IH0 NG',
+    eats: 'IY1 T S',
+    ed: 'EH1 D',
+    edgar: 'EH1 D G ER0',
+    edge: 'EH1 JH',
+    editor: 'EH1 D AH0 T ER0',
+    education: 'EH2 JH AH0 K EY1 SH AH0 N',
+    edward: 'EH1 D W ER0 D',
+    effect: 'IH0 F EH1 K T',
+    effective: 'IH0 F EH1 K T IH0 V',
+    effects: 'IH0 F EH1 K T S',
+    effort: 'EH1 F ER0 T',
+    egg: 'EH1 G',
+    eggs: 'EH1 G Z',
+    eh: 'EH1',
+    eight: 'EY1 T',
+    either: 'IY1 DH ER0',
+    el: 'EH1 L',
+    elaine: 'IH0 L EY1 N',
+    election: 'IH0 L EH1 K SH AH0 N',
+    electric: 'IH0 L EH1 K T R IH0 K',
+    electrical: 'IH0 L EH1 K T R IH0 K AH0 L',
+    electricity: 'IH0 L EH2 K T R IH1 S AH0 T IY0',
+    elephant: 'EH1 L AH0 F AH0 N T',
+    elevator: 'EH1 L AH0 V EY2 T ER0',
+    eleven: 'IH0 L EH1 V AH0 N',
+    eli: 'IY1 L AY0',
+    elizabeth: 'IH0 L IH1 Z AH0 B AH0 TH',
+    ellen: 'EH1 L AH0 N',
+    else: 'EH1 L S',
+    elvis: 'EH1 L V IH0 S',
+    em: 'EH1 M',
+    embarrass: 'IH0 M B EH1 R AH0 S',
+    embarrassed: 'IH0 M B EH1 R AH0 S T',
+    embarrassing: 'IH0 M B EH1 R AH0 S IH0 NG',
+    emergency: 'IH0 M ER1 JH AH0 N S IY0',
+    emily: 'EH1 M IH0 L IY0',
+    emma: 'EH1 M AH0',
+    emotion: 'IH0 M OW1 SH AH0 N',
+    emotional: 'IH0 M OW1 SH AH0 N AH0 L',
+    emotions: 'IH0 M OW1 SH AH0 N Z',
+    emperor: 'EH1 M P ER0 ER0',
+    empire: 'EH1 M P AY0 ER0',
+    employee: 'EH0 M P L OY1 IY0',
+    employees: 'EH0 M P L OY1 IY0 Z',
+    empty: 'EH1 M P T IY0',
+    en: 'EH1 N',
+    end: 'EH1 N D',
+    ended: 'EH1 N D AH0 D',
+    ending: 'EH1 N D IH0 NG',
+    ends: 'EH1 N D Z',
+    enemies: 'EH1 N AH0 M IY0 Z',
+    enemy: 'EH1 N AH0 M IY0',
+    energy: 'EH1 N ER0 JH IY0',
+    engaged: 'EH0 N G EY1 JH D',
+    engagement: 'EH0 N G EY1 JH M AH0 N T',
+    engine: 'EH1 N JH AH0 N',
+    engineer: 'EH1 N JH AH0 N IH1 R',
+    engines: 'EH1 N JH AH0 N Z',
+    england: 'IH1 NG G L AH0 N D',
+    english: 'IH1 NG G L IH0 SH',
+    enjoy: 'EH2 N JH OY1',
+    enjoyed: 'EH2 N JH OY1 D',
+    enjoying: 'EH2 N JH OY1 IH0 NG',
+    enormous: 'IH0 N AO1 R M AH0 S',
+    enough: 'IH0 N AH1 F',
+    enter: 'EH1 N T ER0',
+    entered: 'EH1 N T ER0 D',
+    entering: 'EH1 N T ER0 IH0 NG',
+    enterprise: 'EH1 N T ER0 P R AY2 Z',
+    entertainment: 'EH2 N T ER0 T EY1 N M AH0 N T',
+    entire: 'IH0 N T AY1 ER0',
+    entirely: 'IH0 N T AY1 ER0 L IY0',
+    entitled: 'EH0 N T AY1 T AH0 L D',
+    entrance: 'EH1 N T R AH0 N S',
+    entry: 'EH1 N T R IY0',
+    envelope: 'EH1 N V AH0 L OW2 P',
+    environment: 'IH0 N V AY1 R AH0 N M AH0 N T',
+    envy: 'EH1 N V IY0',
+    episode: 'EH1 P AH0 S OW2 D',
+    equal: 'IY1 K W AH0 L',
+    equipment: 'IH0 K W IH1 P M AH0 N T',
+    er: 'ER0',
+    eric: 'EH1 R IH0 K',
+    error: 'EH1 R ER0',
+    escape: 'IH0 S K EY1 P',
+    escaped: 'IH0 S K EY1 P T',
+    escort: 'EH0 S K AO1 R T',
+    especially: 'AH0 S P EH1 SH L IY0',
+    established: 'IH0 S T AE1 B L IH0 SH T',
+    estate: 'IH0 S T EY1 T',
+    et: 'EH1 T',
+    eternal: 'IH0 T ER1 N AH0 L',
+    europe: 'Y UH1 R AH0 P',
+    evans: 'EH1 V AH0 N Z',
+    eve: 'IY1 V',
+    even: 'IY1 V IH0 N',
+    evening: 'IY1 V N IH0 NG',
+    event: 'IH0 V EH1 N T',
+    events: 'IH0 V EH1 N T S',
+    eventually: 'IH0 V EH1 N CH AH0 W AH0 L IY0',
+    ever: 'EH1 V ER0',
+    every: 'EH1 V ER0 IY0',
+    everybody: 'EH1 V R IY0 B AA2 D IY0',
+    everyday: 'EH1 V R IY0 D EY1',
+    everyone: 'EH1 V R IY0 W AH2 N',
+    everything: 'EH1 V R IY0 TH IH2 NG',
+    everywhere: 'EH1 V R IY0 W EH2 R',
+    evidence: 'EH1 V AH0 D AH0 N S',
+    evil: 'IY1 V AH0 L',
+    ewing: 'Y UW1 IH0 NG',
+    ex: 'EH1 K S',
+    exact: 'IH0 G Z AE1 K T',
+    exactly: 'IH0 G Z AE1 K T L IY0',
+    exam: 'IH0 G Z AE1 M',
+    examine: 'IH0 G Z AE1 M IH0 N',
+    example: 'IH0 G Z AE1 M P AH0 L',
+    excellency: 'EH1 K S L EH1 N S IY0',
+    excellent: 'EH1 K S AH0 L AH0 N T',
+    except: 'IH0 K S EH1 P T',
+    exchange: 'IH0 K S CH EY1 N JH',
+    excited: 'IH0 K S AY1 T AH0 D',
+    excitement: 'IH0 K S AY1 T M AH0 N T',
+    exciting: 'IH0 K S AY1 T IH0 NG',
+    excuse: 'IH0 K S K Y UW1 S',
+    excuses: 'IH0 K S K Y UW1 S IH0 Z',
+    execution: 'EH2 K S AH0 K Y UW1 SH AH0 N',
+    executive: 'IH0 G Z EH1 K Y AH0 T IH0 V',
+    exercise: 'EH1 K S ER0 S AY2 Z',
+    exhausted: 'IH0 G Z AO1 S T IH0 D',
+    exist: 'IH0 G Z IH1 S T',
+    existence: 'EH0 G Z IH1 S T AH0 N S',
+    exists: 'IH0 G Z IH1 S T S',
+    exit: 'EH1 G Z IH0 T',
+    expect: 'IH0 K S P EH1 K T',
+    expected: 'IH0 K S P EH1 K T AH0 D',
+    expecting: 'IH0 K S P EH1 K T IH0 NG',
+    expensive: 'IH0 K S P EH1 N S IH0 V',
+    experience: 'IH0 K S P IH1 R IY0 AH0 N S',
+    experienced: 'IH0 K S P IH1 R IY0 AH0 N S T',
+    experiment: 'IH0 K S P EH1 R AH0 M AH0 N T',
+    expert: 'EH1 K S P ER0 T',
+    explain: 'IH0 K S P L EY1 N',
+    explained: 'IH0 K S P L EY1 N D',
+    explains: 'IH0 K S P L EY1 N Z',
+    explanation: 'EH2 K S P L AH0 N EY1 SH AH0 N',
+    explode: 'IH0 K S P L OW1 D',
+    explosion: 'IH0 K S P L OW1 ZH AH0 N',
+    exposed: 'IH0 K S P OW1 Z D',
+    express: 'IH0 K S P R EH1 S',
+    expression: 'IH0 K S P R EH1 SH AH0 N',
+    extra: 'EH1 K S T R AH0',
+    extraordinary: 'EH2 K S T R AH0 AO1 R D AH0 N EH2 R IY0',
+    extreme: 'EH0 K S T R IY1 M',
+    extremely: 'EH0 K S T R IY1 M L IY0',
+    eye: 'AY1',
+    eyes: 'AY1 Z',
+    f: 'EH1 F',
+    fabulous: 'F AE1 B Y AH0 L AH0 S',
+    face: 'F EY1 S',
+    faces: 'F EY1 S AH0 Z',
+    facility: 'F AH0 S IH1 L IH0 T IY0',
+    facing: 'F EY1 S IH0 NG',
+    fact: 'F AE1 K T',
+    factory: 'F AE1 K T ER0 IY0',
+    facts: 'F AE1 K T S',
+    fail: 'F EY1 L',
+    failed: 'F EY1 L D',
+    failure: 'F EY1 L Y ER0',
+    faint: 'F EY1 N T',
+    fair: 'F EH1 R',
+    fairly: 'F EH1 R L IY0',
+    fairy: 'F EH1 R IY0',
+    faith: 'F EY1 TH',
+    faithful: 'F EY1 TH F AH0 L',
+    fake: 'F EY1 K',
+    fall: 'F AO1 L',
+    fallen: 'F AA1 L AH0 N',
+    falling: 'F AA1 L IH0 NG',
+    falls: 'F AO1 L Z',
+    false: 'F AO1 L S',
+    fame: 'F EY1 M',
+    familiar: 'F AH0 M IH1 L Y ER0',
+    families: 'F AE1 M AH0 L IY0 Z',
+    family: 'F AE1 M AH0 L IY0',
+    famous: 'F EY1 M AH0 S',
+    fan: 'F AE1 N',
+    fancy: 'F AE1 N S IY0',
+    fans: 'F AE1 N Z',
+    fantastic: 'F AE0 N T AE1 S T IH0 K',
+    fantasy: 'F AE1 N T AH0 S IY0',
+    far: 'F AA1 R',
+    farewell: 'F EH2 R W EH1 L',
+    farm: 'F AA1 R M',
+    farmer: 'F AA1 R M ER0',
+    fascinating: 'F AE1 S AH0 N EY2 T IH0 NG',
+    fashion: 'F AE1 SH AH0 N',
+    fast: 'F AE1 S T',
+    faster: 'F AE1 S T ER0',
+    fat: 'F AE1 T',
+    fate: 'F EY1 T',
+    father: 'F AA1 DH ER0',
+    fathers: 'F AA1 DH ER0 Z',
+    fault: 'F AO1 L T',
+    favor: 'F EY1 V ER0',
+    favorite: 'F EY1 V ER0 IH0 T',
+    favour: 'F EY1 V ER0',
+    favourite: 'F EY1 V ER0 IH0 T',
+    fear: 'F IH1 R',
+    fears: 'F IH1 R Z',
+    fed: 'F EH1 D',
+    federal: 'F EH1 D ER0 AH0 L',
+    fee: 'F IY1',
+    feed: 'F IY1 D',
+    feeding: 'F IY1 D IH0 NG',
+    feel: 'F IY1 L',
+    feeling: 'F IY1 L IH0 NG',
+    feelings: 'F IY1 L IH0 NG Z',
+    feels: 'F IY1 L Z',
+    feet: 'F IY1 T',
+    felicity: 'F IH0 L IH1 S AH0 T IY0',
+    felix: 'F IY1 L IH0 K S',
+    fell: 'F EH1 L',
+    fella: 'F EH1 L AH0',
+    fellas: 'F EH1 L AH0 S',
+    fellow: 'F EH1 L OW0',
+    fellows: 'F EH1 L OW0 Z',
+    felt: 'F EH1 L T',
+    female: 'F IY1 M EY2 L',
+    fence: 'F EH1 N S',
+    festival: 'F EH1 S T AH0 V AH0 L',
+    fetch: 'F EH1 CH',
+    fever: 'F IY1 V ER0',
+    few: 'F Y UW1',
+    field: 'F IY1 L D',
+    fields: 'F IY1 L D Z',
+    fifteen: 'F IH0 F T IY1 N',
+    fifth: 'F IH1 F TH',
+    fifty: 'F IH1 F T IY0',
+    fight: 'F AY1 T',
+    fighter: 'F AY1 T ER0',
+    fighting: 'F AY1 T IH0 NG',
+    fights: 'F AY1 T S',
+    figure: 'F IH1 G Y ER0',
+    figured: 'F IH1 G Y ER0 D',
+    figures: 'F IH1 G Y ER0 Z',
+    file: 'F AY1 L',
+    filed: 'F AY1 L D',
+    files: 'F AY1 L Z',
+    fill: 'F IH1 L',
+    filled: 'F IH1 L D',
+    filling: 'F IH1 L IH0 NG',
+    film: 'F IH1 L M',
+    films: 'F IH1 L M Z',
+    filthy: 'F IH1 L TH IY0',
+    final: 'F AY1 N AH0 L',
+    finally: 'F AY1 N AH0 L IY0',
+    financial: 'F AH0 N AE1 N SH AH0 L',
+    find: 'F AY1 N D',
+    finding: 'F AY1 N D IH0 NG',
+    finds: 'F AY1 N D Z',
+    fine: 'F AY1 N',
+    finest: 'F AY1 N AH0 S T',
+    finger: 'F IH1 NG G ER0',
+    fingerprints: 'F IH1 NG G ER0 P R IH2 N T S',
+    fingers: 'F IH1 NG G ER0 Z',
+    finish: 'F IH1 N IH0 SH',
+    finished: 'F IH1 N IH0 SH T',
+    fire: 'F AY1 ER0',
+    fired: 'F AY1 ER0 D',
+    fires: 'F AY1 ER0 Z',
+    firing: 'F AY1 R IH0 NG',
+    firm: 'F ER1 M',
+    first: 'F ER1 S T',
+    fish: 'F IH1 SH',
+    fisher: 'F IH1 SH ER0',
+    fishing: 'F IH1 SH IH0 NG',
+    fit: 'F IH1 T',
+    fits: 'F IH1 T S',
+    five: 'F AY1 V',
+    fix: 'F IH1 K S',
+    fixed: 'F IH1 K S T',
+    fixing: 'F IH1 K S IH0 NG',
+    flag: 'F L AE1 G',
+    flame: 'F L EY1 M',
+    flash: 'F L AE1 SH',
+    flat: 'F L AE1 T',
+    fleet: 'F L IY1 T',
+    flesh: 'F L EH1 SH',
+    fletcher: 'F L EH1 CH ER0',
+    flew: 'F L UW1',
+    flies: 'F L AY1 Z',
+    flight: 'F L AY1 T',
+    flip: 'F L IH1 P',
+    floating: 'F L OW1 T IH0 NG',
+    floor: 'F L AO1 R',
+    florida: 'F L AO1 R AH0 D AH0',
+    flow: 'F L OW1',
+    flower: 'F L AW1 ER0',
+    flowers: 'F L AW1 ER0 Z',
+    flu: 'F L UW1',
+    fluid: 'F L UW1 AH0 D',
+    flush: 'F L AH1 SH',
+    fly: 'F L AY1',
+    flying: 'F L AY1 IH0 NG',
+    focus: 'F OW1 K AH0 S',
+    fog: 'F AA1 G',
+    fold: 'F OW1 L D',
+    folks: 'F OW1 K S',
+    follow: 'F AA1 L OW0',
+    followed: 'F AA1 L OW0 D',
+    following: 'F AA1 L OW0 IH0 NG',
+    fond: 'F AA1 N D',
+    food: 'F UW1 D',
+    fool: 'F UW1 L',
+    fooled: 'F UW1 L D',
+    fooling: 'F UW1 L IH0 NG',
+    foolish: 'F UW1 L IH0 SH',
+    fools: 'F UW1 L Z',
+    foot: 'F UH1 T',
+    footage: 'F UH1 T IH0 JH',
+    football: 'F UH1 T B AO2 L',
+    for: 'F AO1 R',
+    forbid: 'F ER0 B IH1 D',
+    force: 'F AO1 R S',
+    forced: 'F AO1 R S T',
+    forces: 'F AO1 R S IH0 Z',
+    ford: 'F AO1 R D',
+    foreign: 'F AO1 R AH0 N',
+    forest: 'F AO1 R AH0 S T',
+    forever: 'F ER0 EH1 V ER0',
+    forget: 'F ER0 G EH1 T',
+    forgetting: 'F ER0 G EH1 T IH0 NG',
+    forgive: 'F ER0 G IH1 V',
+    forgot: 'F ER0 G AA1 T',
+    forgotten: 'F ER0 G AA1 T AH0 N',
+    fork: 'F AO1 R K',
+    form: 'F AO1 R M',
+    formal: 'F AO1 R M AH0 L',
+    former: 'F AO1 R M ER0',
+    forms: 'F AO1 R M Z',
+    fort: 'F AO1 R T',
+    forth: 'F AO1 R TH',
+    fortunate: 'F AO1 R CH AH0 N AH0 T',
+    fortunately: 'F AO1 R CH AH0 N AH0 T L IY0',
+    fortune: 'F AO1 R CH AH0 N',
+    forty: 'F AO1 R T IY0',
+    forward: 'F AO1 R W ER0 D',
+    foster: 'F AA1 S T ER0',
+    fought: 'F AO1 T',
+    foul: 'F AW1 L',
+    found: 'F AW1 N D',
+    foundation: 'F AW0 N D EY1 SH AH0 N',
+    four: 'F AO1 R',
+    fourth: 'F AO1 R TH',
+    fox: 'F AA1 K S',
+    frame: 'F R EY1 M',
+    france: 'F R AE1 N S',
+    francis: 'F R AE1 N S AH0 S',
+    francisco: 'F R AE0 N S IH1 S K OW0',
+    frank: 'F R AE1 NG K',
+    franklin: 'F R AE1 NG K L IH0 N',
+    frankly: 'F R AE1 NG K L IY0',
+    frasier: 'F R EY1 ZH ER0',
+    fraud: 'F R AO1 D',
+    freak: 'F R IY1 K',
+    freaked: 'F R IY1 K T',
+    freaking: 'F R IY1 K IH0 NG',
+    freaks: 'F R IY1 K S',
+    fred: 'F R EH1 D',
+    free: 'F R IY1',
+    freedom: 'F R IY1 D AH0 M',
+    freeze: 'F R IY1 Z',
+    freezing: 'F R IY1 Z IH0 NG',
+    french: 'F R EH1 N CH',
+    fresh: 'F R EH1 SH',
+    friday: 'F R AY1 D IY0',
+    fridge: 'F R IH1 JH',
+    fried: 'F R AY1 D',
+    friend: 'F R EH1 N D',
+    friendly: 'F R EH1 N D L IY0',
+    friends: 'F R EH1 N D Z',
+    friendship: 'F R EH1 N D SH IH0 P',
+    fries: 'F R AY1 Z',
+    frightened: 'F R AY1 T AH0 N D',
+    frog: 'F R AA1 G',
+    from: 'F R AH1 M',
+    front: 'F R AH1 N T',
+    frozen: 'F R OW1 Z AH0 N',
+    fruit: 'F R UW1 T',
+    fry: 'F R AY1',
+    fuck: 'F AH1 K',
+    fucked: 'F AH1 K T',
+    fucker: 'F AH1 K ER0',
+    fucking: 'F AH1 K IH0 NG',
+    fuel: 'F Y UW1 AH0 L',
+    full: 'F UH1 L',
+    fully: 'F UH1 L IY0',
+    fun: 'F AH1 N',
+    function: 'F AH1 NG K SH AH0 N',
+    fund: 'F AH1 N D',
+    funeral: 'F Y UW1 N ER0 AH0 L',
+    funny: 'F AH1 N IY0',
+    fur: 'F ER1',
+    furniture: 'F ER1 N IH0 CH ER0',
+    further: 'F ER1 DH ER0',
+    future: 'F Y UW1 CH ER0',
+    g: 'JH IY1',
+    gain: 'G EY1 N',
+    gal: 'G AE1 L',
+    gallery: 'G AE1 L ER0 IY0',
+    gamble: 'G AE1 M B AH0 L',
+    gambling: 'G AE1 M B AH0 L IH0 NG',
+    game: 'G EY1 M',
+    games: 'G EY1 M Z',
+    gang: 'G AE1 NG',
+    garage: 'G ER0 AA1 ZH',
+    garbage: 'G AA1 R B IH0 JH',
+    garden: 'G AA1 R D AH0 N',
+    gary: 'G EH1 R IY0',
+    gas: 'G AE1 S',
+    gasps: 'G AE1 S P S',
+    gate: 'G EY1 T',
+    gates: 'G EY1 T S',
+    gather: 'G AE1 DH ER0',
+    gathered: 'G AE1 DH ER0 D',
+    gave: 'G EY1 V',
+    gay: 'G EY1',
+    gear: 'G IH1 R',
+    gee: 'JH IY1',
+    geez: 'JH IY1 Z',
+    gene: 'JH IY1 N',
+    general: 'JH EH1 N ER0 AH0 L',
+    generally: 'JH EH1 N ER0 AH0 L IY0',
+    generation: 'JH EH2 N ER0 EY1 SH AH0 N',
+    generous: 'JH EH1 N ER0 AH0 S',
+    genius: 'JH IY1 N Y AH0 S',
+    gentle: 'JH EH1 N T AH0 L',
+    gentleman: 'JH EH1 N T AH0 L M AH0 N',
+    gentlemen: 'JH EH1 N T AH0 L M IH0 N',
+    gently: 'JH EH1 N T L IY0',
+    genuine: 'JH EH1 N Y AH0 W AH0 N',
+    george: 'JH AO1 R JH',
+    georgia: 'JH AO1 R JH AH0',
+    german: 'JH ER1 M AH0 N',
+    germans: 'JH ER1 M AH0 N Z',
+    germany: 'JH ER1 M AH0 N IY0',
+    get: 'G EH1 T',
+    gets: 'G EH1 T S',
+    getting: 'G EH1 T IH0 NG',
+    ghost: 'G OW1 S T',
+    ghosts: 'G OW1 S T S',
+    giant: 'JH AY1 AH0 N T',
+    gift: 'G IH1 F T',
+    gifts: 'G IH1 F T S',
+    gig: 'G IH1 G',
+    giggle: 'G IH1 G AH0 L',
+    gimme: 'G IH1 M IY0',
+    gin: 'JH IH1 N',
+    girl: 'G ER1 L',
+    girlfriend: 'G ER1 L F R EH2 N D',
+    girlfriends: 'G ER1 L F R EH2 N D Z',
+    girls: 'G ER1 L Z',
+    give: 'G IH1 V',
+    given: 'G IH1 V AH0 N',
+    gives: 'G IH1 V Z',
+    giving: 'G IH1 V IH0 NG',
+    glad: 'G L AE1 D',
+    glass: 'G L AE1 S',
+    glasses: 'G L AE1 S AH0 Z',
+    gloria: 'G L AO1 R IY0 AH0',
+    glorious: 'G L AO1 R IY0 AH0 S',
+    glory: 'G L AO1 R IY0',
+    glove: 'G L AH1 V',
+    gloves: 'G L AH1 V Z',
+    go: 'G OW1',
+    goal: 'G OW1 L',
+    goat: 'G OW1 T',
+    gob: 'G AA1 B',
+    god: 'G AA1 D',
+    goddamn: 'G AA1 D D AE2 M',
+    goddess: 'G AA1 D AH0 S',
+    gods: 'G AA1 D Z',
+    goes: 'G OW1 Z',
+    going: 'G OW1 IH0 NG',
+    gold: 'G OW1 L D',
+    golden: 'G OW1 L D AH0 N',
+    golf: 'G AA1 L F',
+    gone: 'G AO1 N',
+    gonna: 'G AA1 N AH0',
+    good: 'G UH1 D',
+    goodbye: 'G UH2 D B AY1',
+    goodness: 'G UH1 D N AH0 S',
+    goodnight: 'G UH1 D N AY2 T',
+    goods: 'G UH1 D Z',
+    goose: 'G UW1 S',
+    gorgeous: 'G AO1 R JH AH0 S',
+    gosh: 'G AA1 SH',
+    got: 'G AA1 T',
+    gotcha: 'G AA1 CH AH0',
+    gotta: 'G AA1 T AH0',
+    gotten: 'G AA1 T AH0 N',
+    government: 'G AH1 V ER0 M AH0 N T',
+    governor: 'G AH1 V ER0 N ER0',
+    grab: 'G R AE1 B',
+    grabbed: 'G R AE1 B D',
+    grace: 'G R EY1 S',
+    grade: 'G R EY1 D',
+    grades: 'G R EY1 D Z',
+    graduate: 'G R AE1 JH AH0 W AH0 T',
+    graduation: 'G R AE2 JH UW0 EY1 SH AH0 N',
+    graham: 'G R EY1 AH0 M',
+    grand: 'G R AE1 N D',
+    grandfather: 'G R AE1 N D F AA2 DH ER0',
+    grandma: 'G R AE1 N D M AA0',
+    grandmother: 'G R AE1 N D M AH2 DH ER0',
+    grandpa: 'G R AE1 N D P AA2',
+    granny: 'G R AE1 N IY0',
+    grant: 'G R AE1 N T',
+    granted: 'G R AE1 N T AH0 D',
+    grass: 'G R AE1 S',
+    grateful: 'G R EY1 T F AH0 L',
+    grave: 'G R EY1 V',
+    gray: 'G R EY1',
+    great: 'G R EY1 T',
+    greater: 'G R EY1 T ER0',
+    greatest: 'G R EY1 T AH0 S T',
+    greek: 'G R IY1 K',
+    green: 'G R IY1 N',
+    grew: 'G R UW1',
+    grey: 'G R EY1',
+    grief: 'G R IY1 F',
+    griffin: 'G R IH1 F IH0 N',
+    grip: 'G R IH1 P',
+    gross: 'G R OW1 S',
+    ground: 'G R AW1 N D',
+    grounds: 'G R AW1 N D Z',
+    group: 'G R UW1 P',
+    groups: 'G R UW1 P S',
+    grow: 'G R OW1',
+    growing: 'G R OW1 IH0 NG',
+    grown: 'G R OW1 N',
+    grows: 'G R OW1 Z',
+    guarantee: 'G EH2 R AH0 N T IY1',
+    guard: 'G AA1 R D',
+    guards: 'G AA1 R D Z',
+    guess: 'G EH1 S',
+    guessing: 'G EH1 S IH0 NG',
+    guest: 'G EH1 S T',
+    guests: 'G EH1 S T S',
+    guide: 'G AY1 D',
+    guilt: 'G IH1 L T',
+    guilty: 'G IH1 L T IY0',
+    guitar: 'G IH0 T AA1 R',
+    gum: 'G AH1 M',
+    gun: 'G AH1 N',
+    guns: 'G AH1 N Z',
+    gunshot: 'G AH1 N SH AA2 T',
+    gut: 'G AH1 T',
+    guts: 'G AH1 T S',
+    guy: 'G AY1',
+    guys: 'G AY1 Z',
+    gym: 'JH IH1 M',
+    h: 'EY1 CH',
+    ha: 'HH AA1',
+    habit: 'HH AE1 B AH0 T',
+    hack: 'HH AE1 K',
+    had: 'HH AE1 D',
+    hail: 'HH EY1 L',
+    hair: 'HH EH1 R',
+    haircut: 'HH EH1 R K AH2 T',
+    half: 'HH AE1 F',
+    halfway: 'HH AE1 F W EY1',
+    hall: 'HH AO1 L',
+    hallelujah: 'HH AE2 L AH0 L UW1 Y AH0',
+    halloween: 'HH AE2 L AH0 W IY1 N',
+    hallway: 'HH AO1 L W EY2',
+    halt: 'HH AO1 L T',
+    ham: 'HH AE1 M',
+    hammer: 'HH AE1 M ER0',
+    hand: 'HH AE1 N D',
+    handed: 'HH AE1 N D AH0 D',
+    handle: 'HH AE1 N D AH0 L',
+    handled: 'HH AE1 N D AH0 L D',
+    handling: 'HH AE1 N D L IH0 NG',
+    hands: 'HH AE1 N D Z',
+    handsome: 'HH AE1 N S AH0 M',
+    handy: 'HH AE1 N D IY0',
+    hang: 'HH AE1 NG',
+    hanging: 'HH AE1 NG IH0 NG',
+    hank: 'HH AE1 NG K',
+    hans: 'HH AA1 N S',
+    happen: 'HH AE1 P AH0 N',
+    happened: 'HH AE1 P AH0 N D',
+    happening: 'HH AE1 P AH0 N IH0 NG',
+    happens: 'HH AE1 P AH0 N Z',
+    happier: 'HH AE1 P IY0 ER0',
+    happily: 'HH AE1 P AH0 L IY0',
+    happiness: 'HH AE1 P IY0 N AH0 S',
+    happy: 'HH AE1 P IY0',
+    harbor: 'HH AA1 R B ER0',
+    hard: 'HH AA1 R D',
+    harder: 'HH AA1 R D ER0',
+    hardly: 'HH AA1 R D L IY0',
+    harm: 'HH AA1 R M',
+    harmless: 'HH AA1 R M L AH0 S',
+    harmony: 'HH AA1 R M AH0 N IY0',
+    harold: 'HH EH1 R AH0 L D',
+    harper: 'HH AA1 R P ER0',
+    harris: 'HH EH1 R IH0 S',
+    harrison: 'HH EH1 R IH0 S AH0 N',
+    harry: 'HH EH1 R IY0',
+    hart: 'HH AA1 R T',
+    harvard: 'HH AA1 R V ER0 D',
+    harvey: 'HH AA1 R V IY0',
+    has: 'HH AE1 Z',
+    hat: 'HH AE1 T',
+    hatch: 'HH AE1 CH',
+    hate: 'HH EY1 T',
+    hated: 'HH EY1 T AH0 D',
+    hates: 'HH EY1 T S',
+    hats: 'HH AE1 T S',
+    have: 'HH AE1 V',
+    haven: 'HH EY1 V AH0 N',
+    having: 'HH AE1 V IH0 NG',
+    hawaii: 'HH AH0 W AY1 IY2',
+    hawk: 'HH AO1 K',
+    he: 'HH IY1',
+    head: 'HH EH1 D',
+    headache: 'HH EH1 D EY2 K',
+    headed: 'HH EH1 D AH0 D',
+    heading: 'HH EH1 D IH0 NG',
+    headquarters: 'HH EH1 D K W AO2 R T ER0 Z',
+    heads: 'HH EH1 D Z',
+    heal: 'HH IY1 L',
+    health: 'HH EH1 L TH',
+    healthy: 'HH EH1 L TH IY0',
+    hear: 'HH IY1 R',
+    heard: 'HH ER1 D',
+    hearing: 'HH IY1 R IH0 NG',
+    hears: 'HH IY1 R Z',
+    heart: 'HH AA1 R T',
+    hearts: 'HH AA1 R T S',
+    heat: 'HH IY1 T',
+    heather: 'HH EH1 DH ER0',
+    heaven: 'HH EH1 V AH0 N',
+    heavens: 'HH EH1 V AH0 N Z',
+    heavy: 'HH EH1 V IY0',
+    heck: 'HH EH1 K',
+    hector: 'HH EH1 K T ER0',
+    heels: 'HH IY1 L Z',
+    heh: 'HH EH1',
+    height: 'HH AY1 T',
+    held: 'HH EH1 L D',
+    helen: 'HH EH1 L AH0 N',
+    helicopter: 'HH EH1 L IH0 K AA2 P T ER0',
+    hell: 'HH EH1 L',
+    hello: 'HH AH0 L OW1',
+    helmet: 'HH EH1 L M AH0 T',
+    help: 'HH EH1 L P',
+    helped: 'HH EH1 L P T',
+    helpful: 'HH EH1 L P F AH0 L',
+    helping: 'HH EH1 L P IH0 NG',
+    helpless: 'HH EH1 L P L AH0 S',
+    helps: 'HH EH1 L P S',
+    henry: 'HH EH1 N R IY0',
+    her: 'HH ER1',
+    hercules: 'HH ER1 K Y AH0 L IY2 Z',
+    here: 'HH IY1 R',
+    hero: 'HH IH1 R OW0',
+    heroes: 'HH IH1 R OW0 Z',
+    heroin: 'HH EH1 R OW0 AH0 N',
+    herr: 'HH EH1 R',
+    hers: 'HH ER0 Z',
+    herself: 'HH ER0 S EH1 L F',
+    hey: 'HH EY1',
+    hi: 'HH AY1',
+    hid: 'HH IH1 D',
+    hidden: 'HH IH1 D AH0 N',
+    hide: 'HH AY1 D',
+    hiding: 'HH AY1 D IH0 NG',
+    high: 'HH AY1',
+    higher: 'HH AY1 ER0',
+    highest: 'HH AY1 AH0 S T',
+    highly: 'HH AY1 L IY0',
+    highness: 'HH AY1 N AH0 S',
+    highway: 'HH AY1 W EY2',
+    hill: 'HH IH1 L',
+    hills: 'HH IH1 L Z',
+    him: 'HH IH1 M',
+    himself: 'HH IH0 M S EH1 L F',
+    hint: 'HH IH1 N T',
+    hip: 'HH IH1 P',
+    hire: 'HH AY1 ER0',
+    hired: 'HH AY1 ER0 D',
+    his: 'HH IH1 Z',
+    history: 'HH IH1 S T ER0 IY0',
+    hit: 'HH IH1 T',
+    hitler: 'HH IH1 T L ER0',
+    hits: 'HH IH1 T S',
+    hitting: 'HH IH1 T IH0 NG',
+    hm: 'HH M',
+    hmm: 'HH M',
+    ho: 'HH OW1',
+    hockey: 'HH AA1 K IY0',
+    hold: 'HH OW1 L D',
+    holding: 'HH OW1 L D IH0 NG',
+    holds: 'HH OW1 L D Z',
+    hole: 'HH OW1 L',
+    holes: 'HH OW1 L Z',
+    holiday: 'HH AA1 L AH0 D EY2',
+    holidays: 'HH AA1 L AH0 D EY2 Z',
+    hollow: 'HH AA1 L OW0',
+    holly: 'HH AA1 L IY0',
+    hollywood: 'HH AA1 L IY0 W UH2 D',
+    holmes: 'HH OW1 M Z',
+    holy: 'HH OW1 L IY0',
+    home: 'HH OW1 M',
+    homeless: 'HH OW1 M L AH0 S',
+    homes: 'HH OW1 M Z',
+    homework: 'HH OW1 M W ER2 K',
+    homicide: 'HH AA1 M AH0 S AY2 D',
+    hon: 'HH AA1 N',
+    honest: 'AA1 N AH0 S T',
+    honestly: 'AA1 N AH0 S T L IY0',
+    honey: 'HH AH1 N IY0',
+    honeymoon: 'HH AH1 N IY0 M UW2 N',
+    hong: 'HH AO1 NG',
+    honor: 'AA1 N ER0',
+    honored: 'AA1 N ER0 D',
+    honour: 'AA1 N ER0',
+    hood: 'HH UH1 D',
+    hook: 'HH UH1 K',
+    hooked: 'HH UH1 K T',
+    hooker: 'HH UH1 K ER0',
+    hop: 'HH AA1 P',
+    hope: 'HH OW1 P',
+    hoped: 'HH OW1 P T',
+    hopefully: 'HH OW1 P F AH0 L IY0',
+    hopeless: 'HH OW1 P L AH0 S',
+    hopes: 'HH OW1 P S',
+    hoping: 'HH OW1 P IH0 NG',
+    hopper: 'HH AA1 P ER0',
+    horn: 'HH AO1 R N',
+    horny: 'HH AO1 R N IY0',
+    horrible: 'HH AO1 R AH0 B AH0 L',
+    horror: 'HH AO1 R ER0',
+    horse: 'HH AO1 R S',
+    horses: 'HH AO1 R S AH0 Z',
+    hospital: 'HH AA1 S P IH2 T AH0 L',
+    host: 'HH OW1 S T',
+    hostage: 'HH AA1 S T IH0 JH',
+    hostages: 'HH AA1 S T AH0 JH AH0 Z',
+    hostile: 'HH AA1 S T AH0 L',
+    hot: 'HH AA1 T',
+    hotel: 'HH OW0 T EH1 L',
+    hour: 'AW1 ER0',
+    hours: 'AW1 ER0 Z',
+    house: 'HH AW1 S',
+    houses: 'HH AW1 S AH0 Z',
+    houston: 'HH Y UW1 S T AH0 N',
+    how: 'HH AW1',
+    howdy: 'HH AW1 D IY0',
+    however: 'HH AW2 EH1 V ER0',
+    hudson: 'HH AH1 D S AH0 N',
+    hug: 'HH AH1 G',
+    huge: 'HH Y UW1 JH',
+    hugs: 'HH AH1 G Z',
+    huh: 'HH AH1',
+    human: 'HH Y UW1 M AH0 N',
+    humanity: 'HH Y UW0 M AE1 N IH0 T IY0',
+    humans: 'HH Y UW1 M AH0 N Z',
+    humble: 'HH AH1 M B AH0 L',
+    humor: 'HH Y UW1 M ER0',
+    hundred: 'HH AH1 N D R AH0 D',
+    hundreds: 'HH AH1 N D R AH0 D Z',
+    hung: 'HH AH1 NG',
+    hungry: 'HH AH1 NG G R IY0',
+    hunt: 'HH AH1 N T',
+    hunter: 'HH AH1 N T ER0',
+    hunting: 'HH AH1 N T IH0 NG',
+    hurricane: 'HH ER1 AH0 K EY2 N',
+    hurry: 'HH ER1 IY0',
+    hurt: 'HH ER1 T',
+    hurting: 'HH ER1 T IH0 NG',
+    hurts: 'HH ER1 T S',
+    husband: 'HH AH1 Z B AH0 N D',
+    hut: 'HH AH1 T',
+    i: 'AY1',
+    ice: 'AY1 S',
+    idea: 'AY0 D IY1 AH0',
+    ideas: 'AY0 D IY1 AH0 Z',
+    identified: 'AY0 D EH1 N T AH0 F AY2 D',
+    identify: 'AY0 D EH1 N T AH0 F AY2',
+    identity: 'AY0 D EH1 N T IH0 T IY2',
+    idiot: 'IH1 D IY2 AH0 T',
+    idiots: 'IH1 D IY2 AH0 T S',
+    if: 'IH1 F',
+    ignore: 'IH2 G N AO1 R',
+    il: 'IH1 L',
+    ill: 'IH1 L',
+    illegal: 'IH2 L IY1 G AH0 L',
+    illusion: 'IH2 L UW1 ZH AH0 N',
+    image: 'IH1 M AH0 JH',
+    imagination: 'IH2 M AE2 JH AH0 N EY1 SH AH0 N',
+    imagine: 'IH2 M AE1 JH AH0 N',
+    imagined: 'IH2 M AE1 JH AH0 N D',
+    immediate: 'IH2 M IY1 D IY2 AH0 T',
+    immediately: 'IH2 M IY1 D IY2 AH0 T L IY0',
+    impact: 'IH2 M P AE1 K T',
+    important: 'IH2 M P AO1 R T AH0 N T',
+    impossible: 'IH2 M P AA1 S AH0 B AH0 L',
+    impress: 'IH2 M P R EH1 S',
+    impressed: 'IH2 M P R EH1 S T',
+    impression: 'IH2 M P R EH1 SH AH0 N',
+    impressive: 'IH2 M P R EH1 S IH0 V',
+    improve: 'IH2 M P R UW1 V',
+    in: 'IH0 N',
+    inch: 'IH1 N CH',
+    inches: 'IH1 N CH AH0 Z',
+    incident: 'IH1 N S AH0 D AH0 N T',
+    include: 'IH2 N K L UW1 D',
+    including: 'IH2 N K L UW1 D IH0 NG',
+    increase: 'IH2 N K R IY1 S',
+    incredible: 'IH2 N K R EH1 D AH0 B AH0 L',
+    incredibly: 'IH2 N K R EH1 D AH0 B L IY0',
+    indeed: 'IH2 N D IY1 D',
+    independent: 'IH2 N D IH0 P EH1 N D AH0 N T',
+    indicate: 'IH1 N D AH0 K EY2 T',
+    individual: 'IH2 N D AH0 V IH1 JH AH0 W AH0 L',
+    industry: 'IH1 N D AH0 S T R IY0',
+    infected: 'IH2 N F EH1 K T IH0 D',
+    infection: 'IH2 N F EH1 K SH AH0 N',
+    influence: 'IH1 N F L UW0 AH0 N S',
+    inform: 'IH2 N F AO1 R M',
+    information: 'IH2 N F ER0 M EY1 SH AH0 N',
+    informed: 'IH2 N F AO1 R M D',
+    injured: 'IH1 N JH ER0 D',
+    injury: 'IH1 N JH ER0 IY0',
+    inn: 'IH1 N',
+    inner: 'IH1 N ER0',
+    innocent: 'IH1 N AH0 S AH0 N T',
+    insane: 'IH2 N S EY1 N',
+    inside: 'IH2 N S AY1 D',
+    insist: 'IH2 N S IH1 S T',
+    insisted: 'IH2 N S IH1 S T AH0 D',
+    inspector: 'IH2 N S P EH1 K T ER0',
+    instance: 'IH1 N S T AH0 N S',
+    instant: 'IH1 N S T AH0 N T',
+    instead: 'IH2 N S T EH1 D',
+    instincts: 'IH1 N S T IH0 NG K T S',
+    instructions: 'IH2 N S T R AH1 K SH AH0 N Z',
+    instrument: 'IH1 N S T R AH0 M AH0 N T',
+    insult: 'IH2 N S AH1 L T',
+    insurance: 'IH2 N SH UH1 R AH0 N S',
+    intelligence: 'IH2 N T EH1 L AH0 JH AH0 N S',
+    intelligent: 'IH2 N T EH1 L AH0 JH AH0 N T',
+    intend: 'IH2 N T EH1 N D',
+    intended: 'IH2 N T EH1 N D IH0 D',
+    intense: 'IH2 N T EH1 N S',
+    intention: 'IH2 N T EH1 N CH AH0 N',
+    interest: 'IH1 N T R AH0 S T',
+    interested: 'IH1 N T R AH0 S T IH0 D',
+    interesting: 'IH1 N T R AH0 S T IH0 NG',
+    interests: 'IH1 N T R AH0 S T S',
+    interfere: 'IH2 N T ER0 F IH1 R',
+    internal: 'IH2 N T ER1 N AH0 L',
+    international: 'IH2 N T ER0 N AE1 SH AH0 N AH0 L',
+    interrupt: 'IH2 N T ER0 AH1 P T',
+    interview: 'IH1 N T ER0 V Y UW2',
+    into: 'IH1 N T UW0',
+    introduce: 'IH2 N T R AH0 D UW1 S',
+    introduced: 'IH2 N T R AH0 D UW1 S T',
+    invasion: 'IH2 N V EY1 ZH AH0 N',
+    invented: 'IH2 N V EH1 N T AH0 D',
+    investigate: 'IH2 N V EH1 S T AH0 G EY2 T',
+    investigating: 'IH2 N V EH1 S T AH0 G EY2 T IH0 NG',
+    investigation: 'IH2 N V EH2 S T AH0 G EY1 SH AH0 N',
+    investment: 'IH2 N V EH1 S T M AH0 N T',
+    invisible: 'IH2 N V IH1 Z AH0 B AH0 L',
+    invitation: 'IH2 N V IH0 T EY1 SH AH0 N',
+    invite: 'IH2 N V AY1 T',
+    invited: 'IH2 N V AY1 T AH0 D',
+    involved: 'IH2 N V AA1 L V D',
+    iron: 'AY1 ER0 N',
+    is: 'IH1 Z',
+    island: 'AY1 L AH0 N D',
+    issue: 'IH1 SH UW0',
+    issues: 'IH1 SH UW0 Z',
+    it: 'IH1 T',
+    item: 'AY1 T AH0 M',
+    its: 'IH1 T S',
+    itself: 'IH2 T S EH1 L F',
+    j: 'JH EY1',
+    jack: 'JH AE1 K',
+    jacket: 'JH AE1 K AH0 T',
+    jackie: 'JH AE1 K IY0',
+    jackson: 'JH AE1 K S AH0 N',
+    jacob: 'JH EY1 K AH0 B',
+    jail: 'JH EY1 L',
+    jake: 'JH EY1 K',
+    jam: 'JH AE1 M',
+    james: 'JH EY1 M Z',
+    jane: 'JH EY1 N',
+    janet: 'JH AE1 N AH0 T',
+    japan: 'JH AH0 P AE1 N',
+    japanese: 'JH AE2 P AH0 N IY1 Z',
+    jar: 'JH AA1 R',
+    jason: 'JH EY1 S AH0 N',
+    jay: 'JH EY1',
+    jazz: 'JH AE1 Z',
+    jealous: 'JH EH1 L AH0 S',
+    jean: 'JH IY1 N',
+    jeep: 'JH IY1 P',
+    jeez: 'JH IY1 Z',
+    jeff: 'JH EH1 F',
+    jefferson: 'JH EH1 F ER0 S AH0 N',
+    jen: 'JH EH1 N',
+    jenny: 'JH EH1 N IY0',
+    jeremy: 'JH EH1 R AH0 M IY2',
+    jerk: 'JH ER1 K',
+    jerry: 'JH EH1 R IY0',
+    jersey: 'JH ER1 Z IY0',
+    jess: 'JH EH1 S',
+    jesse: 'JH EH1 S IY0',
+    jesus: 'JH IY1 Z AH0 S',
+    jet: 'JH EH1 T',
+    jew: 'JH UW1',
+    jewelry: 'JH UW1 AH0 L R IY0',
+    jewish: 'JH UW1 IH0 SH',
+    jews: 'JH UW1 Z',
+    jill: 'JH IH1 L',
+    jim: 'JH IH1 M',
+    jimmy: 'JH IH1 M IY0',
+    jo: 'JH OW1',
+    joan: 'JH OW1 N',
+    job: 'JH AA1 B',
+    jobs: 'JH AA1 B Z',
+    jock: 'JH AA1 K',
+    joe: 'JH OW1',
+    joey: 'JH OW1 IY0',
+    john: 'JH AA1 N',
+    johnny: 'JH AA1 N IY0',
+    johnson: 'JH AA1 N S AH0 N',
+    join: 'JH OY1 N',
+    joined: 'JH OY1 N D',
+    joining: 'JH OY1 N IH0 NG',
+    joint: 'JH OY1 N T',
+    joke: 'JH OW1 K',
+    jokes: 'JH OW1 K S',
+    joking: 'JH OW1 K IH0 NG',
+    jonathan: 'JH AA1 N AH0 TH AH0 N',
+    jones: 'JH OW1 N Z',
+    jordan: 'JH AO1 R D AH0 N',
+    joseph: 'JH OW1 S AH0 F',
+    josh: 'JH AA1 SH',
+    journal: 'JH ER1 N AH0 L',
+    journey: 'JH ER1 N IY0',
+    joy: 'JH OY1',
+    jr: 'JH UW1 N Y ER0',
+    judge: 'JH AH1 JH',
+    judges: 'JH AH1 JH IH0 Z',
+    judging: 'JH AH1 JH IH0 NG',
+    judgment: 'JH AH1 JH M AH0 N T',
+    judy: 'JH UW1 D IY0',
+    juice: 'JH UW1 S',
+    julius: 'JH UW1 L Y AH0 S',
+    july: 'JH UW2 L AY1',
+    jump: 'JH AH1 M P',
+    jumped: 'JH AH1 M P T',
+    jumping: 'JH AH1 M P IH0 NG',
+    june: 'JH UW1 N',
+    jungle: 'JH AH1 NG G AH0 L',
+    junior: 'JH UW1 N Y ER0',
+    junk: 'JH AH1 NG K',
+    jury: 'JH UH1 R IY0',
+    just: 'JH AH1 S T',
+    justice: 'JH AH1 S T AH0 S',
+    k: 'K EY1',
+    kane: 'K EY1 N',
+    kansas: 'K AE1 N Z AH0 S',
+    karen: 'K EH1 R AH0 N',
+    kay: 'K EY1',
+    keep: 'K IY1 P',
+    keeping: 'K IY1 P IH0 NG',
+    keeps: 'K IY1 P S',
+    kelly: 'K EH1 L IY0',
+    ken: 'K EH1 N',
+    kennedy: 'K EH1 N AH0 D IY0',
+    kenny: 'K EH1 N IY2',
+    kent: 'K EH1 N T',
+    kept: 'K EH1 P T',
+    key: 'K IY1',
+    keys: 'K IY1 Z',
+    kick: 'K IH1 K',
+    kicked: 'K IH1 K T',
+    kicking: 'K IH1 K IH0 NG',
+    kicks: 'K IH1 K S',
+    kid: 'K IH1 D',
+    kidding: 'K IH1 D IH0 NG',
+    kidnapped: 'K IH1 D N AE2 P T',
+    kidnapping: 'K IH1 D N AE2 P IH0 NG',
+    kidney: 'K IH1 D N IY0',
+    kids: 'K IH1 D Z',
+    kill: 'K IH1 L',
+    killed: 'K IH1 L D',
+    killer: 'K IH1 L ER0',
+    killers: 'K IH1 L ER0 Z',
+    killing: 'K IH1 L IH0 NG',
+    kills: 'K IH1 L Z',
+    kim: 'K IH1 M',
+    kind: 'K AY1 N D',
+    kinda: 'K IH1 N D AH0',
+    kindly: 'K AY1 N D L IY0',
+    kindness: 'K AY1 N D N AH0 S',
+    kinds: 'K AY1 N D Z',
+    king: 'K IH1 NG',
+    kingdom: 'K IH1 NG D AH0 M',
+    kings: 'K IH1 NG Z',
+    kirk: 'K ER1 K',
+    kiss: 'K IH1 S',
+    kissed: 'K IH1 S T',
+    kissing: 'K IH1 S IH0 NG',
+    kit: 'K IH1 T',
+    kitchen: 'K IH1 CH AH0 N',
+    kitty: 'K IH1 T IY0',
+    knee: 'N IY1',
+    knees: 'N IY1 Z',
+    knew: 'N UW1',
+    knife: 'N AY1 F',
+    knight: 'N AY1 T',
+    knock: 'N AA1 K',
+    knocked: 'N AA1 K T',
+    knocking: 'N AA1 K IH0 NG',
+    know: 'N OW1',
+    knowing: 'N OW1 IH0 NG',
+    knowledge: 'N AA1 L AH0 JH',
+    known: 'N OW1 N',
+    knows: 'N OW1 Z',
+    kong: 'K AO1 NG',
+    korea: 'K AO2 R IY1 AH0',
+    korean: 'K AO2 R IY1 AH0 N',
+    kyle: 'K AY1 L',
+    l: 'EH1 L',
+    la: 'L AA1',
+    lab: 'L AE1 B',
+    labor: 'L EY1 B ER0',
+    lack: 'L AE1 K',
+    lad: 'L AE1 D',
+    ladder: 'L AE1 D ER0',
+    ladies: 'L EY1 D IY0 Z',
+    lads: 'L AE1 D Z',
+    lady: 'L EY1 D IY0',
+    laid: 'L EY1 D',
+    lake: 'L EY1 K',
+    lamb: 'L AE1 M',
+    lame: 'L EY1 M',
+    lamp: 'L AE1 M P',
+    lan: 'L AE1 N',
+    lance: 'L AE1 N S',
+    land: 'L AE1 N D',
+    landed: 'L AE1 N D AH0 D',
+    landing: 'L AE1 N D IH0 NG',
+    lane: 'L EY1 N',
+    language: 'L AE1 NG G W AH0 JH',
+    lap: 'L AE1 P',
+    large: 'L AA1 R JH',
+    larger: 'L AA1 R JH ER0',
+    larry: 'L EH1 R IY0',
+    las: 'L AA1 S',
+    laser: 'L EY1 Z ER0',
+    last: 'L AE1 S T',
+    late: 'L EY1 T',
+    lately: 'L EY1 T L IY0',
+    later: 'L EY1 T ER0',
+    latest: 'L EY1 T AH0 S T',
+    latin: 'L AE1 T AH0 N',
+    laugh: 'L AE1 F',
+    laughed: 'L AE1 F T',
+    laughing: 'L AE1 F IH0 NG',
+    laughs: 'L AE1 F S',
+    laughter: 'L AE1 F T ER0',
+    launch: 'L AO1 N CH',
+    laundry: 'L AO1 N D R IY0',
+    laura: 'L AO1 R AH0',
+    law: 'L AO1',
+    lawn: 'L AO1 N',
+    lawrence: 'L AO1 R AH0 N S',
+    laws: 'L AO1 Z',
+    lawyer: 'L AO1 Y ER0',
+    lawyers: 'L AO1 Y ER0 Z',
+    lay: 'L EY1',
+    laying: 'L EY1 IH0 NG',
+    lazy: 'L EY1 Z IY0',
+    le: 'L AH0',
+    lead: 'L EH1 D',
+    leader: 'L IY1 D ER0',
+    leaders: 'L IY1 D ER0 Z',
+    leading: 'L IY1 D IH0 NG',
+    leads: 'L IY1 D Z',
+    league: 'L IY1 G',
+    leak: 'L IY1 K',
+    lean: 'L IY1 N',
+    learn: 'L ER1 N',
+    learned: 'L ER1 N D',
+    learning: 'L ER1 N IH0 NG',
+    least: 'L IY1 S T',
+    leather: 'L EH1 DH ER0',
+    leave: 'L IY1 V',
+    leaves: 'L IY1 V Z',
+    leaving: 'L IY1 V IH0 NG',
+    lecture: 'L EH1 K CH ER0',
+    led: 'L EH1 D',
+    lee: 'L IY1',
+    left: 'L EH1 F T',
+    leg: 'L EH1 G',
+    legal: 'L IY1 G AH0 L',
+    legend: 'L EH1 JH AH0 N D',
+    legs: 'L EH1 G Z',
+    lemon: 'L EH1 M AH0 N',
+    lend: 'L EH1 N D',
+    leo: 'L IY1 OW0',
+    leon: 'L IY1 AA0 N',
+    leonard: 'L EH1 N ER0 D',
+    lesbian: 'L EH1 Z B IY0 AH0 N',
+    less: 'L EH1 S',
+    lesson: 'L EH1 S AH0 N',
+    lessons: 'L EH1 S AH0 N Z',
+    let: 'L EH1 T',
+    lets: 'L EH1 T S',
+    letter: 'L EH1 T ER0',
+    letters: 'L EH1 T ER0 Z',
+    letting: 'L EH1 T IH0 NG',
+    level: 'L EH1 V AH0 L',
+    levels: 'L EH1 V AH0 L Z',
+    lewis: 'L UW1 IH0 S',
+    li: 'L IY1',
+    liar: 'L AY1 ER0',
+    liberty: 'L IH1 B ER0 T IY2',
+    library: 'L AY1 B R EH0 R IY2',
+    license: 'L AY1 S AH0 N S',
+    lick: 'L IH1 K',
+    lie: 'L AY1',
+    lied: 'L AY1 D',
+    lies: 'L AY1 Z',
+    lieutenant: 'L UW0 T EH1 N AH0 N T',
+    life: 'L AY1 F',
+    lifetime: 'L AY1 F T AY2 M',
+    lift: 'L IH1 F T',
+    light: 'L AY1 T',
+    lighter: 'L AY1 T ER0',
+    lightning: 'L AY1 T N IH0 NG',
+    lights: 'L AY1 T S',
+    like: 'L AY1 K',
+    liked: 'L AY1 K T',
+    likely: 'L AY1 K L IY0',
+    likes: 'L AY1 K S',
+    lily: 'L IH1 L IY0',
+    limit: 'L IH1 M AH0 T',
+    limited: 'L IH1 M AH0 T AH0 D',
+    limo: 'L IH1 M OW0',
+    lincoln: 'L IH1 NG K AH0 N',
+    linda: 'L IH1 N D AH0',
+    line: 'L AY1 N',
+    lines: 'L AY1 N Z',
+    ling: 'L IH1 NG',
+    link: 'L IH1 NG K',
+    lion: 'L AY1 AH0 N',
+    lip: 'L IH1 P',
+    lips: 'L IH1 P S',
+    lipstick: 'L IH1 P S T IH2 K',
+    liquor: 'L IH1 K ER0',
+    list: 'L IH1 S T',
+    listen: 'L IH1 S AH0 N',
+    listened: 'L IH1 S AH0 N D',
+    listening: 'L IH1 S AH0 N IH0 NG',
+    lit: 'L IH1 T',
+    literally: 'L IH1 T ER0 AH0 L IY0',
+    little: 'L IH1 T AH0 L',
+    live: 'L AY1 V',
+    lived: 'L IH1 V D',
+    liver: 'L IH1 V ER0',
+    lives: 'L IH1 V Z',
+    living: 'L IH1 V IH0 NG',
+    ln: 'L EY1 N',
+    load: 'L OW1 D',
+    loaded: 'L OW1 D IH0 D',
+    loan: 'L OW1 N',
+    lobby: 'L AA1 B IY0',
+    local: 'L OW1 K AH0 L',
+    locate: 'L OW1 K EY2 T',
+    located: 'L OW1 K EY2 T AH0 D',
+    location: 'L OW0 K EY1 SH AH0 N',
+    lock: 'L AA1 K',
+    locked: 'L AA1 K T',
+    locker: 'L AA1 K ER0',
+    log: 'L AO1 G',
+    logan: 'L OW1 G AH0 N',
+    london: 'L AH1 N D AH0 N',
+    lonely: 'L OW1 N L IY0',
+    long: 'L AO1 NG',
+    longer: 'L AO1 NG G ER0',
+    look: 'L UH1 K',
+    looked: 'L UH1 K T',
+    looking: 'L UH1 K IH0 NG',
+    looks: 'L UH1 K S',
+    loose: 'L UW1 S',
+    lord: 'L AO1 R D',
+    lori: 'L AO1 R IY0',
+    lose: 'L UW1 Z',
+    loser: 'L UW1 Z ER0',
+    losers: 'L UW1 Z ER0 Z',
+    loses: 'L UW1 Z AH0 Z',
+    losing: 'L UW1 Z IH0 NG',
+    loss: 'L AO1 S',
+    lost: 'L AO1 S T',
+    lot: 'L AA1 T',
+    lots: 'L AA1 T S',
+    loud: 'L AW1 D',
+    louder: 'L AW1 D ER0',
+    louie: 'L UW0 IY1',
+    louis: 'L UW1 IH0 S',
+    louise: 'L UW0 IY1 Z',
+    lousy: 'L AW1 Z IY0',
+    love: 'L AH1 V',
+    loved: 'L AH1 V D',
+    lovely: 'L AH1 V L IY0',
+    lover: 'L AH1 V ER0',
+    lovers: 'L AH1 V ER0 Z',
+    loves: 'L AH1 V Z',
+    loving: 'L AH1 V IH0 NG',
+    low: 'L OW1',
+    lower: 'L OW1 ER0',
+    loyal: 'L OY1 AH0 L',
+    loyalty: 'L OY1 AH0 L T IY0',
+    ls: 'EH1 L EH1 S',
+    luck: 'L AH1 K',
+    lucky: 'L AH1 K IY0',
+    lucy: 'L UW1 S IY0',
+    luggage: 'L AH1 G AH0 JH',
+    luke: 'L UW1 K',
+    lullaby: 'L AH1 L AH0 B AY2',
+    lunatic: 'L UW1 N AH0 T IH2 K',
+    lunch: 'L AH1 N CH',
+    lung: 'L AH1 NG',
+    lungs: 'L AH1 NG Z',
+    luther: 'L UW1 TH ER0',
+    lying: 'L AY1 IH0 NG',
+    lynn: 'L IH1 N',
+    m: 'EH1 M',
+    ma: 'M AA1',
+    mac: 'M AE1 K',
+    machine: 'M AH0 SH IY1 N',
+    machines: 'M AH0 SH IY1 N Z',
+    mad: 'M AE1 D',
+    madam: 'M AE1 D AH0 M',
+    madame: 'M AE1 D AH0 M',
+    made: 'M EY1 D',
+    mademoiselle: 'M AE2 D AH0 M AH0 Z EH1 L',
+    madison: 'M AE1 D AH0 S AH0 N',
+    madness: 'M AE1 D N AH0 S',
+    magazine: 'M AE1 G AH0 Z IY2 N',
+    magazines: 'M AE1 G AH0 Z IY2 N Z',
+    maggie: 'M AE1 G IY2',
+    magic: 'M AE1 JH IH0 K',
+    magical: 'M AE1 JH IH0 K AH0 L',
+    magnificent: 'M AE0 G N IH1 F AH0 S AH0 N T',
+    magnum: 'M AE1 G N AH0 M',
+    maid: 'M EY1 D',
+    mail: 'M EY1 L',
+    main: 'M EY1 N',
+    maintain: 'M EY0 N T EY1 N',
+    majesty: 'M AE1 JH AH0 S T IY0',
+    major: 'M EY1 JH ER0',
+    make: 'M EY1 K',
+    makes: 'M EY1 K S',
+    makeup: 'M EY1 K AH2 P',
+    making: 'M EY1 K IH0 NG',
+    male: 'M EY1 L',
+    mall: 'M AO1 L',
+    mama: 'M AA1 M AH0',
+    man: 'M AE1 N',
+    manage: 'M AE1 N AH0 JH',
+    managed: 'M AE1 N AH0 JH D',
+    management: 'M AE1 N AH0 JH M AH0 N T',
+    manager: 'M AE1 N AH0 JH ER0',
+    manhattan: 'M AE0 N HH AE1 T AH0 N',
+    maniac: 'M EY1 N IY0 AE2 K',
+    mankind: 'M AE1 N K AY1 N D',
+    manner: 'M AE1 N ER0',
+    manners: 'M AE1 N ER0 Z',
+    manny: 'M AE1 N IY0',
+    many: 'M EH1 N IY0',
+    map: 'M AE1 P',
+    march: 'M AA1 R CH',
+    marco: 'M AA1 R K OW0',
+    margaret: 'M AA1 R G ER0 IH0 T',
+    maria: 'M ER0 IY1 AH0',
+    marie: 'M ER0 IY1',
+    marilyn: 'M EH1 R AH0 L AH0 N',
+    marine: 'M ER0 IY1 N',
+    marines: 'M ER0 IY1 N Z',
+    mark: 'M AA1 R K',
+    marked: 'M AA1 R K T',
+    market: 'M AA1 R K AH0 T',
+    marks: 'M AA1 R K S',
+    marriage: 'M EH1 R IH0 JH',
+    married: 'M EH1 R IY0 D',
+    marry: 'M EH1 R IY0',
+    marrying: 'M EH1 R IY0 IH0 NG',
+    mars: 'M AA1 R Z',
+    marshal: 'M AA1 R SH AH0 L',
+    marshall: 'M AA1 R SH AH0 L',
+    martha: 'M AA1 R TH AH0',
+    martin: 'M AA1 R T AH0 N',
+    marvelous: 'M AA1 R V AH0 L AH0 S',
+    mary: 'M EH1 R IY0',
+    mask: 'M AE1 S K',
+    mason: 'M EY1 S AH0 N',
+    mass: 'M AE1 S',
+    massage: 'M AH0 S AA1 ZH',
+    massive: 'M AE1 S IH0 V',
+    master: 'M AE1 S T ER0',
+    match: 'M AE1 CH',
+    matches: 'M AE1 CH AH0 Z',
+    mate: 'M EY1 T',
+    material: 'M AH0 T IH1 R IY0 AH0 L',
+    math: 'M AE1 TH',
+    matt: 'M AE1 T',
+    matter: 'M AE1 T ER0',
+    matters: 'M AE1 T ER0 Z',
+    matthew: 'M AE1 TH Y UW0',
+    mature: 'M AH0 CH UH1 R',
+    max: 'M AE1 K S',
+    may: 'M EY1',
+    maybe: 'M EY1 B IY0',
+    mayor: 'M EY1 ER0',
+    me: 'M IY1',
+    meal: 'M IY1 L',
+    mean: 'M IY1 N',
+    meaning: 'M IY1 N IH0 NG',
+    means: 'M IY1 N Z',
+    meant: 'M EH1 N T',
+    meantime: 'M IY1 N T AY2 M',
+    meanwhile: 'M IY1 N W AY2 L',
+    measure: 'M EH1 ZH ER0',
+    meat: 'M IY1 T',
+    medal: 'M EH1 D AH0 L',
+    media: 'M IY1 D IY0 AH0',
+    medical: 'M EH1 D AH0 K AH0 L',
+    medication: 'M EH2 D AH0 K EY1 SH AH0 N',
+    medicine: 'M EH1 D AH0 S AH0 N',
+    meet: 'M IY1 T',
+    meeting: 'M IY1 T IH0 NG',
+    meetings: 'M IY1 T IH0 NG Z',
+    meets: 'M IY1 T S',
+    meg: 'M EH1 G',
+    mel: 'M EH1 L',
+    melissa: 'M AH0 L IH1 S AH0',
+    member: 'M EH1 M B ER0',
+    members: 'M EH1 M B ER0 Z',
+    memories: 'M EH1 M ER0 IY0 Z',
+    memory: 'M EH1 M ER0 IY0',
+    men: 'M EH1 N',
+    mental: 'M EH1 N T AH0 L',
+    mention: 'M EH1 N SH AH0 N',
+    mentioned: 'M EH1 N SH AH0 N D',
+    menu: 'M EH1 N Y UW0',
+    mercy: 'M ER1 S IY0',
+    merely: 'M IH1 R L IY0',
+    merry: 'M EH1 R IY0',
+    mess: 'M EH1 S',
+    message: 'M EH1 S AH0 JH',
+    messages: 'M EH1 S AH0 JH AH0 Z',
+    messed: 'M EH1 S T',
+    messing: 'M EH1 S IH0 NG',
+    met: 'M EH1 T',
+    metal: 'M EH1 T AH0 L',
+    mexican: 'M EH1 K S AH0 K AH0 N',
+    mexico: 'M EH1 K S AH0 K OW2',
+    miami: 'M AY0 AE1 M IY0',
+    michael: 'M AY1 K AH0 L',
+    mick: 'M IH1 K',
+    mickey: 'M IH1 K IY0',
+    middle: 'M IH1 D AH0 L',
+    midnight: 'M IH1 D N AY2 T',
+    might: 'M AY1 T',
+    mighty: 'M AY1 T IY0',
+    mike: 'M AY1 K',
+    mile: 'M AY1 L',
+    miles: 'M AY1 L Z',
+    military: 'M IH1 L AH0 T EH2 R IY0',
+    milk: 'M IH1 L K',
+    mill: 'M IH1 L',
+    miller: 'M IH1 L ER0',
+    million: 'M IH1 L Y AH0 N',
+    millions: 'M IH1 L Y AH0 N Z',
+    mind: 'M AY1 N D',
+    minds: 'M AY1 N D Z',
+    mine: 'M AY1 N',
+    minimum: 'M IH1 N AH0 M AH0 M',
+    minister: 'M IH1 N AH0 S T ER0',
+    minor: 'M AY1 N ER0',
+    minute: 'M IH1 N AH0 T',
+    minutes: 'M IH1 N AH0 T S',
+    miracle: 'M IH1 R AH0 K AH0 L',
+    mirror: 'M IH1 R ER0',
+    miserable: 'M IH1 Z ER0 AH0 B AH0 L',
+    misery: 'M IH1 Z ER0 IY0',
+    miss: 'M IH1 S',
+    missed: 'M IH1 S T',
+    missile: 'M IH1 S AH0 L',
+    missing: 'M IH1 S IH0 NG',
+    mission: 'M IH1 SH AH0 N',
+    missy: 'M IH1 S IY0',
+    mistake: 'M IH0 S T EY1 K',
+    mistaken: 'M IH0 S T EY1 K AH0 N',
+    mistakes: 'M IH0 S T EY1 K S',
+    mister: 'M IH1 S T ER0',
+    mistress: 'M IH1 S T R AH0 S',
+    misunderstanding: 'M IH2 S AH0 N D ER0 S T AE1 N D IH0 NG',
+    mitch: 'M IH1 CH',
+    mix: 'M IH1 K S',
+    mixed: 'M IH1 K S T',
+    mm: 'M',
+    mob: 'M AA1 B',
+    model: 'M AA1 D AH0 L',
+    models: 'M AA1 D AH0 L Z',
+    modern: 'M AA1 D ER0 N',
+    molly: 'M AA1 L IY0',
+    mom: 'M AA1 M',
+    moment: 'M OW1 M AH0 N T',
+    moments: 'M OW1 M AH0 N T S',
+    mommy: 'M AA1 M IY0',
+    mon: 'M OW1 N',
+    monday: 'M AH1 N D IY0',
+    money: 'M AH1 N IY0',
+    monica: 'M AA1 N IH0 K AH0',
+    monitor: 'M AA1 N AH0 T ER0',
+    monkey: 'M AH1 NG K IY0',
+    monsieur: 'M AH0 S Y ER1',
+    monster: 'M AA1 N S T ER0',
+    monsters: 'M AA1 N S T ER0 Z',
+    month: 'M AH1 N TH',
+    months: 'M AH1 N TH S',
+    mood: 'M UW1 D',
+    moon: 'M UW1 N',
+    moral: 'M AO1 R AH0 L',
+    more: 'M AO1 R',
+    morgan: 'M AO1 R G AH0 N',
+    morgue: 'M AO1 R G',
+    morning: 'M AO1 R N IH0 NG',
+    moron: 'M AO1 R AA2 N',
+    morris: 'M AO1 R AH0 S',
+    mortal: 'M AO1 R T AH0 L',
+    moscow: 'M AA1 S K OW2',
+    most: 'M OW1 S T',
+    mostly: 'M OW1 S T L IY0',
+    motel: 'M OW0 T EH1 L',
+    mother: 'M AH1 DH ER0',
+    motherfucker: 'M AH1 DH ER0 F AH2 K ER0',
+    motherfuckers: 'M AH1 DH ER0 F AH2 K ER0 Z',
+    motherfucking: 'M AH1 DH ER0 F AH2 K IH0 NG',
+    mothers: 'M AH1 DH ER0 Z',
+    motion: 'M OW1 SH AH0 N',
+    motive: 'M OW1 T IH0 V',
+    motor: 'M OW1 T ER0',
+    motorcycle: 'M OW1 T ER0 S AY2 K AH0 L',
+    mount: 'M AW1 N T',
+    mountain: 'M AW1 N T AH0 N',
+    mountains: 'M AW1 N T AH0 N Z',
+    mouse: 'M AW1 S',
+    mouth: 'M AW1 TH',
+    move: 'M UW1 V',
+    moved: 'M UW1 V D',
+    movement: 'M UW1 V M AH0 N T',
+    moves: 'M UW1 V Z',
+    movie: 'M UW1 V IY0',
+    movies: 'M UW1 V IY0 Z',
+    moving: 'M UW1 V IH0 NG',
+    mr: 'M IH1 S T ER0',
+    mrs: 'M IH1 S IH0 Z',
+    ms: 'M IH1 Z',
+    much: 'M AH1 CH',
+    mud: 'M AH1 D',
+    mulder: 'M AH1 L D ER0',
+    multiple: 'M AH1 L T AH0 P AH0 L',
+    mum: 'M AH1 M',
+    mummy: 'M AH1 M IY0',
+    murder: 'M ER1 D ER0',
+    murdered: 'M ER1 D ER0 D',
+    murderer: 'M ER1 D ER0 ER0',
+    murders: 'M ER1 D ER0 Z',
+    murphy: 'M ER1 F IY0',
+    murray: 'M ER1 IY0',
+    muscle: 'M AH1 S AH0 L',
+    museum: 'M Y UW0 Z IY1 AH0 M',
+    music: 'M Y UW1 Z IH0 K',
+    musical: 'M Y UW1 Z IH0 K AH0 L',
+    must: 'M AH1 S T',
+    my: 'M AY1',
+    myself: 'M AY2 S EH1 L F',
+    mysterious: 'M IH0 S T IH1 R IY0 AH0 S',
+    mystery: 'M IH1 S T ER0 IY0',
+    n: 'EH1 N',
+    nah: 'N AA1',
+    nail: 'N EY1 L',
+    nails: 'N EY1 L Z',
+    naked: 'N EY1 K AH0 D',
+    name: 'N EY1 M',
+    named: 'N EY1 M D',
+    names: 'N EY1 M Z',
+    nancy: 'N AE1 N S IY0',
+    nanny: 'N AE1 N IY0',
+    nap: 'N AE1 P',
+    narrator: 'N EH1 R EY0 T ER0',
+    nasty: 'N AE1 S T IY0',
+    nation: 'N EY1 SH AH0 N',
+    national: 'N AE1 SH AH0 N AH0 L',
+    native: 'N EY1 T IH0 V',
+    natural: 'N AE1 CH ER0 AH0 L',
+    naturally: 'N AE1 CH ER0 AH0 L IY0',
+    nature: 'N EY1 CH ER0',
+    naughty: 'N AO1 T IY0',
+    navy: 'N EY1 V IY0',
+    near: 'N IH1 R',
+    nearby: 'N IH1 R B AY1',
+    nearly: 'N IH1 R L IY0',
+    neat: 'N IY1 T',
+    necessarily: 'N EH2 S AH0 S EH1 R AH0 L IY0',
+    necessary: 'N EH1 S AH0 S EH2 R IY0',
+    neck: 'N EH1 K',
+    necklace: 'N EH1 K L AH0 S',
+    need: 'N IY1 D',
+    needed: 'N IY1 D AH0 D',
+    needle: 'N IY1 D AH0 L',
+    needs: 'N IY1 D Z',
+    negative: 'N EH1 G AH0 T IH0 V',
+    neighbor: 'N EY1 B ER0',
+    neighborhood: 'N EY1 B ER0 HH UH2 D',
+    neighbors: 'N EY1 B ER0 Z',
+    neither: 'N IY1 DH ER0',
+    nelson: 'N EH1 L S AH0 N',
+    nephew: 'N EH1 F Y UW0',
+    nerve: 'N ER1 V',
+    nerves: 'N ER1 V Z',
+    nervous: 'N ER1 V AH0 S',
+    nest: 'N EH1 S T',
+    net: 'N EH1 T',
+    network: 'N EH1 T W ER2 K',
+    never: 'N EH1 V ER0',
+    new: 'N UW1',
+    news: 'N UW1 Z',
+    newspaper: 'N UW1 Z P EY2 P ER0',
+    newspapers: 'N UW1 Z P EY2 P ER0 Z',
+    next: 'N EH1 K S T',
+    nice: 'N AY1 S',
+    nicely: 'N AY1 S L IY0',
+    nick: 'N IH1 K',
+    nickel: 'N IH1 K AH0 L',
+    nicky: 'N IH1 K IY0',
+    niece: 'N IY1 S',
+    nigger: 'N IH1 G ER0',
+    night: 'N AY1 T',
+    nightmare: 'N AY1 T M EH2 R',
+    nights: 'N AY1 T S',
+    nine: 'N AY1 N',
+    no: 'N OW1',
+    noah: 'N OW1 AH0',
+    noble: 'N OW1 B AH0 L',
+    nobody: 'N OW1 B AA2 D IY2',
+    noel: 'N OW0 EH1 L',
+    noise: 'N OY1 Z',
+    none: 'N AH1 N',
+    nonsense: 'N AA1 N S EH0 N S',
+    noon: 'N UW1 N',
+    nope: 'N OW1 P',
+    nor: 'N AO1 R',
+    normal: 'N AO1 R M AH0 L',
+    normally: 'N AO1 R M AH0 L IY0',
+    norman: 'N AO1 R M AH0 N',
+    north: 'N AO1 R TH',
+    nose: 'N OW1 Z',
+    not: 'N AA1 T',
+    note: 'N OW1 T',
+    notes: 'N OW1 T S',
+    nothing: 'N AH1 TH IH0 NG',
+    notice: 'N OW1 T AH0 S',
+    noticed: 'N OW1 T AH0 S T',
+    novel: 'N AA1 V AH0 L',
+    november: 'N OW0 V EH1 M B ER0',
+    now: 'N AW1',
+    nowhere: 'N OW1 W EH2 R',
+    nuclear: 'N UW1 K L IY0 ER0',
+    number: 'N AH1 M B ER0',
+    numbers: 'N AH1 M B ER0 Z',
+    nurse: 'N ER1 S',
+    nurses: 'N ER1 S AH0 Z',
+    nut: 'N AH1 T',
+    nuts: 'N AH1 T S',
+    o: 'OW1',
+    oath: 'OW1 TH',
+    obey: 'OW0 B EY1',
+    object: 'AA1 B JH EH0 K T',
+    objection: 'AH0 B JH EH1 K SH AH0 N',
+    objects: 'AA1 B JH EH0 K T S',
+    observe: 'AH0 B Z ER1 V',
+    obsessed: 'AH0 B S EH1 S T',
+    obvious: 'AA1 B V IY0 AH0 S',
+    obviously: 'AA1 B V IY0 AH0 S L IY0',
+    occasion: 'AH0 K EY1 ZH AH0 N',
+    occurred: 'AH0 K ER1 D',
+    ocean: 'OW1 SH AH0 N',
+    october: 'AA0 K T OW1 B ER0',
+    odd: 'AA1 D',
+    odds: 'AA1 D Z',
+    of: 'AH1 V',
+    off: 'AO1 F',
+    offense: 'AH0 F EH1 N S',
+    offer: 'AO1 F ER0',
+    offered: 'AO1 F ER0 D',
+    offering: 'AO1 F ER0 IH0 NG',
+    office: 'AO1 F IH0 S',
+    officer: 'AO1 F AH0 S ER0',
+    officers: 'AO1 F AH0 S ER0 Z',
+    official: 'AH0 F IH1 SH AH0 L',
+    officially: 'AH0 F IH1 SH AH0 L IY0',
+    often: 'AO1 F AH0 N',
+    oh: 'OW1',
+    ohio: 'OW0 HH AY1 OW0',
+    oil: 'OY1 L',
+    ok: 'OW1 K EY1',
+    okay: 'OW2 K EY1',
+    old: 'OW1 L D',
+    older: 'OW1 L D ER0',
+    oldest: 'OW1 L D AH0 S T',
+    oliver: 'AA1 L AH0 V ER0',
+    on: 'AA1 N',
+    once: 'W AH1 N S',
+    one: 'W AH1 N',
+    ones: 'W AH1 N Z',
+    only: 'OW1 N L IY0',
+    onto: 'AA1 N T UW0',
+    ooh: 'UW1',
+    oops: 'UW1 P S',
+    open: 'OW1 P AH0 N',
+    opened: 'OW1 P AH0 N D',
+    opening: 'OW1 P AH0 N IH0 NG',
+    opens: 'OW1 P AH0 N Z',
+    opera: 'AA1 P R AH0',
+    operate: 'AA1 P ER0 EY2 T',
+    operating: 'AA1 P ER0 EY2 T IH0 NG',
+    operation: 'AA2 P ER0 EY1 SH AH0 N',
+    operations: 'AA2 P ER0 EY1 SH AH0 N Z',
+    operator: 'AA1 P ER0 EY2 T ER0',
+    opinion: 'AH0 P IH1 N Y AH0 N',
+    opportunity: 'AA2 P ER0 T UW1 N AH0 T IY0',
+    opposite: 'AA1 P AH0 Z AH0 T',
+    option: 'AA1 P SH AH0 N',
+    options: 'AA1 P SH AH0 N Z',
+    or: 'AO1 R',
+    orange: 'AO1 R AH0 N JH',
+    order: 'AO1 R D ER0',
+    ordered: 'AO1 R D ER0 D',
+    orders: 'AO1 R D ER0 Z',
+    ordinary: 'AO1 R D AH0 N EH2 R IY0',
+    organization: 'AO2 R G AH0 N AH0 Z EY1 SH AH0 N',
+    organized: 'AO1 R G AH0 N AY2 Z D',
+    original: 'ER0 IH1 JH AH0 N AH0 L',
+    orleans: 'AO1 R L IY0 AH0 N Z',
+    oscar: 'AO1 S K ER0',
+    other: 'AH1 DH ER0',
+    others: 'AH1 DH ER0 Z',
+    otherwise: 'AH1 DH ER0 W AY2 Z',
+    ouch: 'AW1 CH',
+    ought: 'AO1 T',
+    our: 'AW1 ER0',
+    ours: 'AW1 ER0 Z',
+    ourselves: 'AW0 ER0 S EH1 L V Z',
+    out: 'AW1 T',
+    outer: 'AW1 T ER0',
+    outfit: 'AW1 T F IH2 T',
+    outside: 'AW1 T S AY1 D',
+    outta: 'UW1 T AH0',
+    oven: 'AH1 V AH0 N',
+    over: 'OW1 V ER0',
+    overnight: 'OW1 V ER0 N AY1 T',
+    ow: 'OW1',
+    owe: 'OW1',
+    owes: 'OW1 Z',
+    own: 'OW1 N',
+    owned: 'OW1 N D',
+    owner: 'OW1 N ER0',
+    owns: 'OW1 N Z',
+    oxygen: 'AA1 K S AH0 JH AH0 N',
+    p: 'P IY1',
+    pa: 'P AA1',
+    pace: 'P EY1 S',
+    pacey: 'P EY1 S IY0',
+    pacific: 'P AH0 S IH1 F IH0 K',
+    pack: 'P AE1 K',
+    package: 'P AE1 K AH0 JH',
+    packed: 'P AE1 K T',
+    packing: 'P AE1 K IH0 NG',
+    pad: 'P AE1 D',
+    page: 'P EY1 JH',
+    pages: 'P EY1 JH AH0 Z',
+    paid: 'P EY1 D',
+    pain: 'P EY1 N',
+    painful: 'P EY1 N F AH0 L',
+    paint: 'P EY1 N T',
+    painted: 'P EY1 N T IH0 D',
+    painting: 'P EY1 N T IH0 NG',
+    paintings: 'P EY1 N T IH0 NG Z',
+    pair: 'P EH1 R',
+    pal: 'P AE1 L',
+    palace: 'P AE1 L AH0 S',
+    palm: 'P AA1 M',
+    palmer: 'P AA1 M ER0',
+    pam: 'P AE1 M',
+    pan: 'P AE1 N',
+    pancakes: 'P AE1 N K EY2 K S',
+    panic: 'P AE1 N IH0 K',
+    panties: 'P AE1 N T IY0 Z',
+    pants: 'P AE1 N T S',
+    papa: 'P AA1 P AH2',
+    paper: 'P EY1 P ER0',
+    papers: 'P EY1 P ER0 Z',
+    paperwork: 'P EY1 P ER0 W ER2 K',
+    parade: 'P ER0 EY1 D',
+    paradise: 'P EH1 R AH0 D AY2 S',
+    paranoid: 'P EH1 R AH0 N OY2 D',
+    pardon: 'P AA1 R D AH0 N',
+    parent: 'P EH1 R AH0 N T',
+    parents: 'P EH1 R AH0 N T S',
+    paris: 'P EH1 R IH0 S',
+    park: 'P AA1 R K',
+    parked: 'P AA1 R K T',
+    parker: 'P AA1 R K ER0',
+    parking: 'P AA1 R K IH0 NG',
+    parole: 'P ER0 OW1 L',
+    part: 'P AA1 R T',
+    particular: 'P ER0 T IH1 K Y AH0 L ER0',
+    particularly: 'P AA2 R T IH1 K Y AH0 L ER0 L IY0',
+    parties: 'P AA1 R T IY0 Z',
+    partner: 'P AA1 R T N ER0',
+    partners: 'P AA1 R T N ER0 Z',
+    parts: 'P AA1 R T S',
+    party: 'P AA1 R T IY0',
+    pass: 'P AE1 S',
+    passed: 'P AE1 S T',
+    passenger: 'P AE1 S AH0 N JH ER0',
+    passengers: 'P AE1 S AH0 N JH ER0 Z',
+    passes: 'P AE1 S AH0 Z',
+    passing: 'P AE1 S IH0 NG',
+    passion: 'P AE1 SH AH0 N',
+    passport: 'P AE1 S P AO2 R T',
+    past: 'P AE1 S T',
+    pat: 'P AE1 T',
+    patch: 'P AE1 CH',
+    path: 'P AE1 TH',
+    pathetic: 'P AH0 TH EH1 T IH0 K',
+    patience: 'P EY1 SH AH0 N S',
+    patient: 'P EY1 SH AH0 N T',
+    patients: 'P EY1 SH AH0 N T S',
+    patrick: 'P AE1 T R IH0 K',
+    patrol: 'P AH0 T R OW1 L',
+    pattern: 'P AE1 T ER0 N',
+    patty: 'P AE1 T IY0',
+    paul: 'P AO1 L',
+    pay: 'P EY1',
+    paying: 'P EY1 IH0 NG',
+    payment: 'P EY1 M AH0 N T',
+    pays: 'P EY1 Z',
+    peace: 'P IY1 S',
+    peaceful: 'P IY1 S F AH0 L',
+    peanut: 'P IY1 N AH0 T',
+    pearl: 'P ER1 L',
+    pee: 'P IY1',
+    peg: 'P EH1 G',
+    peggy: 'P EH1 G IY0',
+    pen: 'P EH1 N',
+    penalty: 'P EH1 N AH0 L T IY0',
+    pencil: 'P EH1 N S AH0 L',
+    penis: 'P IY1 N IH0 S',
+    penny: 'P EH1 N IY0',
+    people: 'P IY1 P AH0 L',
+    pepper: 'P EH1 P ER0',
+    per: 'P ER1',
+    percent: 'P ER0 S EH1 N T',
+    perfect: 'P ER0 F EH1 K T',
+    perfectly: 'P ER1 F AH0 K T L IY0',
+    perform: 'P ER0 F AO1 R M',
+    performance: 'P ER0 F AO1 R M AH0 N S',
+    perfume: 'P ER0 F Y UW1 M',
+    perhaps: 'P ER0 HH AE1 P S',
+    perimeter: 'P ER0 IH1 M AH0 T ER0',
+    period: 'P IH1 R IY0 AH0 D',
+    permanent: 'P ER1 M AH0 N AH0 N T',
+    permission: 'P ER0 M IH1 SH AH0 N',
+    permit: 'P ER0 M IH1 T',
+    person: 'P ER1 S AH0 N',
+    personal: 'P ER1 S IH0 N AH0 L',
+    personality: 'P ER2 S AH0 N AE1 L IH0 T IY0',
+    personally: 'P ER1 S AH0 N AH0 L IY0',
+    personnel: 'P ER2 S AH0 N EH1 L',
+    perspective: 'P ER0 S P EH1 K T IH0 V',
+    pet: 'P EH1 T',
+    pete: 'P IY1 T',
+    peter: 'P IY1 T ER0',
+    petty: 'P EH1 T IY2',
+    phase: 'F EY1 Z',
+    phil: 'F IH1 L',
+    philadelphia: 'F IH2 L AH0 D EH1 L F IY0 AH0',
+    philip: 'F IH1 L AH0 P',
+    philosophy: 'F AH0 L AA1 S AH0 F IY0',
+    phoebe: 'F IY1 B IY0',
+    phoenix: 'F IY1 N IH0 K S',
+    phone: 'F OW1 N',
+    phones: 'F OW1 N Z',
+    phony: 'F OW1 N IY0',
+    photo: 'F OW1 T OW2',
+    photograph: 'F OW1 T AH0 G R AE2 F',
+    photographer: 'F AH0 T AA1 G R AH0 F ER0',
+    photographs: 'F OW1 T AH0 G R AE2 F S',
+    photos: 'F OW1 T OW2 Z',
+    phrase: 'F R EY1 Z',
+    physical: 'F IH1 Z IH0 K AH0 L',
+    physically: 'F IH1 Z IH0 K AH0 L IY0',
+    physics: 'F IH1 Z IH0 K S',
+    piano: 'P IY0 AE1 N OW0',
+    pick: 'P IH1 K',
+    picked: 'P IH1 K T',
+    picking: 'P IH1 K IH0 NG',
+    picks: 'P IH1 K S',
+    picnic: 'P IH1 K N IH2 K',
+    picture: 'P IH1 K CH ER0',
+    pictures: 'P IH1 K CH ER0 Z',
+    pie: 'P AY1',
+    piece: 'P IY1 S',
+    pieces: 'P IY1 S AH0 Z',
+    pierce: 'P IH1 R S',
+    pig: 'P IH1 G',
+    pigs: 'P IH1 G Z',
+    pile: 'P AY1 L',
+    pill: 'P IH1 L',
+    pillow: 'P IH1 L OW0',
+    pills: 'P IH1 L Z',
+    pilot: 'P AY1 L AH0 T',
+    pimp: 'P IH1 M P',
+    pin: 'P IH1 N',
+    pink: 'P IH1 NG K',
+    pipe: 'P AY1 P',
+    piper: 'P AY1 P ER0',
+    piss: 'P IH1 S',
+    pissed: 'P IH1 S T',
+    pistol: 'P IH1 S T AH0 L',
+    pit: 'P IH1 T',
+    pitch: 'P IH1 CH',
+    pity: 'P IH1 T IY0',
+    pizza: 'P IY1 T S AH0',
+    place: 'P L EY1 S',
+    placed: 'P L EY1 S T',
+    places: 'P L EY1 S AH0 Z',
+    plague: 'P L EY1 G',
+    plain: 'P L EY1 N',
+    plan: 'P L AE1 N',
+    plane: 'P L EY1 N',
+    planes: 'P L EY1 N Z',
+    planet: 'P L AE1 N AH0 T',
+    planned: 'P L AE1 N D',
+    planning: 'P L AE1 N IH0 NG',
+    plans: 'P L AE1 N Z',
+    plant: 'P L AE1 N T',
+    planted: 'P L AE1 N T IH0 D',
+    plants: 'P L AE1 N T S',
+    plastic: 'P L AE1 S T IH0 K',
+    plate: 'P L EY1 T',
+    plates: 'P L EY1 T S',
+    play: 'P L EY1',
+    played: 'P L EY1 D',
+    player: 'P L EY1 ER0',
+    players: 'P L EY1 ER0 Z',
+    playing: 'P L EY1 IH0 NG',
+    plays: 'P L EY1 Z',
+    pleasant: 'P L EH1 Z AH0 N T',
+    please: 'P L IY1 Z',
+    pleased: 'P L IY1 Z D',
+    pleasure: 'P L EH1 ZH ER0',
+    plenty: 'P L EH1 N T IY0',
+    plot: 'P L AA1 T',
+    plug: 'P L AH1 G',
+    plus: 'P L AH1 S',
+    pocket: 'P AA1 K AH0 T',
+    pockets: 'P AA1 K AH0 T S',
+    poem: 'P OW1 AH0 M',
+    poet: 'P OW1 AH0 T',
+    poetry: 'P OW1 AH0 T R IY0',
+    point: 'P OY1 N T',
+    pointing: 'P OY1 N T IH0 NG',
+    points: 'P OY1 N T S',
+    poison: 'P OY1 Z AH0 N',
+    poker: 'P OW1 K ER0',
+    pole: 'P OW1 L',
+    police: 'P AH0 L IY1 S',
+    policeman: 'P AH0 L IY1 S M AH0 N',
+    policy: 'P AA1 L AH0 S IY0',
+    polish: 'P AA1 L IH0 SH',
+    polite: 'P AH0 L AY1 T',
+    political: 'P AH0 L IH1 T AH0 K AH0 L',
+    politics: 'P AA1 L AH0 T IH2 K S',
+    pony: 'P OW1 N IY2',
+    pool: 'P UW1 L',
+    poor: 'P UW1 R',
+    pop: 'P AA1 P',
+    popcorn: 'P AA1 P K AO2 R N',
+    pope: 'P OW1 P',
+    pops: 'P AA1 P S',
+    popular: 'P AA1 P Y AH0 L ER0',
+    population: 'P AA2 P Y AH0 L EY1 SH AH0 N',
+    porch: 'P AO1 R CH',
+    pork: 'P AO1 R K',
+    porn: 'P AO1 R N',
+    port: 'P AO1 R T',
+    porter: 'P AO1 R T ER0',
+    position: 'P AH0 Z IH1 SH AH0 N',
+    positions: 'P AH0 Z IH1 SH AH0 N Z',
+    positive: 'P AA1 Z AH0 T IH0 V',
+    possession: 'P AH0 Z EH1 SH AH0 N',
+    possibility: 'P AA2 S AH0 B IH1 L AH0 T IY2',
+    possible: 'P AA1 S AH0 B AH0 L',
+    possibly: 'P AA1 S AH0 B L IY0',
+    post: 'P OW1 S T',
+    pot: 'P AA1 T',
+    potato: 'P AH0 T EY1 T OW2',
+    potatoes: 'P AH0 T EY1 T OW0 Z',
+    potential: 'P AH0 T EH1 N SH AH0 L',
+    potter: 'P AA1 T ER0',
+    pound: 'P AW1 N D',
+    pounds: 'P AW1 N D Z',
+    pour: 'P AO1 R',
+    powder: 'P AW1 D ER0',
+    power: 'P AW1 ER0',
+    powerful: 'P AW1 ER0 F AH0 L',
+    powers: 'P AW1 ER0 Z',
+    practical: 'P R AE1 K T AH0 K AH0 L',
+    practically: 'P R AE1 K T IH0 K L IY0',
+    practice: 'P R AE1 K T AH0 S',
+    practicing: 'P R AE1 K T AH0 S IH0 NG',
+    praise: 'P R EY1 Z',
+    pray: 'P R EY1',
+    prayer: 'P R EH1 R',
+    prayers: 'P R EH1 R Z',
+    praying: 'P R EY1 IH0 NG',
+    precious: 'P R EH1 SH AH0 S',
+    precisely: 'P R IH0 S AY1 S L IY0',
+    prefer: 'P R AH0 F ER1',
+    pregnant: 'P R EH1 G N AH0 N T',
+    prepare: 'P R IY0 P EH1 R',
+    prepared: 'P R IY0 P EH1 R D',
+    preparing: 'P R IY0 P EH1 R IH0 NG',
+    presence: 'P R EH1 Z AH0 N S',
+    present: 'P R EH1 Z AH0 N T',
+    presents: 'P R EH1 Z AH0 N T S',
+    president: 'P R EH1 Z AH0 D EH2 N T',
+    press: 'P R EH1 S',
+    pressure: 'P R EH1 SH ER0',
+    presume: 'P R IH0 Z UW1 M',
+    pretend: 'P R IY0 T EH1 N D',
+    pretending: 'P R IY0 T EH1 N D IH0 NG',
+    pretty: 'P R IH1 T IY0',
+    prevent: 'P R IH0 V EH1 N T',
+    previous: 'P R IY1 V IY0 AH0 S',
+    previously: 'P R IY1 V IY0 AH0 S L IY0',
+    price: 'P R AY1 S',
+    prick: 'P R IH1 K',
+    pride: 'P R AY1 D',
+    priest: 'P R IY1 S T',
+    primary: 'P R AY1 M EH2 R IY0',
+    prime: 'P R AY1 M',
+    prince: 'P R IH1 N S',
+    princess: 'P R IH1 N S EH0 S',
+    principal: 'P R IH1 N S AH0 P AH0 L',
+    print: 'P R IH1 N T',
+    prints: 'P R IH1 N T S',
+    prior: 'P R AY1 ER0',
+    priority: 'P R AY0 AO1 R AH0 T IY0',
+    prison: 'P R IH1 Z AH0 N',
+    prisoner: 'P R IH1 Z AH0 N ER0',
+    prisoners: 'P R IH1 Z AH0 N ER0 Z',
+    privacy: 'P R AY1 V AH0 S IY0',
+    private: 'P R AY1 V AH0 T',
+    privilege: 'P R IH1 V L AH0 JH',
+    prize: 'P R AY1 Z',
+    pro: 'P R OW1',
+    probably: 'P R AA1 B AH0 B L IY2',
+    problem: 'P R AA1 B L AH0 M',
+    problems: 'P R AA1 B L AH0 M Z',
+    procedure: 'P R AH0 S IY1 JH ER0',
+    proceed: 'P R AH0 S IY1 D',
+    process: 'P R AA1 S EH2 S',
+    produce: 'P R AH0 D UW1 S',
+    producer: 'P R AH0 D UW1 S ER0',
+    product: 'P R AA1 D AH0 K T',
+    production: 'P R AH0 D AH1 K SH AH0 N',
+    profession: 'P R AH0 F EH1 SH AH0 N',
+    professional: 'P R AH0 F EH1 SH AH0 N AH0 L',
+    professor: 'P R AH0 F EH1 S ER0',
+    profile: 'P R OW1 F AY2 L',
+    profit: 'P R AA1 F AH0 T',
+    program: 'P R OW1 G R AE2 M',
+    progress: 'P R AA1 G R EH2 S',
+    project: 'P R AA1 JH EH0 K T',
+    prom: 'P R AA1 M',
+    promise: 'P R AA1 M AH0 S',
+    promised: 'P R AA1 M AH0 S T',
+    promises: 'P R AA1 M AH0 S AH0 Z',
+    promotion: 'P R AH0 M OW1 SH AH0 N',
+    proof: 'P R UW1 F',
+    proper: 'P R AA1 P ER0',
+    properly: 'P R AA1 P ER0 L IY0',
+    property: 'P R AA1 P ER0 T IY0',
+    proposal: 'P R AH0 P OW1 Z AH0 L',
+    propose: 'P R AH0 P OW1 Z',
+    protect: 'P R AH0 T EH1 K T',
+    protected: 'P R AH0 T EH1 K T IH0 D',
+    protecting: 'P R AH0 T EH1 K T IH0 NG',
+    protection: 'P R AH0 T EH1 K SH AH0 N',
+    protest: 'P R OW1 T EH2 S T',
+    proud: 'P R AW1 D',
+    prove: 'P R UW1 V',
+    proved: 'P R UW1 V D',
+    provide: 'P R AH0 V AY1 D',
+    provided: 'P R AH0 V AY1 D IH0 D',
+    psychiatrist: 'S AH0 K AY1 AH0 T R AH0 S T',
+    psychic: 'S AY1 K IH0 K',
+    psycho: 'S AY1 K OW0',
+    public: 'P AH1 B L IH0 K',
+    publicity: 'P AH0 B L IH1 S AH0 T IY0',
+    pull: 'P UH1 L',
+    pulled: 'P UH1 L D',
+    pulling: 'P UH1 L IH0 NG',
+    pulse: 'P AH1 L S',
+    pump: 'P AH1 M P',
+    pumpkin: 'P AH1 M P K IH0 N',
+    punch: 'P AH1 N CH',
+    punish: 'P AH1 N IH0 SH',
+    punished: 'P AH1 N IH0 SH T',
+    punishment: 'P AH1 N IH0 SH M AH0 N T',
+    punk: 'P AH1 NG K',
+    puppy: 'P AH1 P IY0',
+    pure: 'P Y UH1 R',
+    purple: 'P ER1 P AH0 L',
+    purpose: 'P ER1 P AH0 S',
+    purse: 'P ER1 S',
+    push: 'P UH1 SH',
+    pushed: 'P UH1 SH T',
+    pushing: 'P UH1 SH IH0 NG',
+    pussy: 'P UH1 S IY0',
+    put: 'P UH1 T',
+    puts: 'P UH1 T S',
+    putting: 'P AH1 T IH0 NG',
+    q: 'K Y UW1',
+    qualified: 'K W AA1 L AH0 F AY2 D',
+    quality: 'K W AA1 L AH0 T IY0',
+    quarter: 'K W AO1 R T ER0',
+    quarters: 'K W AO1 R T ER0 Z',
+    queen: 'K W IY1 N',
+    queens: 'K W IY1 N Z',
+    question: 'K W EH1 S CH AH0 N',
+    questioning: 'K W EH1 S CH AH0 N IH0 NG',
+    questions: 'K W EH1 S CH AH0 N Z',
+    quick: 'K W IH1 K',
+    quickly: 'K W IH1 K L IY0',
+    quiet: 'K W AY1 AH0 T',
+    quietly: 'K W AY1 AH0 T L IY0',
+    quit: 'K W IH1 T',
+    quite: 'K W AY1 T',
+    quitting: 'K W IH1 T IH0 NG',
+    quote: 'K W OW1 T',
+    r: 'AA1 R',
+    rabbit: 'R AE1 B AH0 T',
+    race: 'R EY1 S',
+    racing: 'R EY1 S IH0 NG',
+    radar: 'R EY1 D AA2 R',
+    radiation: 'R EY2 D IY0 EY1 SH AH0 N',
+    radio: 'R EY1 D IY0 OW2',
+    rage: 'R EY1 JH',
+    raid: 'R EY1 D',
+    railroad: 'R EY1 L R OW2 D',
+    rain: 'R EY1 N',
+    raining: 'R EY1 N IH0 NG',
+    raise: 'R EY1 Z',
+    raised: 'R EY1 Z D',
+    raising: 'R EY1 Z IH0 NG',
+    ralph: 'R AE1 L F',
+    ran: 'R AE1 N',
+    ranch: 'R AE1 N CH',
+    random: 'R AE1 N D AH0 M',
+    randy: 'R AE1 N D IY0',
+    range: 'R EY1 N JH',
+    rank: 'R AE1 NG K',
+    ransom: 'R AE1 N S AH0 M',
+    rap: 'R AE1 P',
+    rape: 'R EY1 P',
+    raped: 'R EY1 P T',
+    rare: 'R EH1 R',
+    rat: 'R AE1 T',
+    rate: 'R EY1 T',
+    rather: 'R AE1 DH ER0',
+    rats: 'R AE1 T S',
+    raw: 'R AA1',
+    ray: 'R EY1',
+    re: 'R EY1',
+    reach: 'R IY1 CH',
+    reached: 'R IY1 CH T',
+    reaction: 'R IY0 AE1 K SH AH0 N',
+    read: 'R EH1 D',
+    reading: 'R IY1 D IH0 NG',
+    reads: 'R IY1 D Z',
+    ready: 'R EH1 D IY0',
+    real: 'R IY1 L',
+    realise: 'R IY1 AH0 L AY2 Z',
+    reality: 'R IY2 AE1 L AH0 T IY2',
+    realize: 'R IY1 AH0 L AY2 Z',
+    realized: 'R IY1 AH0 L AY2 Z D',
+    really: 'R IH1 L IY0',
+    rear: 'R IH1 R',
+    reason: 'R IY1 Z AH0 N',
+    reasonable: 'R IY1 Z AH0 N AH0 B AH0 L',
+    reasons: 'R IY1 Z AH0 N Z',
+    recall: 'R IY1 K AO2 L',
+    receive: 'R AH0 S IY1 V',
+    received: 'R AH0 S IY1 V D',
+    recent: 'R IY1 S AH0 N T',
+    recently: 'R IY1 S AH0 N T L IY0',
+    reception: 'R IH0 S EH1 P SH AH0 N',
+    reckon: 'R EH1 K AH0 N',
+    recognize: 'R EH1 K AH0 G N AY2 Z',
+    recognized: 'R EH1 K AH0 G N AY2 Z D',
+    recommend: 'R EH2 K AH0 M EH1 N D',
+    record: 'R AH0 K AO1 R D',
+    recorded: 'R AH0 K AO1 R D IH0 D',
+    recording: 'R AH0 K AO1 R D IH0 NG',
+    records: 'R AH0 K AO1 R D Z',
+    recovered: 'R AH0 K AH1 V ER0 D',
+    recovery: 'R IH0 K AH1 V R IY0',
+    red: 'R EH1 D',
+    reed: 'R IY1 D',
+    reese: 'R IY1 S',
+    reference: 'R EH1 F ER0 AH0 N S',
+    refrigerator: 'R AH0 F R IH1 JH ER0 EY2 T ER0',
+    refuse: 'R AH0 F Y UW1 Z',
+    refused: 'R AH0 F Y UW1 Z D',
+    regarding: 'R IH0 G AA1 R D IH0 NG',
+    register: 'R EH1 JH IH0 S T ER0',
+    registered: 'R EH1 JH IH0 S T ER0 D',
+    regret: 'R AH0 G R EH1 T',
+    regular: 'R EH1 G Y AH0 L ER0',
+    rehearsal: 'R IH0 HH ER1 S AH0 L',
+    related: 'R IH0 L EY1 T IH0 D',
+    relations: 'R IY0 L EY1 SH AH0 N Z',
+    relationship: 'R IY0 L EY1 SH AH0 N SH IH2 P',
+    relationships: 'R IY0 L EY1 SH AH0 N SH IH2 P S',
+    relatives: 'R EH1 L AH0 T IH0 V Z',
+    relax: 'R IH0 L AE1 K S',
+    release: 'R IY0 L IY1 S',
+    released: 'R IY0 L IY1 S T',
+    relief: 'R IH0 L IY1 F',
+    relieved: 'R IH0 L IY1 V D',
+    religion: 'R IH0 L IH1 JH AH0 N',
+    religious: 'R IH0 L IH1 JH AH0 S',
+    remain: 'R IH0 M EY1 N',
+    remains: 'R IH0 M EY1 N Z',
+    remarkable: 'R IH0 M AA1 R K AH0 B AH0 L',
+    rembrandt: 'R EH1 M B R AE2 N T',
+    remember: 'R IH0 M EH1 M B ER0',
+    remembered: 'R IH0 M EH1 M B ER0 D',
+    remind: 'R IY0 M AY1 N D',
+    reminded: 'R IY0 M AY1 N D IH0 D',
+    reminds: 'R IY0 M AY1 N D Z',
+    remote: 'R IH0 M OW1 T',
+    remove: 'R IY0 M UW1 V',
+    removed: 'R IY0 M UW1 V D',
+    rent: 'R EH1 N T',
+    rented: 'R EH1 N T IH0 D',
+    repair: 'R IH0 P EH1 R',
+    repeat: 'R IH0 P IY1 T',
+    replace: 'R IY2 P L EY1 S',
+    replaced: 'R IY2 P L EY1 S T',
+    report: 'R IY0 P AO1 R T',
+    reported: 'R IY2 P AO1 R T IH0 D',
+    reporter: 'R IH0 P AO1 R T ER0',
+    reporters: 'R IH0 P AO1 R T ER0 Z',
+    reporting: 'R IY0 P AO1 R T IH0 NG',
+    reports: 'R IH0 P AO1 R T S',
+    represent: 'R EH2 P R IH0 Z EH1 N T',
+    reputation: 'R EH2 P Y AH0 T EY1 SH AH0 N',
+    request: 'R IH0 K W EH1 S T',
+    requested: 'R IH0 K W EH1 S T IH0 D',
+    require: 'R IY2 K W AY1 ER0',
+    required: 'R IY0 K W AY1 ER0 D',
+    requires: 'R IY0 K W AY1 ER0 Z',
+    rescue: 'R EH1 S K Y UW0',
+    research: 'R IY0 S ER1 CH',
+    reservation: 'R EH2 Z ER0 V EY1 SH AH0 N',
+    residence: 'R EH1 Z IH0 D AH0 N S',
+    resist: 'R IH0 Z IH1 S T',
+    resistance: 'R IH0 Z IH1 S T AH0 N S',
+    resources: 'R IY1 S AO0 R S IH0 Z',
+    respect: 'R IH0 S P EH1 K T',
+    respond: 'R IH0 S P AA1 N D',
+    response: 'R IH0 S P AA1 N S',
+    responsibility: 'R IY0 S P AA2 N S AH0 B IH1 L AH0 T IY0',
+    responsible: 'R IY0 S P AA1 N S AH0 B AH0 L',
+    rest: 'R EH1 S T',
+    restaurant: 'R EH1 S T ER0 AA2 N T',
+    result: 'R IH0 Z AH1 L T',
+    results: 'R IH0 Z AH1 L T S',
+    retire: 'R IH0 T AY1 R',
+    retired: 'R IH0 T AY1 R D',
+    retirement: 'R IY0 T AY1 ER0 M AH0 N T',
+    retreat: 'R IY0 T R IY1 T',
+    return: 'R IH0 T ER1 N',
+    returned: 'R IH0 T ER1 N D',
+    returning: 'R IH0 T ER1 N IH0 NG',
+    returns: 'R IH0 T ER1 N Z',
+    reunion: 'R IY0 UW1 N Y AH0 N',
+    reveal: 'R IH0 V IY1 L',
+    revenge: 'R IY0 V EH1 N JH',
+    reverend: 'R EH1 V ER0 AH0 N D',
+    reverse: 'R IH0 V ER1 S',
+    review: 'R IY2 V Y UW1',
+    revolution: 'R EH2 V AH0 L UW1 SH AH0 N',
+    reward: 'R IH0 W AO1 R D',
+    rex: 'R EH1 K S',
+    rhythm: 'R IH1 DH AH0 M',
+    ribs: 'R IH1 B Z',
+    rice: 'R AY1 S',
+    rich: 'R IH1 CH',
+    richard: 'R IH1 CH ER0 D',
+    rick: 'R IH1 K',
+    rid: 'R IH1 D',
+    ride: 'R AY1 D',
+    ridiculous: 'R IH0 D IH1 K Y AH0 L AH0 S',
+    riding: 'R AY1 D IH0 NG',
+    rifle: 'R AY1 F AH0 L',
+    rig: 'R IH1 G',
+    right: 'R AY1 T',
+    rights: 'R AY1 T S',
+    ring: 'R IH1 NG',
+    ringing: 'R IH1 NG IH0 NG',
+    rings: 'R IH1 NG Z',
+    rip: 'R IH1 P',
+    ripped: 'R IH1 P T',
+    rise: 'R AY1 Z',
+    rising: 'R AY1 Z IH0 NG',
+    risk: 'R IH1 S K',
+    rita: 'R IY1 T AH0',
+    ritual: 'R IH1 CH UW0 AH0 L',
+    river: 'R IH1 V ER0',
+    road: 'R OW1 D',
+    roads: 'R OW1 D Z',
+    roast: 'R OW1 S T',
+    rob: 'R AA1 B',
+    robbed: 'R AA1 B D',
+    robbery: 'R AA1 B ER0 IY0',
+    robe: 'R OW1 B',
+    robert: 'R AA1 B ER0 T',
+    roberts: 'R AA1 B ER0 T S',
+    robin: 'R AA1 B AH0 N',
+    robot: 'R OW1 B AA2 T',
+    rock: 'R AA1 K',
+    rocket: 'R AA1 K AH0 T',
+    rocks: 'R AA1 K S',
+    rocky: 'R AA1 K IY0',
+    rod: 'R AA1 D',
+    rode: 'R OW1 D',
+    roger: 'R AA1 JH ER0',
+    role: 'R OW1 L',
+    roll: 'R OW1 L',
+    rolled: 'R OW1 L D',
+    rolling: 'R OW1 L IH0 NG',
+    rolls: 'R OW1 L Z',
+    roman: 'R OW1 M AH0 N',
+    romance: 'R OW0 M AE1 N S',
+    romantic: 'R OW0 M AE1 N T IH0 K',
+    rome: 'R OW1 M',
+    romeo: 'R OW1 M IY0 OW2',
+    roof: 'R UW1 F',
+    room: 'R UW1 M',
+    roommate: 'R UW1 M EY2 T',
+    rooms: 'R UW1 M Z',
+    root: 'R UW1 T',
+    rope: 'R OW1 P',
+    rory: 'R AO1 R IY0',
+    rose: 'R OW1 Z',
+    roses: 'R OW1 Z IH0 Z',
+    ross: 'R AA1 S',
+    rotten: 'R AA1 T AH0 N',
+    rough: 'R AH1 F',
+    round: 'R AW1 N D',
+    rounds: 'R AW1 N D Z',
+    route: 'R UW1 T',
+    routine: 'R UW0 T IY1 N',
+    row: 'R OW1',
+    royal: 'R OY1 AH0 L',
+    rub: 'R AH1 B',
+    rubber: 'R AH1 B ER0',
+    ruby: 'R UW1 B IY0',
+    rude: 'R UW1 D',
+    rug: 'R AH1 G',
+    ruin: 'R UW1 AH0 N',
+    ruined: 'R UW1 AH0 N D',
+    rule: 'R UW1 L',
+    rules: 'R UW1 L Z',
+    rumor: 'R UW1 M ER0',
+    rumors: 'R UW1 M ER0 Z',
+    run: 'R AH1 N',
+    running: 'R AH1 N IH0 NG',
+    runs: 'R AH1 N Z',
+    rush: 'R AH1 SH',
+    russ: 'R AH1 S',
+    russell: 'R AH1 S AH0 L',
+    russia: 'R AH1 SH AH0',
+    russian: 'R AH1 SH AH0 N',
+    russians: 'R AH1 SH AH0 N Z',
+    rusty: 'R AH1 S T IY0',
+    ruth: 'R UW1 TH',
+    s: 'EH1 S',
+    sack: 'S AE1 K',
+    sacred: 'S EY1 K R AH0 D',
+    sacrifice: 'S AE1 K R AH0 F AY2 S',
+    sad: 'S AE1 D',
+    safe: 'S EY1 F',
+    safely: 'S EY1 F L IY0',
+    safer: 'S EY1 F ER0',
+    safety: 'S EY1 F T IY0',
+    said: 'S EH1 D',
+    sail: 'S EY1 L',
+    sailing: 'S EY1 L IH0 NG',
+    sailor: 'S EY1 L ER0',
+    saint: 'S EY1 N T',
+    sake: 'S EY1 K',
+    sakes: 'S EY1 K S',
+    salad: 'S AE1 L AH0 D',
+    salary: 'S AE1 L ER0 IY0',
+    sale: 'S EY1 L',
+    sales: 'S EY1 L Z',
+    salesman: 'S EY1 L Z M AH0 N',
+    sally: 'S AE1 L IY0',
+    salt: 'S AO1 L T',
+    sam: 'S AE1 M',
+    same: 'S EY1 M',
+    sammy: 'S AE1 M IY0',
+    sample: 'S AE1 M P AH0 L',
+    samples: 'S AE1 M P AH0 L Z',
+    san: 'S AE1 N',
+    sand: 'S AE1 N D',
+    sandwich: 'S AE1 N D W IH0 CH',
+    sandwiches: 'S AE1 N D W IH0 CH IH0 Z',
+    sandy: 'S AE1 N D IY0',
+    sang: 'S AE1 NG',
+    santa: 'S AE1 N T AH0',
+    sarah: 'S EH1 R AH0',
+    sarge: 'S AA1 R JH',
+    sat: 'S AE1 T',
+    satellite: 'S AE1 T AH0 L AY2 T',
+    satisfied: 'S AE1 T AH0 S F AY2 D',
+    saturday: 'S AE1 T ER0 D IY0',
+    sauce: 'S AO1 S',
+    save: 'S EY1 V',
+    saved: 'S EY1 V D',
+    saving: 'S EY1 V IH0 NG',
+    saw: 'S AO1',
+    say: 'S EY1',
+    saying: 'S EY1 IH0 NG',
+    says: 'S EH1 Z',
+    scale: 'S K EY1 L',
+    scan: 'S K AE1 N',
+    scandal: 'S K AE1 N D AH0 L',
+    scar: 'S K AA1 R',
+    scare: 'S K EH1 R',
+    scared: 'S K EH1 R D',
+    scares: 'S K EH1 R Z',
+    scary: 'S K EH1 R IY0',
+    scene: 'S IY1 N',
+    scenes: 'S IY1 N Z',
+    schedule: 'S K EH1 JH UH0 L',
+    scheduled: 'S K EH1 JH UH0 L D',
+    scholarship: 'S K AA1 L ER0 SH IH2 P',
+    school: 'S K UW1 L',
+    schools: 'S K UW1 L Z',
+    science: 'S AY1 AH0 N S',
+    scientific: 'S AY2 AH0 N T IH1 F IH0 K',
+    scientist: 'S AY1 AH0 N T IH0 S T',
+    scientists: 'S AY1 AH0 N T IH0 S T S',
+    score: 'S K AO1 R',
+    scores: 'S K AO1 R Z',
+    scotch: 'S K AA1 CH',
+    scott: 'S K AA1 T',
+    scout: 'S K AW1 T',
+    scratch: 'S K R AE1 CH',
+    scream: 'S K R IY1 M',
+    screaming: 'S K R IY1 M IH0 NG',
+    screams: 'S K R IY1 M Z',
+    screen: 'S K R IY1 N',
+    screw: 'S K R UW1',
+    screwed: 'S K R UW1 D',
+    screwing: 'S K R UW1 IH0 NG',
+    script: 'S K R IH1 P T',
+    scum: 'S K AH1 M',
+    se: 'S EY1',
+    sea: 'S IY1',
+    seal: 'S IY1 L',
+    sealed: 'S IY1 L D',
+    search: 'S ER1 CH',
+    searching: 'S ER1 CH IH0 NG',
+    season: 'S IY1 Z AH0 N',
+    seat: 'S IY1 T',
+    seated: 'S IY1 T IH0 D',
+    seats: 'S IY1 T S',
+    seattle: 'S IY0 AE1 T AH0 L',
+    sec: 'S EH1 K',
+    second: 'S EH1 K AH0 N D',
+    seconds: 'S EH1 K AH0 N D Z',
+    secret: 'S IY1 K R AH0 T',
+    secretary: 'S EH1 K R AH0 T EH2 R IY0',
+    secrets: 'S IY1 K R AH0 T S',
+    section: 'S EH1 K SH AH0 N',
+    secure: 'S IH0 K Y UH1 R',
+    security: 'S IH0 K Y UH1 R AH0 T IY0',
+    see: 'S IY1',
+    seeing: 'S IY1 IH0 NG',
+    seek: 'S IY1 K',
+    seem: 'S IY1 M',
+    seemed: 'S IY1 M D',
+    seems: 'S IY1 M Z',
+    seen: 'S IY1 N',
+    sees: 'S IY1 Z',
+    self: 'S EH1 L F',
+    selfish: 'S EH1 L F IH0 SH',
+    sell: 'S EH1 L',
+    selling: 'S EH1 L IH0 NG',
+    senator: 'S EH1 N AH0 T ER0',
+    send: 'S EH1 N D',
+    sending: 'S EH1 N D IH0 NG',
+    sends: 'S EH1 N D Z',
+    senior: 'S IY1 N Y ER0',
+    sense: 'S EH1 N S',
+    senses: 'S EH1 N S IH0 Z',
+    sensitive: 'S EH1 N S AH0 T IH0 V',
+    sent: 'S EH1 N T',
+    sentence: 'S EH1 N T AH0 N S',
+    separate: 'S EH1 P ER0 EY2 T',
+    separated: 'S EH1 P ER0 EY2 T IH0 D',
+    september: 'S EH0 P T EH1 M B ER0',
+    sequence: 'S IY1 K W AH0 N S',
+    sergeant: 'S AA1 R JH AH0 N T',
+    serial: 'S IH1 R IY2 AH0 L',
+    series: 'S IH1 R IY0 Z',
+    serious: 'S IH1 R IY0 AH0 S',
+    seriously: 'S IH1 R IY0 AH0 S L IY0',
+    servant: 'S ER1 V AH0 N T',
+    serve: 'S ER1 V',
+    served: 'S ER1 V D',
+    service: 'S ER1 V AH0 S',
+    services: 'S ER1 V AH0 S AH0 Z',
+    serving: 'S ER1 V IH0 NG',
+    session: 'S EH1 SH AH0 N',
+    set: 'S EH1 T',
+    seth: 'S EH1 TH',
+    sets: 'S EH1 T S',
+    setting: 'S EH1 T IH0 NG',
+    settle: 'S EH1 T AH0 L',
+    settled: 'S EH1 T AH0 L D',
+    setup: 'S EH1 T AH2 P',
+    seven: 'S EH1 V AH0 N',
+    seventh: 'S EH1 V AH0 N TH',
+    several: 'S EH1 V R AH0 L',
+    severe: 'S AH0 V IH1 R',
+    sex: 'S EH1 K S',
+    sexual: 'S EH1 K SH UW0 AH0 L',
+    sexually: 'S EH1 K SH UW0 AH0 L IY0',
+    sexy: 'S EH1 K S IY0',
+    shadow: 'SH AE1 D OW2',
+    shadows: 'SH AE1 D OW2 Z',
+    shake: 'SH EY1 K',
+    shakespeare: 'SH EY1 K S P IY2 R',
+    shaking: 'SH EY1 K IH0 NG',
+    shall: 'SH AE1 L',
+    shame: 'SH EY1 M',
+    shape: 'SH EY1 P',
+    share: 'SH EH1 R',
+    shared: 'SH EH1 R D',
+    sharing: 'SH EH1 R IH0 NG',
+    shark: 'SH AA1 R K',
+    sharon: 'SH AE1 R AH0 N',
+    sharp: 'SH AA1 R P',
+    shave: 'SH EY1 V',
+    shaw: 'SH AO1',
+    shawn: 'SH AO1 N',
+    she: 'SH IY1',
+    shed: 'SH EH1 D',
+    sheep: 'SH IY1 P',
+    sheet: 'SH IY1 T',
+    sheets: 'SH IY1 T S',
+    sheila: 'SH IY1 L AH0',
+    shell: 'SH EH1 L',
+    shelly: 'SH EH1 L IY0',
+    shelter: 'SH EH1 L T ER0',
+    sheriff: 'SH EH1 R AH0 F',
+    sherry: 'SH EH1 R IY0',
+    shh: 'SH',
+    shield: 'SH IY1 L D',
+    shift: 'SH IH1 F T',
+    shine: 'SH AY1 N',
+    shining: 'SH AY1 N IH0 NG',
+    ship: 'SH IH1 P',
+    ships: 'SH IH1 P S',
+    shirley: 'SH ER1 L IY0',
+    shirt: 'SH ER1 T',
+    shirts: 'SH ER1 T S',
+    shit: 'SH IH1 T',
+    shock: 'SH AA1 K',
+    shocked: 'SH AA1 K T',
+    shoe: 'SH UW1',
+    shoes: 'SH UW1 Z',
+    shoot: 'SH UW1 T',
+    shooter: 'SH UW1 T ER0',
+    shooting: 'SH UW1 T IH0 NG',
+    shop: 'SH AA1 P',
+    shopping: 'SH AA1 P IH0 NG',
+    shore: 'SH AO1 R',
+    short: 'SH AO1 R T',
+    shortly: 'SH AO1 R T L IY0',
+    shorts: 'SH AO1 R T S',
+    shot: 'SH AA1 T',
+    shotgun: 'SH AA1 T G AH2 N',
+    shots: 'SH AA1 T S',
+    should: 'SH UH1 D',
+    shoulder: 'SH OW1 L D ER0',
+    shoulders: 'SH OW1 L D ER0 Z',
+    shout: 'SH AW1 T',
+    shouting: 'SH AW1 T IH0 NG',
+    shove: 'SH AH1 V',
+    show: 'SH OW1',
+    showed: 'SH OW1 D',
+    shower: 'SH AW1 ER0',
+    showing: 'SH OW1 IH0 NG',
+    shown: 'SH OW1 N',
+    shows: 'SH OW1 Z',
+    shrimp: 'SH R IH1 M P',
+    shrink: 'SH R IH1 NG K',
+    shut: 'SH AH1 T',
+    shy: 'SH AY1',
+    sick: 'S IH1 K',
+    side: 'S AY1 D',
+    sides: 'S AY1 D Z',
+    sidney: 'S IH1 D N IY0',
+    sighs: 'S AY1 Z',
+    sight: 'S AY1 T',
+    sign: 'S AY1 N',
+    signal: 'S IH1 G N AH0 L',
+    signals: 'S IH1 G N AH0 L Z',
+    signature: 'S IH1 G N AH0 CH ER0',
+    signed: 'S AY1 N D',
+    signing: 'S AY1 N IH0 NG',
+    signs: 'S AY1 N Z',
+    silence: 'S AY1 L AH0 N S',
+    silent: 'S AY1 L AH0 N T',
+    silk: 'S IH1 L K',
+    silly: 'S IH1 L IY0',
+    silver: 'S IH1 L V ER0',
+    similar: 'S IH1 M AH0 L ER0',
+    simon: 'S AY1 M AH0 N',
+    simple: 'S IH1 M P AH0 L',
+    simply: 'S IH1 M P L IY0',
+    sin: 'S IH1 N',
+    since: 'S IH1 N S',
+    sing: 'S IH1 NG',
+    singer: 'S IH1 NG ER0',
+    singing: 'S IH1 NG IH0 NG',
+    single: 'S IH1 NG G AH0 L',
+    sink: 'S IH1 NG K',
+    sins: 'S IH1 N Z',
+    sir: 'S ER1',
+    sire: 'S AY1 ER0',
+    sister: 'S IH1 S T ER0',
+    sisters: 'S IH1 S T ER0 Z',
+    sit: 'S IH1 T',
+    site: 'S AY1 T',
+    sits: 'S IH1 T S',
+    sitting: 'S IH1 T IH0 NG',
+    situation: 'S IH2 CH UW0 EY1 SH AH0 N',
+    six: 'S IH1 K S',
+    sixteen: 'S IH0 K S T IY1 N',
+    sixth: 'S IH1 K S TH',
+    size: 'S AY1 Z',
+    ski: 'S K IY1',
+    skills: 'S K IH1 L Z',
+    skin: 'S K IH1 N',
+    skinny: 'S K IH1 N IY0',
+    skip: 'S K IH1 P',
+    skipper: 'S K IH1 P ER0',
+    skirt: 'S K ER1 T',
+    skull: 'S K AH1 L',
+    sky: 'S K AY1',
+    slap: 'S L AE1 P',
+    slave: 'S L EY1 V',
+    slaves: 'S L EY1 V Z',
+    sleep: 'S L IY1 P',
+    sleeping: 'S L IY1 P IH0 NG',
+    sleeps: 'S L IY1 P S',
+    sleepy: 'S L IY1 P IY0',
+    slept: 'S L EH1 P T',
+    slice: 'S L AY1 S',
+    slide: 'S L AY1 D',
+    slight: 'S L AY1 T',
+    slightly: 'S L AY1 T L IY0',
+    slim: 'S L IH1 M',
+    slip: 'S L IH1 P',
+    slipped: 'S L IH1 P T',
+    slow: 'S L OW1',
+    slowly: 'S L OW1 L IY0',
+    slut: 'S L AH1 T',
+    smack: 'S M AE1 K',
+    small: 'S M AO1 L',
+    smaller: 'S M AO1 L ER0',
+    smart: 'S M AA1 R T',
+    smarter: 'S M AA1 R T ER0',
+    smash: 'S M AE1 SH',
+    smell: 'S M EH1 L',
+    smells: 'S M EH1 L Z',
+    smile: 'S M AY1 L',
+    smiling: 'S M AY1 L IH0 NG',
+    smith: 'S M IH1 TH',
+    smoke: 'S M OW1 K',
+    smoking: 'S M OW1 K IH0 NG',
+    smooth: 'S M UW1 DH',
+    snack: 'S N AE1 K',
+    snake: 'S N EY1 K',
+    snakes: 'S N EY1 K S',
+    snap: 'S N AE1 P',
+    sneak: 'S N IY1 K',
+    snow: 'S N OW1',
+    so: 'S OW1',
+    soap: 'S OW1 P',
+    sober: 'S OW1 B ER0',
+    soccer: 'S AA1 K ER0',
+    social: 'S OW1 SH AH0 L',
+    society: 'S AH0 S AY1 AH0 T IY0',
+    sock: 'S AA1 K',
+    socks: 'S AA1 K S',
+    soda: 'S OW1 D AH0',
+    soft: 'S AA1 F T',
+    software: 'S AO1 F T W EH2 R',
+    sold: 'S OW1 L D',
+    soldier: 'S OW1 L JH ER0',
+    soldiers: 'S OW1 L JH ER0 Z',
+    solid: 'S AA1 L AH0 D',
+    solo: 'S OW1 L OW2',
+    solution: 'S AH0 L UW1 SH AH0 N',
+    solve: 'S AA1 L V',
+    solved: 'S AA1 L V D',
+    some: 'S AH1 M',
+    somebody: 'S AH1 M B AA2 D IY0',
+    someday: 'S AH1 M D EY2',
+    somehow: 'S AH1 M HH AW2',
+    someone: 'S AH1 M W AH2 N',
+    someplace: 'S AH1 M P L EY2 S',
+    something: 'S AH1 M TH IH0 NG',
+    sometime: 'S AH1 M T AY2 M',
+    sometimes: 'S AH0 M T AY1 M Z',
+    somewhat: 'S AH1 M W AH1 T',
+    somewhere: 'S AH1 M W EH2 R',
+    son: 'S AH1 N',
+    song: 'S AO1 NG',
+    songs: 'S AO1 NG Z',
+    sonny: 'S AH1 N IY0',
+    sons: 'S AH1 N Z',
+    soon: 'S UW1 N',
+    sooner: 'S UW1 N ER0',
+    sore: 'S AO1 R',
+    sorry: 'S AA1 R IY0',
+    sort: 'S AO1 R T',
+    sorts: 'S AO1 R T S',
+    soul: 'S OW1 L',
+    souls: 'S OW1 L Z',
+    sound: 'S AW1 N D',
+    sounded: 'S AW1 N D IH0 D',
+    sounds: 'S AW1 N D Z',
+    soup: 'S UW1 P',
+    source: 'S AO1 R S',
+    sources: 'S AO1 R S AH0 Z',
+    south: 'S AW1 TH',
+    southern: 'S AH1 DH ER0 N',
+    space: 'S P EY1 S',
+    spain: 'S P EY1 N',
+    spanish: 'S P AE1 N IH0 SH',
+    spare: 'S P EH1 R',
+    speak: 'S P IY1 K',
+    speaking: 'S P IY1 K IH0 NG',
+    speaks: 'S P IY1 K S',
+    special: 'S P EH1 SH AH0 L',
+    species: 'S P IY1 SH IY0 Z',
+    specific: 'S P AH0 S IH1 F IH0 K',
+    specifically: 'S P AH0 S IH1 F IH0 K L IY0',
+    speech: 'S P IY1 CH',
+    speed: 'S P IY1 D',
+    spell: 'S P EH1 L',
+    spend: 'S P EH1 N D',
+    spending: 'S P EH1 N D IH0 NG',
+    spent: 'S P EH1 N T',
+    spider: 'S P AY1 D ER0',
+    spike: 'S P AY1 K',
+    spill: 'S P IH1 L',
+    spin: 'S P IH1 N',
+    spirit: 'S P IH1 R AH0 T',
+    spirits: 'S P IH1 R IH0 T S',
+    spiritual: 'S P IH1 R IH0 CH UW2 AH0 L',
+    spit: 'S P IH1 T',
+    splendid: 'S P L EH1 N D IH0 D',
+    split: 'S P L IH1 T',
+    spoil: 'S P OY1 L',
+    spoiled: 'S P OY1 L D',
+    spoke: 'S P OW1 K',
+    spoken: 'S P OW1 K AH0 N',
+    sport: 'S P AO1 R T',
+    sports: 'S P AO1 R T S',
+    spot: 'S P AA1 T',
+    spots: 'S P AA1 T S',
+    spotted: 'S P AA1 T IH0 D',
+    spray: 'S P R EY1',
+    spread: 'S P R EH1 D',
+    spring: 'S P R IH1 NG',
+    spy: 'S P AY1',
+    squad: 'S K W AA1 D',
+    square: 'S K W EH1 R',
+    squeeze: 'S K W IY1 Z',
+    st: 'S T R IY1 T',
+    stab: 'S T AE1 B',
+    stabbed: 'S T AE1 B D',
+    stable: 'S T EY1 B AH0 L',
+    staff: 'S T AE1 F',
+    stage: 'S T EY1 JH',
+    stairs: 'S T EH1 R Z',
+    stake: 'S T EY1 K',
+    stall: 'S T AO1 L',
+    stand: 'S T AE1 N D',
+    standard: 'S T AE1 N D ER0 D',
+    standing: 'S T AE1 N D IH0 NG',
+    stands: 'S T AE1 N D Z',
+    stanley: 'S T AE1 N L IY0',
+    star: 'S T AA1 R',
+    stare: 'S T EH1 R',
+    staring: 'S T EH1 R IH0 NG',
+    stars: 'S T AA1 R Z',
+    start: 'S T AA1 R T',
+    started: 'S T AA1 R T IH0 D',
+    starting: 'S T AA1 R T IH0 NG',
+    starts: 'S T AA1 R T S',
+    starving: 'S T AA1 R V IH0 NG',
+    state: 'S T EY1 T',
+    statement: 'S T EY1 T M AH0 N T',
+    states: 'S T EY1 T S',
+    station: 'S T EY1 SH AH0 N',
+    stations: 'S T EY1 SH AH0 N Z',
+    statue: 'S T AE1 CH UW2',
+    status: 'S T AE1 T AH0 S',
+    stay: 'S T EY1',
+    stayed: 'S T EY1 D',
+    staying: 'S T EY1 IH0 NG',
+    stays: 'S T EY1 Z',
+    steady: 'S T EH1 D IY0',
+    steak: 'S T EY1 K',
+    steal: 'S T IY1 L',
+    stealing: 'S T IY1 L IH0 NG',
+    steam: 'S T IY1 M',
+    steel: 'S T IY1 L',
+    stella: 'S T EH1 L AH0',
+    step: 'S T EH1 P',
+    stephen: 'S T IY1 V AH0 N',
+    stepped: 'S T EH1 P T',
+    steps: 'S T EH1 P S',
+    steve: 'S T IY1 V',
+    steven: 'S T IY1 V AH0 N',
+    stick: 'S T IH1 K',
+    sticking: 'S T IH1 K IH0 NG',
+    sticks: 'S T IH1 K S',
+    stiff: 'S T IH1 F',
+    still: 'S T IH1 L',
+    stink: 'S T IH1 NG K',
+    stinking: 'S T IH1 NG K IH0 NG',
+    stinks: 'S T IH1 NG K S',
+    stock: 'S T AA1 K',
+    stole: 'S T OW1 L',
+    stolen: 'S T OW1 L AH0 N',
+    stomach: 'S T AH1 M AH0 K',
+    stone: 'S T OW1 N',
+    stones: 'S T OW1 N Z',
+    stood: 'S T UH1 D',
+    stop: 'S T AA1 P',
+    stopped: 'S T AA1 P T',
+    stopping: 'S T AA1 P IH0 NG',
+    stops: 'S T AA1 P S',
+    storage: 'S T AO1 R AH0 JH',
+    store: 'S T AO1 R',
+    stores: 'S T AO1 R Z',
+    stories: 'S T AO1 R IY0 Z',
+    storm: 'S T AO1 R M',
+    story: 'S T AO1 R IY0',
+    straight: 'S T R EY1 T',
+    straighten: 'S T R EY1 T AH0 N',
+    strange: 'S T R EY1 N JH',
+    stranger: 'S T R EY1 N JH ER0',
+    strangers: 'S T R EY1 N JH ER0 Z',
+    strategy: 'S T R AE1 T AH0 JH IY0',
+    street: 'S T R IY1 T',
+    streets: 'S T R IY1 T S',
+    strength: 'S T R EH1 NG K TH',
+    stress: 'S T R EH1 S',
+    stretch: 'S T R EH1 CH',
+    strictly: 'S T R IH1 K T L IY0',
+    strike: 'S T R AY1 K',
+    strikes: 'S T R AY1 K S',
+    string: 'S T R IH1 NG',
+    strings: 'S T R IH1 NG Z',
+    strip: 'S T R IH1 P',
+    stroke: 'S T R OW1 K',
+    strong: 'S T R AO1 NG',
+    stronger: 'S T R AO1 NG ER0',
+    struck: 'S T R AH1 K',
+    structure: 'S T R AH1 K CH ER0',
+    struggle: 'S T R AH1 G AH0 L',
+    stuart: 'S T UW1 ER0 T',
+    stubborn: 'S T AH1 B ER0 N',
+    stuck: 'S T AH1 K',
+    student: 'S T UW1 D AH0 N T',
+    students: 'S T UW1 D AH0 N T S',
+    studied: 'S T AH1 D IY0 D',
+    studies: 'S T AH1 D IY0 Z',
+    studio: 'S T UW1 D IY0 OW2',
+    study: 'S T AH1 D IY0',
+    studying: 'S T AH1 D IY0 IH0 NG',
+    stuff: 'S T AH1 F',
+    stuffed: 'S T AH1 F T',
+    stunt: 'S T AH1 N T',
+    stupid: 'S T UW1 P AH0 D',
+    style: 'S T AY1 L',
+    subject: 'S AH0 B JH EH1 K T',
+    subtitles: 'S AH1 B T AY2 T AH0 L Z',
+    subway: 'S AH1 B W EY2',
+    succeed: 'S AH0 K S IY1 D',
+    success: 'S AH0 K S EH1 S',
+    successful: 'S AH0 K S EH1 S F AH0 L',
+    such: 'S AH1 CH',
+    suck: 'S AH1 K',
+    sucked: 'S AH1 K T',
+    sucker: 'S AH1 K ER0',
+    sucks: 'S AH1 K S',
+    sudden: 'S AH1 D AH0 N',
+    suddenly: 'S AH1 D AH0 N L IY0',
+    sue: 'S UW1',
+    suffer: 'S AH1 F ER0',
+    suffered: 'S AH1 F ER0 D',
+    suffering: 'S AH1 F ER0 IH0 NG',
+    sugar: 'SH UH1 G ER0',
+    suggest: 'S AH0 JH EH1 S T',
+    suggested: 'S AH0 JH EH1 S T IH0 D',
+    suggesting: 'S AH0 JH EH1 S T IH0 NG',
+    suggestion: 'S AH0 JH EH1 S CH AH0 N',
+    suicide: 'S UW1 AH0 S AY2 D',
+    suit: 'S UW1 T',
+    suitcase: 'S UW1 T K EY2 S',
+    suite: 'S W IY1 T',
+    suits: 'S UW1 T S',
+    sum: 'S AH1 M',
+    summer: 'S AH1 M ER0',
+    sun: 'S AH1 N',
+    sunday: 'S AH1 N D EY2',
+    sunset: 'S AH1 N S EH2 T',
+    sunshine: 'S AH1 N SH AY2 N',
+    super: 'S UW1 P ER0',
+    superior: 'S UW0 P IH1 R IY0 ER0',
+    superman: 'S UW1 P ER0 M AH0 N',
+    supper: 'S AH1 P ER0',
+    supplies: 'S AH0 P L AY1 Z',
+    supply: 'S AH0 P L AY1',
+    support: 'S AH0 P AO1 R T',
+    suppose: 'S AH0 P OW1 Z',
+    supposed: 'S AH0 P OW1 Z D',
+    supreme: 'S AH0 P R IY1 M',
+    sure: 'SH UH1 R',
+    surely: 'SH UH1 R L IY0',
+    surface: 'S ER1 F AH0 S',
+    surgeon: 'S ER1 JH AH0 N',
+    surgery: 'S ER1 JH ER0 IY0',
+    surprise: 'S ER0 P R AY1 Z',
+    surprised: 'S ER0 P R AY1 Z D',
+    surprises: 'S ER0 P R AY1 Z IH0 Z',
+    surrender: 'S ER0 EH1 N D ER0',
+    surrounded: 'S ER0 AW1 N D IH0 D',
+    surveillance: 'S ER0 V EY1 L AH0 N S',
+    survival: 'S ER0 V AY1 V AH0 L',
+    survive: 'S ER0 V AY1 V',
+    survived: 'S ER0 V AY1 V D',
+    susan: 'S UW1 Z AH0 N',
+    suspect: 'S AH0 S P EH1 K T',
+    suspected: 'S AH0 S P EH1 K T IH0 D',
+    suspects: 'S AH0 S P EH1 K T S',
+    suspicious: 'S AH0 S P IH1 SH AH0 S',
+    swallow: 'S W AA1 L OW0',
+    swamp: 'S W AA1 M P',
+    swear: 'S W EH1 R',
+    sweat: 'S W EH1 T',
+    sweater: 'S W EH1 T ER0',
+    sweating: 'S W EH1 T IH0 NG',
+    sweep: 'S W IY1 P',
+    sweet: 'S W IY1 T',
+    sweetheart: 'S W IY1 T HH AA2 R T',
+    sweetie: 'S W IY1 T IY0',
+    swell: 'S W EH1 L',
+    swim: 'S W IH1 M',
+    swimming: 'S W IH1 M IH0 NG',
+    swing: 'S W IH1 NG',
+    switch: 'S W IH1 CH',
+    sword: 'S AO1 R D',
+    swore: 'S W AO1 R',
+    sworn: 'S W AO1 R N',
+    sydney: 'S IH1 D N IY0',
+    symbol: 'S IH1 M B AH0 L',
+    sympathy: 'S IH1 M P AH0 TH IY0',
+    synchro: 'S IH1 NG K R OW0',
+    system: 'S IH1 S T AH0 M',
+    systems: 'S IH1 S T AH0 M Z',
+    t: 'T IY1',
+    table: 'T EY1 B AH0 L',
+    tables: 'T EY1 B AH0 L Z',
+    tag: 'T AE1 G',
+    tail: 'T EY1 L',
+    take: 'T EY1 K',
+    taken: 'T EY1 K AH0 N',
+    takes: 'T EY1 K S',
+    taking: 'T EY1 K IH0 NG',
+    tale: 'T EY1 L',
+    talent: 'T AE1 L AH0 N T',
+    talented: 'T AE1 L AH0 N T IH0 D',
+    talk: 'T AO1 K',
+    talked: 'T AO1 K T',
+    talking: 'T AO1 K IH0 NG',
+    talks: 'T AO1 K S',
+    tall: 'T AO1 L',
+    tan: 'T AE1 N',
+    tank: 'T AE1 NG K',
+    tanks: 'T AE1 NG K S',
+    tap: 'T AE1 P',
+    tape: 'T EY1 P',
+    tapes: 'T EY1 P S',
+    target: 'T AA1 R G AH0 T',
+    tarzan: 'T AA1 R Z AE2 N',
+    task: 'T AE1 S K',
+    taste: 'T EY1 S T',
+    tastes: 'T EY1 S T S',
+    tattoo: 'T AE2 T UW1',
+    taught: 'T AO1 T',
+    tax: 'T AE1 K S',
+    taxes: 'T AE1 K S AH0 Z',
+    taxi: 'T AE1 K S IY0',
+    tea: 'T IY1',
+    teach: 'T IY1 CH',
+    teacher: 'T IY1 CH ER0',
+    teachers: 'T IY1 CH ER0 Z',
+    teaching: 'T IY1 CH IH0 NG',
+    team: 'T IY1 M',
+    teams: 'T IY1 M Z',
+    tear: 'T EH1 R',
+    tears: 'T EH1 R Z',
+    technical: 'T EH1 K N IH0 K AH0 L',
+    technically: 'T EH1 K N IH0 K AH0 L IY0',
+    technique: 'T EH0 K N IY1 K',
+    technology: 'T EH0 K N AA1 L AH0 JH IY0',
+    ted: 'T EH1 D',
+    teddy: 'T EH1 D IY0',
+    teeth: 'T IY1 TH',
+    telegram: 'T EH1 L AH0 G R AE2 M',
+    telephone: 'T EH1 L AH0 F OW2 N',
+    television: 'T EH1 L AH0 V IH2 ZH AH0 N',
+    tell: 'T EH1 L',
+    telling: 'T EH1 L IH0 NG',
+    tells: 'T EH1 L Z',
+    temper: 'T EH1 M P ER0',
+    temperature: 'T EH1 M P R AH0 CH ER0',
+    temple: 'T EH1 M P AH0 L',
+    temporary: 'T EH1 M P ER0 EH2 R IY0',
+    ten: 'T EH1 N',
+    tend: 'T EH1 N D',
+    tender: 'T EH1 N D ER0',
+    tennis: 'T EH1 N AH0 S',
+    tense: 'T EH1 N S',
+    tension: 'T EH1 N SH AH0 N',
+    tent: 'T EH1 N T',
+    term: 'T ER1 M',
+    terms: 'T ER1 M Z',
+    terrible: 'T EH1 R AH0 B AH0 L',
+    terribly: 'T EH1 R AH0 B L IY0',
+    terrific: 'T ER0 IH1 F IH0 K',
+    terrified: 'T EH1 R AH0 F AY2 D',
+    territory: 'T EH1 R IH0 T AO2 R IY0',
+    terror: 'T EH1 R ER0',
+    terrorist: 'T EH1 R ER0 IH0 S T',
+    terrorists: 'T EH1 R ER0 AH0 S T S',
+    terry: 'T EH1 R IY0',
+    test: 'T EH1 S T',
+    tested: 'T EH1 S T IH0 D',
+    testify: 'T EH1 S T AH0 F AY2',
+    testimony: 'T EH1 S T AH0 M OW2 N IY0',
+    testing: 'T EH1 S T IH0 NG',
+    tests: 'T EH1 S T S',
+    texas: 'T EH1 K S AH0 S',
+    th: 'T IY1 EY1 CH',
+    than: 'DH AE1 N',
+    thank: 'TH AE1 NG K',
+    thanks: 'TH AE1 NG K S',
+    thanksgiving: 'TH AE2 NG K S G IH1 V IH0 NG',
+    that: 'DH AE1 T',
+    the: 'DH AH0',
+    theater: 'TH IY1 AH0 T ER0',
+    theatre: 'TH IY1 AH0 T ER0',
+    thee: 'DH IY1',
+    their: 'DH EH1 R',
+    them: 'DH EH1 M',
+    theme: 'TH IY1 M',
+    themselves: 'DH EH0 M S EH1 L V Z',
+    then: 'DH EH1 N',
+    theory: 'TH IH1 R IY0',
+    therapist: 'TH EH1 R AH0 P AH0 S T',
+    therapy: 'TH EH1 R AH0 P IY0',
+    there: 'DH EH1 R',
+    therefore: 'DH EH1 R F AO2 R',
+    these: 'DH IY1 Z',
+    they: 'DH EY1',
+    thick: 'TH IH1 K',
+    thief: 'TH IY1 F',
+    thieves: 'TH IY1 V Z',
+    thin: 'TH IH1 N',
+    thing: 'TH IH1 NG',
+    things: 'TH IH1 NG Z',
+    think: 'TH IH1 NG K',
+    thinking: 'TH IH1 NG K IH0 NG',
+    thinks: 'TH IH1 NG K S',
+    third: 'TH ER1 D',
+    thirsty: 'TH ER1 S T IY0',
+    thirty: 'TH ER1 D IY2',
+    this: 'DH IH1 S',
+    thomas: 'T AA1 M AH0 S',
+    thompson: 'T AA1 M P S AH0 N',
+    those: 'DH OW1 Z',
+    thou: 'DH AW1',
+    though: 'DH OW1',
+    thought: 'TH AO1 T',
+    thoughts: 'TH AO1 T S',
+    thousand: 'TH AW1 Z AH0 N D',
+    thousands: 'TH AW1 Z AH0 N D Z',
+    threat: 'TH R EH1 T',
+    threaten: 'TH R EH1 T AH0 N',
+    threatened: 'TH R EH1 T AH0 N D',
+    threatening: 'TH R EH1 T AH0 N IH0 NG',
+    three: 'TH R IY1',
+    threw: 'TH R UW1',
+    thrill: 'TH R IH1 L',
+    thrilled: 'TH R IH1 L D',
+    throat: 'TH R OW1 T',
+    throne: 'TH R OW1 N',
+    through: 'TH R UW1',
+    throughout: 'TH R UW0 AW1 T',
+    throw: 'TH R OW1',
+    throwing: 'TH R OW1 IH0 NG',
+    thrown: 'TH R OW1 N',
+    thumb: 'TH AH1 M',
+    thunder: 'TH AH1 N D ER0',
+    thursday: 'TH ER1 Z D EY2',
+    thus: 'DH AH1 S',
+    thy: 'DH AY1',
+    ticket: 'T IH1 K AH0 T',
+    tickets: 'T IH1 K AH0 T S',
+    tie: 'T AY1',
+    tied: 'T AY1 D',
+    ties: 'T AY1 Z',
+    tiger: 'T AY1 G ER0',
+    tight: 'T AY1 T',
+    til: 'T IH1 L',
+    till: 'T IH1 L',
+    tim: 'T IH1 M',
+    time: 'T AY1 M',
+    times: 'T AY1 M Z',
+    timing: 'T AY1 M IH0 NG',
+    tin: 'T IH1 N',
+    tiny: 'T AY1 N IY0',
+    tip: 'T IH1 P',
+    tips: 'T IH1 P S',
+    tire: 'T AY1 ER0',
+    tired: 'T AY1 ER0 D',
+    tires: 'T AY1 ER0 Z',
+    tissue: 'T IH1 S Y UW2',
+    title: 'T AY1 T AH0 L',
+    tits: 'T IH1 T S',
+    to: 'T UW1',
+    toast: 'T OW1 S T',
+    today: 'T AH0 D EY1',
+    toe: 'T OW1',
+    toes: 'T OW1 Z',
+    together: 'T AH0 G EH1 DH ER0',
+    toilet: 'T OY1 L AH0 T',
+    tokyo: 'T OW1 K IY0 OW2',
+    told: 'T OW1 L D',
+    tom: 'T AA1 M',
+    tommy: 'T AA1 M IY0',
+    tomorrow: 'T AH0 M AA1 R OW2',
+    tone: 'T OW1 N',
+    tongue: 'T AH1 NG',
+    tonight: 'T AH0 N AY1 T',
+    tons: 'T AH1 N Z',
+    tony: 'T OW1 N IY0',
+    too: 'T UW1',
+    took: 'T UH1 K',
+    tool: 'T UW1 L',
+    tools: 'T UW1 L Z',
+    tooth: 'T UW1 TH',
+    top: 'T AA1 P',
+    tore: 'T AO1 R',
+    torn: 'T AO1 R N',
+    torture: 'T AO1 R CH ER0',
+    toss: 'T AO1 S',
+    tossed: 'T AO1 S T',
+    total: 'T OW1 T AH0 L',
+    totally: 'T OW1 T AH0 L IY0',
+    touch: 'T AH1 CH',
+    touched: 'T AH1 CH T',
+    touching: 'T AH1 CH IH0 NG',
+    tough: 'T AH1 F',
+    tour: 'T UH1 R',
+    tournament: 'T UH1 R N AH0 M AH0 N T',
+    toward: 'T AH0 W AO1 R D',
+    towards: 'T AH0 W AO1 R D Z',
+    towel: 'T AW1 AH0 L',
+    towels: 'T AW1 AH0 L Z',
+    tower: 'T AW1 ER0',
+    town: 'T AW1 N',
+    toy: 'T OY1',
+    toys: 'T OY1 Z',
+    trace: 'T R EY1 S',
+    track: 'T R AE1 K',
+    tracking: 'T R AE1 K IH0 NG',
+    tracks: 'T R AE1 K S',
+    trade: 'T R EY1 D',
+    tradition: 'T R AH0 D IH1 SH AH0 N',
+    traditional: 'T R AH0 D IH1 SH AH0 N AH0 L',
+    traffic: 'T R AE1 F IH0 K',
+    tragedy: 'T R AE1 JH AH0 D IY0',
+    tragic: 'T R AE1 JH IH0 K',
+    trail: 'T R EY1 L',
+    trailer: 'T R EY1 L ER0',
+    train: 'T R EY1 N',
+    trained: 'T R EY1 N D',
+    training: 'T R EY1 N IH0 NG',
+    trains: 'T R EY1 N Z',
+    traitor: 'T R EY1 T ER0',
+    tramp: 'T R AE1 M P',
+    transcript: 'T R AE1 N S K R IH2 P T',
+    transfer: 'T R AE0 N S F ER1',
+    transferred: 'T R AE0 N S F ER1 D',
+    transmission: 'T R AE0 N S M IH1 SH AH0 N',
+    transport: 'T R AE0 N S P AO1 R T',
+    trap: 'T R AE1 P',
+    trapped: 'T R AE1 P T',
+    trash: 'T R AE1 SH',
+    trauma: 'T R AO1 M AH0',
+    travel: 'T R AE1 V AH0 L',
+    traveling: 'T R AE1 V AH0 L IH0 NG',
+    travis: 'T R AE1 V IH0 S',
+    treasure: 'T R EH1 ZH ER0',
+    treat: 'T R IY1 T',
+    treated: 'T R IY1 T IH0 D',
+    treating: 'T R IY1 T IH0 NG',
+    treatment: 'T R IY1 T M AH0 N T',
+    tree: 'T R IY1',
+    trees: 'T R IY1 Z',
+    tremendous: 'T R AH0 M EH1 N D AH0 S',
+    trial: 'T R AY1 AH0 L',
+    trick: 'T R IH1 K',
+    tricks: 'T R IH1 K S',
+    tried: 'T R AY1 D',
+    tries: 'T R AY1 Z',
+    trigger: 'T R IH1 G ER0',
+    trip: 'T R IH1 P',
+    triple: 'T R IH1 P AH0 L',
+    troops: 'T R UW1 P S',
+    trouble: 'T R AH1 B AH0 L',
+    troubles: 'T R AH1 B AH0 L Z',
+    troy: 'T R OY1',
+    truck: 'T R AH1 K',
+    trucks: 'T R AH1 K S',
+    true: 'T R UW1',
+    truly: 'T R UW1 L IY0',
+    trunk: 'T R AH1 NG K',
+    trust: 'T R AH1 S T',
+    trusted: 'T R AH1 S T IH0 D',
+    truth: 'T R UW1 TH',
+    try: 'T R AY1',
+    trying: 'T R AY1 IH0 NG',
+    tub: 'T AH1 B',
+    tube: 'T UW1 B',
+    tuesday: 'T UW1 Z D IY0',
+    tummy: 'T AH1 M IY0',
+    tune: 'T UW1 N',
+    tunnel: 'T AH1 N AH0 L',
+    turkey: 'T ER1 K IY0',
+    turn: 'T ER1 N',
+    turned: 'T ER1 N D',
+    turner: 'T ER1 N ER0',
+    turning: 'T ER1 N IH0 NG',
+    turns: 'T ER1 N Z',
+    turtle: 'T ER1 T AH0 L',
+    tv: 'T IY1 V IY1',
+    twelve: 'T W EH1 L V',
+    twenty: 'T W EH1 N T IY0',
+    twice: 'T W AY1 S',
+    twin: 'T W IH1 N',
+    twins: 'T W IH1 N Z',
+    twist: 'T W IH1 S T',
+    twisted: 'T W IH1 S T IH0 D',
+    two: 'T UW1',
+    tyler: 'T AY1 L ER0',
+    type: 'T AY1 P',
+    types: 'T AY1 P S',
+    typical: 'T IH1 P AH0 K AH0 L',
+    u: 'Y UW1',
+    ugh: 'AH1 G',
+    ugly: 'AH1 G L IY0',
+    uh: 'AH1',
+    ultimate: 'AH1 L T AH0 M AH0 T',
+    um: 'AH1 M',
+    unable: 'AH0 N EY1 B AH0 L',
+    unbelievable: 'AH2 N B AH0 L IY1 V AH0 B AH0 L',
+    uncle: 'AH1 NG K AH0 L',
+    uncomfortable: 'AH0 N K AH1 M F ER0 T AH0 B AH0 L',
+    unconscious: 'AH2 N K AA1 N SH AH0 S',
+    under: 'AH1 N D ER0',
+    undercover: 'AH2 N D ER0 K AH1 V ER0',
+    underground: 'AH1 N D ER0 G R AW2 N D',
+    underneath: 'AH2 N D ER0 N IY1 TH',
+    understand: 'AH2 N D ER0 S T AE1 N D',
+    understanding: 'AH2 N D ER0 S T AE1 N D IH0 NG',
+    understands: 'AH2 N D ER0 S T AE1 N D Z',
+    understood: 'AH2 N D ER0 S T UH1 D',
+    underwear: 'AH1 N D ER0 W EH2 R',
+    unexpected: 'AH2 N IH0 K S P EH1 K T IH0 D',
+    unfair: 'AH0 N F EH1 R',
+    unfortunate: 'AH0 N F AO1 R CH AH0 N AH0 T',
+    unfortunately: 'AH0 N F AO1 R CH AH0 N AH0 T L IY0',
+    unhappy: 'AH0 N HH AE1 P IY0',
+    uniform: 'Y UW1 N AH0 F AO2 R M',
+    union: 'Y UW1 N Y AH0 N',
+    unique: 'Y UW0 N IY1 K',
+    unit: 'Y UW1 N AH0 T',
+    united: 'Y UW0 N AY1 T IH0 D',
+    units: 'Y UW1 N AH0 T S',
+    universe: 'Y UW1 N AH0 V ER2 S',
+    university: 'Y UW2 N AH0 V ER1 S AH0 T IY0',
+    unknown: 'AH0 N N OW1 N',
+    unless: 'AH0 N L EH1 S',
+    unlike: 'AH0 N L AY1 K',
+    until: 'AH0 N T IH1 L',
+    unusual: 'AH0 N Y UW1 ZH UW2 AH0 L',
+    up: 'AH1 P',
+    upon: 'AH0 P AA1 N',
+    upper: 'AH1 P ER0',
+    upset: 'AH0 P S EH1 T',
+    upside: 'AH1 P S AY1 D',
+    upstairs: 'AH0 P S T EH1 R Z',
+    urgent: 'ER1 JH AH0 N T',
+    us: 'AH1 S',
+    use: 'Y UW1 S',
+    used: 'Y UW1 Z D',
+    useful: 'Y UW1 S F AH0 L',
+    useless: 'Y UW1 S L AH0 S',
+    uses: 'Y UW1 S AH0 Z',
+    using: 'Y UW1 Z IH0 NG',
+    usual: 'Y UW1 ZH AH0 W AH0 L',
+    usually: 'Y UW1 ZH AH0 W AH0 L IY0',
+    v: 'V IY1',
+    vacation: 'V EY0 K EY1 SH AH0 N',
+    val: 'V AE1 L',
+    valentine: 'V AE1 L AH0 N T AY2 N',
+    valley: 'V AE1 L IY0',
+    valuable: 'V AE1 L Y AH0 B AH0 L',
+    value: 'V AE1 L Y UW0',
+    values: 'V AE1 L Y UW0 Z',
+    vampire: 'V AE1 M P AY0 R',
+    vampires: 'V AE1 M P AY0 R Z',
+    van: 'V AE1 N',
+    various: 'V EH1 R IY0 AH0 S',
+    vault: 'V AO1 L T',
+    vegas: 'V EY1 G AH0 S',
+    vehicle: 'V IY1 HH IH0 K AH0 L',
+    verdict: 'V ER1 D IH0 K T',
+    veronica: 'V ER0 AA1 N IH0 K AH0',
+    version: 'V ER1 ZH AH0 N',
+    very: 'V EH1 R IY0',
+    vessel: 'V EH1 S AH0 L',
+    vic: 'V IH1 K',
+    vice: 'V AY1 S',
+    vicious: 'V IH1 SH AH0 S',
+    victim: 'V IH1 K T AH0 M',
+    victims: 'V IH1 K T AH0 M Z',
+    victor: 'V IH1 K T ER0',
+    victory: 'V IH1 K T ER0 IY0',
+    video: 'V IH1 D IY0 OW0',
+    vietnam: 'V IY0 EH2 T N AA1 M',
+    view: 'V Y UW1',
+    village: 'V IH1 L AH0 JH',
+    vincent: 'V IH1 N S AH0 N T',
+    violence: 'V AY1 AH0 L AH0 N S',
+    violent: 'V AY1 AH0 L AH0 N T',
+    virgin: 'V ER1 JH IH0 N',
+    virginia: 'V ER0 JH IH1 N Y AH0',
+    virus: 'V AY1 R AH0 S',
+    vision: 'V IH1 ZH AH0 N',
+    visions: 'V IH1 ZH AH0 N Z',
+    visit: 'V IH1 Z IH0 T',
+    visiting: 'V IH1 Z IH0 T IH0 NG',
+    visitor: 'V IH1 Z IH0 T ER0',
+    visitors: 'V IH1 Z IH0 T ER0 Z',
+    visual: 'V IH1 ZH AH0 W AH0 L',
+    vodka: 'V AA1 D K AH0',
+    voice: 'V OY1 S',
+    voices: 'V OY1 S AH0 Z',
+    volunteer: 'V AA2 L AH0 N T IH1 R',
+    von: 'V AO1 N',
+    vote: 'V OW1 T',
+    vulnerable: 'V AH1 L N ER0 AH0 B AH0 L',
+    w: 'D AH1 B AH0 L Y UW0',
+    wade: 'W EY1 D',
+    wagon: 'W AE1 G AH0 N',
+    wait: 'W EY1 T',
+    waited: 'W EY1 T IH0 D',
+    waiter: 'W EY1 T ER0',
+    waiting: 'W EY1 T IH0 NG',
+    waitress: 'W EY1 T R AH0 S',
+    wake: 'W EY1 K',
+    waking: 'W EY1 K IH0 NG',
+    walk: 'W AO1 K',
+    walked: 'W AO1 K T',
+    walker: 'W AO1 K ER0',
+    walking: 'W AO1 K IH0 NG',
+    walks: 'W AO1 K S',
+    wall: 'W AO1 L',
+    wallet: 'W AO1 L AH0 T',
+    walls: 'W AO1 L Z',
+    wally: 'W AO1 L IY0',
+    walt: 'W AO1 L T',
+    walter: 'W AO1 L T ER0',
+    wanna: 'W AA1 N AH0',
+    want: 'W AA1 N T',
+    wanted: 'W AO1 N T IH0 D',
+    wanting: 'W AA1 N T IH0 NG',
+    wants: 'W AA1 N T S',
+    war: 'W AO1 R',
+    ward: 'W AO1 R D',
+    warden: 'W AO1 R D AH0 N',
+    warehouse: 'W EH1 R HH AW2 S',
+    warm: 'W AO1 R M',
+    warn: 'W AO1 R N',
+    warned: 'W AO1 R N D',
+    warning: 'W AO1 R N IH0 NG',
+    warrant: 'W AO1 R AH0 N T',
+    warren: 'W AO1 R AH0 N',
+    warrior: 'W AO1 R IY0 ER0',
+    wars: 'W AO1 R Z',
+    was: 'W AA1 Z',
+    wash: 'W AA1 SH',
+    washed: 'W AA1 SH T',
+    washing: 'W AA1 SH IH0 NG',
+    washington: 'W AA1 SH IH0 NG T AH0 N',
+    waste: 'W EY1 S T',
+    wasted: 'W EY1 S T IH0 D',
+    wasting: 'W EY1 S T IH0 NG',
+    watch: 'W AA1 CH',
+    watched: 'W AA1 CH T',
+    watching: 'W AA1 CH IH0 NG',
+    water: 'W AO1 T ER0',
+    waters: 'W AO1 T ER0 Z',
+    watson: 'W AA1 T S AH0 N',
+    wave: 'W EY1 V',
+    waves: 'W EY1 V Z',
+    wax: 'W AE1 K S',
+    way: 'W EY1',
+    wayne: 'W EY1 N',
+    ways: 'W EY1 Z',
+    we: 'W IY1',
+    weak: 'W IY1 K',
+    weakness: 'W IY1 K N AH0 S',
+    weapon: 'W EH1 P AH0 N',
+    weapons: 'W EH1 P AH0 N Z',
+    wear: 'W EH1 R',
+    wearing: 'W EH1 R IH0 NG',
+    wears: 'W EH1 R Z',
+    weather: 'W EH1 DH ER0',
+    web: 'W EH1 B',
+    wedding: 'W EH1 D IH0 NG',
+    wednesday: 'W EH1 N Z D IY0',
+    wee: 'W IY1',
+    weed: 'W IY1 D',
+    week: 'W IY1 K',
+    weekend: 'W IY1 K EH2 N D',
+    weeks: 'W IY1 K S',
+    weight: 'W EY1 T',
+    weird: 'W IH1 R D',
+    welcome: 'W EH1 L K AH0 M',
+    well: 'W EH1 L',
+    wells: 'W EH1 L Z',
+    went: 'W EH1 N T',
+    were: 'W ER1',
+    wesley: 'W EH1 S L IY0',
+    west: 'W EH1 S T',
+    western: 'W EH1 S T ER0 N',
+    wet: 'W EH1 T',
+    whack: 'W AE1 K',
+    whale: 'W EY1 L',
+    what: 'W AH1 T',
+    whatever: 'W AH2 T EH1 V ER0',
+    whatsoever: 'W AH2 T S OW0 EH1 V ER0',
+    wheel: 'W IY1 L',
+    wheels: 'W IY1 L Z',
+    when: 'W EH1 N',
+    whenever: 'W EH0 N EH1 V ER0',
+    where: 'W EH1 R',
+    wherever: 'W EH0 R EH1 V ER0',
+    whether: 'W EH1 DH ER0',
+    which: 'W IH1 CH',
+    while: 'W AY1 L',
+    whip: 'W IH1 P',
+    whiskey: 'W IH1 S K IY0',
+    whispering: 'W IH1 S P ER0 IH0 NG',
+    whistle: 'W IH1 S AH0 L',
+    white: 'W AY1 T',
+    who: 'HH UW1',
+    whoa: 'W OW1',
+    whoever: 'HH UW0 EH1 V ER0',
+    whole: 'HH OW1 L',
+    whom: 'HH UW1 M',
+    whoo: 'W UW1',
+    whore: 'HH AO1 R',
+    whose: 'HH UW1 Z',
+    why: 'W AY1',
+    wicked: 'W IH1 K AH0 D',
+    wide: 'W AY1 D',
+    widow: 'W IH1 D OW0',
+    wife: 'W AY1 F',
+    wig: 'W IH1 G',
+    wild: 'W AY1 L D',
+    will: 'W IH1 L',
+    william: 'W IH1 L Y AH0 M',
+    williams: 'W IH1 L Y AH0 M Z',
+    willie: 'W IH1 L IY0',
+    willing: 'W IH1 L IH0 NG',
+    willy: 'W IH1 L IY0',
+    wilson: 'W IH1 L S AH0 N',
+    win: 'W IH1 N',
+    wind: 'W AY1 N D',
+    window: 'W IH1 N D OW0',
+    windows: 'W IH1 N D OW0 Z',
+    wine: 'W AY1 N',
+    wing: 'W IH1 NG',
+    wings: 'W IH1 NG Z',
+    winner: 'W IH1 N ER0',
+    winning: 'W IH1 N IH0 NG',
+    wins: 'W IH1 N Z',
+    winter: 'W IH1 N T ER0',
+    wipe: 'W AY1 P',
+    wire: 'W AY1 ER0',
+    wisdom: 'W IH1 Z D AH0 M',
+    wise: 'W AY1 Z',
+    wish: 'W IH1 SH',
+    wished: 'W IH1 SH T',
+    wishes: 'W IH1 SH IH0 Z',
+    witch: 'W IH1 CH',
+    witches: 'W IH1 CH AH0 Z',
+    with: 'W IH1 DH',
+    within: 'W IH0 DH IH1 N',
+    without: 'W IH0 TH AW1 T',
+    witness: 'W IH1 T N AH0 S',
+    witnesses: 'W IH1 T N AH0 S AH0 Z',
+    wives: 'W AY1 V Z',
+    wizard: 'W IH1 Z ER0 D',
+    woke: 'W OW1 K',
+    wolf: 'W UH1 L F',
+    woman: 'W UH1 M AH0 N',
+    women: 'W IH1 M AH0 N',
+    won: 'W AH1 N',
+    wonder: 'W AH1 N D ER0',
+    wondered: 'W AH1 N D ER0 D',
+    wonderful: 'W AH1 N D ER0 F AH0 L',
+    wondering: 'W AH1 N D ER0 IH0 NG',
+    wong: 'W AO1 NG',
+    wood: 'W UH1 D',
+    woods: 'W UH1 D Z',
+    woody: 'W UH1 D IY0',
+    word: 'W ER1 D',
+    words: 'W ER1 D Z',
+    wore: 'W AO1 R',
+    work: 'W ER1 K',
+    worked: 'W ER1 K T',
+    worker: 'W ER1 K ER0',
+    workers: 'W ER1 K ER0 Z',
+    working: 'W ER1 K IH0 NG',
+    works: 'W ER1 K S',
+    world: 'W ER1 L D',
+    worlds: 'W ER1 L D Z',
+    worm: 'W ER1 M',
+    worn: 'W AO1 R N',
+    worried: 'W ER1 IY0 D',
+    worries: 'W ER1 IY0 Z',
+    worry: 'W ER1 IY0',
+    worrying: 'W ER1 IY0 IH0 NG',
+    worse: 'W ER1 S',
+    worst: 'W ER1 S T',
+    worth: 'W ER1 TH',
+    worthless: 'W ER1 TH L AH0 S',
+    worthy: 'W ER1 DH IY0',
+    would: 'W UH1 D',
+    wound: 'W AW1 N D',
+    wounded: 'W UW1 N D IH0 D',
+    wounds: 'W UW1 N D Z',
+    wow: 'W AW1',
+    wrap: 'R AE1 P',
+    wrapped: 'R AE1 P T',
+    wreck: 'R EH1 K',
+    wrestling: 'R EH1 S L IH0 NG',
+    wrist: 'R IH1 S T',
+    write: 'R AY1 T',
+    writer: 'R AY1 T ER0',
+    writes: 'R AY1 T S',
+    writing: 'R AY1 T IH0 NG',
+    written: 'R IH1 T AH0 N',
+    wrong: 'R AO1 NG',
+    wrote: 'R OW1 T',
+    x: 'EH1 K S',
+    y: 'W AY1',
+    ya: 'Y AA1',
+    yacht: 'Y AA1 T',
+    yale: 'Y EY1 L',
+    yankee: 'Y AE1 NG K IY0',
+    yard: 'Y AA1 R D',
+    yards: 'Y AA1 R D Z',
+    yay: 'Y EY1',
+    ye: 'Y IY1',
+    yeah: 'Y AE1',
+    year: 'Y IH1 R',
+    years: 'Y IH1 R Z',
+    yell: 'Y EH1 L',
+    yelling: 'Y EH1 L IH0 NG',
+    yellow: 'Y EH1 L OW0',
+    yep: 'Y EH1 P',
+    yes: 'Y EH1 S',
+    yesterday: 'Y EH1 S T ER0 D EY2',
+    yet: 'Y EH1 T',
+    yo: 'Y OW1',
+    york: 'Y AO1 R K',
+    you: 'Y UW1',
+    young: 'Y AH1 NG',
+    younger: 'Y AH1 NG G ER0',
+    your: 'Y AO1 R',
+    yours: 'Y UH1 R Z',
+    yourself: 'Y ER0 S EH1 L F',
+    yourselves: 'Y UH0 R S EH1 L V Z',
+    youth: 'Y UW1 TH',
+    yup: 'Y AH1 P',
+    z: 'Z IY1',
+    zack: 'Z AE1 K',
+    zero: 'Z IH1 R OW0',
+    zone: 'Z OW1 N',
+    zoo: 'Z UW1'
+};
+
+// Export for use in other modules
+window.CMU_DICTIONARY = CMU_DICTIONARY;
@@ -0,0 +1,366 @@
+/**
+ * Conversation Backends
+ * Adapters that turn what the user said into the baby's reply. Every backend
+ * resolves generate() to the same shape:
+ *
+ * { textContent, audioUrl, emotion }
+ *
+ * - textContent: reply text (may contain [happy] / *giggles* emotion markup)
+ * - audioUrl: recorded reply to play instead of TTS, or null
+ * - emotion: emotion the backend picked for the reply, or null
+ *
+ * context is the conversation so far as [{ role: 'user' | 'assistant', content }].
+ * Backends are created by name with ConversationBackend.create(type, options),
+ * see ConversationBackend.TYPES.
+ *
+ * generate() also takes { signal, onText }: the signal (an AbortSignal)
+ * cancels the request, and backends that can stream call onText(delta) as
+ * the reply text arrives (the promise still resolves with the whole reply).
+ */
+
+class ConversationBackend {
+    constructor(options = {}) {
+        this.settings = {
+            timeout: 20000, // Milliseconds before a request, or a stream that stops sending, is abandoned
+            systemPrompt: ConversationBackend.SYSTEM_PROMPT,
+            language: 'en', // Language the baby replies in
+            ...options
+        };
+    }
+
+    /**
+     * Backend by type name ('pixora', 'openai', 'local' or 'mock')
+     */
+    static create(type, options = {}) {
+        const Backend = ConversationBackend.TYPES[type];
+        if (!Backend) {
+            throw new Error(`Unknown conversation backend: ${type}`);
+        }
+        return new Backend(options);
+    }
+
+    /**
+     * Reply to the user's text (implemented by each backend)
+     */
+    async generate(userText, context = [], { signal = null, onText = null } = {}) {
+        throw new Error(`${this.constructor.name} does not implement generate()`);
+    }
+
+    /**
+     * POST JSON, failing on HTTP errors and when no response arrives in time
+     * Aborting the signal cancels the request and any streaming of its body
+     */
+    async request(url, body, headers = {}, signal = null) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.settings.timeout);
+
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort();
+            } else {
+                signal.addEventListener('abort', () => controller.abort(), { once: true });
+            }
+        }
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...headers
+                },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`${url} responded ${response.status} ${response.statusText}`);
+            }
+            return response;
+        } catch (error) {
+            if (error.name === 'AbortError' && timedOut) {
+                throw new Error(`${url} timed out after ${this.settings.timeout}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * POST JSON and parse the JSON reply
+     */
+    async postJSON(url, body, headers = {}, signal = null) {
+        const response = await this.request(url, body, headers, signal);
+        return response.json();
+    }
+
+    /**
+     * Read a streamed response body line by line (SSE and NDJSON)
+     * Fails when no data arrives within the timeout while the body is still open
+     */
+    async readLines(response, onLine) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let timedOut = false;
+        let timer = null;
+
+        try {
+            for (;;) {
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    reader.cancel();
+                }, this.settings.timeout);
+
+                const { done, value } = await reader.read();
+                clearTimeout(timer);
+                if (timedOut) {
+                    throw new Error(`${response.url} stopped sending for ${this.settings.timeout}ms`);
+                }
+
+                buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+                const lines = buffer.split(/\r?\n/);
+                buffer = done ? '' : lines.pop();
+                lines.forEach(line => {
+                    if (line.trim()) onLine(line.trim());
+                });
+
+                if (done) return;
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Chat messages for the system prompt, the conversation so far and the new text
+     */
+    buildMessages(userText, context) {
+        const messages = context.map(({ role, content }) => ({ role, content }));
+        const systemPrompt = [this.settings.systemPrompt, ConversationBackend.LANGUAGE_PROMPTS[this.settings.language]]
+            .filter(Boolean).join(' ');
+        if (systemPrompt) {
+            messages.unshift({ role: 'system', content: systemPrompt });
+        }
+        messages.push({ role: 'user', content: userText });
+        return messages;
+    }
+
+    /**
+     * Reply in the common shape, failing when there is no text
+     */
+    static reply(textContent, audioUrl = null, emotion = null) {
+        if (typeof textContent !== 'string' || textContent.trim() === '') {
+            throw new Error('Backend reply has no text');
+        }
+        return { textContent: textContent.trim(), audioUrl: audioUrl || null, emotion: emotion || null };
+    }
+}
+
+/**
+ * The digital-baby text-to-speech endpoint (text plus recorded baby voice)
+ */
+class PixoraBackend extends ConversationBackend {
+    constructor(options = {}) {
+        super({
+            endpoint: 'https://digital-baby.pixora.app/api/v1/text-to-speech/baby-voice',
+            ...options
+        });
+    }
+
+    // Replies come with recorded audio, so they arrive whole
+    async generate(userText, context = [], { signal = null } = {}) {
+        const data = await this.postJSON(this.settings.endpoint, {
+            context,
+            text: userText
+        }, {}, signal);
+        return ConversationBackend.reply(data.textContent, data.audioUrl, data.emotion);
+    }
+}
+
+/**
+ * OpenAI-compatible chat completions (OpenAI, OpenRouter, LM Studio, vLLM, ...)
+ */
+class OpenAIBackend extends ConversationBackend {
+    constructor(options = {}) {
+        super({
+            endpoint: 'https://api.openai.com/v1/chat/completions',
+            model: 'gpt-4o-mini',
+            apiKey: '',
+            temperature: 0.8,
+            maxTokens: 150,
+            ...options
+        });
+    }
+
+    async generate(userText, context = [], { signal = null, onText = null } = {}) {
+        const headers = this.settings.apiKey ? { Authorization: `Bearer ${this.settings.apiKey}` } : {};
+        const body = {
+            model: this.settings.model,
+            messages: this.buildMessages(userText, context),
+            temperature: this.settings.temperature,
+            max_tokens: this.settings.maxTokens
+        };
+
+        if (!onText) {
+            const data = await this.postJSON(this.settings.endpoint, body, headers, signal);
+            const choice = data.choices && data.choices[0];
+            return ConversationBackend.reply(choice && choice.message ? choice.message.content : null);
+        }
+
+        // Server-sent events: "data: {chunk}" lines, ending with "data: [DONE]"
+        const response = await this.request(this.settings.endpoint, { ...body, stream: true }, headers, signal);
+        let text = '';
+        await this.readLines(response, (line) => {
+            if (!line.startsWith('data:')) return;
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') return;
+
+            const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onText(delta);
+            }
+        });
+        return ConversationBackend.reply(text);
+    }
+}
+
+/**
+ * Local model server with an Ollama-style /api/chat endpoint
+ */
+class LocalBackend extends ConversationBackend {
+    constructor(options = {}) {
+        super({
+            endpoint: 'http://localhost:11434/api/chat',
+            model: 'llama3.2',
+            ...options
+        });
+    }
+
+    async generate(userText, context = [], { signal = null, onText = null } = {}) {
+        const body = {
+            model: this.settings.model,
+            messages: this.buildMessages(userText, context),
+            stream: Boolean(onText)
+        };
+
+        if (!onText) {
+            const data = await this.postJSON(this.settings.endpoint, body, {}, signal);
+            return ConversationBackend.reply(data.message ? data.message.content : data.response);
+        }
+
+        // Newline-delimited JSON, one chunk per line
+        const response = await this.request(this.settings.endpoint, body, {}, signal);
+        let text = '';
+        await this.readLines(response, (line) => {
+            const data = JSON.parse(line);
+            const delta = data.message ? data.message.content : data.response;
+            if (delta) {
+                text += delta;
+                onText(delta);
+            }
+        });
+        return ConversationBackend.reply(text);
+    }
+}
+
+/**
+ * Canned replies for trying things out offline
+ */
+class MockBackend extends ConversationBackend {
+    constructor(options = {}) {
+        super({
+            random: Math.random,
+            streamDelay: 80, // Milliseconds between streamed words
+            ...options
+        });
+    }
+
+    async generate(userText, context = [], { signal = null, onText = null } = {}) {
+        const replies = MockBackend.REPLIES[this.settings.language] || MockBackend.REPLIES.en;
+        const { text, emotion } = replies[Math.floor(this.settings.random() * replies.length)];
+        const reply = ConversationBackend.reply(text.replace('{text}', () => userText), null, emotion);
+
+        // Stream word by word, like a chat model would
+        if (onText) {
+            for (const word of reply.textContent.match(/\S+\s*/g)) {
+                await MockBackend.wait(this.settings.streamDelay, signal);
+                onText(word);
+            }
+        }
+        return reply;
+    }
+
+    /**
+     * Resolve after a delay, rejecting with an AbortError if the signal aborts first
+     */
+    static wait(milliseconds, signal = null) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The reply was cancelled', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', abort);
+                resolve();
+            }, milliseconds);
+
+            if (signal) {
+                if (signal.aborted) abort();
+                else signal.addEventListener('abort', abort, { once: true });
+            }
+        });
+    }
+}
+
+// Tells chat models who they are and how to cue expressions
+ConversationBackend.SYSTEM_PROMPT = 'You are a cheerful baby talking with a grown-up. ' +
+    'Answer in one or two short, simple sentences, the way a small child talks. ' +
+    'You can show feelings with tags like [happy], [sad], [surprised] or actions like *giggles*.';
+
+// Added to the system prompt for replies in other languages
+ConversationBackend.LANGUAGE_PROMPTS = {
+    hi: 'Always reply in Hindi, written in Devanagari.',
+    es: 'Always reply in Spanish.'
+};
+
+// Mock replies per language; {text} is replaced with what the user said
+MockBackend.REPLIES = {
+    en: [
+        { text: 'Hewwo, Baccha! I heard you say "{text}". That\'s very interesting! I love talking to you!', emotion: 'happy' },
+        { text: 'Oh my! *giggles* You said "{text}"! That makes me so happy! Can we play together?', emotion: null },
+        { text: 'Wow! "{text}" is what you said! I\'m learning so much from you!', emotion: 'surprised' }
+    ],
+    hi: [
+        { text: 'नमस्ते! मैंने सुना आपने कहा "{text}"। कितनी मज़ेदार बात है! मुझे आपसे बात करना बहुत अच्छा लगता है!', emotion: 'happy' },
+        { text: 'अरे वाह! *giggles* आपने कहा "{text}"! मैं बहुत ख़ुश हूँ! क्या हम साथ में खेलें?', emotion: null },
+        { text: 'वाह! आपने कहा "{text}"! मैं आपसे कितना कुछ सीख रहा हूँ!', emotion: 'surprised' }
+    ],
+    es: [
+        { text: '¡Hola! Te escuché decir "{text}". ¡Qué interesante! ¡Me encanta hablar contigo!', emotion: 'happy' },
+        { text: '¡Ay! *giggles* ¡Dijiste "{text}"! ¡Qué feliz me pone! ¿Jugamos juntos?', emotion: null },
+        { text: '¡Guau! ¡Dijiste "{text}"! ¡Aprendo mucho contigo!', emotion: 'surprised' }
+    ]
+};
+
+// Backend type name -> class
+ConversationBackend.TYPES = {
+    pixora: PixoraBackend,
+    openai: OpenAIBackend,
+    local: LocalBackend,
+    mock: MockBackend
+};
+
+// Export for use in other modules
+window.ConversationBackend = ConversationBackend;
+window.PixoraBackend = PixoraBackend;
+window.OpenAIBackend = OpenAIBackend;
+window.LocalBackend = LocalBackend;
+window.MockBackend = MockBackend;
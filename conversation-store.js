@@ -0,0 +1,264 @@
+/**
+ * Conversation Store
+ * Keeps the turns of the current conversation session, hands a trimmed
+ * window of them to the backend as context, and persists sessions in
+ * IndexedDB (or localStorage when IndexedDB is unavailable) so the baby
+ * remembers the conversation after a reload.
+ *
+ * Turn format:
+ * { role: 'user' | 'assistant', text: 'Hello!', time: 1700000000000, emotion: 'happy' }
+ *
+ * Sessions can be cleared or exported as JSON or plain text.
+ */
+
+class ConversationStore {
+    constructor(options = {}) {
+        this.settings = {
+            storageKey: 'babyCharacter.conversations',
+            maxContextMessages: 12,    // Latest messages sent to the backend
+            maxContextChars: 4000,     // ...as long as they fit in this many characters
+            maxStoredTurns: 200,       // Older turns are dropped from a session
+            maxSessions: 10,           // Older sessions are deleted
+            ...options
+        };
+
+        this.session = ConversationStore.createSession();
+        this.listeners = [];
+        this.database = null;
+    }
+
+    /**
+     * Open storage and restore the most recent session
+     */
+    async load() {
+        try {
+            const sessions = await this.readSessions();
+            const latest = sessions.sort((a, b) => b.updatedAt - a.updatedAt)[0];
+            if (latest && Array.isArray(latest.turns)) {
+                this.session = latest;
+                console.log(`💬 Restored conversation with ${latest.turns.length} turns`);
+            }
+        } catch (error) {
+            console.warn('💬 Could not restore the conversation:', error);
+        }
+
+        this.notify();
+        return this.session;
+    }
+
+    /**
+     * Turns of the current session (oldest first)
+     */
+    get turns() {
+        return this.session.turns;
+    }
+
+    /**
+     * Record a turn and persist the session
+     */
+    addTurn(role, text, details = {}) {
+        if (!ConversationStore.ROLES.includes(role)) {
+            throw new Error(`Unknown conversation role: ${role}`);
+        }
+
+        const turn = { role, text, time: Date.now(), ...details };
+        this.session.turns.push(turn);
+        if (this.session.turns.length > this.settings.maxStoredTurns) {
+            this.session.turns.splice(0, this.session.turns.length - this.settings.maxStoredTurns);
+        }
+        this.session.updatedAt = turn.time;
+
+        this.save();
+        this.notify();
+        return turn;
+    }
+
+    /**
+     * Latest turns as chat messages [{ role, content }], trimmed to the context limits
+     */
+    getContext() {
+        const { maxContextMessages, maxContextChars } = this.settings;
+        const messages = [];
+        let chars = 0;
+
+        for (let i = this.session.turns.length - 1; i >= 0 && messages.length < maxContextMessages; i--) {
+            const { role, text } = this.session.turns[i];
+            chars += text.length;
+            if (chars > maxContextChars) break;
+            messages.unshift({ role, content: text });
+        }
+
+        // Chat models expect the conversation to open with the user
+        while (messages.length > 0 && messages[0].role !== 'user') {
+            messages.shift();
+        }
+        return messages;
+    }
+
+    /**
+     * Forget the current session and start a new one
+     */
+    async clear() {
+        const { id } = this.session;
+        this.session = ConversationStore.createSession();
+        this.notify();
+
+        try {
+            await this.deleteSession(id);
+        } catch (error) {
+            console.warn('💬 Could not delete the stored conversation:', error);
+        }
+    }
+
+    /**
+     * Current session as JSON
+     */
+    exportJSON() {
+        return JSON.stringify({ version: 1, ...this.session }, null, 4);
+    }
+
+    /**
+     * Current session as a readable transcript
+     */
+    exportText() {
+        const lines = this.session.turns.map(({ role, text, time }) => {
+            const clock = new Date(time).toLocaleTimeString();
+            return `[${clock}] ${ConversationStore.SPEAKERS[role]}: ${text}`;
+        });
+        return `Conversation started ${new Date(this.session.createdAt).toLocaleString()}\n\n${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Call back whenever the turns change (added, cleared or restored)
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Tell listeners the turns changed
+     */
+    notify() {
+        this.listeners.forEach(callback => callback(this.session.turns));
+    }
+
+    /**
+     * Persist the current session (failures are logged, the conversation carries on)
+     */
+    async save() {
+        try {
+            await this.writeSession(this.session);
+        } catch (error) {
+            console.warn('💬 Could not save the conversation:', error);
+        }
+    }
+
+    /**
+     * IndexedDB database, or null when only localStorage is available
+     */
+    openDatabase() {
+        if (!window.indexedDB) {
+            return Promise.resolve(null);
+        }
+
+        if (!this.database) {
+            this.database = new Promise((resolve) => {
+                const request = window.indexedDB.open(this.settings.storageKey, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('sessions', { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    // Private browsing and file:// pages can refuse IndexedDB
+                    console.warn('💬 IndexedDB unavailable, keeping conversations in localStorage:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+
+        return this.database;
+    }
+
+    /**
+     * Run one request against the sessions object store
+     */
+    async withSessions(mode, run) {
+        const database = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction('sessions', mode);
+            const request = run(transaction.objectStore('sessions'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * All stored sessions
+     */
+    async readSessions() {
+        if (await this.openDatabase()) {
+            return this.withSessions('readonly', store => store.getAll());
+        }
+
+        const saved = window.localStorage.getItem(this.settings.storageKey);
+        return saved ? JSON.parse(saved) : [];
+    }
+
+    /**
+     * Store a session, deleting the oldest beyond maxSessions
+     */
+    async writeSession(session) {
+        const sessions = (await this.readSessions()).filter(stored => stored.id !== session.id);
+        if (session !== this.session) return; // Cleared while reading
+        sessions.push(session);
+        sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+        const expired = sessions.splice(this.settings.maxSessions);
+
+        if (await this.openDatabase()) {
+            await this.withSessions('readwrite', store => {
+                expired.forEach(({ id }) => store.delete(id));
+                return store.put(session);
+            });
+            return;
+        }
+
+        window.localStorage.setItem(this.settings.storageKey, JSON.stringify(sessions));
+    }
+
+    /**
+     * Remove a stored session
+     */
+    async deleteSession(id) {
+        if (await this.openDatabase()) {
+            await this.withSessions('readwrite', store => store.delete(id));
+            return;
+        }
+
+        const sessions = (await this.readSessions()).filter(stored => stored.id !== id);
+        window.localStorage.setItem(this.settings.storageKey, JSON.stringify(sessions));
+    }
+
+    /**
+     * Empty session with a unique id
+     */
+    static createSession() {
+        const now = Date.now();
+        return {
+            id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            createdAt: now,
+            updatedAt: now,
+            turns: []
+        };
+    }
+}
+
+ConversationStore.ROLES = ['user', 'assistant'];
+
+// Speaker names for the text transcript
+ConversationStore.SPEAKERS = {
+    user: 'You',
+    assistant: 'Baby'
+};
+
+// Export for use in other modules
+window.ConversationStore = ConversationStore;
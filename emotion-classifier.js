@@ -0,0 +1,280 @@
+/**
+ * Local Emotion Classifier
+ * Rule- and lexicon-based sentiment/keyword tagging for replies and user
+ * utterances - no network or model download needed.
+ *
+ * - classify(text): overall emotion and intensity (0..1)
+ * - parseMarkup(text): strips inline cues like [happy], [sad:0.5] or *giggles*
+ *   and returns them with their character position in the cleaned text
+ *   (other *emphasis* or [notes] stay in the text without their markers)
+ * - analyze(text): cleaned text plus emotion cues for the whole reply
+ *   (markup cues, otherwise one cue per emotional sentence)
+ */
+
+class EmotionClassifier {
+    constructor(options = {}) {
+        const { isKnownEmotion = () => true, ...settings } = options;
+
+        this.settings = {
+            threshold: 0.5,          // Minimum score before a sentence counts as emotional
+            negationWindow: 3,       // Words after "not", "never"... that are negated
+            ...settings
+        };
+
+        // Returns whether an emotion name can be shown (e.g. registry.has)
+        this.isKnownEmotion = isKnownEmotion;
+
+        // Word -> [emotion, weight]
+        this.lexicon = new Map();
+        Object.entries(EmotionClassifier.LEXICON).forEach(([emotion, words]) => {
+            words.forEach(word => this.lexicon.set(word, [emotion, 1.0]));
+        });
+    }
+
+    /**
+     * Overall emotion of a piece of text
+     * Returns { emotion, intensity, scores }
+     */
+    classify(text) {
+        const scores = {};
+        const add = (emotion, weight) => {
+            scores[emotion] = (scores[emotion] || 0) + weight;
+        };
+
+        const words = text.toLowerCase().match(/[a-z']+/g) || [];
+        let negateFor = 0;
+        let boost = 1;
+
+        words.forEach(word => {
+            if (EmotionClassifier.NEGATORS.has(word)) {
+                negateFor = this.settings.negationWindow;
+                return;
+            }
+            if (EmotionClassifier.INTENSIFIERS.has(word)) {
+                boost = 1.5;
+                return;
+            }
+
+            const entry = this.lexicon.get(word) || this.lexicon.get(this.stem(word));
+            if (entry) {
+                const [emotion, weight] = entry;
+                if (negateFor > 0) {
+                    // "not happy" leans sad, "not sad" is only mildly happy
+                    const opposite = EmotionClassifier.OPPOSITES[emotion];
+                    if (opposite) add(opposite, weight * 0.5);
+                } else {
+                    add(emotion, weight * boost);
+                }
+            }
+
+            boost = 1;
+            negateFor = Math.max(0, negateFor - 1);
+        });
+
+        // Emoji and emoticons
+        EmotionClassifier.EMOJI.forEach(([pattern, emotion]) => {
+            const matches = text.match(pattern);
+            if (matches) add(emotion, matches.length);
+        });
+
+        // Questions read as curiosity when nothing stronger is going on
+        if (/\?/.test(text)) add('curious', 0.3);
+
+        const ranked = Object.entries(scores)
+            .filter(([emotion]) => this.isKnownEmotion(emotion))
+            .sort((a, b) => b[1] - a[1]);
+
+        if (ranked.length === 0 || ranked[0][1] < this.settings.threshold) {
+            return { emotion: 'neutral', intensity: 0, scores };
+        }
+
+        const [emotion, score] = ranked[0];
+        const exclamations = Math.min(2, (text.match(/!/g) || []).length);
+        const intensity = Math.min(1, 0.4 + 0.2 * score + 0.1 * exclamations);
+
+        return { emotion, intensity, scores };
+    }
+
+    /**
+     * Strip inline emotion markup (unknown markup is kept as text)
+     * Returns { text, cues: [{ emotion, intensity, charIndex }] }
+     */
+    parseMarkup(text) {
+        const cues = [];
+        let cleaned = '';
+        let lastIndex = 0;
+        const markupPattern = /\[([a-z][a-z _-]*)(?::\s*(\d*\.?\d+))?\]|\*([^*\n]+)\*/gi;
+        let match;
+
+        while ((match = markupPattern.exec(text)) !== null) {
+            cleaned += text.slice(lastIndex, match.index);
+            lastIndex = match.index + match[0].length;
+
+            const [, tag, level, action] = match;
+            const emotion = tag ? this.resolveTag(tag) : this.resolveAction(action);
+            if (emotion) {
+                const intensity = level !== undefined ? Math.min(1, parseFloat(level)) : 0.8;
+                cues.push({ emotion, intensity, charIndex: cleaned.length, source: 'markup' });
+            } else if (action !== undefined && /^\s|\s$/.test(action)) {
+                // Spaced asterisks are not emphasis ("2 * 3 * 4") - keep them as written
+                cleaned += match[0];
+            } else {
+                // Not an emotion cue - keep the words, drop only the markers
+                cleaned += tag !== undefined ? match[0].slice(1, -1) : action;
+            }
+        }
+        cleaned += text.slice(lastIndex);
+
+        // Tidy the whitespace left behind, keeping cue positions in step
+        return this.tidyWhitespace(cleaned, cues);
+    }
+
+    /**
+     * Cleaned text plus emotion cues for a whole reply
+     * Sentences without markup get a cue from classify() when they are emotional
+     */
+    analyze(text) {
+        const { text: cleaned, cues } = this.parseMarkup(text);
+        const sentencePattern = /[^.!?…]+[.!?…]*/g;
+        let match;
+
+        while ((match = sentencePattern.exec(cleaned)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            const hasMarkup = cues.some(cue => cue.source === 'markup' && cue.charIndex >= start && cue.charIndex < end);
+            if (hasMarkup) continue;
+
+            const { emotion, intensity } = this.classify(match[0]);
+            if (emotion !== 'neutral') {
+                cues.push({ emotion, intensity, charIndex: start, source: 'sentiment' });
+            }
+        }
+
+        cues.sort((a, b) => a.charIndex - b.charIndex);
+        return { text: cleaned, cues };
+    }
+
+    /**
+     * Emotion name for a [tag] (an emotion name or an action alias)
+     */
+    resolveTag(tag) {
+        const name = tag.trim().toLowerCase().replace(/[\s_]+/g, '-');
+        if (this.isKnownEmotion(name)) return name;
+        return this.resolveAction(name);
+    }
+
+    /**
+     * Emotion name for an *action* such as *giggles* or *yawns sleepily*
+     */
+    resolveAction(action) {
+        const words = action.toLowerCase().match(/[a-z]+/g) || [];
+        for (const word of words) {
+            const emotion = EmotionClassifier.ACTIONS[word] || EmotionClassifier.ACTIONS[this.stem(word)];
+            if (emotion && this.isKnownEmotion(emotion)) return emotion;
+        }
+        return null;
+    }
+
+    /**
+     * Collapse doubled spaces and spaces before punctuation, shifting cue positions
+     */
+    tidyWhitespace(text, cues) {
+        let tidy = '';
+        const positionMap = [];
+
+        for (let i = 0; i < text.length; i++) {
+            positionMap[i] = tidy.length;
+            const char = text[i];
+            const previous = tidy[tidy.length - 1];
+            const next = text.slice(i + 1).trimStart()[0];
+
+            if (/\s/.test(char) && (tidy.length === 0 || /\s/.test(previous) || (next && /[,.!?;:…]/.test(next)))) {
+                continue;
+            }
+            tidy += char;
+        }
+        positionMap[text.length] = tidy.length;
+
+        const trimmed = tidy.trimEnd();
+        cues.forEach(cue => {
+            cue.charIndex = Math.min(positionMap[cue.charIndex], trimmed.length);
+        });
+
+        return { text: trimmed, cues };
+    }
+
+    /**
+     * Very small stemmer for lexicon lookups ("giggling" -> "giggl", "loved" -> "lov")
+     */
+    stem(word) {
+        return word
+            .replace(/'s$/, '')
+            .replace(/(ing|ed|es|s|ly)$/, '')
+            .replace(/([^aeiou])\1$/, '$1');
+    }
+}
+
+// Lexicon: emotion -> words (stems are matched too)
+EmotionClassifier.LEXICON = {
+    happy: ['happy', 'happi', 'glad', 'joy', 'joyful', 'love', 'lov', 'like', 'yay', 'hooray', 'great', 'good', 'nice',
+        'wonderful', 'awesome', 'amazing', 'fun', 'yummy', 'best', 'cute', 'sweet', 'smile', 'smil', 'hug', 'cuddle',
+        'cuddl', 'friend', 'favorite', 'favourite', 'excited', 'excit', 'delight', 'thank', 'thanks', 'beautiful', 'pretty', 'play'],
+    giggle: ['giggle', 'giggl', 'laugh', 'funny', 'silly', 'haha', 'hehe', 'tickle', 'tickl', 'lol', 'peekaboo'],
+    sad: ['sad', 'unhappy', 'sorry', 'miss', 'lonely', 'alone', 'hurt', 'ouch', 'owie', 'bad', 'upset', 'gone', 'lost',
+        'broke', 'broken', 'boo', 'poor', 'disappoint'],
+    crying: ['cry', 'cri', 'crying', 'tears', 'sob', 'waah', 'wah', 'boohoo'],
+    angry: ['angry', 'mad', 'hate', 'grr', 'grrr', 'annoy', 'annoying', 'furious', 'unfair', 'naughty'],
+    surprised: ['wow', 'whoa', 'woah', 'oh', 'ooh', 'omg', 'surprise', 'surpris', 'unbelievable', 'amaz', 'gosh'],
+    fear: ['scared', 'scary', 'afraid', 'fear', 'monster', 'dark', 'frighten', 'nervous', 'worried', 'worry', 'eek'],
+    disgust: ['yuck', 'eww', 'ew', 'gross', 'icky', 'stinky', 'smelly', 'disgust', 'blech', 'nasty'],
+    curious: ['why', 'how', 'what', 'wonder', 'curious', 'hmm', 'interesting', 'learn', 'learning', 'explore'],
+    sleepy: ['sleepy', 'sleep', 'tired', 'yawn', 'nap', 'bedtime', 'night', 'dream', 'snooze', 'zzz']
+};
+
+// Words that flip the emotion of the next few words
+EmotionClassifier.NEGATORS = new Set(['not', 'no', 'never', "don't", 'dont', "doesn't", "didn't", "isn't", "wasn't",
+    "aren't", "can't", 'cannot', "won't", 'nobody', 'nothing']);
+
+// Words that strengthen the next word
+EmotionClassifier.INTENSIFIERS = new Set(['so', 'very', 'really', 'super', 'totally', 'extremely', 'soooo', 'sooo', 'too', 'much']);
+
+// Emotion used for a negated word
+EmotionClassifier.OPPOSITES = {
+    happy: 'sad',
+    giggle: 'sad',
+    sad: 'happy',
+    crying: 'happy',
+    fear: 'happy',
+    angry: 'happy'
+};
+
+// Emoji and emoticons
+EmotionClassifier.EMOJI = [
+    [/😊|😀|😃|😄|🥰|😍|❤️|💕|:\)|:-\)|:D/g, 'happy'],
+    [/😂|🤣|😆/g, 'giggle'],
+    [/😢|☹️|🙁|:\(|:-\(/g, 'sad'],
+    [/😭/g, 'crying'],
+    [/😠|😡|🤬/g, 'angry'],
+    [/😮|😲|😯|😱/g, 'surprised'],
+    [/😨|😰/g, 'fear'],
+    [/🤢|🤮/g, 'disgust'],
+    [/🤔/g, 'curious'],
+    [/😴|🥱/g, 'sleepy']
+];
+
+// *actions* and [aliases] -> emotion
+EmotionClassifier.ACTIONS = {
+    giggle: 'giggle', giggl: 'giggle', laugh: 'giggle', chuckle: 'giggle', chuckl: 'giggle', squeal: 'giggle',
+    smile: 'happy', smil: 'happy', grin: 'happy', coo: 'happy', clap: 'happy', hug: 'happy', beam: 'happy',
+    cry: 'crying', cri: 'crying', sob: 'crying', wail: 'crying', whimper: 'crying',
+    sigh: 'sad', pout: 'sad', frown: 'sad', sniffle: 'sad', sniffl: 'sad',
+    gasp: 'surprised', blink: 'surprised',
+    yawn: 'sleepy', stretch: 'sleepy', snore: 'sleepy',
+    think: 'curious', wonder: 'curious', tilt: 'curious', ponder: 'curious',
+    huff: 'angry', stomp: 'angry', growl: 'angry',
+    shiver: 'fear', hide: 'fear', cower: 'fear', tremble: 'fear', trembl: 'fear',
+    gag: 'disgust', scrunch: 'disgust'
+};
+
+// Export for use in other modules
+window.EmotionClassifier = EmotionClassifier;
@@ -0,0 +1,218 @@
+/**
+ * Emotion Preset Registry
+ * Holds the emotion presets (label, icon, button colours and morph weights)
+ * loaded from emotion-presets.json, so new expressions can be authored
+ * without touching code. Presets saved in the browser are kept in
+ * localStorage and can be exported back to the same JSON format.
+ *
+ * Preset format:
+ * { "label": "Happy", "icon": "😊", "color": "#FFD700", "textColor": "#333",
+ *   "morphs": { "Mouth_Smile_L": 0.8, "Mouth_Smile_R": 0.8 } }
+ */
+
+class EmotionRegistry {
+    constructor(storageKey = 'babyCharacter.emotionPresets') {
+        this.presets = new Map();
+
+        // Names of presets saved in the browser (persisted to localStorage)
+        this.customPresets = new Set();
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * Load presets from a JSON file (replaces presets with the same name)
+     */
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load emotion presets: ${response.status} ${response.statusText}`);
+        }
+
+        const count = this.importJSON(await response.json());
+        console.log(`🎭 Loaded ${count} emotion presets from ${url}`);
+        return count;
+    }
+
+    /**
+     * Add presets from a JSON string or parsed object; returns how many were added
+     */
+    importJSON(json, { custom = false } = {}) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || typeof data.presets !== 'object') {
+            throw new Error('Emotion preset file must contain a "presets" object');
+        }
+
+        let count = 0;
+        Object.entries(data.presets).forEach(([name, preset]) => {
+            const { errors } = this.validate(preset);
+            if (errors.length > 0) {
+                console.warn(`🎭 Skipping emotion preset "${name}": ${errors.join('; ')}`);
+                return;
+            }
+
+            this.register(name, preset, { custom });
+            count++;
+        });
+
+        return count;
+    }
+
+    /**
+     * All presets (or only those saved in the browser) in the JSON file format
+     */
+    exportJSON({ customOnly = false } = {}) {
+        const presets = {};
+        this.presets.forEach((preset, name) => {
+            if (!customOnly || this.customPresets.has(name)) {
+                presets[name] = preset;
+            }
+        });
+
+        return JSON.stringify({ version: 1, presets }, null, 4);
+    }
+
+    /**
+     * Add or replace a preset
+     */
+    register(name, preset, { custom = false } = {}) {
+        this.presets.set(name, {
+            label: preset.label || name.charAt(0).toUpperCase() + name.slice(1),
+            icon: preset.icon || '🎭',
+            color: preset.color || '#4CAF50',
+            textColor: preset.textColor || 'white',
+            morphs: { ...preset.morphs }
+        });
+
+        if (custom) {
+            this.customPresets.add(name);
+        }
+    }
+
+    /**
+     * Remove a preset
+     */
+    remove(name) {
+        const wasCustom = this.customPresets.delete(name);
+        const removed = this.presets.delete(name);
+        if (wasCustom) {
+            this.saveCustomPresets();
+        }
+        return removed;
+    }
+
+    /**
+     * Get a preset by name (null when unknown)
+     */
+    get(name) {
+        return this.presets.get(name) || null;
+    }
+
+    /**
+     * Whether a preset exists
+     */
+    has(name) {
+        return this.presets.has(name);
+    }
+
+    /**
+     * Preset names in registration order
+     */
+    list() {
+        return Array.from(this.presets.keys());
+    }
+
+    /**
+     * Save morph weights (e.g. the current emotion layer) as a new preset
+     */
+    saveFromWeights(name, weights, details = {}) {
+        const morphs = {};
+        Object.entries(weights).forEach(([morphName, value]) => {
+            // Drop weights too small to see
+            if (value > 0.01) {
+                morphs[morphName] = Math.round(value * 100) / 100;
+            }
+        });
+
+        const preset = { ...details, morphs };
+        const { errors } = this.validate(preset);
+        if (errors.length > 0) {
+            throw new Error(`Invalid emotion preset "${name}": ${errors.join('; ')}`);
+        }
+
+        this.register(name, preset, { custom: true });
+        this.saveCustomPresets();
+        return this.get(name);
+    }
+
+    /**
+     * Check a preset's structure and, when given, its morphs against the mesh
+     * Errors make a preset unusable; warnings are morphs the mesh doesn't have
+     */
+    validate(preset, morphTargets = null) {
+        const errors = [];
+        const warnings = [];
+
+        if (!preset || typeof preset !== 'object') {
+            return { errors: ['preset must be an object'], warnings };
+        }
+        if (!preset.morphs || typeof preset.morphs !== 'object' || Array.isArray(preset.morphs)) {
+            return { errors: ['"morphs" must be an object of morph name -> weight'], warnings };
+        }
+
+        Object.entries(preset.morphs).forEach(([morphName, value]) => {
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1) {
+                errors.push(`${morphName} weight must be a number from 0 to 1`);
+            } else if (morphTargets && morphTargets[morphName] === undefined) {
+                warnings.push(`${morphName} not found on the mesh`);
+            }
+        });
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Validate every preset against the loaded mesh's morphTargetDictionary
+     * Returns { name: { errors, warnings } } for presets with problems
+     */
+    validateAll(morphTargets) {
+        const problems = {};
+        this.presets.forEach((preset, name) => {
+            const result = this.validate(preset, morphTargets);
+            if (result.errors.length > 0 || result.warnings.length > 0) {
+                problems[name] = result;
+                console.warn(`🎭 Emotion preset "${name}": ${[...result.errors, ...result.warnings].join('; ')}`);
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * Restore presets saved in the browser
+     */
+    loadCustomPresets() {
+        try {
+            const saved = window.localStorage.getItem(this.storageKey);
+            if (saved) {
+                const count = this.importJSON(saved, { custom: true });
+                console.log(`🎭 Restored ${count} saved emotion presets`);
+            }
+        } catch (error) {
+            console.warn('🎭 Could not restore saved emotion presets:', error);
+        }
+    }
+
+    /**
+     * Persist presets saved in the browser
+     */
+    saveCustomPresets() {
+        try {
+            window.localStorage.setItem(this.storageKey, this.exportJSON({ customOnly: true }));
+        } catch (error) {
+            console.warn('🎭 Could not save emotion presets:', error);
+        }
+    }
+}
+
+// Export for use in other modules
+window.EmotionRegistry = EmotionRegistry;
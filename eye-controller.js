@@ -0,0 +1,257 @@
+/**
+ * Autonomous Eye Controller
+ * Blinks at randomised intervals (with occasional double blinks and a blink
+ * on every emotion change) and adds small saccades. Eyes are driven through
+ * the eye bones when the rig has them, otherwise through eye-look morphs.
+ *
+ * Time only advances through update(delta), so tests can step it and pass
+ * a seeded random function for repeatable blinks.
+ */
+
+class EyeController {
+    constructor(layer, options = {}) {
+        const { random = Math.random, ...settings } = options;
+
+        // Facial mixer layer for blink and eye-look morphs
+        this.layer = layer;
+
+        this.settings = {
+            blinkEnabled: true,
+            minBlinkInterval: 2.0,   // Seconds between blinks
+            maxBlinkInterval: 6.0,
+            blinkCloseTime: 0.06,    // Lids close fast...
+            blinkHoldTime: 0.03,
+            blinkOpenTime: 0.12,     // ...and open a little slower
+            doubleBlinkChance: 0.15,
+            saccadesEnabled: true,
+            minSaccadeInterval: 0.4,
+            maxSaccadeInterval: 2.5,
+            saccadeDuration: 0.04,   // Saccades are very quick jumps
+            maxSaccadeAngle: 0.08,   // Radians around the current gaze direction
+            maxLookAngle: 0.5,       // Radians that map to a fully weighted look morph
+            boneAxes: { yaw: 'y', pitch: 'x', pitchSign: -1 },
+            ...settings
+        };
+
+        this.random = random;
+
+        // Available targets (set by setTargets)
+        this.blinkMorphs = [];
+        this.lookMorphs = null;
+        this.eyeBones = [];
+
+        // Blink state
+        this.time = 0;
+        this.blinkStart = null;
+        this.nextBlinkTime = this.randomBetween(this.settings.minBlinkInterval, this.settings.maxBlinkInterval);
+
+        // Gaze state: base direction (set by setGazeDirection) plus saccade offset
+        this.gaze = { yaw: 0, pitch: 0 };
+        this.saccadeFrom = { yaw: 0, pitch: 0 };
+        this.saccadeTo = { yaw: 0, pitch: 0 };
+        this.saccadeStart = -Infinity;
+        this.nextSaccadeTime = this.randomBetween(this.settings.minSaccadeInterval, this.settings.maxSaccadeInterval);
+    }
+
+    /**
+     * Detect blink morphs, eye-look morphs and eye bones on the loaded model
+     */
+    setTargets(morphTargets, model = null) {
+        const has = (name) => morphTargets && morphTargets[name] !== undefined;
+        const firstAvailable = (names) => names.find(has) || null;
+
+        this.blinkMorphs = [
+            firstAvailable(EyeController.MORPH_NAMES.blinkLeft),
+            firstAvailable(EyeController.MORPH_NAMES.blinkRight)
+        ].filter(Boolean);
+
+        const lookMorphs = {};
+        ['left', 'right', 'up', 'down'].forEach(direction => {
+            lookMorphs[direction] = EyeController.MORPH_NAMES.look[direction]
+                .map(names => firstAvailable(names))
+                .filter(Boolean);
+        });
+        const hasLookMorphs = Object.values(lookMorphs).some(names => names.length > 0);
+        this.lookMorphs = hasLookMorphs ? lookMorphs : null;
+
+        // Eye bones (ignoring lashes, brows and lids)
+        this.eyeBones = [];
+        if (model) {
+            model.traverse(child => {
+                if (child.isBone && /eye(?!lash|brow|lid)/i.test(child.name)) {
+                    this.eyeBones.push({ bone: child, rest: child.rotation.clone() });
+                }
+            });
+        }
+
+        console.log(`👀 Eye controller: ${this.blinkMorphs.length} blink morphs, ` +
+            `${this.eyeBones.length} eye bones, look morphs: ${this.lookMorphs ? 'yes' : 'no'}`);
+    }
+
+    /**
+     * Enable or disable blinking
+     */
+    setBlinkEnabled(enabled) {
+        this.settings.blinkEnabled = enabled;
+        if (!enabled) {
+            this.blinkStart = null;
+            this.blinkMorphs.forEach(morph => this.layer.set(morph, 0));
+        }
+    }
+
+    /**
+     * Enable or disable saccades
+     */
+    setSaccadesEnabled(enabled) {
+        this.settings.saccadesEnabled = enabled;
+        if (!enabled) {
+            this.saccadeFrom = { yaw: 0, pitch: 0 };
+            this.saccadeTo = { yaw: 0, pitch: 0 };
+        }
+    }
+
+    /**
+     * Blink now (e.g. when the emotion changes)
+     */
+    triggerBlink() {
+        if (!this.settings.blinkEnabled || this.blinkStart !== null) return;
+        this.blinkStart = this.time;
+    }
+
+    /**
+     * Base gaze direction in radians (positive yaw = character's left, positive pitch = up)
+     * Saccades jitter around this direction
+     */
+    setGazeDirection(yaw, pitch) {
+        this.gaze.yaw = yaw;
+        this.gaze.pitch = pitch;
+    }
+
+    /**
+     * Advance blinking and saccades (call once per frame, after the animation mixer)
+     */
+    update(delta) {
+        this.time += delta;
+
+        this.updateBlink();
+        this.updateSaccade();
+        this.applyEyeDirection();
+    }
+
+    /**
+     * Blink timing and lid curve
+     */
+    updateBlink() {
+        const { blinkEnabled, blinkCloseTime, blinkHoldTime, blinkOpenTime } = this.settings;
+        if (!blinkEnabled) return;
+
+        if (this.blinkStart === null && this.time >= this.nextBlinkTime) {
+            this.blinkStart = this.time;
+        }
+
+        let value = 0;
+        if (this.blinkStart !== null) {
+            const elapsed = this.time - this.blinkStart;
+
+            if (elapsed < blinkCloseTime) {
+                value = elapsed / blinkCloseTime;
+            } else if (elapsed < blinkCloseTime + blinkHoldTime) {
+                value = 1;
+            } else if (elapsed < blinkCloseTime + blinkHoldTime + blinkOpenTime) {
+                value = 1 - (elapsed - blinkCloseTime - blinkHoldTime) / blinkOpenTime;
+            } else {
+                // Blink finished - maybe blink again straight away
+                this.blinkStart = null;
+                this.nextBlinkTime = this.random() < this.settings.doubleBlinkChance ?
+                    this.time + this.randomBetween(0.1, 0.25) :
+                    this.time + this.randomBetween(this.settings.minBlinkInterval, this.settings.maxBlinkInterval);
+            }
+        }
+
+        this.blinkMorphs.forEach(morph => this.layer.set(morph, value));
+    }
+
+    /**
+     * Pick new saccade targets and ease towards them
+     */
+    updateSaccade() {
+        const { saccadesEnabled, minSaccadeInterval, maxSaccadeInterval, maxSaccadeAngle } = this.settings;
+        if (!saccadesEnabled) return;
+
+        if (this.time >= this.nextSaccadeTime) {
+            this.saccadeFrom = this.currentSaccadeOffset();
+            this.saccadeTo = {
+                yaw: this.randomBetween(-maxSaccadeAngle, maxSaccadeAngle),
+                pitch: this.randomBetween(-maxSaccadeAngle, maxSaccadeAngle) * 0.5
+            };
+            this.saccadeStart = this.time;
+            this.nextSaccadeTime = this.time + this.randomBetween(minSaccadeInterval, maxSaccadeInterval);
+        }
+    }
+
+    /**
+     * Saccade offset at the current time
+     */
+    currentSaccadeOffset() {
+        const progress = Math.min(1, (this.time - this.saccadeStart) / this.settings.saccadeDuration);
+        return {
+            yaw: this.saccadeFrom.yaw + (this.saccadeTo.yaw - this.saccadeFrom.yaw) * progress,
+            pitch: this.saccadeFrom.pitch + (this.saccadeTo.pitch - this.saccadeFrom.pitch) * progress
+        };
+    }
+
+    /**
+     * Apply gaze + saccade to eye bones, or to eye-look morphs as a fallback
+     */
+    applyEyeDirection() {
+        const offset = this.currentSaccadeOffset();
+        const yaw = this.gaze.yaw + offset.yaw;
+        const pitch = this.gaze.pitch + offset.pitch;
+
+        if (this.eyeBones.length > 0) {
+            const { yaw: yawAxis, pitch: pitchAxis, pitchSign } = this.settings.boneAxes;
+            this.eyeBones.forEach(({ bone, rest }) => {
+                bone.rotation[yawAxis] = rest[yawAxis] + yaw;
+                bone.rotation[pitchAxis] = rest[pitchAxis] + pitch * pitchSign;
+            });
+            return;
+        }
+
+        if (this.lookMorphs) {
+            const maxLookAngle = this.settings.maxLookAngle;
+            const weights = {
+                left: Math.max(0, yaw) / maxLookAngle,
+                right: Math.max(0, -yaw) / maxLookAngle,
+                up: Math.max(0, pitch) / maxLookAngle,
+                down: Math.max(0, -pitch) / maxLookAngle
+            };
+
+            Object.entries(this.lookMorphs).forEach(([direction, morphs]) => {
+                morphs.forEach(morph => this.layer.set(morph, Math.min(1, weights[direction])));
+            });
+        }
+    }
+
+    /**
+     * Random number in [min, max)
+     */
+    randomBetween(min, max) {
+        return min + this.random() * (max - min);
+    }
+}
+
+// Candidate morph names (Character Creator first, then other common conventions)
+// Look directions are from the character's point of view; each entry lists names for the left and right eye
+EyeController.MORPH_NAMES = {
+    blinkLeft: ['Eye_Blink_L', 'eyeBlinkLeft', 'EyeBlink_L', 'Fcl_EYE_Close_L'],
+    blinkRight: ['Eye_Blink_R', 'eyeBlinkRight', 'EyeBlink_R', 'Fcl_EYE_Close_R'],
+    look: {
+        left: [['Eye_L_Look_L', 'Eye_Look_Left_L', 'eyeLookOutLeft'], ['Eye_R_Look_L', 'Eye_Look_Left_R', 'eyeLookInRight']],
+        right: [['Eye_L_Look_R', 'Eye_Look_Right_L', 'eyeLookInLeft'], ['Eye_R_Look_R', 'Eye_Look_Right_R', 'eyeLookOutRight']],
+        up: [['Eye_L_Look_Up', 'Eye_Look_Up_L', 'eyeLookUpLeft'], ['Eye_R_Look_Up', 'Eye_Look_Up_R', 'eyeLookUpRight']],
+        down: [['Eye_L_Look_Down', 'Eye_Look_Down_L', 'eyeLookDownLeft'], ['Eye_R_Look_Down', 'Eye_Look_Down_R', 'eyeLookDownRight']]
+    }
+};
+
+// Export for use in other modules
+window.EyeController = EyeController;
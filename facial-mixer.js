@@ -0,0 +1,225 @@
+/**
+ * Layered Facial Animation Mixer
+ * Emotion, lip-sync, blinking and idle micro-expressions each write weights
+ * into their own layer; the mixer blends the layers by priority and blend
+ * mode and is the only thing that writes to morphTargetInfluences.
+ * Layers use canonical morph names; a RigProfileMapper (when set) maps
+ * them to the rig's own morphs.
+ *
+ * Blend modes:
+ * - additive: adds the layer's weights on top of lower layers
+ * - override: replaces lower layers for the morphs this layer drives above zero
+ * - max: keeps the larger of the layer's weight and the lower layers
+ */
+
+class FacialAnimationLayer {
+    constructor(name, { blendMode = 'additive', priority = 0, opacity = 1.0 } = {}) {
+        this.name = name;
+        this.blendMode = blendMode;
+        this.priority = priority;   // Lower priorities are blended first
+        this.opacity = opacity;     // Scales the whole layer (0..1)
+        this.enabled = true;
+
+        // Morph target name -> weight
+        this.values = new Map();
+    }
+
+    /**
+     * Set one morph weight
+     */
+    set(morphName, value) {
+        this.values.set(morphName, value);
+    }
+
+    /**
+     * Get one morph weight (0 when unset)
+     */
+    get(morphName) {
+        return this.values.get(morphName) || 0;
+    }
+
+    /**
+     * Replace all weights with a { morphName: value } object
+     */
+    setWeights(weights) {
+        this.values.clear();
+        Object.entries(weights).forEach(([morphName, value]) => this.values.set(morphName, value));
+    }
+
+    /**
+     * Copy of the current weights as a plain object
+     */
+    snapshot() {
+        return Object.fromEntries(this.values);
+    }
+
+    /**
+     * Remove all weights so the layer no longer contributes
+     */
+    clear() {
+        this.values.clear();
+    }
+}
+
+class FacialAnimationMixer {
+    constructor() {
+        this.layers = new Map();
+        this.sortedLayers = [];
+
+        // Target mesh (set by setMesh)
+        this.mesh = null;
+        this.morphTargets = null;
+        this.rigMapper = null;
+        this.blendBuffer = null;
+
+        // One layer's weights by morph index (reused every frame)
+        this.layerWeights = new Map();
+
+        // Morph names written by a layer but missing on the mesh (warned once)
+        this.missingMorphs = new Set();
+    }
+
+    /**
+     * Set the mesh the mixer writes to (and optionally the rig profile mapper for its morph names)
+     */
+    setMesh(mesh, morphTargets, rigMapper = null) {
+        this.mesh = mesh;
+        this.morphTargets = morphTargets;
+        this.rigMapper = rigMapper;
+        this.blendBuffer = new Float32Array(mesh.morphTargetInfluences.length);
+        this.missingMorphs.clear();
+    }
+
+    /**
+     * Stop writing to the current mesh (e.g. before it is disposed); layers keep their weights
+     */
+    clearMesh() {
+        this.mesh = null;
+        this.morphTargets = null;
+        this.rigMapper = null;
+        this.blendBuffer = null;
+    }
+
+    /**
+     * Add a layer (or return the existing one with that name)
+     */
+    addLayer(name, options = {}) {
+        if (this.layers.has(name)) {
+            return this.configureLayer(name, options);
+        }
+
+        const layer = new FacialAnimationLayer(name, options);
+        this.layers.set(name, layer);
+        this.sortLayers();
+        return layer;
+    }
+
+    /**
+     * Change a layer's blend mode, priority or opacity
+     */
+    configureLayer(name, { blendMode, priority, opacity } = {}) {
+        const layer = this.getLayer(name);
+        if (!layer) return null;
+
+        if (blendMode !== undefined) layer.blendMode = blendMode;
+        if (priority !== undefined) layer.priority = priority;
+        if (opacity !== undefined) layer.opacity = opacity;
+
+        this.sortLayers();
+        return layer;
+    }
+
+    /**
+     * Get a layer by name
+     */
+    getLayer(name) {
+        return this.layers.get(name) || null;
+    }
+
+    /**
+     * Set one morph weight on a layer
+     */
+    setWeight(layerName, morphName, value) {
+        const layer = this.getLayer(layerName);
+        if (layer) {
+            layer.set(morphName, value);
+        }
+    }
+
+    /**
+     * Morph indices a layer morph name drives on the mesh
+     */
+    resolveMorph(morphName) {
+        if (this.rigMapper) {
+            return this.rigMapper.resolve(morphName);
+        }
+
+        const index = this.morphTargets[morphName];
+        return index !== undefined ? [index] : [];
+    }
+
+    /**
+     * Keep layers ordered by priority
+     */
+    sortLayers() {
+        this.sortedLayers = Array.from(this.layers.values()).sort((a, b) => a.priority - b.priority);
+    }
+
+    /**
+     * Blend all layers and write the result to the mesh (call once per frame)
+     */
+    update() {
+        if (!this.mesh || !this.morphTargets) return;
+
+        const result = this.blendBuffer;
+        result.fill(0);
+
+        const layerWeights = this.layerWeights;
+
+        this.sortedLayers.forEach(layer => {
+            if (!layer.enabled || layer.opacity <= 0) return;
+
+            // Several names can map to one rig morph (e.g. both inner brows -> browInnerUp)
+            layerWeights.clear();
+            layer.values.forEach((value, morphName) => {
+                const indices = this.resolveMorph(morphName);
+                if (indices.length === 0) {
+                    if (!this.missingMorphs.has(morphName)) {
+                        this.missingMorphs.add(morphName);
+                        console.warn(`🎭 Layer "${layer.name}" uses unknown morph target ${morphName}`);
+                    }
+                    return;
+                }
+
+                indices.forEach(index => {
+                    layerWeights.set(index, Math.max(layerWeights.get(index) || 0, value));
+                });
+            });
+
+            layerWeights.forEach((value, index) => {
+                const weighted = value * layer.opacity;
+                if (layer.blendMode === 'override') {
+                    // A zero weight leaves lower layers alone (lip-sync writes every viseme each frame)
+                    if (value > 0) {
+                        result[index] = result[index] * (1 - layer.opacity) + weighted;
+                    }
+                } else if (layer.blendMode === 'max') {
+                    result[index] = Math.max(result[index], weighted);
+                } else {
+                    result[index] += weighted;
+                }
+            });
+        });
+
+        const influences = this.mesh.morphTargetInfluences;
+        for (let i = 0; i < influences.length; i++) {
+            influences[i] = Math.min(1, Math.max(0, result[i]));
+        }
+
+        this.mesh.morphTargetInfluencesNeedUpdate = true;
+    }
+}
+
+// Export for use in other modules
+window.FacialAnimationLayer = FacialAnimationLayer;
+window.FacialAnimationMixer = FacialAnimationMixer;
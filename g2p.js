@@ -0,0 +1,292 @@
+/**
+ * Grapheme-to-Phoneme Engine for Lip-Sync
+ * Looks words up in the bundled ARPAbet dictionary and falls back to
+ * letter-to-sound rules for unknown words. Works fully offline.
+ *
+ * Any object with textToTokens(text) and wordToPhonemes(word) can be plugged
+ * into SimpleLipSyncSystem via setG2P().
+ */
+
+class GraphemeToPhoneme {
+    constructor(dictionary = window.CMU_DICTIONARY || {}) {
+        // Pronunciations keyed by lowercase word, e.g. 'baby' -> 'B EY1 B IY0'
+        this.dictionary = new Map(Object.entries(dictionary));
+
+        // Numbers, words and punctuation runs (see textToTokens)
+        this.tokenPattern = /(\d+(?:\.\d+)?)|([a-z']+)|([,;:.!?…—-]+)/gi;
+
+        // Pause durations (seconds) for punctuation
+        this.pauseDurations = {
+            ',': 0.15,
+            ';': 0.2,
+            ':': 0.2,
+            '-': 0.1,
+            '—': 0.15,
+            '.': 0.3,
+            '!': 0.3,
+            '?': 0.3,
+            '…': 0.4
+        };
+
+        // Letter-to-sound rules, tried in order at each position of an unknown word.
+        // Sticky regexes with lookbehind/lookahead give the left and right context.
+        this.letterToSoundRules = [
+            // Silent letters at word start
+            [/^kn/y, ['N']],
+            [/^gn/y, ['N']],
+            [/^wr/y, ['R']],
+            [/^ps/y, ['S']],
+            [/^wh/y, ['W']],
+
+            // Common letter groups
+            [/tion/y, ['SH', 'AH', 'N']],
+            [/sion/y, ['ZH', 'AH', 'N']],
+            [/ough/y, ['AO']],
+            [/augh/y, ['AO']],
+            [/igh/y, ['AY']],
+            [/tch/y, ['CH']],
+            [/dge/y, ['JH']],
+            [/ck/y, ['K']],
+            [/ph/y, ['F']],
+            [/th/y, ['TH']],
+            [/sh/y, ['SH']],
+            [/ch/y, ['CH']],
+            [/ng(?![aeiouy])/y, ['NG']],
+            [/qu/y, ['K', 'W']],
+            [/gh$/y, []],
+
+            // Vowel teams
+            [/ee/y, ['IY']],
+            [/ea/y, ['IY']],
+            [/oo/y, ['UW']],
+            [/oa/y, ['OW']],
+            [/ai/y, ['EY']],
+            [/ay/y, ['EY']],
+            [/oi/y, ['OY']],
+            [/oy/y, ['OY']],
+            [/ou/y, ['AW']],
+            [/ow$/y, ['OW']],
+            [/ow/y, ['AW']],
+            [/au/y, ['AO']],
+            [/aw/y, ['AO']],
+            [/ew/y, ['UW']],
+            [/ue/y, ['UW']],
+            [/ey$/y, ['IY']],
+            [/ie$/y, ['IY']],
+
+            // R-coloured vowels
+            [/ar/y, ['AA', 'R']],
+            [/or/y, ['AO', 'R']],
+            [/er/y, ['ER']],
+            [/ir/y, ['ER']],
+            [/ur/y, ['ER']],
+
+            // Magic e: vowel + consonant + final e makes the vowel long
+            [/a(?=[bcdfgklmnpstvz]e$)/y, ['EY']],
+            [/i(?=[bcdfgklmnpstvz]e$)/y, ['AY']],
+            [/o(?=[bcdfgklmnpstvz]e$)/y, ['OW']],
+            [/u(?=[bcdfgklmnpstvz]e$)/y, ['UW']],
+            [/(?<=[aeiouy].*)e$/y, []],
+
+            // Final y: "baby" vs "my"
+            [/(?<=[aeiou].*[^aeiou])y$/y, ['IY']],
+            [/(?<=^[^aeiou]+)y$/y, ['AY']],
+            [/^y(?=[aeiou])/y, ['Y']],
+
+            // Soft c and g
+            [/c(?=[eiy])/y, ['S']],
+            [/g(?=[eiy])/y, ['JH']],
+
+            // Voiced s between vowels
+            [/(?<=[aeiou])s(?=[aeiou])/y, ['Z']],
+
+            // Single letters
+            [/a/y, ['AE']],
+            [/e/y, ['EH']],
+            [/i/y, ['IH']],
+            [/o/y, ['AA']],
+            [/u/y, ['AH']],
+            [/y/y, ['IH']],
+            [/b/y, ['B']],
+            [/c/y, ['K']],
+            [/d/y, ['D']],
+            [/f/y, ['F']],
+            [/g/y, ['G']],
+            [/h/y, ['HH']],
+            [/j/y, ['JH']],
+            [/k/y, ['K']],
+            [/l/y, ['L']],
+            [/m/y, ['M']],
+            [/n/y, ['N']],
+            [/p/y, ['P']],
+            [/q/y, ['K']],
+            [/r/y, ['R']],
+            [/s/y, ['S']],
+            [/t/y, ['T']],
+            [/v/y, ['V']],
+            [/w/y, ['W']],
+            [/x/y, ['K', 'S']],
+            [/z/y, ['Z']]
+        ];
+
+        // Number words
+        this.ones = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+            'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+        this.tens = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+    }
+
+    /**
+     * Split text into word tokens (with phonemes) and pause tokens
+     */
+    textToTokens(text) {
+        const tokens = [];
+        const tokenPattern = new RegExp(this.tokenPattern);
+        let match;
+
+        while ((match = tokenPattern.exec(text)) !== null) {
+            const [, number, word, punctuation] = match;
+
+            if (number) {
+                this.numberToWords(number).forEach(numberWord => {
+                    tokens.push({ type: 'word', text: numberWord, phonemes: this.wordToPhonemes(numberWord) });
+                });
+            } else if (word) {
+                const phonemes = this.wordToPhonemes(word);
+                if (phonemes.length > 0) {
+                    tokens.push({ type: 'word', text: word, phonemes });
+                }
+            } else if (punctuation) {
+                const duration = Math.max(...Array.from(punctuation).map(char => this.pauseDurations[char] || 0));
+                tokens.push({ type: 'pause', text: punctuation, duration });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Convert a single word to ARPAbet phonemes (stress digits removed)
+     */
+    wordToPhonemes(word) {
+        const normalized = word.toLowerCase().replace(/[^a-z0-9'.]/g, '').replace(/^'+|'+$/g, '');
+        if (!normalized) return [];
+
+        // Numbers inside a word token (e.g. from TTS boundaries)
+        if (/^\d+(\.\d+)?$/.test(normalized)) {
+            return this.numberToWords(normalized).flatMap(numberWord => this.wordToPhonemes(numberWord));
+        }
+
+        const letters = normalized.replace(/\./g, '');
+        const pronunciation = this.lookup(letters);
+        if (pronunciation) {
+            return pronunciation;
+        }
+
+        // Possessives and contractions not in the dictionary: "baby's"
+        const possessive = letters.match(/^(.+)'s$/);
+        if (possessive) {
+            const base = this.lookup(possessive[1]) || this.applyLetterToSoundRules(possessive[1]);
+            const last = base[base.length - 1];
+            const suffix = ['S', 'Z', 'SH', 'ZH', 'CH', 'JH'].includes(last) ? ['IH', 'Z'] :
+                ['P', 'T', 'K', 'F', 'TH'].includes(last) ? ['S'] : ['Z'];
+            return [...base, ...suffix];
+        }
+
+        return this.applyLetterToSoundRules(letters.replace(/'/g, ''));
+    }
+
+    /**
+     * Look a word up in the pronunciation dictionary
+     */
+    lookup(word) {
+        const pronunciation = this.dictionary.get(word);
+        if (!pronunciation) return null;
+
+        return pronunciation.split(' ').map(phoneme => phoneme.replace(/\d/g, ''));
+    }
+
+    /**
+     * Guess phonemes for an unknown word from spelling
+     */
+    applyLetterToSoundRules(word) {
+        // Doubled consonants are pronounced once ("hello" -> "helo")
+        return this.applyRules(word.replace(/([bdfglmnprstvz])\1/g, '$1'));
+    }
+
+    /**
+     * Run the letter-to-sound rules over a word, left to right
+     */
+    applyRules(word) {
+        const phonemes = [];
+        let position = 0;
+
+        while (position < word.length) {
+            let matched = false;
+
+            for (const [pattern, rulePhonemes] of this.letterToSoundRules) {
+                pattern.lastIndex = position;
+                const match = pattern.exec(word);
+                if (match) {
+                    phonemes.push(...rulePhonemes);
+                    position += Math.max(1, match[0].length);
+                    matched = true;
+                    break;
+                }
+            }
+
+            if (!matched) {
+                position++;
+            }
+        }
+
+        return phonemes;
+    }
+
+    /**
+     * Spell out a number ("42" -> ["forty", "two"], "3.5" -> ["three", "point", "five"])
+     */
+    numberToWords(number) {
+        const [integerPart, fractionPart] = String(number).split('.');
+        const words = this.integerToWords(parseInt(integerPart, 10));
+
+        if (fractionPart) {
+            words.push('point', ...Array.from(fractionPart).map(digit => this.ones[Number(digit)]));
+        }
+
+        return words;
+    }
+
+    /**
+     * Spell out a non-negative integer
+     */
+    integerToWords(value) {
+        if (!Number.isFinite(value)) return [];
+        if (value < 20) return [this.ones[value]];
+        if (value < 100) {
+            return value % 10 === 0 ? [this.tens[Math.floor(value / 10)]] :
+                [this.tens[Math.floor(value / 10)], this.ones[value % 10]];
+        }
+
+        const scales = [
+            [1000000000, 'billion'],
+            [1000000, 'million'],
+            [1000, 'thousand'],
+            [100, 'hundred']
+        ];
+
+        for (const [scale, name] of scales) {
+            if (value >= scale) {
+                const words = [...this.integerToWords(Math.floor(value / scale)), name];
+                if (value % scale > 0) {
+                    words.push(...this.integerToWords(value % scale));
+                }
+                return words;
+            }
+        }
+
+        return [];
+    }
+}
+
+// Export for use in other modules
+window.GraphemeToPhoneme = GraphemeToPhoneme;
@@ -0,0 +1,253 @@
+/**
+ * Gaze Controller
+ * Turns the head, neck and eyes towards a look-at target: the camera, the
+ * mouse pointer projected into the scene, or the speaker while listening.
+ * Angles are clamped and smoothed; the head and neck take part of the turn
+ * and the eyes (through the EyeController) take the rest.
+ *
+ * Modes:
+ * - camera: look at the viewer as they orbit around the baby
+ * - pointer: follow the mouse pointer (falls back to the camera when it leaves)
+ * - off: look straight ahead
+ */
+
+class GazeController {
+    constructor(camera, eyeController, options = {}) {
+        this.camera = camera;
+        this.eyeController = eyeController;
+
+        this.settings = {
+            mode: 'camera',
+            lookAtSpeakerWhileListening: true,
+            maxYaw: 0.9,          // Radians the whole gaze may turn left/right
+            maxPitch: 0.5,        // Radians the whole gaze may turn up/down
+            maxEyeYaw: 0.35,      // Radians the eyes may turn on their own
+            maxEyePitch: 0.25,
+            headWeight: 0.45,     // Share of the turn taken by the head...
+            neckWeight: 0.25,     // ...and by the neck (the eyes take the rest)
+            smoothing: 6.0,       // Higher is snappier (1/seconds)
+            ...options
+        };
+
+        // Rig (set by setTargets)
+        this.model = null;
+        this.headBone = null;
+        this.neckBones = [];
+
+        // Where the speaker is while listening (null = the camera, i.e. the user)
+        this.speakerPosition = null;
+        this.isListening = false;
+
+        // Pointer in normalized device coordinates (null when outside the canvas)
+        this.pointer = null;
+        this.raycaster = new THREE.Raycaster();
+
+        // Smoothed gaze in radians (positive yaw = character's left, positive pitch = up)
+        this.current = { yaw: 0, pitch: 0 };
+
+        // Scratch objects reused every frame
+        this.targetPosition = new THREE.Vector3();
+        this.headPosition = new THREE.Vector3();
+        this.rotation = new THREE.Quaternion();
+        this.parentRotation = new THREE.Quaternion();
+        this.modelRotation = new THREE.Quaternion();
+        this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    }
+
+    /**
+     * Find the head and neck bones on the loaded model (null detaches from the current one)
+     */
+    setTargets(model) {
+        this.model = model;
+        this.headBone = null;
+        this.neckBones = [];
+        if (!model) return;
+
+        model.traverse(child => {
+            if (!child.isBone || /end|top|nub/i.test(child.name)) return;
+
+            if (!this.headBone && /head/i.test(child.name)) {
+                this.headBone = child;
+            } else if (/neck/i.test(child.name)) {
+                this.neckBones.push(child);
+            }
+        });
+
+        [this.headBone, ...this.neckBones].filter(Boolean).forEach(bone => {
+            bone.userData.gazeRest = bone.quaternion.clone();
+            bone.userData.gazeApplied = bone.quaternion.clone();
+            bone.userData.gazeHasApplied = false;
+        });
+
+        console.log(`👁️ Gaze controller: head bone ${this.headBone ? this.headBone.name : 'none'}, ` +
+            `${this.neckBones.length} neck bones`);
+    }
+
+    /**
+     * Switch between 'camera', 'pointer' and 'off'
+     */
+    setMode(mode) {
+        if (!GazeController.MODES.includes(mode)) {
+            console.warn(`👁️ Unknown gaze mode: ${mode}`);
+            return;
+        }
+
+        this.settings.mode = mode;
+        console.log(`👁️ Gaze mode: ${mode}`);
+    }
+
+    /**
+     * Track the pointer over a DOM element (usually the renderer canvas)
+     */
+    attachPointer(element) {
+        element.addEventListener('pointermove', (event) => {
+            const rect = element.getBoundingClientRect();
+            this.pointer = {
+                x: ((event.clientX - rect.left) / rect.width) * 2 - 1,
+                y: -((event.clientY - rect.top) / rect.height) * 2 + 1
+            };
+        });
+
+        element.addEventListener('pointerleave', () => {
+            this.pointer = null;
+        });
+    }
+
+    /**
+     * While listening, look at the speaker instead of the current mode's target
+     */
+    setListening(listening) {
+        this.isListening = listening;
+    }
+
+    /**
+     * Set where the speaker stands (world position), or null for the camera
+     */
+    setSpeakerPosition(position) {
+        this.speakerPosition = position ? position.clone() : null;
+    }
+
+    /**
+     * Advance the gaze (call once per frame, after the animation mixer)
+     */
+    update(delta) {
+        if (!this.model) return;
+
+        this.model.updateMatrixWorld(true);
+
+        const target = this.getTargetAngles();
+        const blend = 1 - Math.exp(-this.settings.smoothing * delta);
+        this.current.yaw += (target.yaw - this.current.yaw) * blend;
+        this.current.pitch += (target.pitch - this.current.pitch) * blend;
+
+        const { yaw, pitch } = this.current;
+        const { headWeight, neckWeight, maxEyeYaw, maxEyePitch } = this.settings;
+
+        // Head and neck share the turn; without them the eyes do all the work
+        let bodyShare = 0;
+        if (this.headBone) {
+            bodyShare += headWeight;
+            this.applyBoneRotation(this.headBone, yaw * headWeight, pitch * headWeight);
+        }
+        if (this.neckBones.length > 0) {
+            bodyShare += neckWeight;
+            const share = neckWeight / this.neckBones.length;
+            this.neckBones.forEach(bone => this.applyBoneRotation(bone, yaw * share, pitch * share));
+        }
+
+        if (this.eyeController) {
+            const eyeYaw = Math.max(-maxEyeYaw, Math.min(maxEyeYaw, yaw * (1 - bodyShare)));
+            const eyePitch = Math.max(-maxEyePitch, Math.min(maxEyePitch, pitch * (1 - bodyShare)));
+            this.eyeController.setGazeDirection(eyeYaw, eyePitch);
+        }
+    }
+
+    /**
+     * Clamped yaw/pitch from the head to the current look-at target
+     */
+    getTargetAngles() {
+        const target = this.getTargetPosition();
+        if (!target) return { yaw: 0, pitch: 0 };
+
+        // Work in model space, where the character faces +Z
+        const headBone = this.headBone || this.model;
+        headBone.getWorldPosition(this.headPosition);
+        this.model.worldToLocal(this.headPosition);
+        const direction = this.model.worldToLocal(target).sub(this.headPosition);
+
+        const { maxYaw, maxPitch } = this.settings;
+        const yaw = Math.atan2(direction.x, direction.z);
+        const pitch = Math.atan2(direction.y, Math.hypot(direction.x, direction.z));
+
+        return {
+            yaw: Math.max(-maxYaw, Math.min(maxYaw, yaw)),
+            pitch: Math.max(-maxPitch, Math.min(maxPitch, pitch))
+        };
+    }
+
+    /**
+     * World position to look at (null for straight ahead)
+     */
+    getTargetPosition() {
+        if (this.isListening && this.settings.lookAtSpeakerWhileListening) {
+            return this.targetPosition.copy(this.speakerPosition || this.camera.position);
+        }
+
+        if (this.settings.mode === 'pointer' && this.pointer) {
+            // Project the pointer to the head's distance from the camera
+            const headBone = this.headBone || this.model;
+            headBone.getWorldPosition(this.headPosition);
+            this.raycaster.setFromCamera(this.pointer, this.camera);
+            return this.raycaster.ray.at(this.camera.position.distanceTo(this.headPosition), this.targetPosition);
+        }
+
+        if (this.settings.mode === 'off') {
+            return null;
+        }
+
+        return this.targetPosition.copy(this.camera.position);
+    }
+
+    /**
+     * Take last frame's gaze off the head and neck (call before other layers write bones)
+     */
+    restorePose() {
+        [this.headBone, ...this.neckBones].filter(Boolean).forEach(bone => {
+            const { gazeRest, gazeApplied, gazeHasApplied } = bone.userData;
+            if (gazeHasApplied && bone.quaternion.equals(gazeApplied)) {
+                bone.quaternion.copy(gazeRest);
+            }
+            bone.userData.gazeHasApplied = false;
+        });
+    }
+
+    /**
+     * Rotate a bone by yaw/pitch (model-space axes) on top of its animated pose
+     */
+    applyBoneRotation(bone, yaw, pitch) {
+        // Restore the base pose unless the animation mixer has written a new one this frame
+        const { gazeRest, gazeApplied, gazeHasApplied } = bone.userData;
+        if (gazeHasApplied && bone.quaternion.equals(gazeApplied)) {
+            bone.quaternion.copy(gazeRest);
+        } else {
+            gazeRest.copy(bone.quaternion);
+        }
+
+        // Model-space rotation expressed in the bone's parent space
+        this.euler.set(-pitch, yaw, 0);
+        this.rotation.setFromEuler(this.euler);
+        this.model.getWorldQuaternion(this.modelRotation);
+        bone.parent.getWorldQuaternion(this.parentRotation);
+        this.parentRotation.invert().multiply(this.modelRotation);
+        this.rotation.premultiply(this.parentRotation).multiply(this.parentRotation.invert());
+
+        bone.quaternion.premultiply(this.rotation);
+        gazeApplied.copy(bone.quaternion);
+        bone.userData.gazeHasApplied = true;
+    }
+}
+
+GazeController.MODES = ['camera', 'pointer', 'off'];
+
+// Export for use in other modules
+window.GazeController = GazeController;
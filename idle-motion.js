@@ -0,0 +1,348 @@
+/**
+ * Idle Motion
+ * Procedural life on top of whatever the body is doing:
+ *
+ * - Breathing on the spine/chest bones (rate and depth follow the state and emotion)
+ * - Noise-driven head sway and hip weight shifts
+ * - Occasional fidgets while idle: looking around, yawning (Jaw_Open on the
+ *   facial 'idle' layer) and a little wiggle
+ *
+ * Offsets are added to the current pose, so they blend with animation clips.
+ * Call restorePose() at the start of each frame (before the animation mixer)
+ * and update() after it.
+ */
+
+class IdleMotion {
+    constructor(layer, options = {}) {
+        const { random = Math.random, ...settings } = options;
+
+        this.settings = {
+            enabled: true,
+            swayAmount: 0.04,           // Head sway in radians
+            weightShiftAmount: 0.03,    // Hip roll in radians
+            fidgets: true,
+            minFidgetInterval: 8.0,     // Seconds of idling between fidgets
+            maxFidgetInterval: 18.0,
+            smoothing: 3.0,             // How fast breathing and sway follow a state change
+            ...settings
+        };
+
+        // Facial layer for yawns (the mixer's 'idle' layer)
+        this.layer = layer;
+        this.random = random;
+
+        // Rig (set by setModel)
+        this.model = null;
+        this.hipsBone = null;
+        this.spineBones = [];
+        this.headBone = null;
+        this.bones = [];
+
+        // Motion state
+        this.time = 0;
+        this.breathPhase = 0;
+        this.breathing = { ...IdleMotion.BREATHING.idle };
+        this.swayScale = 1;
+        this.fidget = null;
+        this.nextFidgetTime = this.randomBetween(this.settings.minFidgetInterval, this.settings.maxFidgetInterval);
+
+        // Scratch objects
+        this.offset = new THREE.Quaternion();
+        this.parentRotation = new THREE.Quaternion();
+        this.modelRotation = new THREE.Quaternion();
+        this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    }
+
+    /**
+     * Find the hips, spine and head bones on the loaded model (null detaches)
+     */
+    setModel(model) {
+        this.restorePose();
+        this.stopFidget();
+
+        this.model = model;
+        this.hipsBone = null;
+        this.spineBones = [];
+        this.headBone = null;
+        if (!model) {
+            this.bones = [];
+            return;
+        }
+
+        model.traverse(child => {
+            if (!child.isBone || /end|top|nub/i.test(child.name)) return;
+
+            if (!this.hipsBone && /hips|pelvis/i.test(child.name)) {
+                this.hipsBone = child;
+            } else if (/spine|chest/i.test(child.name)) {
+                this.spineBones.push(child);
+            } else if (!this.headBone && /head/i.test(child.name)) {
+                this.headBone = child;
+            }
+        });
+
+        this.bones = [this.hipsBone, ...this.spineBones, this.headBone].filter(Boolean);
+        this.bones.forEach(bone => {
+            bone.userData.idleBase = bone.quaternion.clone();
+            bone.userData.idleApplied = bone.quaternion.clone();
+            bone.userData.idleHasApplied = false;
+        });
+
+        console.log(`🌬️ Idle motion: hips ${this.hipsBone ? 'yes' : 'no'}, ` +
+            `${this.spineBones.length} spine bones, head ${this.headBone ? 'yes' : 'no'}`);
+    }
+
+    /**
+     * Turn idle motion on or off (the offsets come off at the next restorePose)
+     */
+    setEnabled(enabled) {
+        this.settings.enabled = enabled;
+        if (!enabled) {
+            this.stopFidget();
+        }
+    }
+
+    /**
+     * Take last frame's offsets off bones nothing else has rewritten since
+     */
+    restorePose() {
+        this.bones.forEach(bone => {
+            const { idleBase, idleApplied, idleHasApplied } = bone.userData;
+            if (idleHasApplied && bone.quaternion.equals(idleApplied)) {
+                bone.quaternion.copy(idleBase);
+            }
+            bone.userData.idleHasApplied = false;
+        });
+    }
+
+    /**
+     * Add this frame's breathing, sway, weight shift and fidget offsets
+     * state/emotion come from the body animator ('idle', 'listening', 'talking', 'reacting')
+     */
+    update(delta, state = 'idle', emotion = null) {
+        if (!this.settings.enabled || !this.model) return;
+        this.time += delta;
+
+        // Ease breathing and sway towards the state's
+        const target = (state === 'reacting' && IdleMotion.BREATHING.reactions[emotion]) ||
+            IdleMotion.BREATHING[state] || IdleMotion.BREATHING.idle;
+        const blend = 1 - Math.exp(-this.settings.smoothing * delta);
+        this.breathing.rate += (target.rate - this.breathing.rate) * blend;
+        this.breathing.depth += (target.depth - this.breathing.depth) * blend;
+        this.swayScale += ((IdleMotion.SWAY_SCALE[state] ?? 1) - this.swayScale) * blend;
+
+        this.updateFidget(delta, state);
+
+        // Breathing: chest rises and falls (phase accumulates so rate changes don't jump)
+        this.breathPhase += delta * this.breathing.rate * Math.PI * 2;
+        const breath = Math.sin(this.breathPhase) * this.breathing.depth;
+
+        // Slow noise for sway and weight shifts
+        const t = this.time;
+        const sway = this.settings.swayAmount * this.swayScale;
+        const headYaw = IdleMotion.noise(t * 0.15, 1) * sway;
+        const headRoll = IdleMotion.noise(t * 0.2, 2) * sway * 0.6;
+        const headPitch = IdleMotion.noise(t * 0.17, 3) * sway * 0.5;
+        const weightShift = IdleMotion.noise(t * 0.08, 4) * this.settings.weightShiftAmount * this.swayScale;
+
+        const fidget = this.getFidgetOffsets();
+
+        if (this.hipsBone) {
+            this.applyOffset(this.hipsBone, 0, 0, weightShift);
+        }
+
+        // Spine breathes and leans back against the hips so the head stays level
+        const spineShare = this.spineBones.length > 0 ? 1 / this.spineBones.length : 0;
+        this.spineBones.forEach(bone => {
+            this.applyOffset(bone, -breath * spineShare, 0, (fidget.spineRoll - weightShift) * spineShare);
+        });
+
+        if (this.headBone) {
+            this.applyOffset(this.headBone, headPitch + fidget.headPitch, headYaw + fidget.headYaw, headRoll + fidget.headRoll);
+        }
+    }
+
+    /**
+     * Start, run and end fidgets (only while idling)
+     */
+    updateFidget(delta, state) {
+        if (this.fidget) {
+            this.fidget.time += delta;
+            const done = this.fidget.time >= this.fidget.duration;
+            if (done || state !== 'idle') {
+                this.stopFidget();
+            } else if (this.fidget.morphs) {
+                const weight = IdleMotion.envelope(this.fidget.time / this.fidget.duration, 0.35, 0.3);
+                Object.entries(this.fidget.morphs).forEach(([morph, value]) => this.layer.set(morph, value * weight));
+            }
+            return;
+        }
+
+        if (state !== 'idle' || !this.settings.fidgets) {
+            // Fidget a while after things calm down, not straight away
+            this.nextFidgetTime = Math.max(this.nextFidgetTime, this.time + this.settings.minFidgetInterval);
+            return;
+        }
+
+        if (this.time >= this.nextFidgetTime) {
+            const types = Object.keys(IdleMotion.FIDGETS);
+            this.startFidget(types[Math.floor(this.random() * types.length)]);
+        }
+    }
+
+    /**
+     * Start a fidget by name ('lookAround', 'yawn' or 'wiggle')
+     */
+    startFidget(type) {
+        const fidget = IdleMotion.FIDGETS[type];
+        if (!fidget) {
+            console.warn(`🌬️ Unknown fidget: ${type}`);
+            return;
+        }
+
+        this.stopFidget();
+        this.fidget = {
+            type,
+            time: 0,
+            duration: fidget.duration,
+            morphs: fidget.morphs || null,
+            side: this.random() < 0.5 ? -1 : 1
+        };
+        console.log(`🌬️ Fidget: ${type}`);
+    }
+
+    /**
+     * End the current fidget and schedule the next
+     */
+    stopFidget() {
+        if (this.fidget && this.fidget.morphs) {
+            Object.keys(this.fidget.morphs).forEach(morph => this.layer.set(morph, 0));
+        }
+        this.fidget = null;
+        this.nextFidgetTime = this.time + this.randomBetween(this.settings.minFidgetInterval, this.settings.maxFidgetInterval);
+    }
+
+    /**
+     * Bone offsets of the current fidget
+     */
+    getFidgetOffsets() {
+        const offsets = { headYaw: 0, headPitch: 0, headRoll: 0, spineRoll: 0 };
+        if (!this.fidget) return offsets;
+
+        const { type, time, duration, side } = this.fidget;
+        const progress = time / duration;
+
+        if (type === 'lookAround') {
+            // Glance to one side, hold, glance back
+            offsets.headYaw = side * 0.35 * IdleMotion.envelope(progress, 0.25, 0.25);
+            offsets.headPitch = 0.05 * IdleMotion.envelope(progress, 0.25, 0.25);
+        } else if (type === 'yawn') {
+            // Head tips back as the mouth opens
+            offsets.headPitch = -0.12 * IdleMotion.envelope(progress, 0.35, 0.3);
+        } else if (type === 'wiggle') {
+            const weight = IdleMotion.envelope(progress, 0.15, 0.3);
+            offsets.spineRoll = Math.sin(time * Math.PI * 2 * 2.5) * 0.06 * weight;
+            offsets.headRoll = -offsets.spineRoll * 0.5;
+        }
+
+        return offsets;
+    }
+
+    /**
+     * Add a model-space rotation (pitch forward, yaw, roll) to a bone's current pose
+     */
+    applyOffset(bone, pitch, yaw, roll) {
+        bone.userData.idleBase.copy(bone.quaternion);
+
+        this.euler.set(pitch, yaw, roll);
+        this.offset.setFromEuler(this.euler);
+
+        this.model.getWorldQuaternion(this.modelRotation);
+        bone.parent.getWorldQuaternion(this.parentRotation);
+        this.parentRotation.invert().multiply(this.modelRotation);
+        this.offset.premultiply(this.parentRotation).multiply(this.parentRotation.invert());
+
+        bone.quaternion.premultiply(this.offset);
+        bone.userData.idleApplied.copy(bone.quaternion);
+        bone.userData.idleHasApplied = true;
+    }
+
+    /**
+     * Random number in a range
+     */
+    randomBetween(min, max) {
+        return min + this.random() * (max - min);
+    }
+
+    /**
+     * Smooth value noise in -1..1 (two octaves), one stream per seed
+     */
+    static noise(x, seed = 0) {
+        const octave = (value) => {
+            const i = Math.floor(value);
+            const f = value - i;
+            const u = f * f * (3 - 2 * f);
+            const a = IdleMotion.hash(i + seed * 101);
+            const b = IdleMotion.hash(i + 1 + seed * 101);
+            return a + (b - a) * u;
+        };
+        return (octave(x) * 0.7 + octave(x * 2.3 + 17) * 0.3) * 2 - 1;
+    }
+
+    /**
+     * Pseudo-random 0..1 for an integer
+     */
+    static hash(n) {
+        const s = Math.sin(n * 127.1 + 311.7) * 43758.5453;
+        return s - Math.floor(s);
+    }
+
+    /**
+     * 0 -> 1 -> 0 over progress 0..1 with eased attack and release fractions
+     */
+    static envelope(progress, attack, release) {
+        const ease = (t) => t * t * (3 - 2 * t);
+        if (progress <= 0 || progress >= 1) return 0;
+        if (progress < attack) return ease(progress / attack);
+        if (progress > 1 - release) return ease((1 - progress) / release);
+        return 1;
+    }
+}
+
+// Breathing rate (Hz) and depth (radians) per state; reactions override per emotion
+IdleMotion.BREATHING = {
+    idle: { rate: 0.3, depth: 0.02 },
+    listening: { rate: 0.3, depth: 0.015 },
+    talking: { rate: 0.4, depth: 0.025 },
+    reactions: {
+        happy: { rate: 0.5, depth: 0.03 },
+        giggle: { rate: 3.5, depth: 0.04 },
+        sad: { rate: 0.2, depth: 0.03 },
+        crying: { rate: 1.5, depth: 0.04 },
+        angry: { rate: 0.8, depth: 0.04 },
+        surprised: { rate: 0.6, depth: 0.03 },
+        fear: { rate: 1.2, depth: 0.03 },
+        sleepy: { rate: 0.15, depth: 0.04 }
+    }
+};
+
+// Head sway and weight shift strength per state (attentive listening is stiller)
+IdleMotion.SWAY_SCALE = {
+    idle: 1,
+    listening: 0.5,
+    talking: 0.7,
+    reacting: 0.3
+};
+
+// Fidgets while idling; morphs go on the facial idle layer with the fidget's envelope
+IdleMotion.FIDGETS = {
+    lookAround: { duration: 2.5 },
+    yawn: {
+        duration: 3.0,
+        morphs: { Jaw_Open: 0.6, Eye_Squint_L: 0.5, Eye_Squint_R: 0.5, Brow_Raise_Inner_L: 0.3, Brow_Raise_Inner_R: 0.3 }
+    },
+    wiggle: { duration: 1.6 }
+};
+
+// Export for use in other modules
+window.IdleMotion = IdleMotion;
@@ -0,0 +1,448 @@
+/**
+ * Localization
+ * The conversation language: its speech locale (recognition and TTS voice)
+ * and the UI strings. Elements in the page name their string with
+ * data-i18n (text), data-i18n-title or data-i18n-placeholder and are
+ * updated by apply().
+ *
+ * t('heard', { text }) looks a string up in the current language, falling
+ * back to English; {name} placeholders are filled from the parameters.
+ */
+
+class Localization {
+    constructor(language = 'en') {
+        this.language = 'en';
+        this.setLanguage(language);
+    }
+
+    /**
+     * Switch language ('en', 'hi' or 'es')
+     */
+    setLanguage(language) {
+        if (!Localization.LANGUAGES[language]) {
+            throw new Error(`Unknown language: ${language}`);
+        }
+        this.language = language;
+    }
+
+    /**
+     * Current language definition { name, locale, strings }
+     */
+    get current() {
+        return Localization.LANGUAGES[this.language];
+    }
+
+    /**
+     * BCP 47 locale for speech recognition and synthesis, e.g. 'hi-IN'
+     */
+    get locale() {
+        return this.current.locale;
+    }
+
+    /**
+     * Translated string with {placeholders} filled in
+     */
+    t(key, params = {}) {
+        const template = this.current.strings[key] ?? Localization.LANGUAGES.en.strings[key] ?? key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    /**
+     * Translate the marked-up elements of the page
+     */
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+
+        if (document.documentElement) {
+            document.documentElement.lang = this.language;
+        }
+    }
+
+    /**
+     * Best speechSynthesis voice for the locale: exact match, then same language (null if none)
+     * Some platforms report 'hi_IN' instead of 'hi-IN'
+     */
+    pickVoice(voices) {
+        const locale = this.locale.toLowerCase();
+        const language = locale.split('-')[0];
+        const voiceLocale = voice => voice.lang.replace('_', '-').toLowerCase();
+
+        return voices.find(voice => voiceLocale(voice) === locale) ||
+            voices.find(voice => voiceLocale(voice).split('-')[0] === language) ||
+            null;
+    }
+}
+
+Localization.LANGUAGES = {
+    en: {
+        name: 'English',
+        locale: 'en-US',
+        strings: {
+            // Status messages
+            loading: 'Loading 3D Model...',
+            readyIntro: 'Ready! Click 🎤 to speak or test the simple lip-sync system! 🎭✨',
+            ready: 'Ready to interact!',
+            stopped: 'Stopped. Ready to interact!',
+            listening: 'Listening...',
+            sayWakePhrase: 'Say "{phrase}" to talk to the baby',
+            babyListening: '👂 The baby is listening!',
+            heard: 'Heard: "{text}"',
+            heardQueued: 'Heard: "{text}" - the baby will answer after this',
+            processing: 'Processing your speech...',
+            thinking: 'Baby is thinking...',
+            responding: 'Baby is responding...',
+            waitForBaby: 'Wait for the baby to finish talking',
+            backendUnavailable: 'Backend unavailable - using mock reply',
+            speechError: 'Error processing speech',
+            recognitionUnsupported: 'Speech recognition not supported in this browser',
+            recognitionError: 'Speech recognition error. Please try again.',
+            localRecognitionFailed: 'Local speech recognition failed. Is a server running at {endpoint}?',
+            recordingFailed: 'Failed to start recording',
+            handsFreeStopped: 'Hands-free off. Click 🎤 to speak.',
+            handsFreeFailed: 'Speech recognition keeps failing - hands-free turned off. Click 🎤 to try again.',
+            conversationCleared: 'Conversation cleared',
+            languageChanged: 'Language: {name}',
+            noVoice: 'No {name} voice installed - the baby will speak with the default voice',
+
+            // Expressions, characters and lip-sync tests
+            presetsLoadFailed: 'Could not load emotion presets',
+            expressionNameMissing: 'Enter a name for the new expression first',
+            expressionSaved: 'Saved expression "{label}"',
+            expressionSaveFailed: 'Could not save expression: {error}',
+            expressionsImported: 'Imported {count} expressions from {file}',
+            expressionsImportFailed: 'Could not import expressions: {error}',
+            loadingProgress: 'Loading 3D Model... {percent}%',
+            modelLoadFailed: 'Error loading 3D model - check console for details',
+            modelLoadFailedTitle: '❌ 3D Model Loading Failed',
+            modelLoadFailedError: 'Error: {error}',
+            modelLoadFailedHint: 'Please check the browser console for more details.',
+            swapWait: 'Wait for the baby to finish speaking before swapping characters',
+            characterLoading: 'Loading new character...',
+            characterLoadingProgress: 'Loading new character... {percent}%',
+            characterLoaded: 'Loaded {name}! Ready to interact.',
+            characterNoMorphs: 'Loaded {name}, but it has no facial morph targets for lip-sync',
+            characterLoadFailed: 'Could not load character: {error}',
+            noMorphTargets: 'No morph targets available for lip-sync',
+            lipSyncTesting: 'Testing lip-sync system...',
+            lipSyncTestDone: 'Lip-sync test completed! Ready to interact.',
+            lipSyncTestText: 'Hello! This is a test of the simple lip-sync system. Watch the baby\'s mouth move!',
+            audioLipSyncTesting: 'Testing audio lip-sync with the {backend} backend...',
+            audioLipSyncTestPrompt: 'Hello baby, how are you?',
+            audioLipSyncTestFailed: 'Audio lip-sync test failed',
+            audioFileTesting: 'Testing audio-driven lip-sync...',
+            audioFileTestDone: 'Audio lip-sync test completed! Ready to interact.',
+            audioFileFailed: 'Could not play audio file for lip-sync',
+            backendMockSelected: 'Using mock replies. Safe for testing.',
+            backendSelected: 'Using the {backend} backend. Note: May require proper authentication.',
+
+            // Transcript labels
+            youSaid: 'You said:',
+            babySays: 'Baby says:',
+
+            // Controls
+            stopReply: '⏹ Stop',
+            stopReplyTitle: 'Stop the baby\'s reply',
+            handsFreeOn: 'Hands-free: On',
+            handsFreeOff: 'Hands-free: Off',
+            handsFreeTitle: 'Listen continuously, pausing while the baby talks',
+            wakePhrase: 'Wake phrase',
+            wakePhraseTitle: 'Say this before talking to the baby',
+            resetCamera: 'Reset Camera',
+            testLipSync: 'Test Lip-Sync',
+            testAudioLipSync: 'Test Audio Lip-Sync',
+            languageTitle: 'Language for speech, lip-sync and the page',
+            recognizerTitle: 'What turns your voice into text',
+            recognizerWeb: 'Recognition: Browser',
+            recognizerLocal: 'Recognition: Local (Whisper)',
+            recognizerEndpoint: 'Speech-to-text URL',
+            turnPolicyTitle: 'What happens when you talk while the baby is speaking',
+            turnInterrupt: 'Talk over: Interrupt',
+            turnQueue: 'Talk over: Queue',
+            turnIgnore: 'Talk over: Ignore',
+            backendTitle: 'Where the baby\'s replies come from',
+            backendMock: 'Replies: Mock',
+            backendPixora: 'Replies: Baby Voice API',
+            backendOpenai: 'Replies: OpenAI-compatible',
+            backendLocal: 'Replies: Local (Ollama)',
+            clearChat: 'Clear Chat',
+            clearChatTitle: 'Forget this conversation',
+            exportChat: 'Export Chat',
+            exportChatTitle: 'Download the conversation as JSON',
+            exportText: 'Export Text',
+            exportTextTitle: 'Download the conversation as text',
+            gazeCamera: 'Gaze: Camera',
+            gazePointer: 'Gaze: Pointer',
+            gazeOff: 'Gaze: Off',
+            loadCharacter: 'Load Character',
+            qualityLow: 'Quality: Low',
+            qualityMedium: 'Quality: Medium',
+            qualityHigh: 'Quality: High',
+            emotions: 'Emotions',
+            intensity: 'Intensity:',
+            autoEmotions: 'Auto',
+            newExpression: 'New expression',
+            save: 'Save',
+            export: 'Export',
+            import: 'Import',
+            recognizerEndpointTitle: 'Local speech-to-text endpoint (whisper.cpp server or /v1/audio/transcriptions)',
+            backendEndpoint: 'Endpoint URL',
+            backendEndpointTitle: 'Chat endpoint URL',
+            backendModel: 'Model',
+            backendModelTitle: 'Model name',
+            backendApiKey: 'API key',
+            backendApiKeyTitle: 'API key (kept for this visit only)',
+            loadCharacterTitle: 'Pick an FBX, GLB, glTF or VRM file plus its textures, or drop them on the page',
+            qualityTitle: 'Skin and hair shading quality',
+            autoEmotionsTitle: 'Pick expressions from what is said'
+        }
+    },
+
+    hi: {
+        name: 'हिन्दी',
+        locale: 'hi-IN',
+        strings: {
+            loading: '3D मॉडल लोड हो रहा है...',
+            readyIntro: 'तैयार! बोलने के लिए 🎤 दबाएँ या लिप-सिंक आज़माएँ! 🎭✨',
+            ready: 'बात करने के लिए तैयार!',
+            stopped: 'रोक दिया। बात करने के लिए तैयार!',
+            listening: 'सुन रहे हैं...',
+            sayWakePhrase: 'बच्चे से बात करने के लिए "{phrase}" बोलें',
+            babyListening: '👂 बच्चा सुन रहा है!',
+            heard: 'सुना: "{text}"',
+            heardQueued: 'सुना: "{text}" - बच्चा इसके बाद जवाब देगा',
+            processing: 'आपकी बात समझ रहे हैं...',
+            thinking: 'बच्चा सोच रहा है...',
+            responding: 'बच्चा जवाब दे रहा है...',
+            waitForBaby: 'बच्चे के बोल लेने तक रुकें',
+            backendUnavailable: 'सेवा उपलब्ध नहीं - नमूना जवाब दिया जा रहा है',
+            speechError: 'बोली समझने में गड़बड़ हुई',
+            recognitionUnsupported: 'यह ब्राउज़र बोली पहचान का समर्थन नहीं करता',
+            recognitionError: 'बोली पहचानने में गड़बड़ हुई। कृपया फिर से कोशिश करें।',
+            localRecognitionFailed: 'स्थानीय बोली पहचान नहीं चली। क्या {endpoint} पर सर्वर चल रहा है?',
+            recordingFailed: 'रिकॉर्डिंग शुरू नहीं हो सकी',
+            handsFreeStopped: 'हैंड्स-फ़्री बंद। बोलने के लिए 🎤 दबाएँ।',
+            handsFreeFailed: 'बोली पहचान बार-बार विफल हो रही है - हैंड्स-फ़्री बंद कर दिया गया। फिर से कोशिश करने के लिए 🎤 दबाएँ।',
+            conversationCleared: 'बातचीत मिटा दी गई',
+            languageChanged: 'भाषा: {name}',
+            noVoice: '{name} आवाज़ इंस्टॉल नहीं है - बच्चा डिफ़ॉल्ट आवाज़ में बोलेगा',
+
+            presetsLoadFailed: 'भावों के प्रीसेट लोड नहीं हो सके',
+            expressionNameMissing: 'पहले नए भाव का नाम लिखें',
+            expressionSaved: 'भाव "{label}" सहेजा गया',
+            expressionSaveFailed: 'भाव सहेजा नहीं जा सका: {error}',
+            expressionsImported: '{file} से {count} भाव आयात किए गए',
+            expressionsImportFailed: 'भाव आयात नहीं हो सके: {error}',
+            loadingProgress: '3D मॉडल लोड हो रहा है... {percent}%',
+            modelLoadFailed: '3D मॉडल लोड करने में गड़बड़ हुई - विवरण के लिए कंसोल देखें',
+            modelLoadFailedTitle: '❌ 3D मॉडल लोड नहीं हो सका',
+            modelLoadFailedError: 'गड़बड़: {error}',
+            modelLoadFailedHint: 'अधिक जानकारी के लिए ब्राउज़र कंसोल देखें।',
+            swapWait: 'किरदार बदलने से पहले बच्चे के बोल लेने तक रुकें',
+            characterLoading: 'नया किरदार लोड हो रहा है...',
+            characterLoadingProgress: 'नया किरदार लोड हो रहा है... {percent}%',
+            characterLoaded: '{name} लोड हो गया! बात करने के लिए तैयार।',
+            characterNoMorphs: '{name} लोड हो गया, पर इसमें लिप-सिंक के लिए चेहरे के मॉर्फ टारगेट नहीं हैं',
+            characterLoadFailed: 'किरदार लोड नहीं हो सका: {error}',
+            noMorphTargets: 'लिप-सिंक के लिए मॉर्फ टारगेट उपलब्ध नहीं हैं',
+            lipSyncTesting: 'लिप-सिंक की जाँच हो रही है...',
+            lipSyncTestDone: 'लिप-सिंक की जाँच पूरी हुई! बात करने के लिए तैयार।',
+            lipSyncTestText: 'नमस्ते! यह लिप-सिंक की जाँच है। बच्चे का मुँह हिलते हुए देखिए!',
+            audioLipSyncTesting: '{backend} सेवा के साथ ऑडियो लिप-सिंक की जाँच हो रही है...',
+            audioLipSyncTestPrompt: 'नमस्ते बच्चे, कैसे हो?',
+            audioLipSyncTestFailed: 'ऑडियो लिप-सिंक की जाँच विफल रही',
+            audioFileTesting: 'ऑडियो से लिप-सिंक की जाँच हो रही है...',
+            audioFileTestDone: 'ऑडियो लिप-सिंक की जाँच पूरी हुई! बात करने के लिए तैयार।',
+            audioFileFailed: 'लिप-सिंक के लिए ऑडियो फ़ाइल नहीं चल सकी',
+            backendMockSelected: 'नमूना जवाब इस्तेमाल हो रहे हैं। जाँच के लिए सुरक्षित।',
+            backendSelected: '{backend} सेवा इस्तेमाल हो रही है। ध्यान दें: इसके लिए प्रमाणीकरण चाहिए हो सकता है।',
+
+            youSaid: 'आपने कहा:',
+            babySays: 'बच्चा कहता है:',
+
+            stopReply: '⏹ रोकें',
+            stopReplyTitle: 'बच्चे का जवाब रोकें',
+            handsFreeOn: 'हैंड्स-फ़्री: चालू',
+            handsFreeOff: 'हैंड्स-फ़्री: बंद',
+            handsFreeTitle: 'लगातार सुनें, बच्चे के बोलते समय रुककर',
+            wakePhrase: 'जगाने वाला वाक्य',
+            wakePhraseTitle: 'बच्चे से बात करने से पहले यह बोलें',
+            resetCamera: 'कैमरा रीसेट करें',
+            testLipSync: 'लिप-सिंक जाँचें',
+            testAudioLipSync: 'ऑडियो लिप-सिंक जाँचें',
+            languageTitle: 'बोली, लिप-सिंक और पेज की भाषा',
+            recognizerTitle: 'आपकी आवाज़ को टेक्स्ट में कौन बदलता है',
+            recognizerWeb: 'पहचान: ब्राउज़र',
+            recognizerLocal: 'पहचान: स्थानीय (Whisper)',
+            recognizerEndpoint: 'स्पीच-टू-टेक्स्ट URL',
+            turnPolicyTitle: 'बच्चे के बोलते समय आप बोलें तो क्या हो',
+            turnInterrupt: 'बीच में बोलें: रोकें',
+            turnQueue: 'बीच में बोलें: बाद में',
+            turnIgnore: 'बीच में बोलें: अनदेखा करें',
+            backendTitle: 'बच्चे के जवाब कहाँ से आते हैं',
+            backendMock: 'जवाब: नमूना',
+            backendPixora: 'जवाब: बेबी वॉइस API',
+            backendOpenai: 'जवाब: OpenAI-संगत',
+            backendLocal: 'जवाब: स्थानीय (Ollama)',
+            clearChat: 'चैट मिटाएँ',
+            clearChatTitle: 'यह बातचीत भूल जाएँ',
+            exportChat: 'चैट निर्यात करें',
+            exportChatTitle: 'बातचीत JSON के रूप में डाउनलोड करें',
+            exportText: 'टेक्स्ट निर्यात करें',
+            exportTextTitle: 'बातचीत टेक्स्ट के रूप में डाउनलोड करें',
+            gazeCamera: 'नज़र: कैमरा',
+            gazePointer: 'नज़र: पॉइंटर',
+            gazeOff: 'नज़र: बंद',
+            loadCharacter: 'किरदार लोड करें',
+            qualityLow: 'गुणवत्ता: कम',
+            qualityMedium: 'गुणवत्ता: मध्यम',
+            qualityHigh: 'गुणवत्ता: उच्च',
+            emotions: 'भावनाएँ',
+            intensity: 'तीव्रता:',
+            autoEmotions: 'स्वतः',
+            newExpression: 'नया भाव',
+            save: 'सहेजें',
+            export: 'निर्यात',
+            import: 'आयात',
+            recognizerEndpointTitle: 'स्थानीय स्पीच-टू-टेक्स्ट सर्वर (whisper.cpp सर्वर या /v1/audio/transcriptions)',
+            backendEndpoint: 'एंडपॉइंट URL',
+            backendEndpointTitle: 'चैट एंडपॉइंट का URL',
+            backendModel: 'मॉडल',
+            backendModelTitle: 'मॉडल का नाम',
+            backendApiKey: 'API कुंजी',
+            backendApiKeyTitle: 'API कुंजी (सिर्फ़ इस बार के लिए रखी जाती है)',
+            loadCharacterTitle: 'FBX, GLB, glTF या VRM फ़ाइल और उसके टेक्सचर चुनें, या उन्हें पेज पर छोड़ें',
+            qualityTitle: 'त्वचा और बालों की शेडिंग की गुणवत्ता',
+            autoEmotionsTitle: 'कही गई बात से भाव चुनें'
+        }
+    },
+
+    es: {
+        name: 'Español',
+        locale: 'es-ES',
+        strings: {
+            loading: 'Cargando modelo 3D...',
+            readyIntro: '¡Listo! Pulsa 🎤 para hablar o prueba la sincronización labial. 🎭✨',
+            ready: '¡Listo para hablar!',
+            stopped: 'Detenido. ¡Listo para hablar!',
+            listening: 'Escuchando...',
+            sayWakePhrase: 'Di "{phrase}" para hablar con el bebé',
+            babyListening: '👂 ¡El bebé te escucha!',
+            heard: 'Escuché: "{text}"',
+            heardQueued: 'Escuché: "{text}" - el bebé responderá después',
+            processing: 'Procesando lo que dijiste...',
+            thinking: 'El bebé está pensando...',
+            responding: 'El bebé está respondiendo...',
+            waitForBaby: 'Espera a que el bebé termine de hablar',
+            backendUnavailable: 'Servicio no disponible: respuesta de prueba',
+            speechError: 'Error al procesar el habla',
+            recognitionUnsupported: 'Este navegador no admite el reconocimiento de voz',
+            recognitionError: 'Error de reconocimiento de voz. Inténtalo de nuevo.',
+            localRecognitionFailed: 'Falló el reconocimiento de voz local. ¿Hay un servidor en {endpoint}?',
+            recordingFailed: 'No se pudo empezar a grabar',
+            handsFreeStopped: 'Manos libres desactivado. Pulsa 🎤 para hablar.',
+            handsFreeFailed: 'El reconocimiento de voz sigue fallando: manos libres desactivado. Pulsa 🎤 para reintentar.',
+            conversationCleared: 'Conversación borrada',
+            languageChanged: 'Idioma: {name}',
+            noVoice: 'No hay ninguna voz en español instalada: el bebé hablará con la voz predeterminada',
+
+            presetsLoadFailed: 'No se pudieron cargar las expresiones predefinidas',
+            expressionNameMissing: 'Primero escribe un nombre para la nueva expresión',
+            expressionSaved: 'Expresión "{label}" guardada',
+            expressionSaveFailed: 'No se pudo guardar la expresión: {error}',
+            expressionsImported: '{count} expresiones importadas de {file}',
+            expressionsImportFailed: 'No se pudieron importar las expresiones: {error}',
+            loadingProgress: 'Cargando modelo 3D... {percent}%',
+            modelLoadFailed: 'Error al cargar el modelo 3D: revisa la consola para más detalles',
+            modelLoadFailedTitle: '❌ No se pudo cargar el modelo 3D',
+            modelLoadFailedError: 'Error: {error}',
+            modelLoadFailedHint: 'Revisa la consola del navegador para más detalles.',
+            swapWait: 'Espera a que el bebé termine de hablar antes de cambiar de personaje',
+            characterLoading: 'Cargando nuevo personaje...',
+            characterLoadingProgress: 'Cargando nuevo personaje... {percent}%',
+            characterLoaded: '¡{name} cargado! Listo para hablar.',
+            characterNoMorphs: '{name} cargado, pero no tiene morph targets faciales para la sincronización labial',
+            characterLoadFailed: 'No se pudo cargar el personaje: {error}',
+            noMorphTargets: 'No hay morph targets para la sincronización labial',
+            lipSyncTesting: 'Probando la sincronización labial...',
+            lipSyncTestDone: '¡Prueba de sincronización labial terminada! Listo para hablar.',
+            lipSyncTestText: '¡Hola! Esto es una prueba de la sincronización labial. ¡Mira cómo se mueve la boca del bebé!',
+            audioLipSyncTesting: 'Probando la sincronización con audio con el servicio {backend}...',
+            audioLipSyncTestPrompt: 'Hola bebé, ¿cómo estás?',
+            audioLipSyncTestFailed: 'Falló la prueba de sincronización con audio',
+            audioFileTesting: 'Probando la sincronización labial con audio...',
+            audioFileTestDone: '¡Prueba de sincronización con audio terminada! Listo para hablar.',
+            audioFileFailed: 'No se pudo reproducir el archivo de audio para la sincronización labial',
+            backendMockSelected: 'Usando respuestas de prueba. Seguro para probar.',
+            backendSelected: 'Usando el servicio {backend}. Nota: puede requerir autenticación.',
+
+            youSaid: 'Dijiste:',
+            babySays: 'El bebé dice:',
+
+            stopReply: '⏹ Parar',
+            stopReplyTitle: 'Detener la respuesta del bebé',
+            handsFreeOn: 'Manos libres: Sí',
+            handsFreeOff: 'Manos libres: No',
+            handsFreeTitle: 'Escuchar sin parar, con pausa mientras habla el bebé',
+            wakePhrase: 'Frase de activación',
+            wakePhraseTitle: 'Dila antes de hablar con el bebé',
+            resetCamera: 'Restablecer cámara',
+            testLipSync: 'Probar sincronización labial',
+            testAudioLipSync: 'Probar sincronización con audio',
+            languageTitle: 'Idioma de la voz, la sincronización labial y la página',
+            recognizerTitle: 'Qué convierte tu voz en texto',
+            recognizerWeb: 'Reconocimiento: Navegador',
+            recognizerLocal: 'Reconocimiento: Local (Whisper)',
+            recognizerEndpoint: 'URL de voz a texto',
+            turnPolicyTitle: 'Qué pasa si hablas mientras el bebé habla',
+            turnInterrupt: 'Si hablas encima: Interrumpir',
+            turnQueue: 'Si hablas encima: Esperar turno',
+            turnIgnore: 'Si hablas encima: Ignorar',
+            backendTitle: 'De dónde salen las respuestas del bebé',
+            backendMock: 'Respuestas: De prueba',
+            backendPixora: 'Respuestas: API de voz de bebé',
+            backendOpenai: 'Respuestas: Compatible con OpenAI',
+            backendLocal: 'Respuestas: Local (Ollama)',
+            clearChat: 'Borrar chat',
+            clearChatTitle: 'Olvidar esta conversación',
+            exportChat: 'Exportar chat',
+            exportChatTitle: 'Descargar la conversación como JSON',
+            exportText: 'Exportar texto',
+            exportTextTitle: 'Descargar la conversación como texto',
+            gazeCamera: 'Mirada: Cámara',
+            gazePointer: 'Mirada: Puntero',
+            gazeOff: 'Mirada: No',
+            loadCharacter: 'Cargar personaje',
+            qualityLow: 'Calidad: Baja',
+            qualityMedium: 'Calidad: Media',
+            qualityHigh: 'Calidad: Alta',
+            emotions: 'Emociones',
+            intensity: 'Intensidad:',
+            autoEmotions: 'Auto',
+            newExpression: 'Nueva expresión',
+            save: 'Guardar',
+            export: 'Exportar',
+            import: 'Importar',
+            recognizerEndpointTitle: 'Servidor local de voz a texto (servidor whisper.cpp o /v1/audio/transcriptions)',
+            backendEndpoint: 'URL del servicio',
+            backendEndpointTitle: 'URL del servicio de chat',
+            backendModel: 'Modelo',
+            backendModelTitle: 'Nombre del modelo',
+            backendApiKey: 'Clave de API',
+            backendApiKeyTitle: 'Clave de API (solo se guarda durante esta visita)',
+            loadCharacterTitle: 'Elige un archivo FBX, GLB, glTF o VRM con sus texturas, o suéltalos en la página',
+            qualityTitle: 'Calidad del sombreado de piel y pelo',
+            autoEmotionsTitle: 'Elegir expresiones según lo que se dice'
+        }
+    }
+};
+
+// Export for use in other modules
+window.Localization = Localization;
@@ -0,0 +1,357 @@
+/**
+ * Material Pipeline
+ * Lighting and materials for FBX characters:
+ *
+ * - loadEnvironment(): loads the HDRI (src/hdri.exr) through PMREM as scene.environment
+ * - apply(model): converts materials to MeshStandardMaterial per mesh category
+ *   (body, hair, clothes, eye) and loads that category's textures by naming
+ *   convention, e.g. hair_Diffuse.jpg or body__AO.jpg
+ *
+ * Textures load asynchronously and are assigned as they arrive; apply()
+ * resolves with a report of what was loaded and what is missing.
+ *
+ * The quality setting ('low', 'medium', 'high') picks the skin and hair
+ * shading, see MaterialPipeline.QUALITY.
+ */
+
+class MaterialPipeline {
+    constructor(renderer, options = {}) {
+        this.renderer = renderer;
+
+        this.settings = {
+            environmentPath: 'src/hdri.exr',
+            texturePath: 'src/',
+            textureExtensions: ['jpg'],
+            quality: 'high',
+            ...options
+        };
+
+        // Texture promises by URL, shared by every mesh of a category
+        this.textureCache = new Map();
+        this.environment = null;
+    }
+
+    /**
+     * Load the HDRI as a prefiltered (PMREM) environment map for scene.environment
+     */
+    async loadEnvironment(scene, path = this.settings.environmentPath) {
+        const exrLoader = new THREE.EXRLoader().setDataType(THREE.HalfFloatType);
+        const pmremGenerator = new THREE.PMREMGenerator(this.renderer);
+
+        try {
+            const hdri = await exrLoader.loadAsync(path);
+            const environment = pmremGenerator.fromEquirectangular(hdri).texture;
+            hdri.dispose();
+
+            if (this.environment) {
+                this.environment.dispose();
+            }
+            this.environment = environment;
+            scene.environment = environment;
+
+            console.log(`🎨 Environment map loaded from ${path}`);
+            return environment;
+        } finally {
+            pmremGenerator.dispose();
+        }
+    }
+
+    /**
+     * Change the shading quality (takes effect on the next apply)
+     */
+    setQuality(quality) {
+        if (!MaterialPipeline.QUALITY[quality]) {
+            throw new Error(`Unknown material quality: ${quality}`);
+        }
+        this.settings.quality = quality;
+    }
+
+    /**
+     * Category of a mesh or material name ('body', 'hair', 'clothes', 'eye' or null)
+     */
+    static categorize(name) {
+        const category = MaterialPipeline.CATEGORIES.find(({ pattern }) => pattern.test(name));
+        return category ? category.name : null;
+    }
+
+    /**
+     * Convert a model's materials and load their textures
+     * Options: texturePath (folder the textures are in), manager (LoadingManager for user files)
+     * Resolves with { loaded: [url], missing: [{ category, slot }] }
+     */
+    async apply(model, { texturePath = this.settings.texturePath, manager = null } = {}) {
+        const assignments = [];
+        const categories = new Set();
+
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+
+            const isArray = Array.isArray(child.material);
+            const materials = (isArray ? child.material : [child.material]).map((material) => {
+                const category = MaterialPipeline.categorize(child.name) ||
+                    MaterialPipeline.categorize(material?.name || '');
+                const converted = this.createMaterial(category, material, child);
+                if (material) {
+                    material.dispose();
+                }
+
+                if (category) {
+                    categories.add(category);
+                    assignments.push({ category, material: converted, geometry: child.geometry });
+                }
+                return converted;
+            });
+
+            child.material = isArray ? materials : materials[0];
+        });
+
+        // Load each category's textures once and hand them to its materials
+        const report = { loaded: [], missing: [] };
+        await Promise.all(Array.from(categories).map(async (category) => {
+            const slots = await this.loadTextureSet(category, texturePath, manager);
+
+            Object.entries(MaterialPipeline.SLOTS).forEach(([slot, property]) => {
+                const texture = slots[slot];
+                if (!texture) {
+                    report.missing.push({ category, slot });
+                    return;
+                }
+                report.loaded.push(texture.name);
+
+                assignments.filter(assignment => assignment.category === category).forEach(({ material, geometry }) => {
+                    this.assignTexture(material, geometry, property, texture);
+                });
+            });
+        }));
+
+        this.logReport(report);
+        return report;
+    }
+
+    /**
+     * Material for a mesh of a category, keeping the original's colour and maps
+     * Skin and hair get the shading of the current quality level
+     */
+    createMaterial(category, original, mesh) {
+        const quality = MaterialPipeline.QUALITY[this.settings.quality];
+        const isSkin = category === 'body';
+        const isHair = category === 'hair';
+
+        const MaterialClass = isSkin && quality.skinSheen ? THREE.MeshPhysicalMaterial : THREE.MeshStandardMaterial;
+        const material = new MaterialClass({
+            name: original?.name || '',
+            color: original?.color || 0xffffff,
+            map: original?.map || null,
+            normalMap: original?.normalMap || null,
+            roughnessMap: original?.roughnessMap || null,
+            aoMap: original?.aoMap || null,
+            alphaMap: original?.alphaMap || null,
+            transparent: original?.transparent || false,
+            opacity: original?.opacity !== undefined ? original.opacity : 1,
+            roughness: 0.5,
+            metalness: 0.1,
+            skinning: mesh.isSkinnedMesh || false, // Preserve skinning for SkinnedMesh objects
+            morphTargets: mesh.morphTargetInfluences !== undefined
+        });
+
+        material.setValues(MaterialPipeline.CATEGORY_SETTINGS[category] || {});
+        material.userData.pipelineCategory = category;
+
+        if (isSkin) {
+            if (quality.skinSheen) {
+                // Soft velvet sheen in place of the hard specular lobe
+                material.sheen = new THREE.Color(0x4a3430);
+            }
+            if (quality.skinWrap) {
+                CharacterShading.applySkin(material);
+            }
+        }
+
+        if (isHair) {
+            if (quality.alphaToCoverage && this.supportsAlphaToCoverage()) {
+                // Order-independent soft strand edges via MSAA
+                material.alphaToCoverage = true;
+                material.alphaTest = 0.01;
+            }
+            if (quality.hairAnisotropy) {
+                CharacterShading.applyHair(material);
+            }
+        }
+
+        return material;
+    }
+
+    /**
+     * Alpha-to-coverage needs a multisampled canvas
+     */
+    supportsAlphaToCoverage() {
+        if (!this.renderer) return false;
+        const attributes = this.renderer.getContext().getContextAttributes();
+        return Boolean(attributes && attributes.antialias);
+    }
+
+    /**
+     * Load the textures for a category: { Diffuse: texture, AO: texture, ... }
+     */
+    async loadTextureSet(category, texturePath, manager) {
+        const slots = {};
+
+        await Promise.all(Object.keys(MaterialPipeline.SLOTS).map(async (slot) => {
+            // Both "hair_AO.jpg" and "body__AO.jpg" are in use
+            const candidates = [];
+            ['_', '__'].forEach(separator => {
+                this.settings.textureExtensions.forEach(extension => {
+                    candidates.push(`${texturePath}${category}${separator}${slot}.${extension}`);
+                });
+            });
+
+            for (const url of candidates) {
+                const texture = await this.loadTexture(url, manager);
+                if (texture) {
+                    slots[slot] = texture;
+                    break;
+                }
+            }
+        }));
+
+        return slots;
+    }
+
+    /**
+     * Load one texture (null if it doesn't exist or fails to decode)
+     */
+    loadTexture(url, manager = null) {
+        const key = manager ? null : url;
+        if (key && this.textureCache.has(key)) {
+            return this.textureCache.get(key);
+        }
+
+        const promise = new THREE.TextureLoader(manager || undefined).loadAsync(url)
+            .then((texture) => {
+                texture.name = url;
+                return texture;
+            })
+            .catch(() => null);
+
+        if (key) {
+            this.textureCache.set(key, promise);
+        }
+        return promise;
+    }
+
+    /**
+     * Put a texture on a material slot
+     */
+    assignTexture(material, geometry, property, texture) {
+        if (property === 'specularMap') {
+            // MeshStandardMaterial has no specular slot; the hair shading uses it as its highlight mask
+            material.userData.specularMap = texture;
+            const uniforms = material.userData.shadingUniforms;
+            if (uniforms && uniforms.hairSpecularMap) {
+                uniforms.hairSpecularMap.value = texture;
+            }
+            return;
+        }
+
+        if (property === 'map') {
+            texture.encoding = THREE.sRGBEncoding;
+            material.color.set(0xffffff);
+        }
+
+        if (property === 'aoMap' && geometry.attributes.uv && !geometry.attributes.uv2) {
+            // aoMap reads the second UV set; these models only have one
+            geometry.setAttribute('uv2', geometry.attributes.uv);
+        }
+
+        if (property === 'alphaMap' && material.alphaTest === 0) {
+            // Cutout (alphaTest) and alpha-to-coverage materials stay opaque, avoiding sorting artefacts
+            material.transparent = true;
+        }
+
+        material[property] = texture;
+        material.needsUpdate = true;
+    }
+
+    /**
+     * Log loaded and missing textures
+     */
+    logReport(report) {
+        console.log(`🎨 Material pipeline: ${report.loaded.length} textures loaded`);
+
+        const missingDiffuse = report.missing.filter(({ slot }) => slot === 'Diffuse');
+        if (missingDiffuse.length > 0) {
+            console.warn(`🎨 Missing diffuse textures for: ${missingDiffuse.map(({ category }) => category).join(', ')}`);
+        }
+
+        const optional = report.missing.filter(({ slot }) => slot !== 'Diffuse');
+        if (optional.length > 0) {
+            console.log(`🎨 Not provided: ${optional.map(({ category, slot }) => `${category}_${slot}`).join(', ')}`);
+        }
+    }
+
+    /**
+     * Drop cached textures and the environment map
+     */
+    dispose() {
+        this.textureCache.forEach(promise => promise.then(texture => texture && texture.dispose()));
+        this.textureCache.clear();
+
+        if (this.environment) {
+            this.environment.dispose();
+            this.environment = null;
+        }
+    }
+}
+
+// Mesh categories, first match wins (eyelashes and brows are not eyes)
+MaterialPipeline.CATEGORIES = [
+    { name: 'hair', pattern: /hair/i },
+    { name: 'eye', pattern: /eye(?!lash|brow|lid)|cornea|iris|pupil/i },
+    { name: 'clothes', pattern: /cloth|shirt|pant|dress|diaper|onesie|sock|shoe/i },
+    { name: 'body', pattern: /body|skin/i }
+];
+
+// Texture file suffix -> material property
+MaterialPipeline.SLOTS = {
+    Diffuse: 'map',
+    Normal: 'normalMap',
+    Roughness: 'roughnessMap',
+    AO: 'aoMap',
+    Specular: 'specularMap',
+    Opacity: 'alphaMap'
+};
+
+// Material settings per category
+MaterialPipeline.CATEGORY_SETTINGS = {
+    body: {
+        alphaTest: 0.5,
+        side: THREE.DoubleSide
+    },
+    hair: {
+        transparent: false,
+        opacity: 1,
+        alphaTest: 0.5, // Cutout; alpha-to-coverage replaces it when the quality allows
+        roughness: 0.3, // Shiny hair
+        metalness: 0.0,
+        side: THREE.DoubleSide,
+        envMapIntensity: 1.2
+    },
+    clothes: {
+        roughness: 0.8,
+        metalness: 0.0
+    },
+    eye: {
+        roughness: 0.1, // Wet, glossy eyes
+        metalness: 0.0
+    }
+};
+
+// Skin and hair shading per quality level
+MaterialPipeline.QUALITY = {
+    low: { skinWrap: false, skinSheen: false, hairAnisotropy: false, alphaToCoverage: false },
+    medium: { skinWrap: true, skinSheen: false, hairAnisotropy: true, alphaToCoverage: true },
+    high: { skinWrap: true, skinSheen: true, hairAnisotropy: true, alphaToCoverage: true }
+};
+
+// Export for use in other modules
+window.MaterialPipeline = MaterialPipeline;
@@ -0,0 +1,269 @@
+/**
+ * Model Loader
+ * Loads characters as FBX, glTF/GLB (including Draco and meshopt compressed
+ * geometry and KTX2 textures) or VRM, picking the loader from the file
+ * extension. Every format resolves to the same shape so setupModel can run
+ * its mesh and morph target discovery on the result:
+ *
+ * { scene, animations, format, unitScale, vrm, resourcePath, manager }
+ *
+ * - scene: root object, facing +Z
+ * - unitScale: scale that brings the file's units to metres (FBX is in centimetres)
+ * - vrm: the THREE_VRM.VRM instance for VRM files (call vrm.update(delta) every frame)
+ * - resourcePath, manager: where the model's textures live, for loading more of them
+ *
+ * loadFiles() loads a model picked or dropped by the user together with its
+ * textures (and .bin buffers), resolving the file names the model refers to.
+ */
+
+class ModelLoader {
+    constructor(renderer, options = {}) {
+        this.renderer = renderer;
+
+        this.settings = {
+            dracoDecoderPath: 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/libs/draco/gltf/',
+            basisTranscoderPath: 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/libs/basis/',
+            // r128 only ships KTX2Loader as an ES module (with its own copy of three),
+            // so it is imported only when a file actually uses KTX2 textures
+            ktx2LoaderModule: 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/jsm/loaders/KTX2Loader.js/+esm',
+            ...options
+        };
+
+        // Loaders are created on first use
+        this.fbxLoader = null;
+        this.gltfLoader = null;
+        this.dracoLoader = null;
+        this.ktx2Loader = null;
+        this.ktx2LoaderPromise = null;
+
+        // Blob URLs for user files (kept until the next loadFiles or dispose, textures load late)
+        this.objectURLs = [];
+    }
+
+    /**
+     * Model format from a file name or URL ('fbx', 'gltf', 'vrm' or null)
+     */
+    static detectFormat(name) {
+        const extension = name.split(/[?#]/)[0].split('.').pop().toLowerCase();
+        return ModelLoader.EXTENSIONS[extension] || null;
+    }
+
+    /**
+     * Lower-case file name of a URL or path (query, hash and folders removed)
+     */
+    static fileName(url) {
+        const name = url.split(/[?#]/)[0].split(/[\\/]/).pop();
+        try {
+            return decodeURIComponent(name).toLowerCase();
+        } catch (error) {
+            return name.toLowerCase();
+        }
+    }
+
+    /**
+     * Load a model; format defaults to the URL's extension (pass it for blob: URLs)
+     */
+    async load(url, { format = ModelLoader.detectFormat(url), onProgress = null, manager = null } = {}) {
+        if (!format) {
+            throw new Error(`Unsupported model format: ${url}`);
+        }
+
+        console.log(`📦 Loading ${format.toUpperCase()} model: ${url}`);
+
+        const result = format === 'fbx'
+            ? await this.loadFBX(url, onProgress, manager)
+            : await this.loadGLTF(url, onProgress, format === 'vrm', manager);
+
+        return { ...result, resourcePath: THREE.LoaderUtils.extractUrlBase(url), manager };
+    }
+
+    /**
+     * Load a model from user files (FileList or File[]): the model plus its textures
+     */
+    async loadFiles(files, { onProgress = null } = {}) {
+        const fileList = Array.from(files);
+        const modelFile = fileList.find(file => ModelLoader.detectFormat(file.name));
+        if (!modelFile) {
+            throw new Error('No .fbx, .gltf, .glb or .vrm file found');
+        }
+
+        this.revokeObjectURLs();
+
+        // File name -> blob URL, so "textures/skin.png" or "C:\art\skin.png" finds skin.png
+        const urls = new Map();
+        fileList.forEach(file => {
+            const url = URL.createObjectURL(file);
+            this.objectURLs.push(url);
+            urls.set(file.name.toLowerCase(), url);
+        });
+
+        const manager = new THREE.LoadingManager();
+        manager.setURLModifier(url => urls.get(ModelLoader.fileName(url)) || url);
+
+        const modelURL = urls.get(modelFile.name.toLowerCase());
+        const result = await this.load(modelURL, { format: ModelLoader.detectFormat(modelFile.name), onProgress, manager });
+        return { ...result, name: modelFile.name };
+    }
+
+    /**
+     * Load an FBX file
+     */
+    async loadFBX(url, onProgress, manager = null) {
+        let loader = this.fbxLoader;
+        if (manager) {
+            loader = new THREE.FBXLoader(manager);
+        } else if (!loader) {
+            loader = this.fbxLoader = new THREE.FBXLoader();
+        }
+
+        const object = await loader.loadAsync(url, onProgress);
+        return { scene: object, animations: object.animations, format: 'fbx', unitScale: 0.01, vrm: null };
+    }
+
+    /**
+     * Load a glTF/GLB file, or a VRM (which is a GLB with VRM extensions)
+     */
+    async loadGLTF(url, onProgress, isVRM, manager = null) {
+        const loader = this.getGLTFLoader(manager);
+
+        // Fetch before parsing so the KTX2 transcoder is only set up for files that need it
+        const fileLoader = new THREE.FileLoader(loader.manager);
+        fileLoader.setResponseType('arraybuffer');
+        const data = await fileLoader.loadAsync(url, onProgress);
+
+        if (ModelLoader.usesExtension(data, 'KHR_texture_basisu')) {
+            const ktx2Loader = await this.getKTX2Loader();
+            if (ktx2Loader) {
+                loader.setKTX2Loader(ktx2Loader);
+            }
+        }
+
+        const gltf = await new Promise((resolve, reject) => {
+            loader.parse(data, THREE.LoaderUtils.extractUrlBase(url), resolve, reject);
+        });
+
+        if (!isVRM) {
+            gltf.scene.animations = gltf.animations;
+            return { scene: gltf.scene, animations: gltf.animations, format: 'gltf', unitScale: 1, vrm: null };
+        }
+
+        if (!window.THREE_VRM) {
+            throw new Error('VRM support needs @pixiv/three-vrm (THREE_VRM) to be loaded');
+        }
+
+        THREE_VRM.VRMUtils.removeUnnecessaryJoints(gltf.scene);
+        const vrm = await THREE_VRM.VRM.from(gltf);
+
+        // VRM 0.x characters face -Z; wrap them so the root faces +Z like the other formats
+        const root = new THREE.Group();
+        root.name = vrm.meta && vrm.meta.title ? vrm.meta.title : 'VRM';
+        vrm.scene.rotation.y = Math.PI;
+        root.add(vrm.scene);
+        root.animations = gltf.animations;
+
+        return { scene: root, animations: gltf.animations, format: 'vrm', unitScale: 1, vrm };
+    }
+
+    /**
+     * GLTFLoader with Draco and meshopt support (KTX2 is added per file by loadGLTF)
+     * A loading manager gets its own loader; the decoders are shared
+     */
+    getGLTFLoader(manager = null) {
+        let loader = this.gltfLoader;
+        if (manager) {
+            loader = new THREE.GLTFLoader(manager);
+        } else if (!loader) {
+            loader = this.gltfLoader = new THREE.GLTFLoader();
+        }
+
+        if (THREE.DRACOLoader) {
+            if (!this.dracoLoader) {
+                this.dracoLoader = new THREE.DRACOLoader();
+                this.dracoLoader.setDecoderPath(this.settings.dracoDecoderPath);
+            }
+            loader.setDRACOLoader(this.dracoLoader);
+        }
+
+        if (window.MeshoptDecoder) {
+            loader.setMeshoptDecoder(window.MeshoptDecoder);
+        }
+
+        return loader;
+    }
+
+    /**
+     * Whether a glTF or GLB file lists an extension in extensionsUsed
+     */
+    static usesExtension(data, name) {
+        const bytes = new Uint8Array(data);
+        const decoder = new TextDecoder();
+        let json = bytes;
+
+        // GLB: 12-byte header, then the JSON chunk (length, type, data)
+        if (decoder.decode(bytes.subarray(0, 4)) === 'glTF') {
+            const chunkLength = new DataView(data).getUint32(12, true);
+            json = bytes.subarray(20, 20 + chunkLength);
+        }
+
+        try {
+            const extensionsUsed = JSON.parse(decoder.decode(json)).extensionsUsed || [];
+            return extensionsUsed.includes(name);
+        } catch (error) {
+            return false; // GLTFLoader reports the broken file
+        }
+    }
+
+    /**
+     * KTX2Loader for Basis Universal textures (null if it can't be loaded)
+     */
+    getKTX2Loader() {
+        if (!this.ktx2LoaderPromise) {
+            this.ktx2LoaderPromise = (async () => {
+                try {
+                    const KTX2Loader = THREE.KTX2Loader || (await import(this.settings.ktx2LoaderModule)).KTX2Loader;
+                    this.ktx2Loader = new KTX2Loader();
+                    this.ktx2Loader.setTranscoderPath(this.settings.basisTranscoderPath);
+                    this.ktx2Loader.detectSupport(this.renderer);
+                    return this.ktx2Loader;
+                } catch (error) {
+                    console.warn('📦 KTX2 textures unavailable:', error);
+                    return null;
+                }
+            })();
+        }
+
+        return this.ktx2LoaderPromise;
+    }
+
+    /**
+     * Release blob URLs created for user files
+     */
+    revokeObjectURLs() {
+        this.objectURLs.forEach(url => URL.revokeObjectURL(url));
+        this.objectURLs = [];
+    }
+
+    /**
+     * Free decoder workers and blob URLs
+     */
+    dispose() {
+        this.revokeObjectURLs();
+        if (this.dracoLoader) {
+            this.dracoLoader.dispose();
+        }
+        if (this.ktx2Loader) {
+            this.ktx2Loader.dispose();
+        }
+    }
+}
+
+// File extension -> format
+ModelLoader.EXTENSIONS = {
+    fbx: 'fbx',
+    gltf: 'gltf',
+    glb: 'gltf',
+    vrm: 'vrm'
+};
+
+// Export for use in other modules
+window.ModelLoader = ModelLoader;
@@ -0,0 +1,214 @@
+/**
+ * Phonetic Grapheme-to-Phoneme Engine
+ * Letter-to-sound rules for languages whose spelling follows pronunciation
+ * closely enough that no dictionary is needed: Spanish, and Hindi in
+ * Devanagari or romanised ("baccha"). Rules produce the same ARPAbet
+ * phonemes as GraphemeToPhoneme, so SimpleLipSyncSystem maps them to visemes
+ * unchanged.
+ *
+ * Plugged in per language with SimpleLipSyncSystem.setLanguage().
+ */
+
+class PhoneticG2P extends GraphemeToPhoneme {
+    constructor(language) {
+        super({});
+
+        const rules = PhoneticG2P.RULES[language];
+        if (!rules) {
+            throw new Error(`No spelling rules for language: ${language}`);
+        }
+        this.language = language;
+        this.letterToSoundRules = rules;
+        this.digits = PhoneticG2P.DIGITS[language];
+
+        // Any script's letters and combining marks; Devanagari digits and danda (।) too
+        this.tokenPattern = /([\d०-९]+(?:\.[\d०-९]+)?)|([\p{L}\p{M}']+)|([,;:.!?…—।॥-]+)/giu;
+        this.pauseDurations['।'] = 0.3;
+        this.pauseDurations['॥'] = 0.4;
+    }
+
+    /**
+     * Convert a single word to ARPAbet phonemes
+     */
+    wordToPhonemes(word) {
+        // NFC keeps accented Latin letters whole and splits Devanagari nukta letters (क़ -> क + ़)
+        const letters = word.normalize('NFC').toLowerCase().replace(/[^\p{L}\p{M}\d०-९.]/gu, '').replace(/\.+$/, '');
+        if (!letters) return [];
+
+        if (/^[\d०-९]+(\.[\d०-९]+)?$/.test(letters)) {
+            return this.numberToWords(letters).flatMap(numberWord => this.wordToPhonemes(numberWord));
+        }
+
+        return this.applyRules(letters.replace(/\./g, ''));
+    }
+
+    /**
+     * Read a number digit by digit ("42" -> ["cuatro", "dos"]); close enough for lip shapes
+     */
+    numberToWords(number) {
+        return Array.from(String(number)).map(char => {
+            if (char === '.') return this.digits.point;
+            const devanagari = '०१२३४५६७८९'.indexOf(char);
+            return this.digits.words[devanagari >= 0 ? devanagari : Number(char)];
+        });
+    }
+
+    /**
+     * Rules for Devanagari consonants: the inherent "a" is dropped before a vowel sign
+     * or virama, and at the end of a word (schwa deletion)
+     */
+    static consonantRules(consonants) {
+        return Object.entries(consonants).flatMap(([letter, phoneme]) => [
+            [new RegExp(`${letter}(?=[\\u093E-\\u094D])`, 'y'), [phoneme]],
+            [new RegExp(`(?<=.)${letter}$`, 'y'), [phoneme]],
+            [new RegExp(letter, 'y'), [phoneme, 'AH']]
+        ]);
+    }
+}
+
+// Letter-to-sound rules per language, tried in order (sticky regexes, as in GraphemeToPhoneme)
+PhoneticG2P.RULES = {
+    es: [
+        // Digraphs and context-dependent letters
+        [/ch/y, ['CH']],
+        [/ll/y, ['Y']],
+        [/rr/y, ['R']],
+        [/qu(?=[eéií])/y, ['K']],
+        [/gu(?=[eéií])/y, ['G']],
+        [/gü/y, ['G', 'W']],
+        [/c(?=[eéiíy])/y, ['S']],
+        [/g(?=[eéiíy])/y, ['HH']],
+        [/ñ/y, ['N', 'Y']],
+        [/h/y, []],
+        [/y$/y, ['IY']],
+        [/x/y, ['K', 'S']],
+
+        // Five pure vowels
+        [/[aá]/y, ['AA']],
+        [/[eé]/y, ['EH']],
+        [/[ií]/y, ['IY']],
+        [/[oó]/y, ['OW']],
+        [/[uúü]/y, ['UW']],
+
+        // Single letters
+        [/[bv]/y, ['B']],
+        [/[ckq]/y, ['K']],
+        [/d/y, ['D']],
+        [/f/y, ['F']],
+        [/g/y, ['G']],
+        [/j/y, ['HH']],
+        [/l/y, ['L']],
+        [/m/y, ['M']],
+        [/n/y, ['N']],
+        [/p/y, ['P']],
+        [/r/y, ['R']],
+        [/[sz]/y, ['S']],
+        [/t/y, ['T']],
+        [/w/y, ['W']],
+        [/y/y, ['Y']]
+    ],
+
+    hi: [
+        // Devanagari consonants (nukta forms first, they are two code points after NFC)
+        ...PhoneticG2P.consonantRules({
+            'क़': 'K', 'ख़': 'K', 'ग़': 'G', 'ज़': 'Z',
+            'ड़': 'R', 'ढ़': 'R', 'फ़': 'F', 'य़': 'Y',
+            'क': 'K', 'ख': 'K', 'ग': 'G', 'घ': 'G', 'ङ': 'NG',
+            'च': 'CH', 'छ': 'CH', 'ज': 'JH', 'झ': 'JH', 'ञ': 'N',
+            'ट': 'T', 'ठ': 'T', 'ड': 'D', 'ढ': 'D', 'ण': 'N',
+            'त': 'T', 'थ': 'T', 'द': 'D', 'ध': 'D', 'न': 'N',
+            'प': 'P', 'फ': 'P', 'ब': 'B', 'भ': 'B', 'म': 'M',
+            'य': 'Y', 'र': 'R', 'ल': 'L', 'ळ': 'L', 'व': 'V',
+            'श': 'SH', 'ष': 'SH', 'स': 'S', 'ह': 'HH'
+        }),
+
+        // Independent vowels
+        [/अ/y, ['AH']],
+        [/आ/y, ['AA']],
+        [/इ/y, ['IH']],
+        [/ई/y, ['IY']],
+        [/उ/y, ['UH']],
+        [/ऊ/y, ['UW']],
+        [/ऋ/y, ['R', 'IH']],
+        [/ए/y, ['EY']],
+        [/[ऐऍ]/y, ['AE']],
+        [/ओ/y, ['OW']],
+        [/[औऑ]/y, ['AO']],
+
+        // Vowel signs (matras)
+        [/ा/y, ['AA']],
+        [/ि/y, ['IH']],
+        [/ी/y, ['IY']],
+        [/ु/y, ['UH']],
+        [/ू/y, ['UW']],
+        [/ृ/y, ['R', 'IH']],
+        [/े/y, ['EY']],
+        [/[ैॅ]/y, ['AE']],
+        [/ो/y, ['OW']],
+        [/[ौॉ]/y, ['AO']],
+
+        // Nasals and other marks
+        [/ं(?=[पफबभम])/y, ['M']],
+        [/ं/y, ['N']],
+        [/ः/y, ['HH']],
+        [/[ँ़्]/y, []],
+
+        // Romanised Hindi
+        [/chh/y, ['CH']],
+        [/ch/y, ['CH']],
+        [/kh/y, ['K']],
+        [/gh/y, ['G']],
+        [/jh/y, ['JH']],
+        [/th/y, ['T']],
+        [/dh/y, ['D']],
+        [/ph/y, ['F']],
+        [/bh/y, ['B']],
+        [/sh/y, ['SH']],
+        [/aa/y, ['AA']],
+        [/(ee|ii)/y, ['IY']],
+        [/(oo|uu)/y, ['UW']],
+        [/ai/y, ['AE']],
+        [/au/y, ['AO']],
+        [/(?<=.)a$/y, ['AA']], // Final a is usually long: "baccha", "accha"
+        [/a/y, ['AH']],
+        [/e/y, ['EY']],
+        [/i/y, ['IH']],
+        [/o/y, ['OW']],
+        [/u/y, ['UH']],
+        [/b/y, ['B']],
+        [/c/y, ['CH']],
+        [/d/y, ['D']],
+        [/f/y, ['F']],
+        [/g/y, ['G']],
+        [/h/y, ['HH']],
+        [/j/y, ['JH']],
+        [/[kq]/y, ['K']],
+        [/l/y, ['L']],
+        [/m/y, ['M']],
+        [/n/y, ['N']],
+        [/p/y, ['P']],
+        [/r/y, ['R']],
+        [/s/y, ['S']],
+        [/t/y, ['T']],
+        [/v/y, ['V']],
+        [/w/y, ['W']],
+        [/x/y, ['K', 'S']],
+        [/y/y, ['Y']],
+        [/z/y, ['Z']]
+    ]
+};
+
+// Digit names for reading numbers
+PhoneticG2P.DIGITS = {
+    es: {
+        words: ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve'],
+        point: 'punto'
+    },
+    hi: {
+        words: ['शून्य', 'एक', 'दो', 'तीन', 'चार', 'पाँच', 'छह', 'सात', 'आठ', 'नौ'],
+        point: 'दशमलव'
+    }
+};
+
+// Export for use in other modules
+window.PhoneticG2P = PhoneticG2P;
@@ -0,0 +1,317 @@
+/**
+ * Rig Profiles for Morph Target Remapping
+ * Emotions, visemes and blinks are written with canonical (Character Creator
+ * style) morph names such as Mouth_Smile_L or Jaw_Open. A rig profile maps
+ * those names to the morphs a particular rig actually has, so the same
+ * presets drive ARKit, Character Creator, VRoid/VRM and Oculus viseme rigs.
+ *
+ * The profile is auto-detected from the mesh's morphTargetDictionary and
+ * unmapped canonical names are reported once the model loads.
+ */
+
+class RigProfileMapper {
+    constructor(morphTargetDictionary, profileName = 'auto') {
+        this.source = morphTargetDictionary;
+
+        // Source morph names by normalized name ("blendShape1.eyeBlinkLeft" -> "eyeblinkleft")
+        this.normalized = new Map();
+        Object.entries(morphTargetDictionary).forEach(([name, index]) => {
+            const key = RigProfileMapper.normalize(name);
+            if (!this.normalized.has(key)) {
+                this.normalized.set(key, index);
+            }
+        });
+
+        // Profiles to try, best match first
+        const scores = RigProfileMapper.scoreProfiles(morphTargetDictionary);
+        if (profileName !== 'auto' && !RigProfileMapper.PROFILES[profileName]) {
+            console.warn(`🦴 Unknown rig profile "${profileName}", detecting automatically`);
+            profileName = 'auto';
+        }
+        this.profileName = profileName === 'auto' ?
+            (scores.length > 0 && scores[0].mapped > 0 ? scores[0].name : 'none') :
+            profileName;
+        this.profileOrder = [
+            ...(this.profileName !== 'none' ? [this.profileName] : []),
+            ...scores.filter(score => score.mapped > 0 && score.name !== this.profileName).map(score => score.name)
+        ];
+
+        // Resolved morph indices by name (cached)
+        this.cache = new Map();
+
+        // Canonical and source names -> first morph index, usable like a morphTargetDictionary
+        this.dictionary = { ...morphTargetDictionary };
+        [...RigProfileMapper.CANONICAL, ...Object.keys(RigProfileMapper.ALIASES)].forEach(name => {
+            const indices = this.resolve(name);
+            if (indices.length > 0 && this.dictionary[name] === undefined) {
+                this.dictionary[name] = indices[0];
+            }
+        });
+    }
+
+    /**
+     * Morph target indices driven by a canonical (or source) morph name
+     */
+    resolve(name) {
+        if (this.cache.has(name)) {
+            return this.cache.get(name);
+        }
+
+        let indices = [];
+        if (this.source[name] !== undefined) {
+            // The rig already has this exact morph
+            indices = [this.source[name]];
+        } else if (RigProfileMapper.ALIASES[name]) {
+            // Symmetrical and legacy names expand to canonical names
+            indices = [...new Set(RigProfileMapper.ALIASES[name].flatMap(alias => this.resolve(alias)))];
+        } else {
+            for (const profileName of this.profileOrder) {
+                const index = this.findInProfile(profileName, name);
+                if (index !== undefined) {
+                    indices = [index];
+                    break;
+                }
+            }
+        }
+
+        this.cache.set(name, indices);
+        return indices;
+    }
+
+    /**
+     * Whether a name drives at least one morph on this rig
+     */
+    has(name) {
+        return this.resolve(name).length > 0;
+    }
+
+    /**
+     * Morph index for a canonical name using one profile's candidates
+     */
+    findInProfile(profileName, name) {
+        const candidates = RigProfileMapper.PROFILES[profileName].morphs[name];
+        if (!candidates) return undefined;
+
+        for (const candidate of [].concat(candidates)) {
+            const index = this.normalized.get(RigProfileMapper.normalize(candidate));
+            if (index !== undefined) return index;
+        }
+        return undefined;
+    }
+
+    /**
+     * Which profile was used, which canonical morphs are missing and which rig morphs are never driven
+     */
+    report() {
+        const unmapped = RigProfileMapper.CANONICAL.filter(name => !this.has(name));
+
+        const used = new Set();
+        [...RigProfileMapper.CANONICAL, ...Object.keys(RigProfileMapper.ALIASES)].forEach(name => {
+            this.resolve(name).forEach(index => used.add(index));
+        });
+        const unusedTargets = Object.entries(this.source)
+            .filter(([, index]) => !used.has(index))
+            .map(([name]) => name);
+
+        return {
+            profile: this.profileName,
+            mapped: RigProfileMapper.CANONICAL.length - unmapped.length,
+            total: RigProfileMapper.CANONICAL.length,
+            unmapped,
+            unusedTargets
+        };
+    }
+
+    /**
+     * Log the mapping report
+     */
+    logReport() {
+        const { profile, mapped, total, unmapped, unusedTargets } = this.report();
+        const label = profile === 'none' ? 'none detected' : RigProfileMapper.PROFILES[profile].label;
+
+        console.log(`🦴 Rig profile: ${label} (${mapped}/${total} canonical morphs mapped)`);
+        if (unmapped.length > 0) {
+            console.warn(`🦴 Unmapped canonical morphs: ${unmapped.join(', ')}`);
+        }
+        if (unusedTargets.length > 0) {
+            console.log(`🦴 Rig morphs not driven by any canonical name: ${unusedTargets.join(', ')}`);
+        }
+    }
+
+    /**
+     * Lowercase name without namespace prefix or separators
+     */
+    static normalize(name) {
+        return name.replace(/^.*[.:|]/, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * How many canonical morphs each profile maps on this dictionary, best first
+     */
+    static scoreProfiles(morphTargetDictionary) {
+        const available = new Set(Object.keys(morphTargetDictionary).map(name => RigProfileMapper.normalize(name)));
+
+        return Object.entries(RigProfileMapper.PROFILES)
+            .map(([name, profile]) => {
+                const mapped = Object.values(profile.morphs).filter(candidates =>
+                    [].concat(candidates).some(candidate => available.has(RigProfileMapper.normalize(candidate)))
+                ).length;
+                return { name, mapped };
+            })
+            .sort((a, b) => b.mapped - a.mapped);
+    }
+
+    /**
+     * Best matching profile name for a morphTargetDictionary ('none' when nothing matches)
+     */
+    static detect(morphTargetDictionary) {
+        const [best] = RigProfileMapper.scoreProfiles(morphTargetDictionary);
+        return best && best.mapped > 0 ? best.name : 'none';
+    }
+}
+
+// Canonical morph names (Character Creator naming, ARKit-equivalent coverage)
+RigProfileMapper.CANONICAL = [
+    'Brow_Raise_Inner_L', 'Brow_Raise_Inner_R', 'Brow_Raise_Outer_L', 'Brow_Raise_Outer_R', 'Brow_Drop_L', 'Brow_Drop_R',
+    'Eye_Blink_L', 'Eye_Blink_R', 'Eye_Wide_L', 'Eye_Wide_R', 'Eye_Squint_L', 'Eye_Squint_R',
+    'Eye_L_Look_L', 'Eye_L_Look_R', 'Eye_L_Look_Up', 'Eye_L_Look_Down',
+    'Eye_R_Look_L', 'Eye_R_Look_R', 'Eye_R_Look_Up', 'Eye_R_Look_Down',
+    'Cheek_Raise_L', 'Cheek_Raise_R', 'Cheek_Puff_L', 'Cheek_Puff_R', 'Nose_Sneer_L', 'Nose_Sneer_R',
+    'Jaw_Open', 'Jaw_Forward', 'Jaw_L', 'Jaw_R',
+    'Mouth_Close', 'Mouth_Funnel', 'Mouth_Pucker', 'Mouth_L', 'Mouth_R',
+    'Mouth_Smile_L', 'Mouth_Smile_R', 'Mouth_Frown_L', 'Mouth_Frown_R', 'Mouth_Dimple_L', 'Mouth_Dimple_R',
+    'Mouth_Stretch_L', 'Mouth_Stretch_R', 'Mouth_Press_L', 'Mouth_Press_R',
+    'Mouth_Roll_In_Upper', 'Mouth_Roll_In_Lower', 'Mouth_Shrug_Upper', 'Mouth_Shrug_Lower',
+    'Mouth_Up_Upper_L', 'Mouth_Up_Upper_R', 'Mouth_Down_Lower_L', 'Mouth_Down_Lower_R'
+];
+
+// Symmetrical and legacy names used by the lip-sync system -> canonical names
+RigProfileMapper.ALIASES = {
+    'Mouth_Smile': ['Mouth_Smile_L', 'Mouth_Smile_R'],
+    'Mouth_Frown': ['Mouth_Frown_L', 'Mouth_Frown_R'],
+    'Mouth_Stretch': ['Mouth_Stretch_L', 'Mouth_Stretch_R'],
+    'Mouth_Press': ['Mouth_Press_L', 'Mouth_Press_R'],
+    'Mouth_Dimple': ['Mouth_Dimple_L', 'Mouth_Dimple_R'],
+    'Mouth_Left': ['Mouth_L'],
+    'Mouth_Right': ['Mouth_R'],
+    'Brow_Inner_Up': ['Brow_Raise_Inner_L', 'Brow_Raise_Inner_R'],
+    'Brow_Down_L': ['Brow_Drop_L'],
+    'Brow_Down_R': ['Brow_Drop_R'],
+    'Brow_Outer_Up_L': ['Brow_Raise_Outer_L'],
+    'Brow_Outer_Up_R': ['Brow_Raise_Outer_R']
+};
+
+// Profiles: canonical name -> rig morph name (or candidate names, first found wins)
+RigProfileMapper.PROFILES = {
+    'character-creator': {
+        label: 'Character Creator',
+        morphs: Object.fromEntries(RigProfileMapper.CANONICAL.map(name => [name, name]))
+    },
+    'arkit': {
+        label: 'ARKit 52',
+        morphs: {
+            'Brow_Raise_Inner_L': 'browInnerUp',
+            'Brow_Raise_Inner_R': 'browInnerUp',
+            'Brow_Raise_Outer_L': 'browOuterUpLeft',
+            'Brow_Raise_Outer_R': 'browOuterUpRight',
+            'Brow_Drop_L': 'browDownLeft',
+            'Brow_Drop_R': 'browDownRight',
+            'Eye_Blink_L': 'eyeBlinkLeft',
+            'Eye_Blink_R': 'eyeBlinkRight',
+            'Eye_Wide_L': 'eyeWideLeft',
+            'Eye_Wide_R': 'eyeWideRight',
+            'Eye_Squint_L': 'eyeSquintLeft',
+            'Eye_Squint_R': 'eyeSquintRight',
+            'Eye_L_Look_L': 'eyeLookOutLeft',
+            'Eye_L_Look_R': 'eyeLookInLeft',
+            'Eye_L_Look_Up': 'eyeLookUpLeft',
+            'Eye_L_Look_Down': 'eyeLookDownLeft',
+            'Eye_R_Look_L': 'eyeLookInRight',
+            'Eye_R_Look_R': 'eyeLookOutRight',
+            'Eye_R_Look_Up': 'eyeLookUpRight',
+            'Eye_R_Look_Down': 'eyeLookDownRight',
+            'Cheek_Raise_L': 'cheekSquintLeft',
+            'Cheek_Raise_R': 'cheekSquintRight',
+            'Cheek_Puff_L': 'cheekPuff',
+            'Cheek_Puff_R': 'cheekPuff',
+            'Nose_Sneer_L': 'noseSneerLeft',
+            'Nose_Sneer_R': 'noseSneerRight',
+            'Jaw_Open': 'jawOpen',
+            'Jaw_Forward': 'jawForward',
+            'Jaw_L': 'jawLeft',
+            'Jaw_R': 'jawRight',
+            'Mouth_Close': 'mouthClose',
+            'Mouth_Funnel': 'mouthFunnel',
+            'Mouth_Pucker': 'mouthPucker',
+            'Mouth_L': 'mouthLeft',
+            'Mouth_R': 'mouthRight',
+            'Mouth_Smile_L': 'mouthSmileLeft',
+            'Mouth_Smile_R': 'mouthSmileRight',
+            'Mouth_Frown_L': 'mouthFrownLeft',
+            'Mouth_Frown_R': 'mouthFrownRight',
+            'Mouth_Dimple_L': 'mouthDimpleLeft',
+            'Mouth_Dimple_R': 'mouthDimpleRight',
+            'Mouth_Stretch_L': 'mouthStretchLeft',
+            'Mouth_Stretch_R': 'mouthStretchRight',
+            'Mouth_Press_L': 'mouthPressLeft',
+            'Mouth_Press_R': 'mouthPressRight',
+            'Mouth_Roll_In_Upper': 'mouthRollUpper',
+            'Mouth_Roll_In_Lower': 'mouthRollLower',
+            'Mouth_Shrug_Upper': 'mouthShrugUpper',
+            'Mouth_Shrug_Lower': 'mouthShrugLower',
+            'Mouth_Up_Upper_L': 'mouthUpperUpLeft',
+            'Mouth_Up_Upper_R': 'mouthUpperUpRight',
+            'Mouth_Down_Lower_L': 'mouthLowerDownLeft',
+            'Mouth_Down_Lower_R': 'mouthLowerDownRight'
+        }
+    },
+    'vrm': {
+        label: 'VRoid / VRM',
+        morphs: {
+            'Brow_Raise_Inner_L': ['Fcl_BRW_Sorrow', 'Sorrow'],
+            'Brow_Raise_Inner_R': ['Fcl_BRW_Sorrow', 'Sorrow'],
+            'Brow_Raise_Outer_L': ['Fcl_BRW_Surprised', 'Surprised'],
+            'Brow_Raise_Outer_R': ['Fcl_BRW_Surprised', 'Surprised'],
+            'Brow_Drop_L': ['Fcl_BRW_Angry', 'Angry'],
+            'Brow_Drop_R': ['Fcl_BRW_Angry', 'Angry'],
+            'Eye_Blink_L': ['Fcl_EYE_Close_L', 'Blink_L'],
+            'Eye_Blink_R': ['Fcl_EYE_Close_R', 'Blink_R'],
+            'Eye_Wide_L': 'Fcl_EYE_Surprised',
+            'Eye_Wide_R': 'Fcl_EYE_Surprised',
+            'Eye_Squint_L': 'Fcl_EYE_Joy_L',
+            'Eye_Squint_R': 'Fcl_EYE_Joy_R',
+            'Jaw_Open': ['Fcl_MTH_A', 'A'],
+            'Mouth_Close': 'Fcl_MTH_Close',
+            'Mouth_Funnel': ['Fcl_MTH_U', 'U'],
+            'Mouth_Pucker': ['Fcl_MTH_O', 'O'],
+            'Mouth_Smile_L': ['Fcl_MTH_Fun', 'Fcl_MTH_Joy', 'Joy'],
+            'Mouth_Smile_R': ['Fcl_MTH_Fun', 'Fcl_MTH_Joy', 'Joy'],
+            'Mouth_Frown_L': 'Fcl_MTH_Sorrow',
+            'Mouth_Frown_R': 'Fcl_MTH_Sorrow',
+            'Mouth_Stretch_L': ['Fcl_MTH_E', 'E'],
+            'Mouth_Stretch_R': ['Fcl_MTH_E', 'E'],
+            'Mouth_Press_L': 'Fcl_MTH_Close',
+            'Mouth_Press_R': 'Fcl_MTH_Close',
+            'Mouth_Shrug_Upper': 'Fcl_MTH_Up',
+            'Mouth_Shrug_Lower': 'Fcl_MTH_Down'
+        }
+    },
+    'oculus': {
+        label: 'Oculus visemes',
+        morphs: {
+            'Jaw_Open': 'viseme_aa',
+            'Mouth_Close': 'viseme_PP',
+            'Mouth_Funnel': 'viseme_U',
+            'Mouth_Pucker': 'viseme_O',
+            'Mouth_Smile_L': 'viseme_I',
+            'Mouth_Smile_R': 'viseme_I',
+            'Mouth_Stretch_L': 'viseme_E',
+            'Mouth_Stretch_R': 'viseme_E',
+            'Mouth_Press_L': 'viseme_FF',
+            'Mouth_Press_R': 'viseme_FF'
+        }
+    }
+};
+
+// Export for use in other modules
+window.RigProfileMapper = RigProfileMapper;
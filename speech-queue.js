@@ -0,0 +1,124 @@
+/**
+ * Speech Queue
+ * Splits streamed reply text into sentences and speaks them one after
+ * another as soon as each is complete, so the baby starts talking before
+ * the whole reply has arrived.
+ *
+ * - push(text): add streamed text
+ * - end(): the reply is complete (the rest is spoken even without punctuation)
+ * - cancel(): drop everything not spoken yet
+ *
+ * finished resolves once every sentence has been spoken, or on cancel.
+ */
+
+class SpeechQueue {
+    /**
+     * speak(sentence) plays one sentence and resolves when it is done
+     */
+    constructor(speak, options = {}) {
+        this.speak = speak;
+        this.settings = {
+            minSentenceLength: 12, // Short sentences ("Oh!") are joined to the next one
+            ...options
+        };
+
+        this.buffer = '';
+        this.sentences = [];
+        this.spoken = [];
+        this.isSpeaking = false;
+        this.isEnded = false;
+        this.isCancelled = false;
+
+        this.finished = new Promise((resolve) => {
+            this.resolveFinished = resolve;
+        });
+    }
+
+    /**
+     * Add streamed text; complete sentences are queued for speaking
+     */
+    push(text) {
+        if (this.isCancelled || this.isEnded) return;
+
+        const { sentences, rest } = SpeechQueue.splitSentences(this.buffer + text, this.settings.minSentenceLength);
+        this.buffer = rest;
+        this.sentences.push(...sentences);
+        this.next();
+    }
+
+    /**
+     * Mark the reply complete and queue whatever text is left
+     */
+    end() {
+        if (this.isCancelled || this.isEnded) return;
+
+        this.isEnded = true;
+        const rest = this.buffer.trim();
+        this.buffer = '';
+        if (rest) {
+            this.sentences.push(rest);
+        }
+        this.next();
+    }
+
+    /**
+     * Stop queueing and resolve finished (the sentence being spoken is left to the caller to stop)
+     */
+    cancel() {
+        this.isCancelled = true;
+        this.sentences = [];
+        this.buffer = '';
+        this.resolveFinished();
+    }
+
+    /**
+     * Speak the next queued sentence unless one is already playing
+     */
+    async next() {
+        if (this.isSpeaking || this.isCancelled) return;
+
+        if (this.sentences.length === 0) {
+            if (this.isEnded) {
+                this.resolveFinished();
+            }
+            return;
+        }
+
+        const sentence = this.sentences.shift();
+        this.isSpeaking = true;
+        try {
+            await this.speak(sentence);
+            this.spoken.push(sentence);
+        } catch (error) {
+            console.warn('🎤 Could not speak sentence:', error);
+        } finally {
+            this.isSpeaking = false;
+        }
+        this.next();
+    }
+
+    /**
+     * Complete sentences at the start of text, plus the unfinished rest
+     * A sentence ends at . ! ? … or the Devanagari danda (। ॥) followed by whitespace, or at a line break
+     */
+    static splitSentences(text, minLength = 0) {
+        const sentences = [];
+        const boundary = /[.!?…।॥]+["'’”)\]]*\s+|\n+/g;
+        let start = 0;
+        let match;
+
+        while ((match = boundary.exec(text)) !== null) {
+            const end = match.index + match[0].length;
+            const sentence = text.slice(start, end).trim();
+            if (sentence.length >= Math.max(1, minLength)) {
+                sentences.push(sentence);
+                start = end;
+            }
+        }
+
+        return { sentences, rest: text.slice(start) };
+    }
+}
+
+// Export for use in other modules
+window.SpeechQueue = SpeechQueue;
@@ -0,0 +1,466 @@
+/**
+ * Speech Recognizers
+ * Interchangeable speech-to-text engines behind one small interface, so the
+ * app works the same whether the browser recognises speech itself or audio
+ * is transcribed by a local model.
+ *
+ * - start() / stop(): stop() still delivers what was already said
+ * - settings.lang ('en-US') and settings.continuous (keep listening after a result)
+ * - callbacks: onstart(), onresult(transcript, isFinal), onerror({ error, message }), onend()
+ *
+ * Error codes follow the Web Speech API ('no-speech', 'not-allowed', 'network', ...).
+ * Recognizers are created by name with SpeechRecognizer.create(type, options),
+ * see SpeechRecognizer.TYPES.
+ */
+
+class SpeechRecognizer {
+    constructor(options = {}) {
+        this.settings = {
+            lang: 'en-US',
+            continuous: false,
+            ...options
+        };
+
+        this.isListening = false;
+
+        this.onstart = null;
+        this.onresult = null;
+        this.onerror = null;
+        this.onend = null;
+    }
+
+    /**
+     * Recognizer by type name ('web' or 'local')
+     */
+    static create(type, options = {}) {
+        const Recognizer = SpeechRecognizer.TYPES[type];
+        if (!Recognizer) {
+            throw new Error(`Unknown speech recognizer: ${type}`);
+        }
+        return new Recognizer(options);
+    }
+
+    /**
+     * Start listening (implemented by each recognizer)
+     */
+    async start() {
+        throw new Error(`${this.constructor.name} does not implement start()`);
+    }
+
+    /**
+     * Stop listening, delivering any final result before onend
+     */
+    stop() {
+        throw new Error(`${this.constructor.name} does not implement stop()`);
+    }
+
+    /**
+     * Call the on<name> callback if one is set
+     */
+    emit(name, ...args) {
+        const callback = this[`on${name}`];
+        if (callback) {
+            callback(...args);
+        }
+    }
+}
+
+/**
+ * The browser's Web Speech API (Chrome, Edge and Safari; Chrome sends audio to a server)
+ */
+class WebSpeechRecognizer extends SpeechRecognizer {
+    constructor(options = {}) {
+        super(options);
+
+        this.recognition = null;
+        if (WebSpeechRecognizer.isSupported()) {
+            const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+            this.recognition = new Recognition();
+            this.recognition.interimResults = true;
+            this.recognition.maxAlternatives = 1;
+
+            this.recognition.onstart = () => {
+                this.isListening = true;
+                this.emit('start');
+            };
+
+            this.recognition.onresult = (event) => {
+                let finalTranscript = '';
+                let interimTranscript = '';
+
+                for (let i = event.resultIndex; i < event.results.length; i++) {
+                    const transcript = event.results[i][0].transcript;
+                    if (event.results[i].isFinal) {
+                        finalTranscript += transcript;
+                    } else {
+                        interimTranscript += transcript;
+                    }
+                }
+
+                if (interimTranscript) {
+                    this.emit('result', interimTranscript, false);
+                }
+                if (finalTranscript) {
+                    this.emit('result', finalTranscript, true);
+                }
+            };
+
+            this.recognition.onerror = (event) => {
+                this.emit('error', { error: event.error, message: event.message || event.error });
+            };
+
+            this.recognition.onend = () => {
+                this.isListening = false;
+                this.emit('end');
+            };
+        }
+    }
+
+    async start() {
+        if (!this.recognition) {
+            throw new Error('Speech recognition not supported in this browser');
+        }
+
+        // Settings can change between sessions (hands-free, language)
+        this.recognition.continuous = this.settings.continuous;
+        this.recognition.lang = this.settings.lang;
+        this.recognition.start();
+    }
+
+    stop() {
+        if (this.recognition) {
+            this.recognition.stop();
+        }
+    }
+
+    static isSupported() {
+        return 'SpeechRecognition' in window || 'webkitSpeechRecognition' in window;
+    }
+}
+
+/**
+ * Microphone audio transcribed by a local speech-to-text server
+ *
+ * Audio from getUserMedia is split into utterances by a VoiceActivityDetector,
+ * converted to 16 kHz WAV and posted as multipart form data (file, language,
+ * response_format and optionally model) to the endpoint, which answers { text }.
+ * That is the request the whisper.cpp server (/inference) and OpenAI-style
+ * /v1/audio/transcriptions servers (faster-whisper, LocalAI, ...) accept.
+ * While someone is talking the utterance so far is transcribed every
+ * interimInterval seconds for interim results.
+ */
+class LocalSpeechRecognizer extends SpeechRecognizer {
+    constructor(options = {}) {
+        super({
+            endpoint: 'http://localhost:8080/inference',
+            model: '',
+            scheduler: null,          // AnimationScheduler driving voice activity detection
+            getAudioContext: null,    // async () => AudioContext
+            sampleRate: 16000,        // Rate of the uploaded audio
+            bufferSize: 4096,         // Samples per captured chunk
+            preRoll: 0.4,             // Seconds of audio kept from before speech was detected
+            interimInterval: 1.5,     // Seconds between interim transcriptions (0 turns them off)
+            maxUtterance: 20,         // Seconds before a long utterance is cut and transcribed
+            noSpeechTimeout: 8,       // Seconds without speech before giving up (unless continuous)
+            timeout: 15000,           // Milliseconds before a transcription request is abandoned
+            ...options
+        });
+
+        this.stream = null;
+        this.source = null;
+        this.processor = null;
+        this.voiceActivity = null;
+        this.sourceRate = 0;
+        this.noSpeechTimer = null;
+
+        this.preRollChunks = [];
+        this.utterance = null;            // { chunks, length, interimAt, isFinal }
+        this.pending = Promise.resolve(); // Final transcriptions, in order
+    }
+
+    async start() {
+        if (this.isListening) return;
+        this.isListening = true;
+
+        try {
+            const audioContext = await this.settings.getAudioContext();
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+            });
+
+            // Capture raw samples (the output stays silent)
+            this.sourceRate = audioContext.sampleRate;
+            this.source = audioContext.createMediaStreamSource(this.stream);
+            this.processor = audioContext.createScriptProcessor(this.settings.bufferSize, 1, 1);
+            this.processor.onaudioprocess = (event) => this.capture(event.inputBuffer.getChannelData(0));
+            this.source.connect(this.processor);
+            this.processor.connect(audioContext.destination);
+
+            this.voiceActivity = new VoiceActivityDetector(this.settings.scheduler, {
+                onSpeechStart: () => this.beginUtterance(),
+                onSpeechEnd: () => this.finishUtterance()
+            });
+            await this.voiceActivity.start(audioContext, this.stream);
+        } catch (error) {
+            console.warn('🎙️ Local speech recognition could not open the microphone:', error);
+            this.release();
+            this.isListening = false;
+            this.emit('error', {
+                error: error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture',
+                message: error.message
+            });
+            this.emit('end');
+            return;
+        }
+
+        if (!this.settings.continuous) {
+            this.noSpeechTimer = setTimeout(() => {
+                this.emit('error', { error: 'no-speech', message: 'No speech was detected' });
+                this.stop();
+            }, this.settings.noSpeechTimeout * 1000);
+        }
+
+        this.emit('start');
+    }
+
+    async stop() {
+        if (!this.isListening) return;
+        this.isListening = false;
+
+        // Whatever was being said still gets transcribed
+        if (this.utterance) {
+            this.queueFinal(this.utterance);
+            this.utterance = null;
+        }
+        this.release();
+
+        await this.pending;
+        this.emit('end');
+    }
+
+    /**
+     * Close the audio graph and the microphone
+     */
+    release() {
+        clearTimeout(this.noSpeechTimer);
+        this.noSpeechTimer = null;
+
+        if (this.voiceActivity) {
+            this.voiceActivity.stop();
+            this.voiceActivity = null;
+        }
+        if (this.processor) {
+            this.processor.onaudioprocess = null;
+            this.processor.disconnect();
+            this.processor = null;
+        }
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.preRollChunks = [];
+    }
+
+    /**
+     * Keep a captured chunk: in the utterance while speaking, otherwise as pre-roll
+     */
+    capture(samples) {
+        const chunk = new Float32Array(samples);
+
+        if (!this.utterance) {
+            this.preRollChunks.push(chunk);
+            const keep = Math.ceil(this.settings.preRoll * this.sourceRate / chunk.length);
+            if (this.preRollChunks.length > keep) {
+                this.preRollChunks.splice(0, this.preRollChunks.length - keep);
+            }
+            return;
+        }
+
+        const utterance = this.utterance;
+        utterance.chunks.push(chunk);
+        utterance.length += chunk.length;
+
+        if (utterance.length >= this.settings.maxUtterance * this.sourceRate) {
+            this.finishUtterance();
+        } else if (this.settings.interimInterval > 0 &&
+            utterance.length - utterance.interimAt >= this.settings.interimInterval * this.sourceRate) {
+            this.transcribeInterim(utterance);
+        }
+    }
+
+    /**
+     * Speech started: the utterance opens with the pre-roll so the first syllable isn't lost
+     */
+    beginUtterance() {
+        if (!this.isListening || this.utterance) return;
+
+        clearTimeout(this.noSpeechTimer);
+        const chunks = this.preRollChunks;
+        this.preRollChunks = [];
+        this.utterance = {
+            chunks,
+            length: chunks.reduce((sum, chunk) => sum + chunk.length, 0),
+            interimAt: 0,
+            isFinal: false
+        };
+    }
+
+    /**
+     * Speech ended (or ran too long): transcribe it, and stop unless continuous
+     */
+    finishUtterance() {
+        if (!this.utterance) return;
+
+        this.queueFinal(this.utterance);
+        this.utterance = null;
+
+        if (!this.settings.continuous) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Transcribe the utterance so far; skipped while another interim request is out
+     */
+    async transcribeInterim(utterance) {
+        if (utterance.interimPending) return;
+        utterance.interimPending = true;
+        utterance.interimAt = utterance.length;
+
+        try {
+            const text = await this.transcribe(utterance);
+            // A late interim must not overwrite the final result
+            if (text && !utterance.isFinal) {
+                this.emit('result', text, false);
+            }
+        } catch (error) {
+            console.warn('🎙️ Interim transcription failed:', error);
+        } finally {
+            utterance.interimPending = false;
+        }
+    }
+
+    /**
+     * Transcribe a finished utterance after the ones before it
+     */
+    queueFinal(utterance) {
+        utterance.isFinal = true;
+        this.pending = this.pending.then(async () => {
+            try {
+                const text = await this.transcribe(utterance);
+                if (text) {
+                    this.emit('result', text, true);
+                }
+            } catch (error) {
+                console.warn('🎙️ Transcription failed:', error);
+                this.emit('error', { error: 'network', message: error.message });
+            }
+        });
+    }
+
+    /**
+     * Send the utterance audio to the endpoint and return the recognised text
+     */
+    async transcribe(utterance) {
+        const samples = new Float32Array(utterance.length);
+        let offset = 0;
+        utterance.chunks.forEach(chunk => {
+            samples.set(chunk.subarray(0, utterance.length - offset), offset);
+            offset += chunk.length;
+        });
+
+        const form = new FormData();
+        const wav = LocalSpeechRecognizer.encodeWAV(samples, this.sourceRate, this.settings.sampleRate);
+        form.append('file', new Blob([wav], { type: 'audio/wav' }), 'speech.wav');
+        form.append('language', this.settings.lang.split('-')[0]);
+        form.append('response_format', 'json');
+        if (this.settings.model) {
+            form.append('model', this.settings.model);
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.settings.timeout);
+        try {
+            const response = await fetch(this.settings.endpoint, {
+                method: 'POST',
+                body: form,
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`${this.settings.endpoint} responded ${response.status} ${response.statusText}`);
+            }
+            const data = await response.json();
+            return LocalSpeechRecognizer.cleanTranscript(data.text || '');
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Remove the non-speech tags Whisper adds ([BLANK_AUDIO], [Music], ...)
+     */
+    static cleanTranscript(text) {
+        return text.replace(/\[[^\]]*\]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * 16-bit mono WAV of the samples, resampled from sourceRate to targetRate
+     */
+    static encodeWAV(samples, sourceRate, targetRate = sourceRate) {
+        const step = sourceRate / targetRate;
+        const length = Math.floor(samples.length / step);
+        const buffer = new ArrayBuffer(44 + length * 2);
+        const view = new DataView(buffer);
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + length * 2, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);           // Format chunk size
+        view.setUint16(20, 1, true);            // PCM
+        view.setUint16(22, 1, true);            // Mono
+        view.setUint32(24, targetRate, true);
+        view.setUint32(28, targetRate * 2, true);
+        view.setUint16(32, 2, true);            // Bytes per frame
+        view.setUint16(34, 16, true);           // Bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, length * 2, true);
+
+        // Linear interpolation is enough for speech going down to 16 kHz
+        for (let i = 0; i < length; i++) {
+            const position = i * step;
+            const index = Math.floor(position);
+            const next = Math.min(index + 1, samples.length - 1);
+            const value = samples[index] + (samples[next] - samples[index]) * (position - index);
+            const clamped = Math.max(-1, Math.min(1, value));
+            view.setInt16(44 + i * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF, true);
+        }
+
+        return buffer;
+    }
+
+    static isSupported() {
+        return Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+}
+
+// Recognizer type name -> class
+SpeechRecognizer.TYPES = {
+    web: WebSpeechRecognizer,
+    local: LocalSpeechRecognizer
+};
+
+// Export for use in other modules
+window.SpeechRecognizer = SpeechRecognizer;
+window.WebSpeechRecognizer = WebSpeechRecognizer;
+window.LocalSpeechRecognizer = LocalSpeechRecognizer;
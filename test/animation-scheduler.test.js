@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+loadScripts('animation-scheduler.js');
+
+test('tween reports eased progress each frame and completes once', () => {
+    const scheduler = new AnimationScheduler();
+    const updates = [];
+    let completions = 0;
+
+    scheduler.tween({
+        duration: 1,
+        easing: t => t * t,
+        onUpdate: (value, progress) => updates.push([value, progress]),
+        onComplete: () => completions++
+    });
+
+    scheduler.update(0.25);
+    scheduler.update(0.25);
+    assert.deepStrictEqual(updates, [[0.0625, 0.25], [0.25, 0.5]]);
+    assert.strictEqual(completions, 0);
+
+    scheduler.update(0.75);
+    assert.deepStrictEqual(updates[2], [1, 1]);
+    assert.strictEqual(completions, 1);
+
+    scheduler.update(0.25);
+    assert.strictEqual(updates.length, 3);
+    assert.strictEqual(completions, 1);
+    assert.strictEqual(scheduler.entries.length, 0);
+});
+
+test('a zero-length tween jumps straight to the end', () => {
+    const scheduler = new AnimationScheduler();
+    const updates = [];
+
+    scheduler.tween({ duration: 0, onUpdate: value => updates.push(value) });
+    scheduler.update(1 / 60);
+
+    assert.deepStrictEqual(updates, [1]);
+});
+
+test('a keyed tween replaces the running tween with the same key', () => {
+    const scheduler = new AnimationScheduler();
+    const first = [];
+    const second = [];
+
+    scheduler.tween({ duration: 1, key: 'blink', onUpdate: value => first.push(value) });
+    scheduler.update(0.5);
+    scheduler.tween({ duration: 1, key: 'blink', onUpdate: value => second.push(value) });
+    scheduler.update(0.5);
+
+    assert.deepStrictEqual(first, [0.5]);
+    assert.deepStrictEqual(second, [0.5]);
+});
+
+test('delay fires once when its time is reached', () => {
+    const scheduler = new AnimationScheduler();
+    const calls = [];
+
+    scheduler.delay(0.5, () => calls.push(scheduler.time));
+
+    scheduler.update(0.3);
+    assert.deepStrictEqual(calls, []);
+
+    scheduler.update(0.3);
+    assert.strictEqual(calls.length, 1);
+    assert.ok(Math.abs(calls[0] - 0.6) < 1e-9);
+
+    scheduler.update(1);
+    assert.strictEqual(calls.length, 1);
+});
+
+test('tasks run with (delta, time) until they return false', () => {
+    const scheduler = new AnimationScheduler();
+    const calls = [];
+
+    scheduler.addTask((delta, time) => {
+        calls.push([delta, time]);
+        return calls.length < 2;
+    });
+
+    scheduler.update(0.5);
+    scheduler.update(0.5);
+    scheduler.update(0.5);
+
+    assert.deepStrictEqual(calls, [[0.5, 0.5], [0.5, 1]]);
+});
+
+test('entries added during an update start on the next frame', () => {
+    const scheduler = new AnimationScheduler();
+    let inner = 0;
+
+    scheduler.delay(0, () => scheduler.addTask(() => { inner++; }));
+
+    scheduler.update(0.1);
+    assert.strictEqual(inner, 0);
+
+    scheduler.update(0.1);
+    assert.strictEqual(inner, 1);
+});
+
+test('cancel by key stops tweens, tasks and delays with that key', () => {
+    const scheduler = new AnimationScheduler();
+    let calls = 0;
+
+    scheduler.tween({ duration: 1, key: 'speech', onUpdate: () => calls++ });
+    scheduler.addTask(() => { calls++; }, 'speech');
+    scheduler.delay(0.1, () => calls++, 'speech');
+    scheduler.addTask(() => { calls++; }, 'other');
+    assert.strictEqual(scheduler.isActive('speech'), true);
+
+    scheduler.cancel('speech');
+    assert.strictEqual(scheduler.isActive('speech'), false);
+
+    scheduler.update(0.5);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(scheduler.isActive('other'), true);
+});
+
+test('cancel by handle stops only that entry', () => {
+    const scheduler = new AnimationScheduler();
+    const fired = [];
+
+    const first = scheduler.delay(0.1, () => fired.push('first'));
+    scheduler.delay(0.1, () => fired.push('second'));
+
+    first.cancel();
+    scheduler.update(0.2);
+
+    assert.deepStrictEqual(fired, ['second']);
+
+    const task = scheduler.addTask(() => fired.push('task'));
+    scheduler.cancel(task);
+    scheduler.update(0.1);
+    assert.deepStrictEqual(fired, ['second']);
+});
+
+test('pause freezes time and resume carries on where it stopped', () => {
+    const scheduler = new AnimationScheduler();
+    const values = [];
+    let fired = false;
+
+    scheduler.tween({ duration: 1, onUpdate: value => values.push(value) });
+    scheduler.delay(0.75, () => { fired = true; });
+
+    scheduler.update(0.5);
+    scheduler.pause();
+    scheduler.update(10);
+    assert.strictEqual(scheduler.time, 0.5);
+    assert.deepStrictEqual(values, [0.5]);
+    assert.strictEqual(fired, false);
+
+    scheduler.resume();
+    scheduler.update(0.25);
+    assert.deepStrictEqual(values, [0.5, 0.75]);
+    assert.strictEqual(fired, true);
+});
+
+test('update ignores non-positive deltas', () => {
+    const scheduler = new AnimationScheduler();
+    let calls = 0;
+
+    scheduler.addTask(() => { calls++; });
+    scheduler.update(0);
+    scheduler.update(-1);
+
+    assert.strictEqual(scheduler.time, 0);
+    assert.strictEqual(calls, 0);
+});
+
+test('clear cancels everything', () => {
+    const scheduler = new AnimationScheduler();
+    let calls = 0;
+
+    scheduler.addTask(() => { calls++; }, 'a');
+    scheduler.delay(0, () => calls++);
+    scheduler.clear();
+    scheduler.update(1);
+
+    assert.strictEqual(calls, 0);
+    assert.strictEqual(scheduler.isActive('a'), false);
+});
@@ -0,0 +1,221 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { loadScripts } = require('./helpers');
+
+loadScripts('conversation-backend.js');
+
+/**
+ * Local HTTP stub: records each request and answers with the test's handler
+ */
+async function startServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+            requests.push(request);
+            handler(request, res);
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/reply`;
+    const close = () => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    };
+    return { url, requests, close };
+}
+
+function sendJSON(res, data, status = 200) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+const context = [
+    { role: 'user', content: 'hello' },
+    { role: 'assistant', content: 'hi!' }
+];
+
+test('PixoraBackend posts the text and context and returns text, audio and emotion', async (t) => {
+    const server = await startServer((request, res) => sendJSON(res, {
+        textContent: ' Goo goo! ',
+        audioUrl: 'https://example.com/reply.mp3',
+        emotion: 'happy'
+    }));
+    t.after(server.close);
+
+    const backend = new PixoraBackend({ endpoint: server.url });
+    const reply = await backend.generate('how are you?', context);
+
+    assert.strictEqual(server.requests.length, 1);
+    assert.strictEqual(server.requests[0].method, 'POST');
+    assert.strictEqual(server.requests[0].headers['content-type'], 'application/json');
+    assert.deepStrictEqual(server.requests[0].body, { context, text: 'how are you?' });
+    assert.deepStrictEqual(reply, { textContent: 'Goo goo!', audioUrl: 'https://example.com/reply.mp3', emotion: 'happy' });
+});
+
+test('OpenAIBackend sends chat messages with the system prompt and API key', async (t) => {
+    const server = await startServer((request, res) => sendJSON(res, {
+        choices: [{ message: { role: 'assistant', content: '[happy] Yay!' } }]
+    }));
+    t.after(server.close);
+
+    const backend = new OpenAIBackend({ endpoint: server.url, apiKey: 'secret', model: 'test-model', language: 'es' });
+    const reply = await backend.generate('play?', context);
+
+    const { headers, body } = server.requests[0];
+    assert.strictEqual(headers.authorization, 'Bearer secret');
+    assert.deepStrictEqual(body, {
+        model: 'test-model',
+        messages: [
+            { role: 'system', content: `${ConversationBackend.SYSTEM_PROMPT} ${ConversationBackend.LANGUAGE_PROMPTS.es}` },
+            ...context,
+            { role: 'user', content: 'play?' }
+        ],
+        temperature: 0.8,
+        max_tokens: 150
+    });
+    assert.deepStrictEqual(reply, { textContent: '[happy] Yay!', audioUrl: null, emotion: null });
+});
+
+test('OpenAIBackend streams server-sent events through onText', async (t) => {
+    const server = await startServer((request, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        ['Hel', 'lo ', 'there'].forEach(content => {
+            res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+        });
+        res.end('data: [DONE]\n\n');
+    });
+    t.after(server.close);
+
+    const deltas = [];
+    const backend = new OpenAIBackend({ endpoint: server.url });
+    const reply = await backend.generate('hi', [], { onText: delta => deltas.push(delta) });
+
+    assert.strictEqual(server.requests[0].body.stream, true);
+    assert.strictEqual(server.requests[0].headers.authorization, undefined);
+    assert.deepStrictEqual(deltas, ['Hel', 'lo ', 'there']);
+    assert.deepStrictEqual(reply, { textContent: 'Hello there', audioUrl: null, emotion: null });
+});
+
+test('LocalBackend posts an Ollama chat request and reads the message', async (t) => {
+    const server = await startServer((request, res) => sendJSON(res, {
+        message: { role: 'assistant', content: 'Ba ba!' },
+        done: true
+    }));
+    t.after(server.close);
+
+    const backend = new LocalBackend({ endpoint: server.url, model: 'tiny', systemPrompt: '' });
+    const reply = await backend.generate('say something', context);
+
+    assert.deepStrictEqual(server.requests[0].body, {
+        model: 'tiny',
+        messages: [...context, { role: 'user', content: 'say something' }],
+        stream: false
+    });
+    assert.deepStrictEqual(reply, { textContent: 'Ba ba!', audioUrl: null, emotion: null });
+});
+
+test('LocalBackend streams newline-delimited JSON through onText', async (t) => {
+    const server = await startServer((request, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.write(JSON.stringify({ message: { content: 'Goo ' } }) + '\n');
+        res.write(JSON.stringify({ message: { content: 'gaa' } }) + '\n');
+        res.end(JSON.stringify({ message: { content: '' }, done: true }) + '\n');
+    });
+    t.after(server.close);
+
+    const deltas = [];
+    const backend = new LocalBackend({ endpoint: server.url });
+    const reply = await backend.generate('hi', [], { onText: delta => deltas.push(delta) });
+
+    assert.strictEqual(server.requests[0].body.stream, true);
+    assert.deepStrictEqual(deltas, ['Goo ', 'gaa']);
+    assert.strictEqual(reply.textContent, 'Goo gaa');
+});
+
+test('backends reject on non-2xx responses', async (t) => {
+    const server = await startServer((request, res) => sendJSON(res, { error: 'overloaded' }, 503));
+    t.after(server.close);
+
+    for (const Backend of [PixoraBackend, OpenAIBackend, LocalBackend]) {
+        const backend = new Backend({ endpoint: server.url });
+        await assert.rejects(backend.generate('hi'), /responded 503/);
+    }
+});
+
+test('backends reject replies without text', async (t) => {
+    const server = await startServer((request, res) => sendJSON(res, { textContent: '   ', audioUrl: null }));
+    t.after(server.close);
+
+    await assert.rejects(new PixoraBackend({ endpoint: server.url }).generate('hi'), /no text/);
+});
+
+test('requests time out when the server does not answer', async (t) => {
+    const server = await startServer(() => {}); // Never responds
+    t.after(server.close);
+
+    for (const Backend of [PixoraBackend, OpenAIBackend, LocalBackend]) {
+        const backend = new Backend({ endpoint: server.url, timeout: 100 });
+        await assert.rejects(backend.generate('hi'), /timed out after 100ms/);
+    }
+});
+
+test('streams time out when the server stops sending', async (t) => {
+    const server = await startServer((request, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Goo' } }] })}\n\n`); // Then nothing
+    });
+    t.after(server.close);
+
+    const deltas = [];
+    const backend = new OpenAIBackend({ endpoint: server.url, timeout: 150 });
+    await assert.rejects(
+        backend.generate('hi', [], { onText: delta => deltas.push(delta) }),
+        /stopped sending for 150ms/
+    );
+    assert.deepStrictEqual(deltas, ['Goo']);
+});
+
+test('streams keep going while data keeps arriving', async (t) => {
+    const server = await startServer((request, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        let count = 0;
+        const timer = setInterval(() => {
+            count++;
+            res.write(JSON.stringify({ response: `${count} ` }) + '\n');
+            if (count === 4) {
+                clearInterval(timer);
+                res.end();
+            }
+        }, 60);
+    });
+    t.after(server.close);
+
+    // Takes longer than the timeout overall, but no gap is longer than it
+    const backend = new LocalBackend({ endpoint: server.url, timeout: 150 });
+    const reply = await backend.generate('count', [], { onText: () => {} });
+    assert.strictEqual(reply.textContent, '1 2 3 4');
+});
+
+test('aborting the signal cancels the request', async (t) => {
+    const server = await startServer(() => {});
+    t.after(server.close);
+
+    const controller = new AbortController();
+    const reply = new OpenAIBackend({ endpoint: server.url }).generate('hi', [], { signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(reply, { name: 'AbortError' });
+});
+
+test('MockBackend inserts the user text literally', async () => {
+    const backend = new MockBackend({ random: () => 0 });
+    const reply = await backend.generate('costs $& and $1');
+
+    assert.ok(reply.textContent.includes('"costs $& and $1"'), reply.textContent);
+    assert.strictEqual(reply.emotion, 'happy');
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+loadScripts('emotion-classifier.js');
+
+const EMOTIONS = new Set(Object.keys(EmotionClassifier.LEXICON));
+const createClassifier = () => new EmotionClassifier({ isKnownEmotion: (emotion) => EMOTIONS.has(emotion) });
+
+test('parseMarkup turns known markup into cues at their position in the cleaned text', () => {
+    const classifier = createClassifier();
+    const { text, cues } = classifier.parseMarkup('Hi! *giggles* I am [sad:0.5] here');
+
+    assert.strictEqual(text, 'Hi! I am here');
+    assert.deepStrictEqual(cues.map(({ emotion, intensity, charIndex }) => ({ emotion, intensity, charIndex })), [
+        { emotion: 'giggle', intensity: 0.8, charIndex: 4 },
+        { emotion: 'sad', intensity: 0.5, charIndex: 9 }
+    ]);
+});
+
+test('parseMarkup keeps unknown markup as text', () => {
+    const classifier = createClassifier();
+
+    assert.deepStrictEqual(classifier.parseMarkup('I *really* love you'), { text: 'I really love you', cues: [] });
+    assert.deepStrictEqual(classifier.parseMarkup('2 * 3 * 4'), { text: '2 * 3 * 4', cues: [] });
+    assert.deepStrictEqual(classifier.parseMarkup('See [page two] please'), { text: 'See page two please', cues: [] });
+});
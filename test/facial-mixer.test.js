@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+loadScripts('facial-mixer.js');
+
+function createMixer() {
+    const mixer = new FacialAnimationMixer();
+    mixer.addLayer('emotion', { blendMode: 'additive', priority: 10 });
+    mixer.addLayer('speech', { blendMode: 'override', priority: 20 });
+
+    const mesh = { morphTargetInfluences: [0, 0, 0] };
+    mixer.setMesh(mesh, { Mouth_Smile_L: 0, Mouth_Smile_R: 1, V_Open: 2 });
+    return { mixer, mesh };
+}
+
+test('an emotion smile survives an active speech layer that leaves the smile at zero', () => {
+    const { mixer, mesh } = createMixer();
+    mixer.getLayer('emotion').setWeights({ Mouth_Smile_L: 0.6, Mouth_Smile_R: 0.6 });
+    mixer.getLayer('speech').setWeights({ Mouth_Smile_L: 0, Mouth_Smile_R: 0, V_Open: 0.8 });
+
+    mixer.update();
+
+    assert.ok(Math.abs(mesh.morphTargetInfluences[0] - 0.6) < 1e-6);
+    assert.ok(Math.abs(mesh.morphTargetInfluences[1] - 0.6) < 1e-6);
+    assert.ok(Math.abs(mesh.morphTargetInfluences[2] - 0.8) < 1e-6);
+});
+
+test('the speech layer overrides lower layers where its weight is above zero', () => {
+    const { mixer, mesh } = createMixer();
+    mixer.getLayer('emotion').setWeights({ Mouth_Smile_L: 0.6, V_Open: 0.5 });
+    mixer.getLayer('speech').setWeights({ Mouth_Smile_L: 0.2, V_Open: 0.3 });
+
+    mixer.update();
+
+    assert.ok(Math.abs(mesh.morphTargetInfluences[0] - 0.2) < 1e-6);
+    assert.ok(Math.abs(mesh.morphTargetInfluences[2] - 0.3) < 1e-6);
+});
@@ -0,0 +1,65 @@
+/**
+ * Test helpers - run the page scripts in Node the way the browser does:
+ * classic scripts sharing one global scope, exporting through window
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const loaded = new Set();
+
+global.window = global;
+
+/**
+ * Load page scripts by file name, in order (each file only once)
+ */
+function loadScripts(...files) {
+    files.forEach(file => {
+        if (loaded.has(file)) return;
+        loaded.add(file);
+
+        // Some sources are saved as UTF-16 with a byte order mark
+        const bytes = fs.readFileSync(path.join(ROOT, file));
+        const source = bytes[0] === 0xff && bytes[1] === 0xfe
+            ? bytes.toString('utf16le', 2)
+            : bytes.toString('utf8');
+
+        vm.runInThisContext(source, { filename: file });
+    });
+}
+
+/**
+ * Read a 16-bit PCM WAV fixture into an AudioBuffer-like object
+ */
+function readWAV(file) {
+    const bytes = fs.readFileSync(path.join(__dirname, 'fixtures', file));
+    const numberOfChannels = bytes.readUInt16LE(22);
+    const sampleRate = bytes.readUInt32LE(24);
+
+    // Walk the chunks to the PCM data
+    let offset = 12;
+    while (bytes.toString('ascii', offset, offset + 4) !== 'data') {
+        offset += 8 + bytes.readUInt32LE(offset + 4);
+    }
+    const dataLength = bytes.readUInt32LE(offset + 4);
+    const length = dataLength / (2 * numberOfChannels);
+
+    const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    for (let i = 0; i < length; i++) {
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            channels[channel][i] = bytes.readInt16LE(offset + 8 + (i * numberOfChannels + channel) * 2) / 32768;
+        }
+    }
+
+    return {
+        sampleRate,
+        length,
+        numberOfChannels,
+        duration: length / sampleRate,
+        getChannelData: channel => channels[channel]
+    };
+}
+
+module.exports = { loadScripts, readWAV };
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, readWAV } = require('./helpers');
+
+loadScripts('animation-scheduler.js', 'cmu-dictionary.js', 'g2p.js', 'viseme-timeline.js', 'phoneme-detector.js');
+
+// speech.wav (16 kHz mono): silence 0-0.25 s, voiced vowel 0.25-0.75 s,
+// silence 0.75-1.0 s, hiss 1.0-1.3 s, silence 1.3-1.5 s
+const audioBuffer = readWAV('speech.wav');
+
+function framesBetween(frames, from, to) {
+    return frames.filter(frame => frame.time >= from && frame.time < to);
+}
+
+test('analyzeAudioBuffer emits one frame per hop at the analysis frame rate', () => {
+    const lipSync = new SimpleLipSyncSystem(new AnimationScheduler());
+    const frames = lipSync.analyzeAudioBuffer(audioBuffer);
+
+    const hopSize = Math.round(audioBuffer.sampleRate / 60);
+    assert.strictEqual(frames.length, Math.ceil(audioBuffer.length / hopSize));
+    assert.strictEqual(frames[0].time, 0);
+    assert.strictEqual(frames[1].time, hopSize / audioBuffer.sampleRate);
+    assert.deepStrictEqual(Object.keys(frames[0].weights).sort(), [...lipSync.audioVisemes].sort());
+
+    const halfRate = lipSync.analyzeAudioBuffer(audioBuffer, 30);
+    assert.strictEqual(halfRate.length, Math.ceil(audioBuffer.length / Math.round(audioBuffer.sampleRate / 30)));
+});
+
+test('analyzeAudioBuffer keeps the mouth relaxed during silence', () => {
+    const lipSync = new SimpleLipSyncSystem(new AnimationScheduler());
+    const frames = lipSync.analyzeAudioBuffer(audioBuffer);
+
+    framesBetween(frames, 0, 0.18).forEach(frame => {
+        Object.values(frame.weights).forEach(value => assert.strictEqual(value, 0));
+    });
+    Object.values(frames[frames.length - 1].weights).forEach(value => assert.ok(value < 0.01));
+});
+
+test('analyzeAudioBuffer opens the jaw for a voiced vowel', () => {
+    const lipSync = new SimpleLipSyncSystem(new AnimationScheduler());
+    const frames = framesBetween(lipSync.analyzeAudioBuffer(audioBuffer), 0.35, 0.7);
+
+    assert.ok(frames.length > 0);
+    frames.forEach(frame => {
+        assert.ok(frame.weights.Jaw_Open > 0.8, `Jaw_Open ${frame.weights.Jaw_Open} at ${frame.time}`);
+        assert.ok(frame.weights.Mouth_Press < 0.05);
+        assert.ok(frame.weights.Mouth_Stretch < 0.1);
+    });
+});
+
+test('analyzeAudioBuffer stretches the lips with a nearly closed jaw for hiss', () => {
+    const lipSync = new SimpleLipSyncSystem(new AnimationScheduler());
+    const frames = framesBetween(lipSync.analyzeAudioBuffer(audioBuffer), 1.05, 1.2);
+
+    assert.ok(frames.length > 0);
+    frames.forEach(frame => {
+        assert.ok(frame.weights.Mouth_Stretch > 0.7, `Mouth_Stretch ${frame.weights.Mouth_Stretch} at ${frame.time}`);
+        assert.ok(frame.weights.Jaw_Open < 0.3);
+        assert.ok(frame.features.high > 0.5);
+    });
+});
+
+test('analyzeAudioBuffer is deterministic', () => {
+    const first = new SimpleLipSyncSystem(new AnimationScheduler()).analyzeAudioBuffer(audioBuffer);
+    const second = new SimpleLipSyncSystem(new AnimationScheduler()).analyzeAudioBuffer(audioBuffer);
+
+    assert.deepStrictEqual(second, first);
+});
+
+test('word boundaries refine the single seconds-per-character estimate', () => {
+    const scheduler = new AnimationScheduler();
+    const lipSync = new SimpleLipSyncSystem(scheduler);
+    lipSync.bodyMesh = { morphTargetInfluences: [0] };
+    lipSync.bodyMorphTargets = { Jaw_Open: 0 };
+
+    lipSync.startBoundaryLipSync('hello there baby', null, 2);
+    assert.strictEqual(lipSync.secondsPerChar, 0.035);
+
+    // "there" starts 6 characters and 0.6 s after "hello": 0.1 s per character at rate 2
+    lipSync.onWordBoundary(0, 0);
+    lipSync.onWordBoundary(6, 0.6);
+    assert.ok(Math.abs(lipSync.secondsPerChar - 0.0675) < 1e-9);
+    assert.ok(Math.abs(lipSync.boundaryTiming.secondsPerChar - 0.135) < 1e-9);
+
+    // The learned rate carries over to the next utterance
+    lipSync.startBoundaryLipSync('bye', null, 1);
+    assert.ok(Math.abs(lipSync.secondsPerChar - 0.135) < 1e-9);
+});
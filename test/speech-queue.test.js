@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+loadScripts('speech-queue.js');
+
+test('splitSentences splits at sentence punctuation and keeps the unfinished rest', () => {
+    assert.deepStrictEqual(SpeechQueue.splitSentences('Hi there! How are you? I am fi'), {
+        sentences: ['Hi there!', 'How are you?'],
+        rest: 'I am fi'
+    });
+});
+
+test('splitSentences splits Hindi at the danda', () => {
+    assert.deepStrictEqual(SpeechQueue.splitSentences('नमस्ते! मैंने सुना। मैं बहुत ख़ुश हूँ॥ क्या हम'), {
+        sentences: ['नमस्ते!', 'मैंने सुना।', 'मैं बहुत ख़ुश हूँ॥'],
+        rest: 'क्या हम'
+    });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+loadScripts('turn-taking.js');
+
+const reply = 'Oh my! You said hello! That makes me so happy! Can we play together?';
+
+function controller(options = {}) {
+    const clock = { time: 0 };
+    const turnTaking = new TurnTakingController({ now: () => clock.time, ...options });
+    return { turnTaking, clock };
+}
+
+test('a run of the baby\'s words picked up while it speaks is echo', () => {
+    const { turnTaking } = controller();
+    turnTaking.babyStartedSpeaking(reply);
+
+    assert.strictEqual(turnTaking.handleTranscript('that makes me so happy'), 'echo');
+});
+
+test('replies that share words with the baby are not echo', () => {
+    const { turnTaking } = controller();
+    turnTaking.babyStartedSpeaking(reply);
+
+    assert.strictEqual(turnTaking.handleTranscript('yes we can play together'), 'interrupt');
+    assert.strictEqual(turnTaking.handleTranscript('so happy'), 'interrupt');
+});
+
+test('echo is only recognised for a moment after the baby stops', () => {
+    const { turnTaking, clock } = controller();
+    turnTaking.babyStartedSpeaking(reply);
+    turnTaking.babyStoppedSpeaking();
+
+    clock.time = 0.3;
+    assert.strictEqual(turnTaking.handleTranscript('can we play together'), 'echo');
+
+    clock.time = 1;
+    assert.strictEqual(turnTaking.handleTranscript('can we play together'), 'process');
+});
+
+test('a short utterance repeated in full is echo', () => {
+    const { turnTaking } = controller();
+    turnTaking.babyStartedSpeaking('Hello there!');
+
+    assert.strictEqual(turnTaking.handleTranscript('hello there'), 'echo');
+    assert.strictEqual(turnTaking.handleTranscript('hello'), 'interrupt');
+});
+
+test('longestRun counts consecutive shared words only', () => {
+    const words = TurnTakingController.words;
+
+    assert.strictEqual(TurnTakingController.longestRun(words('we can play together'), words('can we play together')), 2);
+    assert.strictEqual(TurnTakingController.longestRun(words('a b c d'), words('x b c d y')), 3);
+    assert.strictEqual(TurnTakingController.longestRun(words('a b'), []), 0);
+});
+
+test('the policy decides what happens to speech while the baby has the turn', () => {
+    const { turnTaking } = controller({ policy: 'queue' });
+    turnTaking.babyStartedSpeaking(reply);
+
+    assert.strictEqual(turnTaking.requestTurn(), 'listen');
+    assert.strictEqual(turnTaking.handleTranscript('what is your name'), 'queue');
+    assert.strictEqual(turnTaking.takeQueued(), 'what is your name');
+    assert.strictEqual(turnTaking.takeQueued(), null);
+
+    turnTaking.setPolicy('ignore');
+    assert.strictEqual(turnTaking.requestTurn(), 'ignore');
+    assert.strictEqual(turnTaking.handleTranscript('what is your name'), 'ignore');
+});
+
+test('words keep Devanagari vowel signs', () => {
+    assert.deepStrictEqual(TurnTakingController.words('क्या हम साथ में खेलें?'), ['क्या', 'हम', 'साथ', 'में', 'खेलें']);
+    assert.deepStrictEqual(TurnTakingController.words("Don't stop, ¡mamá!"), ["don't", 'stop', 'mamá']);
+});
+
+test('Hindi echo is matched word for word', () => {
+    const { turnTaking } = controller();
+    turnTaking.babyStartedSpeaking('अरे वाह! आपने कहा नमस्ते! मैं बहुत ख़ुश हूँ! क्या हम साथ में खेलें?');
+
+    assert.strictEqual(turnTaking.handleTranscript('क्या हम साथ में खेलें'), 'echo');
+    assert.strictEqual(turnTaking.handleTranscript('हाँ हम खेलें'), 'interrupt');
+});
@@ -0,0 +1,160 @@
+/**
+ * Turn-Taking Controller
+ * Decides what happens when the user wants to talk while the baby is
+ * speaking, and filters out the baby's own voice picked up by the
+ * microphone (self-echo).
+ *
+ * Policies:
+ * - interrupt: the baby stops talking and listens (barge-in)
+ * - queue: the microphone opens, and what the user says is answered once the baby has finished
+ * - ignore: the microphone stays closed until the baby has finished
+ *
+ * The app reports each utterance with babyStartedSpeaking(text) and
+ * babyStoppedSpeaking(), asks requestTurn() when the microphone button is
+ * pressed and handleTranscript(text) for every final transcript.
+ */
+
+class TurnTakingController {
+    constructor(options = {}) {
+        const { now = () => performance.now() / 1000, ...settings } = options;
+
+        this.settings = {
+            policy: 'interrupt',
+            echoWindow: 0.4,        // Seconds after the baby stops in which its words still count as echo
+            echoRun: 4,             // Consecutive words of the baby's sentence a transcript must repeat to be echo
+            ...settings
+        };
+        this.now = now;
+
+        // What the baby is saying or said just now: [{ words, endTime }]
+        this.babyUtterances = [];
+        this.isBabySpeaking = false;
+
+        // Transcripts waiting for the baby to finish (queue policy)
+        this.queued = [];
+    }
+
+    /**
+     * Change the policy ('interrupt', 'queue' or 'ignore')
+     */
+    setPolicy(policy) {
+        if (!TurnTakingController.POLICIES.includes(policy)) {
+            throw new Error(`Unknown turn-taking policy: ${policy}`);
+        }
+        this.settings.policy = policy;
+        if (policy !== 'queue') {
+            this.queued = [];
+        }
+    }
+
+    /**
+     * The baby started saying text (TTS or recorded audio)
+     */
+    babyStartedSpeaking(text) {
+        this.isBabySpeaking = true;
+        this.babyUtterances.push({ words: TurnTakingController.words(text), endTime: null });
+    }
+
+    /**
+     * The baby finished (or was cut off)
+     */
+    babyStoppedSpeaking() {
+        this.isBabySpeaking = false;
+        const time = this.now();
+        this.babyUtterances.forEach(utterance => {
+            if (utterance.endTime === null) {
+                utterance.endTime = time;
+            }
+        });
+    }
+
+    /**
+     * What to do when the user asks to speak: 'listen', 'interrupt' (stop the baby, then listen) or 'ignore'
+     * babyHasTurn: the baby is replying (pass it to cover pauses between sentences and thinking time)
+     */
+    requestTurn(babyHasTurn = this.isBabySpeaking) {
+        if (!babyHasTurn) return 'listen';
+
+        const { policy } = this.settings;
+        if (policy === 'interrupt') return 'interrupt';
+        if (policy === 'queue') return 'listen';
+        return 'ignore';
+    }
+
+    /**
+     * What to do with a final transcript:
+     * 'process', 'interrupt' (stop the baby, then process), 'queue', 'echo' or 'ignore'
+     */
+    handleTranscript(text, babyHasTurn = this.isBabySpeaking) {
+        if (this.isEcho(text)) {
+            console.log(`🗣️ Ignoring the baby's own voice: "${text}"`);
+            return 'echo';
+        }
+
+        if (!babyHasTurn) return 'process';
+
+        const { policy } = this.settings;
+        if (policy === 'queue') {
+            this.queued.push(text);
+            return 'queue';
+        }
+        return policy === 'interrupt' ? 'interrupt' : 'ignore';
+    }
+
+    /**
+     * Next transcript held back by the queue policy (null if none)
+     */
+    takeQueued() {
+        return this.queued.length > 0 ? this.queued.shift() : null;
+    }
+
+    /**
+     * Whether a transcript repeats a run of the baby's words while it speaks (or just after)
+     * Replies that merely share words with the baby, or quote a word or two, are not echo
+     */
+    isEcho(text) {
+        const words = TurnTakingController.words(text);
+        if (words.length === 0) return false;
+
+        // Forget utterances that ended before the echo window
+        const time = this.now();
+        this.babyUtterances = this.babyUtterances.filter(utterance =>
+            utterance.endTime === null || time - utterance.endTime <= this.settings.echoWindow);
+
+        return this.babyUtterances.some(({ words: babyWords }) => babyWords.length > 0 &&
+            TurnTakingController.longestRun(words, babyWords) >= Math.min(this.settings.echoRun, babyWords.length));
+    }
+
+    /**
+     * Length of the longest run of consecutive words two word lists share
+     */
+    static longestRun(words, otherWords) {
+        let longest = 0;
+        let previous = new Array(otherWords.length + 1).fill(0);
+
+        words.forEach(word => {
+            const current = new Array(otherWords.length + 1).fill(0);
+            otherWords.forEach((otherWord, j) => {
+                if (word === otherWord) {
+                    current[j + 1] = previous[j] + 1;
+                    longest = Math.max(longest, current[j + 1]);
+                }
+            });
+            previous = current;
+        });
+
+        return longest;
+    }
+
+    /**
+     * Lower-case words of a text, punctuation removed (combining marks such as Devanagari vowel signs kept)
+     */
+    static words(text) {
+        return (text.normalize('NFC').toLowerCase().match(/[\p{L}\p{M}\p{N}']+/gu) || []).map(word => word.replace(/^'+|'+$/g, '')).filter(Boolean);
+    }
+}
+
+TurnTakingController.POLICIES = ['interrupt', 'queue', 'ignore'];
+
+// Export for use in other modules
+window.TurnTakingController = TurnTakingController;
@@ -0,0 +1,200 @@
+/**
+ * Viseme Timeline with Coarticulation
+ * Turns a viseme sequence into overlapping attack/hold/release curves so
+ * adjacent visemes cross-fade instead of snapping shut between phonemes.
+ * Several morphs can be active at once and lip rounding is anticipated
+ * ahead of rounded vowels.
+ */
+
+class VisemeTimeline {
+    constructor(options = {}) {
+        this.attack = options.attack !== undefined ? options.attack : 0.06;       // Seconds to fade a viseme in
+        this.release = options.release !== undefined ? options.release : 0.08;    // Seconds to fade a viseme out
+        this.lookahead = options.lookahead !== undefined ? options.lookahead : 0.2; // How far ahead lip rounding is anticipated
+        this.strength = options.strength !== undefined ? options.strength : 0.6;  // 0 = no coarticulation, 1 = full
+
+        // Scheduled events: { start, end, shape, intensity }
+        this.events = [];
+
+        // Every morph the timeline has touched, so faded morphs are sampled as 0
+        this.morphs = new Set();
+    }
+
+    /**
+     * Schedule viseme entries back to back from startTime
+     * upcoming entries are only used as lookahead context for coarticulation
+     * Returns the time the last entry ends
+     */
+    schedule(visemes, startTime = 0, upcoming = []) {
+        let time = startTime;
+        const entries = [...visemes, ...upcoming].map(viseme => {
+            const entry = { ...viseme, start: time, end: time + viseme.duration };
+            time = entry.end;
+            return entry;
+        });
+
+        entries.slice(0, visemes.length).forEach((entry, index) => {
+            // Pauses just leave a gap for the mouth to relax
+            if (!entry.viseme) return;
+
+            const shape = this.coarticulate(entries, index);
+            Object.keys(shape).forEach(morph => this.morphs.add(morph));
+
+            this.events.push({
+                start: entry.start,
+                end: entry.end,
+                shape,
+                intensity: entry.intensity !== undefined ? entry.intensity : 1.0
+            });
+        });
+
+        return visemes.length > 0 ? entries[visemes.length - 1].end : startTime;
+    }
+
+    /**
+     * Morph weights for a viseme entry, shaped by its neighbours
+     */
+    coarticulate(entries, index) {
+        const entry = entries[index];
+        const shape = { ...this.getShape(entry) };
+
+        if (VisemeTimeline.VOWELS.has(entry.phoneme)) {
+            return shape;
+        }
+
+        // Find the next vowel within the lookahead window (pauses break coarticulation)
+        let nextVowel = null;
+        for (let i = index + 1; i < entries.length; i++) {
+            const next = entries[i];
+            if (!next.viseme || next.start - entry.start > this.lookahead) break;
+            if (VisemeTimeline.VOWELS.has(next.phoneme)) {
+                nextVowel = next;
+                break;
+            }
+        }
+
+        // Anticipatory rounding: lips start rounding before "oo", "oh", "w"
+        if (nextVowel && VisemeTimeline.ROUNDED.has(nextVowel.phoneme)) {
+            const vowelShape = this.getShape(nextVowel);
+            VisemeTimeline.ROUNDING_MORPHS.forEach(morph => {
+                if (vowelShape[morph]) {
+                    shape[morph] = Math.max(shape[morph] || 0, vowelShape[morph] * this.strength);
+                }
+            });
+        }
+
+        // Tongue-only consonants take on the surrounding vowel's mouth shape
+        if (VisemeTimeline.WEAK_CONSONANTS.has(entry.phoneme)) {
+            const neighbour = nextVowel || this.previousVowel(entries, index);
+            if (neighbour) {
+                const vowelShape = this.getShape(neighbour);
+                new Set([...Object.keys(shape), ...Object.keys(vowelShape)]).forEach(morph => {
+                    shape[morph] = (shape[morph] || 0) * (1 - this.strength) + (vowelShape[morph] || 0) * this.strength;
+                });
+            }
+        }
+
+        return shape;
+    }
+
+    /**
+     * Nearest preceding vowel within the lookahead window
+     */
+    previousVowel(entries, index) {
+        const entry = entries[index];
+        for (let i = index - 1; i >= 0; i--) {
+            const previous = entries[i];
+            if (!previous.viseme || entry.start - previous.start > this.lookahead) break;
+            if (VisemeTimeline.VOWELS.has(previous.phoneme)) return previous;
+        }
+        return null;
+    }
+
+    /**
+     * Morph weights for an entry without context
+     */
+    getShape(entry) {
+        return entry.shape || { [entry.viseme]: 1.0 };
+    }
+
+    /**
+     * Drop everything scheduled after time and cut running events short
+     * Used when speech timing is corrected (e.g. a new word boundary arrives)
+     */
+    truncate(time) {
+        this.events = this.events.filter(event => event.start < time);
+        this.events.forEach(event => {
+            event.end = Math.min(event.end, time);
+        });
+    }
+
+    /**
+     * Remove events that have fully faded out
+     */
+    prune(time) {
+        this.events = this.events.filter(event => event.end + this.release / 2 > time);
+    }
+
+    /**
+     * Clear all events
+     */
+    clear() {
+        this.events = [];
+    }
+
+    /**
+     * Time at which the last event has fully faded out
+     */
+    get endTime() {
+        return this.events.reduce((end, event) => Math.max(end, event.end + this.release / 2), 0);
+    }
+
+    /**
+     * Attack/hold/release envelope of an event at a time (0..1)
+     * Ramps are centred on the event edges, so neighbouring events cross-fade
+     */
+    envelope(event, time) {
+        const rise = this.attack > 0 ? (time - (event.start - this.attack / 2)) / this.attack : (time >= event.start ? 1 : 0);
+        const fall = this.release > 0 ? ((event.end + this.release / 2) - time) / this.release : (time < event.end ? 1 : 0);
+        const value = Math.min(1, Math.max(0, Math.min(rise, fall)));
+
+        // Smoothstep keeps cross-fades summing to 1 while easing in and out
+        return value * value * (3 - 2 * value);
+    }
+
+    /**
+     * Sample all morph weights at a time
+     */
+    sample(time) {
+        const weights = {};
+        this.morphs.forEach(morph => {
+            weights[morph] = 0;
+        });
+
+        this.events.forEach(event => {
+            const envelope = this.envelope(event, time);
+            if (envelope <= 0) return;
+
+            Object.entries(event.shape).forEach(([morph, value]) => {
+                weights[morph] = Math.min(1, weights[morph] + value * envelope * event.intensity);
+            });
+        });
+
+        return weights;
+    }
+}
+
+// ARPAbet vowels (including r-coloured ER)
+VisemeTimeline.VOWELS = new Set(['AA', 'AE', 'AH', 'AO', 'AW', 'AY', 'EH', 'ER', 'EY', 'IH', 'IY', 'OW', 'OY', 'UH', 'UW', 'OO', 'OR']);
+
+// Vowels that round the lips
+VisemeTimeline.ROUNDED = new Set(['UW', 'UH', 'OW', 'OY', 'AO', 'AW', 'ER', 'OO', 'OR']);
+
+// Consonants articulated with the tongue, leaving the lips free to coarticulate
+VisemeTimeline.WEAK_CONSONANTS = new Set(['T', 'D', 'K', 'G', 'N', 'NG', 'L', 'S', 'Z', 'H', 'HH', 'Y']);
+
+// Morphs that carry lip rounding
+VisemeTimeline.ROUNDING_MORPHS = ['Mouth_Funnel', 'Mouth_Pucker'];
+
+// Export for use in other modules
+window.VisemeTimeline = VisemeTimeline;
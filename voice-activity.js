@@ -0,0 +1,147 @@
+/**
+ * Voice Activity Detector
+ * Energy-based speech detection on the microphone stream. The level of each
+ * frame is compared with a slowly adapting noise floor; speech starts after
+ * the level has stayed above it for a short attack time and ends after a
+ * quiet hangover, so pauses between words don't split an utterance.
+ *
+ * Runs as a scheduler task (once per animation frame) and reports
+ * onSpeechStart() / onSpeechEnd(duration).
+ */
+
+class VoiceActivityDetector {
+    constructor(scheduler, options = {}) {
+        this.scheduler = scheduler;
+
+        this.settings = {
+            fftSize: 1024,
+            minLevel: 0.01,         // RMS below this is never speech
+            ratio: 3.0,             // Speech is this many times louder than the noise floor
+            attack: 0.1,            // Seconds above the threshold before speech starts
+            release: 0.8,           // Seconds below it before speech ends
+            noiseAdaptation: 0.5,   // How fast the noise floor follows quiet input (per second)
+            onSpeechStart: null,
+            onSpeechEnd: null,
+            ...options
+        };
+
+        this.noiseFloor = this.settings.minLevel / this.settings.ratio;
+        this.level = 0;
+        this.isSpeech = false;
+        this.aboveTime = 0;
+        this.belowTime = 0;
+        this.speechStartTime = 0;
+
+        // Audio graph (set up by start)
+        this.stream = null;
+        this.ownsStream = false;
+        this.source = null;
+        this.analyser = null;
+        this.task = null;
+    }
+
+    /**
+     * Start listening to the microphone (or a given MediaStream)
+     */
+    async start(audioContext, stream = null) {
+        this.stop();
+
+        if (!stream) {
+            stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+            });
+            this.ownsStream = true;
+        }
+
+        this.stream = stream;
+        this.source = audioContext.createMediaStreamSource(stream);
+        this.analyser = audioContext.createAnalyser();
+        this.analyser.fftSize = this.settings.fftSize;
+        this.source.connect(this.analyser);
+
+        const samples = new Float32Array(this.analyser.fftSize);
+        this.task = this.scheduler.addTask((delta) => {
+            if (!this.analyser) return false;
+            this.analyser.getFloatTimeDomainData(samples);
+            this.process(samples, delta);
+            return true;
+        });
+
+        console.log('🎙️ Voice activity detection started');
+        return stream;
+    }
+
+    /**
+     * Feed one frame of samples covering delta seconds
+     */
+    process(samples, delta) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        this.level = Math.sqrt(sum / samples.length);
+
+        const { minLevel, ratio, attack, release, noiseAdaptation } = this.settings;
+        const isLoud = this.level >= Math.max(minLevel, this.noiseFloor * ratio);
+
+        if (isLoud) {
+            this.aboveTime += delta;
+            this.belowTime = 0;
+        } else {
+            this.belowTime += delta;
+            this.aboveTime = 0;
+
+            // Only quiet frames teach the noise floor, so speech doesn't raise it
+            if (!this.isSpeech) {
+                const blend = 1 - Math.exp(-noiseAdaptation * delta);
+                this.noiseFloor += (this.level - this.noiseFloor) * blend;
+            }
+        }
+
+        if (!this.isSpeech && this.aboveTime >= attack) {
+            this.isSpeech = true;
+            this.speechStartTime = this.scheduler.time - this.aboveTime;
+            if (this.settings.onSpeechStart) {
+                this.settings.onSpeechStart();
+            }
+        } else if (this.isSpeech && this.belowTime >= release) {
+            this.isSpeech = false;
+            if (this.settings.onSpeechEnd) {
+                this.settings.onSpeechEnd(this.scheduler.time - this.belowTime - this.speechStartTime);
+            }
+        }
+    }
+
+    /**
+     * Stop listening (the microphone is released if start() opened it)
+     */
+    stop() {
+        if (this.task) {
+            this.task.cancel();
+            this.task = null;
+        }
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        this.analyser = null;
+
+        if (this.stream && this.ownsStream) {
+            this.stream.getTracks().forEach(track => track.stop());
+        }
+        this.stream = null;
+        this.ownsStream = false;
+
+        if (this.isSpeech) {
+            this.isSpeech = false;
+            if (this.settings.onSpeechEnd) {
+                this.settings.onSpeechEnd(0);
+            }
+        }
+        this.aboveTime = 0;
+        this.belowTime = 0;
+    }
+}
+
+// Export for use in other modules
+window.VoiceActivityDetector = VoiceActivityDetector;